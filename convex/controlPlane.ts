@@ -1,10 +1,23 @@
 import { mutation, query } from "./_generated/server";
-import { v } from "convex/values";
+import { ConvexError, v } from "convex/values";
 
 const DEFAULT_ORGANIZATION_ID = "default-org";
 const DEFAULT_USER_ID = "default-user";
 
 const orgScopeV = { organization_id: v.string() };
+const pageV = { cursor: v.union(v.string(), v.null()), limit: v.number(), offset: v.number() };
+
+const AGENT_OFFLINE_ALERT_TYPE = "agent_offline";
+
+const COMMAND_TRANSITIONS: Record<string, string[]> = {
+  queued: ["delivered", "acked", "failed", "expired"],
+  delivered: ["queued", "delivered", "acked", "failed", "expired"],
+  acked: [],
+  failed: [],
+  expired: []
+};
+
+const TASK_PRIORITY_RANK: Record<string, number> = { urgent: 0, high: 1, normal: 2, low: 3 };
 
 const agentV = v.object({
   id: v.string(),
@@ -31,6 +44,14 @@ const taskV = v.object({
   status: v.string(),
   progress: v.number(),
   priority: v.string(),
+  required_capabilities: v.array(v.string()),
+  depends_on: v.array(v.string()),
+  on_dependency_failure: v.string(),
+  on_agent_offline: v.string(),
+  parent_task_id: v.union(v.string(), v.null()),
+  retry_policy: v.any(),
+  attempt: v.number(),
+  retry_at: v.union(v.string(), v.null()),
   metadata: v.any(),
   created_at: v.string(),
   updated_at: v.string(),
@@ -59,6 +80,8 @@ const commandV = v.object({
   acked_by: v.union(v.string(), v.null()),
   ack_message: v.union(v.string(), v.null()),
   expires_at: v.union(v.string(), v.null()),
+  delivery_attempts: v.optional(v.number()),
+  delivered_at: v.optional(v.union(v.string(), v.null())),
   created_at: v.string(),
   updated_at: v.string()
 });
@@ -75,10 +98,64 @@ const alertV = v.object({
   updated_at: v.string()
 });
 
+const auditEntryV = v.object({
+  id: v.string(),
+  request_id: v.union(v.string(), v.null()),
+  actor_user_id: v.union(v.string(), v.null()),
+  actor_key_id: v.union(v.string(), v.null()),
+  actor_agent_id: v.union(v.string(), v.null()),
+  action: v.string(),
+  entity_type: v.string(),
+  entity_id: v.string(),
+  changes: v.any(),
+  created_at: v.string()
+});
+
+const webhookV = v.object({
+  id: v.string(),
+  url: v.string(),
+  event_types: v.array(v.string()),
+  secret: v.string(),
+  status: v.string(),
+  created_at: v.string(),
+  updated_at: v.string()
+});
+
+const webhookDeliveryV = v.object({
+  id: v.string(),
+  webhook_id: v.string(),
+  event_type: v.string(),
+  payload: v.any(),
+  status: v.string(),
+  attempts: v.number(),
+  next_attempt_at: v.string(),
+  last_attempt_at: v.union(v.string(), v.null()),
+  response_status: v.union(v.number(), v.null()),
+  last_error: v.union(v.string(), v.null()),
+  created_at: v.string(),
+  updated_at: v.string()
+});
+
 function nowIso() {
   return new Date().toISOString();
 }
 
+// `offset` is kept for old clients: the first page is read with
+// offset + limit items and trimmed, and its continueCursor still points
+// right after the returned rows. A cursor already marks the position, so
+// offset is ignored once one is given.
+async function paginate(query: any, args: { cursor: string | null; limit: number; offset: number }) {
+  const offset = args.cursor === null ? args.offset : 0;
+  let result;
+  try {
+    result = await query.paginate({ numItems: offset + args.limit, cursor: args.cursor });
+  } catch (err) {
+    if (args.cursor !== null) throw new ConvexError("INVALID_CURSOR");
+    throw err;
+  }
+  return { rows: result.page.slice(offset), next_cursor: result.isDone ? null : result.continueCursor };
+}
+
 function rowToAgent(row: any) {
   const createdAt = row.created_at ?? row.updated_at ?? row.source_updated_at ?? new Date(0).toISOString();
   const updatedAt = row.updated_at ?? row.source_updated_at ?? createdAt;
@@ -110,15 +187,39 @@ function rowToTask(row: any) {
     status: row.status,
     progress: row.progress,
     priority: row.priority,
+    required_capabilities: row.required_capabilities ?? [],
+    depends_on: row.depends_on ?? [],
+    on_dependency_failure: row.on_dependency_failure ?? "fail",
+    on_agent_offline: row.on_agent_offline ?? "requeue",
+    parent_task_id: row.parent_task_id ?? null,
+    retry_policy: row.retry_policy ?? null,
+    attempt: row.attempt ?? 1,
+    retry_at: row.retry_at ?? null,
     metadata: row.metadata ?? {},
     created_at: row.created_at,
     updated_at: row.updated_at,
     started_at: row.started_at,
     finished_at: row.finished_at,
+    lease_sec: row.lease_sec ?? null,
+    lease_expires_at: row.lease_expires_at ?? null,
     version: row.version
   };
 }
 
+function byPriorityThenAge(a: any, b: any) {
+  const rank = (TASK_PRIORITY_RANK[a.priority] ?? TASK_PRIORITY_RANK.normal) - (TASK_PRIORITY_RANK[b.priority] ?? TASK_PRIORITY_RANK.normal);
+  if (rank !== 0) return rank;
+  return String(a.created_at).localeCompare(String(b.created_at));
+}
+
+function hasActiveLease(row: any, ts: string) {
+  return row.status === "running" && Boolean(row.lease_expires_at) && Date.parse(row.lease_expires_at) > Date.parse(ts);
+}
+
+function leaseExpiry(ts: string, leaseSec: number) {
+  return new Date(Date.parse(ts) + leaseSec * 1000).toISOString();
+}
+
 function rowToTaskEvent(row: any) {
   return {
     id: row.event_id,
@@ -142,11 +243,39 @@ function rowToCommand(row: any) {
     acked_by: row.acked_by,
     ack_message: row.ack_message,
     expires_at: row.expires_at,
+    delivery_attempts: row.delivery_attempts ?? 0,
+    delivered_at: row.delivered_at ?? null,
+    history: row.history ?? [],
     created_at: row.created_at,
     updated_at: row.updated_at
   };
 }
 
+// Every command status change goes through here so the transition table is
+// enforced inside the mutation and the change lands in the command history.
+function commandTransition(row: any, status: string, actor: string, message: string | null, ts: string) {
+  if (!COMMAND_TRANSITIONS[row.status]?.includes(status)) throw new ConvexError("INVALID_COMMAND_TRANSITION");
+  const entry = { status, previous_status: row.status, actor, message, at: ts };
+  return { status, updated_at: ts, history: [...(row.history ?? []), entry] };
+}
+
+function isPastExpiry(row: any, nowMs: number) {
+  return Boolean(row.expires_at) && Date.parse(row.expires_at) <= nowMs;
+}
+
+function isDeliveryStale(row: any, nowMs: number, redeliverAfterSec: number) {
+  return row.status === "delivered" && Boolean(row.delivered_at) && Date.parse(row.delivered_at) + redeliverAfterSec * 1000 <= nowMs;
+}
+
+// A stale delivery that already used up its attempts is failed instead of
+// being delivered (or requeued) again.
+function exhaustDelivery(row: any, ts: string) {
+  return {
+    ...commandTransition(row, "failed", "system", "Delivery attempts exhausted", ts),
+    ack_message: "Delivery attempts exhausted"
+  };
+}
+
 function rowToAlert(row: any) {
   return {
     id: row.alert_id,
@@ -161,6 +290,72 @@ function rowToAlert(row: any) {
   };
 }
 
+function rowToAuditEntry(row: any) {
+  return {
+    id: row.audit_id,
+    request_id: row.request_id,
+    actor_user_id: row.actor_user_id,
+    actor_key_id: row.actor_key_id,
+    actor_agent_id: row.actor_agent_id,
+    action: row.action,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    changes: row.changes ?? {},
+    created_at: row.created_at
+  };
+}
+
+function rowToWebhook(row: any) {
+  return {
+    id: row.webhook_id,
+    url: row.url,
+    event_types: row.event_types ?? [],
+    secret: row.secret,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToWebhookDelivery(row: any) {
+  return {
+    id: row.delivery_id,
+    webhook_id: row.webhook_id,
+    event_type: row.event_type,
+    payload: row.payload ?? {},
+    status: row.status,
+    attempts: row.attempts ?? 0,
+    next_attempt_at: row.next_attempt_at,
+    last_attempt_at: row.last_attempt_at ?? null,
+    response_status: row.response_status ?? null,
+    last_error: row.last_error ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToOrganization(row: any) {
+  return {
+    id: row.organization_id,
+    name: row.name,
+    status: row.status ?? "active",
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToUser(row: any) {
+  return {
+    id: row.user_id,
+    organization_id: row.organization_id,
+    email: row.email,
+    name: row.name,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
 function rowToApiKeyMeta(row: any) {
   return {
     key_id: row.key_id,
@@ -171,7 +366,10 @@ function rowToApiKeyMeta(row: any) {
     updated_at: row.updated_at,
     last_used_at: row.last_used_at,
     revoked_at: row.revoked_at,
-    expires_at: row.expires_at
+    expires_at: row.expires_at,
+    scopes: row.scopes ?? null,
+    agent_id: row.agent_id ?? null,
+    include_subtree: row.include_subtree ?? false
   };
 }
 
@@ -216,11 +414,35 @@ export const listAgents = query({
   }
 });
 
+export const pageAgents = query({
+  args: {
+    ...orgScopeV,
+    ...pageV,
+    status: v.optional(v.string()),
+    role: v.optional(v.string()),
+    host: v.optional(v.string()),
+    supervisor_id: v.optional(v.union(v.string(), v.null()))
+  },
+  handler: async (ctx, args) => {
+    const org = args.organization_id;
+    let query: any;
+    if (args.status !== undefined) query = ctx.db.query("agents").withIndex("by_org_status", (q) => q.eq("organization_id", org).eq("status", args.status as string));
+    else if (args.supervisor_id !== undefined) query = ctx.db.query("agents").withIndex("by_org_supervisor", (q) => q.eq("organization_id", org).eq("supervisor_id", args.supervisor_id ?? null));
+    else query = ctx.db.query("agents").withIndex("by_org_created", (q) => q.eq("organization_id", org));
+    query = query.order("asc");
+    if (args.status !== undefined && args.supervisor_id !== undefined) query = query.filter((q: any) => q.eq(q.field("supervisor_id"), args.supervisor_id));
+    if (args.role !== undefined) query = query.filter((q: any) => q.eq(q.field("role"), args.role));
+    if (args.host !== undefined) query = query.filter((q: any) => q.eq(q.field("host"), args.host));
+    const page = await paginate(query, args);
+    return { items: page.rows.map(rowToAgent), next_cursor: page.next_cursor };
+  }
+});
+
 export const createAgent = mutation({
   args: { ...orgScopeV, agent: agentV },
   handler: async (ctx, args) => {
     const existing = await ctx.db.query("agents").withIndex("by_org_agent_id", (q) => q.eq("organization_id", args.organization_id).eq("agent_id", args.agent.id)).first();
-    if (existing) throw new Error("AGENT_EXISTS");
+    if (existing) throw new ConvexError("AGENT_EXISTS");
     await ctx.db.insert("agents", {
       organization_id: args.organization_id,
       agent_id: args.agent.id,
@@ -259,11 +481,13 @@ export const patchAgent = mutation({
     }),
     has_supervisor_id: v.boolean(),
     has_current_task_id: v.boolean(),
+    expected_version: v.optional(v.number()),
     updated_at: v.string()
   },
   handler: async (ctx, args) => {
     const row = await ctx.db.query("agents").withIndex("by_org_agent_id", (q) => q.eq("organization_id", args.organization_id).eq("agent_id", args.agent_id)).first();
     if (!row) return null;
+    if (args.expected_version !== undefined && (row.version ?? 1) !== args.expected_version) throw new ConvexError("VERSION_MISMATCH");
 
     const next = {
       name: args.patch.name ?? row.name,
@@ -355,7 +579,23 @@ export const upsertAgentHeartbeat = mutation({
       version: (row.version ?? 1) + 1
     };
     await ctx.db.patch(row._id, next);
-    return { agent: rowToAgent({ ...row, ...next }), created: false };
+
+    // Leases of running tasks held by this agent are renewed by any heartbeat.
+    const held = await ctx.db.query("tasks").withIndex("by_org_task_agent", (q) => q.eq("organization_id", args.organization_id).eq("assigned_agent_id", args.agent_id)).collect();
+    for (const task of held) {
+      if (task.lease_sec != null && hasActiveLease(task, args.ts)) await ctx.db.patch(task._id, { lease_expires_at: leaseExpiry(args.ts, task.lease_sec) });
+    }
+
+    // A heartbeat proves the agent is back, so the watchdog's offline alert is resolved here.
+    const alerts = await ctx.db.query("alerts").withIndex("by_org_alert_entity", (q) => q.eq("organization_id", args.organization_id).eq("entity_type", "agent").eq("entity_id", args.agent_id)).collect();
+    const resolvedAlerts = [];
+    for (const alert of alerts) {
+      if (alert.type !== AGENT_OFFLINE_ALERT_TYPE || alert.status === "closed") continue;
+      await ctx.db.patch(alert._id, { status: "closed", updated_at: args.ts });
+      resolvedAlerts.push(rowToAlert({ ...alert, status: "closed", updated_at: args.ts }));
+    }
+
+    return { agent: rowToAgent({ ...row, ...next }), created: false, resolved_alerts: resolvedAlerts };
   }
 });
 
@@ -367,6 +607,33 @@ export const listTasks = query({
   }
 });
 
+export const pageTasks = query({
+  args: {
+    ...orgScopeV,
+    ...pageV,
+    status: v.optional(v.string()),
+    assigned_agent_id: v.optional(v.string()),
+    assigned_agent_ids: v.optional(v.array(v.string())),
+    priority: v.optional(v.string())
+  },
+  handler: async (ctx, args) => {
+    const org = args.organization_id;
+    let query: any;
+    if (args.status !== undefined) query = ctx.db.query("tasks").withIndex("by_org_task_status", (q) => q.eq("organization_id", org).eq("status", args.status as string));
+    else if (args.assigned_agent_id !== undefined) query = ctx.db.query("tasks").withIndex("by_org_task_agent", (q) => q.eq("organization_id", org).eq("assigned_agent_id", args.assigned_agent_id as string));
+    else query = ctx.db.query("tasks").withIndex("by_org_task_updated", (q) => q.eq("organization_id", org));
+    query = query.order("desc");
+    if (args.status !== undefined && args.assigned_agent_id !== undefined) query = query.filter((q: any) => q.eq(q.field("assigned_agent_id"), args.assigned_agent_id));
+    if (args.assigned_agent_ids !== undefined) {
+      const ids = args.assigned_agent_ids;
+      query = query.filter((q: any) => q.or(...ids.map((id) => q.eq(q.field("assigned_agent_id"), id))));
+    }
+    if (args.priority !== undefined) query = query.filter((q: any) => q.eq(q.field("priority"), args.priority));
+    const page = await paginate(query, args);
+    return { items: page.rows.map(rowToTask), next_cursor: page.next_cursor };
+  }
+});
+
 export const getTask = query({
   args: { ...orgScopeV, task_id: v.string() },
   handler: async (ctx, args) => {
@@ -379,7 +646,7 @@ export const createTask = mutation({
   args: { ...orgScopeV, task: taskV },
   handler: async (ctx, args) => {
     const existing = await ctx.db.query("tasks").withIndex("by_org_task_id", (q) => q.eq("organization_id", args.organization_id).eq("task_id", args.task.id)).first();
-    if (existing) throw new Error("TASK_EXISTS");
+    if (existing) throw new ConvexError("TASK_EXISTS");
     await ctx.db.insert("tasks", {
       organization_id: args.organization_id,
       task_id: args.task.id,
@@ -389,11 +656,21 @@ export const createTask = mutation({
       status: args.task.status,
       progress: args.task.progress,
       priority: args.task.priority,
+      required_capabilities: args.task.required_capabilities,
+      depends_on: args.task.depends_on,
+      on_dependency_failure: args.task.on_dependency_failure,
+      on_agent_offline: args.task.on_agent_offline,
+      parent_task_id: args.task.parent_task_id,
+      retry_policy: args.task.retry_policy,
+      attempt: args.task.attempt,
+      retry_at: args.task.retry_at,
       metadata: args.task.metadata,
       created_at: args.task.created_at,
       updated_at: args.task.updated_at,
       started_at: args.task.started_at,
       finished_at: args.task.finished_at,
+      lease_sec: null,
+      lease_expires_at: null,
       version: args.task.version
     });
     return args.task;
@@ -411,17 +688,26 @@ export const patchTask = mutation({
       status: v.optional(v.string()),
       progress: v.optional(v.number()),
       priority: v.optional(v.string()),
+      required_capabilities: v.optional(v.array(v.string())),
+      depends_on: v.optional(v.array(v.string())),
+      on_dependency_failure: v.optional(v.string()),
+      on_agent_offline: v.optional(v.string()),
+      retry_policy: v.optional(v.any()),
+      attempt: v.optional(v.number()),
+      retry_at: v.optional(v.union(v.string(), v.null())),
       metadata: v.optional(v.any()),
       started_at: v.optional(v.union(v.string(), v.null())),
       finished_at: v.optional(v.union(v.string(), v.null()))
     }),
     has_description: v.boolean(),
     has_assigned_agent_id: v.boolean(),
+    expected_version: v.optional(v.number()),
     updated_at: v.string()
   },
   handler: async (ctx, args) => {
     const row = await ctx.db.query("tasks").withIndex("by_org_task_id", (q) => q.eq("organization_id", args.organization_id).eq("task_id", args.task_id)).first();
     if (!row) return null;
+    if (args.expected_version !== undefined && row.version !== args.expected_version) throw new ConvexError("VERSION_MISMATCH");
     const next = {
       title: args.patch.title ?? row.title,
       description: args.has_description ? args.patch.description ?? null : row.description,
@@ -429,17 +715,133 @@ export const patchTask = mutation({
       status: args.patch.status ?? row.status,
       progress: args.patch.progress ?? row.progress,
       priority: args.patch.priority ?? row.priority,
+      required_capabilities: args.patch.required_capabilities ?? row.required_capabilities ?? [],
+      depends_on: args.patch.depends_on ?? row.depends_on ?? [],
+      on_dependency_failure: args.patch.on_dependency_failure ?? row.on_dependency_failure ?? "fail",
+      on_agent_offline: args.patch.on_agent_offline ?? row.on_agent_offline ?? "requeue",
+      retry_policy: args.patch.retry_policy === undefined ? row.retry_policy ?? null : args.patch.retry_policy,
+      attempt: args.patch.attempt ?? row.attempt ?? 1,
+      retry_at: args.patch.retry_at === undefined ? row.retry_at ?? null : args.patch.retry_at,
       metadata: args.patch.metadata ?? row.metadata,
       started_at: args.patch.started_at === undefined ? row.started_at : args.patch.started_at,
       finished_at: args.patch.finished_at === undefined ? row.finished_at : args.patch.finished_at,
+      lease_expires_at: row.lease_expires_at ?? null,
       updated_at: args.updated_at,
       version: row.version + 1
     };
+    if (next.status !== "running") next.lease_expires_at = null;
+    await ctx.db.patch(row._id, next);
+    return rowToTask({ ...row, ...next });
+  }
+});
+
+// Dispatcher assignment: only a task that is still queued and unassigned is
+// taken, so a concurrent manual assignment wins. The assignment event is
+// written in the same mutation.
+export const assignTask = mutation({
+  args: { ...orgScopeV, task_id: v.string(), agent_id: v.string(), event: taskEventV },
+  handler: async (ctx, args) => {
+    const row = await ctx.db.query("tasks").withIndex("by_org_task_id", (q) => q.eq("organization_id", args.organization_id).eq("task_id", args.task_id)).first();
+    if (!row || row.status !== "queued" || row.assigned_agent_id !== null) return null;
+    const next = { assigned_agent_id: args.agent_id, updated_at: args.event.created_at, version: row.version + 1 };
+    await ctx.db.patch(row._id, next);
+    await ctx.db.insert("task_events", {
+      organization_id: args.organization_id,
+      event_id: args.event.id,
+      task_id: args.task_id,
+      agent_id: args.agent_id,
+      type: args.event.type,
+      message: args.event.message,
+      payload: args.event.payload,
+      created_at: args.event.created_at
+    });
+    return rowToTask({ ...row, ...next });
+  }
+});
+
+// Pull-based counterpart of assignTask: picks the most urgent queued task the
+// agent may run (unassigned or assigned to it, capabilities satisfied), starts
+// it under a lease and points the agent's current_task_id at it.
+export const claimTask = mutation({
+  args: { ...orgScopeV, agent_id: v.string(), lease_sec: v.number(), event_id: v.string(), ts: v.string() },
+  handler: async (ctx, args) => {
+    const agent = await ctx.db.query("agents").withIndex("by_org_agent_id", (q) => q.eq("organization_id", args.organization_id).eq("agent_id", args.agent_id)).first();
+    if (!agent) return null;
+    const capabilities = new Set(agent.capabilities ?? []);
+    const queued = await ctx.db.query("tasks").withIndex("by_org_task_status", (q) => q.eq("organization_id", args.organization_id).eq("status", "queued")).collect();
+    const eligible = queued
+      .filter((row) => row.assigned_agent_id === null || row.assigned_agent_id === args.agent_id)
+      .filter((row) => (row.required_capabilities ?? []).every((capability) => capabilities.has(capability)))
+      .sort(byPriorityThenAge);
+    const row = eligible[0];
+    if (!row) return null;
+
+    const next = {
+      assigned_agent_id: args.agent_id,
+      status: "running",
+      started_at: row.started_at ?? args.ts,
+      lease_sec: args.lease_sec,
+      lease_expires_at: leaseExpiry(args.ts, args.lease_sec),
+      updated_at: args.ts,
+      version: row.version + 1
+    };
     await ctx.db.patch(row._id, next);
+    await ctx.db.patch(agent._id, { current_task_id: row.task_id, updated_at: args.ts, version: (agent.version ?? 1) + 1 });
+    await ctx.db.insert("task_events", {
+      organization_id: args.organization_id,
+      event_id: args.event_id,
+      task_id: row.task_id,
+      agent_id: args.agent_id,
+      type: "status_changed",
+      message: `Task claimed by ${args.agent_id}`,
+      payload: { status: next.status, progress: row.progress, attempt: row.attempt ?? 1, assigned_agent_id: args.agent_id, lease_expires_at: next.lease_expires_at },
+      created_at: args.ts
+    });
     return rowToTask({ ...row, ...next });
   }
 });
 
+// Running tasks whose lease ran out go back to the queue unassigned, so the
+// dispatcher or another agent can pick them up.
+export const expireTaskLeases = mutation({
+  args: { ...orgScopeV, ts: v.string() },
+  handler: async (ctx, args) => {
+    const running = await ctx.db.query("tasks").withIndex("by_org_task_status", (q) => q.eq("organization_id", args.organization_id).eq("status", "running")).collect();
+    const expired = [];
+    for (const row of running) {
+      if (!row.lease_expires_at || Date.parse(row.lease_expires_at) > Date.parse(args.ts)) continue;
+      const next = {
+        assigned_agent_id: null,
+        status: "queued",
+        started_at: null,
+        lease_expires_at: null,
+        updated_at: args.ts,
+        version: row.version + 1
+      };
+      await ctx.db.patch(row._id, next);
+      const heldBy = row.assigned_agent_id;
+      if (heldBy) {
+        const agent = await ctx.db.query("agents").withIndex("by_org_agent_id", (q) => q.eq("organization_id", args.organization_id).eq("agent_id", heldBy)).first();
+        if (agent && agent.current_task_id === row.task_id) {
+          await ctx.db.patch(agent._id, { current_task_id: null, updated_at: args.ts, version: (agent.version ?? 1) + 1 });
+        }
+      }
+      await ctx.db.insert("task_events", {
+        organization_id: args.organization_id,
+        event_id: crypto.randomUUID(),
+        task_id: row.task_id,
+        agent_id: row.assigned_agent_id,
+        type: "status_changed",
+        message: "Lease expired, task returned to queue",
+        payload: { status: "queued", progress: row.progress, attempt: row.attempt ?? 1, previous_agent_id: row.assigned_agent_id },
+        created_at: args.ts
+      });
+      expired.push(rowToTask({ ...row, ...next }));
+    }
+    return expired;
+  }
+});
+
 export const listTaskEvents = query({
   args: { ...orgScopeV, task_id: v.string() },
   handler: async (ctx, args) => {
@@ -452,7 +854,7 @@ export const addTaskEvent = mutation({
   args: { ...orgScopeV, event: taskEventV },
   handler: async (ctx, args) => {
     const existing = await ctx.db.query("task_events").withIndex("by_org_event_id", (q) => q.eq("organization_id", args.organization_id).eq("event_id", args.event.id)).first();
-    if (existing) throw new Error("TASK_EVENT_EXISTS");
+    if (existing) throw new ConvexError("TASK_EVENT_EXISTS");
     await ctx.db.insert("task_events", {
       organization_id: args.organization_id,
       event_id: args.event.id,
@@ -463,6 +865,12 @@ export const addTaskEvent = mutation({
       payload: args.event.payload,
       created_at: args.event.created_at
     });
+
+    // An event reported by the lease holder counts as a renewal.
+    const task = await ctx.db.query("tasks").withIndex("by_org_task_id", (q) => q.eq("organization_id", args.organization_id).eq("task_id", args.event.task_id)).first();
+    if (task && task.lease_sec != null && args.event.agent_id !== null && task.assigned_agent_id === args.event.agent_id && hasActiveLease(task, args.event.created_at)) {
+      await ctx.db.patch(task._id, { lease_expires_at: leaseExpiry(args.event.created_at, task.lease_sec) });
+    }
     return args.event;
   }
 });
@@ -475,6 +883,30 @@ export const listCommands = query({
   }
 });
 
+export const pageCommands = query({
+  args: {
+    ...orgScopeV,
+    ...pageV,
+    agent_id: v.optional(v.string()),
+    status: v.optional(v.string()),
+    type: v.optional(v.string())
+  },
+  handler: async (ctx, args) => {
+    const org = args.organization_id;
+    const agentId = args.agent_id;
+    const status = args.status;
+    let query: any;
+    if (agentId !== undefined && status !== undefined) query = ctx.db.query("commands").withIndex("by_org_command_agent_status", (q) => q.eq("organization_id", org).eq("agent_id", agentId).eq("status", status));
+    else if (agentId !== undefined) query = ctx.db.query("commands").withIndex("by_org_command_agent", (q) => q.eq("organization_id", org).eq("agent_id", agentId));
+    else if (status !== undefined) query = ctx.db.query("commands").withIndex("by_org_command_status", (q) => q.eq("organization_id", org).eq("status", status));
+    else query = ctx.db.query("commands").withIndex("by_org_command_created", (q) => q.eq("organization_id", org));
+    query = query.order("desc");
+    if (args.type !== undefined) query = query.filter((q: any) => q.eq(q.field("type"), args.type));
+    const page = await paginate(query, args);
+    return { items: page.rows.map(rowToCommand), next_cursor: page.next_cursor };
+  }
+});
+
 export const getCommand = query({
   args: { ...orgScopeV, command_id: v.string() },
   handler: async (ctx, args) => {
@@ -487,7 +919,7 @@ export const createCommand = mutation({
   args: { ...orgScopeV, command: commandV },
   handler: async (ctx, args) => {
     const existing = await ctx.db.query("commands").withIndex("by_org_command_id", (q) => q.eq("organization_id", args.organization_id).eq("command_id", args.command.id)).first();
-    if (existing) throw new Error("COMMAND_EXISTS");
+    if (existing) throw new ConvexError("COMMAND_EXISTS");
     await ctx.db.insert("commands", {
       organization_id: args.organization_id,
       command_id: args.command.id,
@@ -499,6 +931,9 @@ export const createCommand = mutation({
       acked_by: args.command.acked_by,
       ack_message: args.command.ack_message,
       expires_at: args.command.expires_at,
+      delivery_attempts: args.command.delivery_attempts ?? 0,
+      delivered_at: args.command.delivered_at ?? null,
+      history: [{ status: args.command.status, previous_status: null, actor: args.command.created_by, message: null, at: args.command.created_at }],
       created_at: args.command.created_at,
       updated_at: args.command.updated_at
     });
@@ -506,23 +941,102 @@ export const createCommand = mutation({
   }
 });
 
+export const deliverCommands = mutation({
+  args: {
+    ...orgScopeV,
+    agent_id: v.string(),
+    limit: v.number(),
+    redeliver_after_sec: v.number(),
+    max_delivery_attempts: v.number(),
+    ts: v.string()
+  },
+  handler: async (ctx, args) => {
+    const nowMs = Date.parse(args.ts);
+    const queued = await ctx.db.query("commands").withIndex("by_org_command_agent_status", (q) => q.eq("organization_id", args.organization_id).eq("agent_id", args.agent_id).eq("status", "queued")).collect();
+    const delivered = await ctx.db.query("commands").withIndex("by_org_command_agent_status", (q) => q.eq("organization_id", args.organization_id).eq("agent_id", args.agent_id).eq("status", "delivered")).collect();
+
+    const pending = [];
+    for (const row of [...queued, ...delivered]) {
+      if (isPastExpiry(row, nowMs)) {
+        await ctx.db.patch(row._id, commandTransition(row, "expired", "system", "Expired before delivery", args.ts));
+        continue;
+      }
+      if (row.status === "queued") {
+        pending.push(row);
+      } else if (isDeliveryStale(row, nowMs, args.redeliver_after_sec)) {
+        if ((row.delivery_attempts ?? 0) >= args.max_delivery_attempts) await ctx.db.patch(row._id, exhaustDelivery(row, args.ts));
+        else pending.push(row);
+      }
+    }
+    pending.sort((a: any, b: any) => String(a.created_at).localeCompare(String(b.created_at)));
+
+    const result = [];
+    for (const row of pending.slice(0, args.limit)) {
+      const next = {
+        ...commandTransition(row, "delivered", args.agent_id, null, args.ts),
+        delivery_attempts: (row.delivery_attempts ?? 0) + 1,
+        delivered_at: args.ts
+      };
+      await ctx.db.patch(row._id, next);
+      result.push(rowToCommand({ ...row, ...next }));
+    }
+    return result;
+  }
+});
+
+export const sweepCommands = mutation({
+  args: {
+    redeliver_after_sec: v.number(),
+    max_delivery_attempts: v.number(),
+    ts: v.string()
+  },
+  handler: async (ctx, args) => {
+    const nowMs = Date.parse(args.ts);
+    const counts = { expired: 0, requeued: 0, failed: 0 };
+    const changed = [];
+    for (const status of ["queued", "delivered"]) {
+      const rows = await ctx.db.query("commands").withIndex("by_status", (q) => q.eq("status", status)).collect();
+      for (const row of rows) {
+        let next;
+        if (isPastExpiry(row, nowMs)) {
+          next = commandTransition(row, "expired", "system", "Expired before delivery", args.ts);
+          counts.expired += 1;
+        } else if (isDeliveryStale(row, nowMs, args.redeliver_after_sec)) {
+          if ((row.delivery_attempts ?? 0) >= args.max_delivery_attempts) {
+            next = exhaustDelivery(row, args.ts);
+            counts.failed += 1;
+          } else {
+            next = commandTransition(row, "queued", "system", "Not acked in time, requeued", args.ts);
+            counts.requeued += 1;
+          }
+        } else {
+          continue;
+        }
+        await ctx.db.patch(row._id, next);
+        changed.push({ organization_id: row.organization_id, command: rowToCommand({ ...row, ...next }) });
+      }
+    }
+    return { ...counts, changed };
+  }
+});
+
 export const ackCommand = mutation({
   args: {
     ...orgScopeV,
     command_id: v.string(),
     acked_by: v.string(),
     ack_message: v.union(v.string(), v.null()),
-    status: v.string(),
+    // Delivery, requeue and expiry belong to deliverCommands/sweepCommands.
+    status: v.union(v.literal("acked"), v.literal("failed")),
     updated_at: v.string()
   },
   handler: async (ctx, args) => {
     const row = await ctx.db.query("commands").withIndex("by_org_command_id", (q) => q.eq("organization_id", args.organization_id).eq("command_id", args.command_id)).first();
     if (!row) return null;
     const next = {
-      status: args.status,
+      ...commandTransition(row, args.status, args.acked_by, args.ack_message, args.updated_at),
       acked_by: args.acked_by,
-      ack_message: args.ack_message,
-      updated_at: args.updated_at
+      ack_message: args.ack_message
     };
     await ctx.db.patch(row._id, next);
     return rowToCommand({ ...row, ...next });
@@ -537,6 +1051,27 @@ export const listAlerts = query({
   }
 });
 
+export const pageAlerts = query({
+  args: {
+    ...orgScopeV,
+    ...pageV,
+    status: v.optional(v.string()),
+    severity: v.optional(v.string()),
+    type: v.optional(v.string())
+  },
+  handler: async (ctx, args) => {
+    const org = args.organization_id;
+    let query: any;
+    if (args.status !== undefined) query = ctx.db.query("alerts").withIndex("by_org_alert_status", (q) => q.eq("organization_id", org).eq("status", args.status as string));
+    else query = ctx.db.query("alerts").withIndex("by_org_alert_created", (q) => q.eq("organization_id", org));
+    query = query.order("desc");
+    if (args.severity !== undefined) query = query.filter((q: any) => q.eq(q.field("severity"), args.severity));
+    if (args.type !== undefined) query = query.filter((q: any) => q.eq(q.field("type"), args.type));
+    const page = await paginate(query, args);
+    return { items: page.rows.map(rowToAlert), next_cursor: page.next_cursor };
+  }
+});
+
 export const getAlert = query({
   args: { ...orgScopeV, alert_id: v.string() },
   handler: async (ctx, args) => {
@@ -549,7 +1084,7 @@ export const createAlert = mutation({
   args: { ...orgScopeV, alert: alertV },
   handler: async (ctx, args) => {
     const existing = await ctx.db.query("alerts").withIndex("by_org_alert_id", (q) => q.eq("organization_id", args.organization_id).eq("alert_id", args.alert.id)).first();
-    if (existing) throw new Error("ALERT_EXISTS");
+    if (existing) throw new ConvexError("ALERT_EXISTS");
     await ctx.db.insert("alerts", {
       organization_id: args.organization_id,
       alert_id: args.alert.id,
@@ -582,16 +1117,280 @@ export const patchAlertStatus = mutation({
   }
 });
 
+export const addAuditEntry = mutation({
+  args: { ...orgScopeV, entry: auditEntryV },
+  handler: async (ctx, args) => {
+    const { id, ...entry } = args.entry;
+    await ctx.db.insert("audit_log", { organization_id: args.organization_id, audit_id: id, ...entry });
+    return args.entry;
+  }
+});
+
+// `from` is inclusive and `to` exclusive; both bound the created_at suffix of
+// whichever index is used.
+export const pageAuditLog = query({
+  args: {
+    ...orgScopeV,
+    ...pageV,
+    entity_type: v.optional(v.string()),
+    entity_id: v.optional(v.string()),
+    actor_user_id: v.optional(v.string()),
+    actor_key_id: v.optional(v.string()),
+    action: v.optional(v.string()),
+    from: v.optional(v.string()),
+    to: v.optional(v.string())
+  },
+  handler: async (ctx, args) => {
+    const org = args.organization_id;
+    const createdRange = (q: any) => {
+      let range = q;
+      if (args.from !== undefined) range = range.gte("created_at", args.from);
+      if (args.to !== undefined) range = range.lt("created_at", args.to);
+      return range;
+    };
+    let query: any;
+    if (args.entity_type !== undefined && args.entity_id !== undefined) {
+      query = ctx.db.query("audit_log").withIndex("by_org_audit_entity", (q) => createdRange(q.eq("organization_id", org).eq("entity_type", args.entity_type as string).eq("entity_id", args.entity_id as string)));
+    } else if (args.actor_user_id !== undefined) {
+      query = ctx.db.query("audit_log").withIndex("by_org_audit_actor", (q) => createdRange(q.eq("organization_id", org).eq("actor_user_id", args.actor_user_id as string)));
+    } else {
+      query = ctx.db.query("audit_log").withIndex("by_org_audit_created", (q) => createdRange(q.eq("organization_id", org)));
+    }
+    query = query.order("desc");
+    if (args.entity_type !== undefined) query = query.filter((q: any) => q.eq(q.field("entity_type"), args.entity_type));
+    if (args.entity_id !== undefined) query = query.filter((q: any) => q.eq(q.field("entity_id"), args.entity_id));
+    if (args.actor_user_id !== undefined) query = query.filter((q: any) => q.eq(q.field("actor_user_id"), args.actor_user_id));
+    if (args.actor_key_id !== undefined) query = query.filter((q: any) => q.eq(q.field("actor_key_id"), args.actor_key_id));
+    if (args.action !== undefined) query = query.filter((q: any) => q.eq(q.field("action"), args.action));
+    const page = await paginate(query, args);
+    return { items: page.rows.map(rowToAuditEntry), next_cursor: page.next_cursor };
+  }
+});
+
+async function findWebhook(ctx: any, organizationId: string, webhookId: string) {
+  return ctx.db.query("webhooks").withIndex("by_org_webhook_id", (q: any) => q.eq("organization_id", organizationId).eq("webhook_id", webhookId)).first();
+}
+
+async function findWebhookDelivery(ctx: any, organizationId: string, deliveryId: string) {
+  return ctx.db.query("webhook_deliveries").withIndex("by_org_delivery_id", (q: any) => q.eq("organization_id", organizationId).eq("delivery_id", deliveryId)).first();
+}
+
+export const listWebhooks = query({
+  args: { ...orgScopeV },
+  handler: async (ctx, args) => {
+    const rows = await ctx.db.query("webhooks").withIndex("by_org_webhook_id", (q) => q.eq("organization_id", args.organization_id)).collect();
+    return rows.map(rowToWebhook);
+  }
+});
+
+export const getWebhook = query({
+  args: { ...orgScopeV, webhook_id: v.string() },
+  handler: async (ctx, args) => {
+    const row = await findWebhook(ctx, args.organization_id, args.webhook_id);
+    return row ? rowToWebhook(row) : null;
+  }
+});
+
+export const createWebhook = mutation({
+  args: { ...orgScopeV, webhook: webhookV },
+  handler: async (ctx, args) => {
+    if (await findWebhook(ctx, args.organization_id, args.webhook.id)) throw new ConvexError("WEBHOOK_EXISTS");
+    const { id, ...webhook } = args.webhook;
+    await ctx.db.insert("webhooks", { organization_id: args.organization_id, webhook_id: id, ...webhook });
+    return args.webhook;
+  }
+});
+
+export const patchWebhook = mutation({
+  args: {
+    ...orgScopeV,
+    webhook_id: v.string(),
+    url: v.optional(v.string()),
+    event_types: v.optional(v.array(v.string())),
+    secret: v.optional(v.string()),
+    status: v.optional(v.string()),
+    updated_at: v.string()
+  },
+  handler: async (ctx, args) => {
+    const row = await findWebhook(ctx, args.organization_id, args.webhook_id);
+    if (!row) return null;
+    const next = {
+      url: args.url ?? row.url,
+      event_types: args.event_types ?? row.event_types,
+      secret: args.secret ?? row.secret,
+      status: args.status ?? row.status,
+      updated_at: args.updated_at
+    };
+    await ctx.db.patch(row._id, next);
+    return rowToWebhook({ ...row, ...next });
+  }
+});
+
+export const createWebhookDelivery = mutation({
+  args: { ...orgScopeV, delivery: webhookDeliveryV },
+  handler: async (ctx, args) => {
+    const { id, ...delivery } = args.delivery;
+    await ctx.db.insert("webhook_deliveries", { organization_id: args.organization_id, delivery_id: id, ...delivery });
+    return args.delivery;
+  }
+});
+
+// Hands out due deliveries and pushes their next_attempt_at to `locked_until`,
+// so a second worker skips them and a crashed attempt is retried later.
+export const claimWebhookDeliveries = mutation({
+  args: { ...orgScopeV, ts: v.string(), locked_until: v.string(), limit: v.number() },
+  handler: async (ctx, args) => {
+    const rows = await ctx.db
+      .query("webhook_deliveries")
+      .withIndex("by_org_delivery_due", (q) => q.eq("organization_id", args.organization_id).eq("status", "pending").lte("next_attempt_at", args.ts))
+      .take(args.limit);
+    const claimed = [];
+    for (const row of rows) {
+      await ctx.db.patch(row._id, { next_attempt_at: args.locked_until });
+      claimed.push(rowToWebhookDelivery({ ...row, next_attempt_at: args.locked_until }));
+    }
+    return claimed;
+  }
+});
+
+export const recordWebhookAttempt = mutation({
+  args: {
+    ...orgScopeV,
+    delivery_id: v.string(),
+    status: v.string(),
+    attempts: v.number(),
+    next_attempt_at: v.string(),
+    last_attempt_at: v.string(),
+    response_status: v.union(v.number(), v.null()),
+    last_error: v.union(v.string(), v.null()),
+    updated_at: v.string()
+  },
+  handler: async (ctx, args) => {
+    const row = await findWebhookDelivery(ctx, args.organization_id, args.delivery_id);
+    if (!row) return null;
+    const next = {
+      status: args.status,
+      attempts: args.attempts,
+      next_attempt_at: args.next_attempt_at,
+      last_attempt_at: args.last_attempt_at,
+      response_status: args.response_status,
+      last_error: args.last_error,
+      updated_at: args.updated_at
+    };
+    await ctx.db.patch(row._id, next);
+    return rowToWebhookDelivery({ ...row, ...next });
+  }
+});
+
+// Only dead-lettered deliveries can be sent again; they start with a fresh
+// attempt budget.
+export const requeueWebhookDelivery = mutation({
+  args: { ...orgScopeV, delivery_id: v.string(), ts: v.string() },
+  handler: async (ctx, args) => {
+    const row = await findWebhookDelivery(ctx, args.organization_id, args.delivery_id);
+    if (!row) return null;
+    if (row.status !== "dead") throw new ConvexError("WEBHOOK_DELIVERY_NOT_DEAD");
+    const next = { status: "pending", attempts: 0, next_attempt_at: args.ts, updated_at: args.ts };
+    await ctx.db.patch(row._id, next);
+    return rowToWebhookDelivery({ ...row, ...next });
+  }
+});
+
+export const pageWebhookDeliveries = query({
+  args: {
+    ...orgScopeV,
+    ...pageV,
+    webhook_id: v.optional(v.string()),
+    status: v.optional(v.string())
+  },
+  handler: async (ctx, args) => {
+    const org = args.organization_id;
+    let query: any;
+    if (args.webhook_id !== undefined) query = ctx.db.query("webhook_deliveries").withIndex("by_org_delivery_webhook", (q) => q.eq("organization_id", org).eq("webhook_id", args.webhook_id as string));
+    else if (args.status !== undefined) query = ctx.db.query("webhook_deliveries").withIndex("by_org_delivery_status", (q) => q.eq("organization_id", org).eq("status", args.status as string));
+    else query = ctx.db.query("webhook_deliveries").withIndex("by_org_delivery_created", (q) => q.eq("organization_id", org));
+    query = query.order("desc");
+    if (args.webhook_id !== undefined && args.status !== undefined) query = query.filter((q: any) => q.eq(q.field("status"), args.status));
+    const page = await paginate(query, args);
+    return { items: page.rows.map(rowToWebhookDelivery), next_cursor: page.next_cursor };
+  }
+});
+
+// Reserves an Idempotency-Key before the request runs. A live key either
+// replays the stored response, reports a different request (mismatch) or is
+// still held by the first request; expired keys and abandoned reservations
+// are taken over.
+export const beginIdempotentRequest = mutation({
+  args: { ...orgScopeV, key: v.string(), fingerprint: v.string(), ts: v.string(), locked_until: v.string(), expires_at: v.string() },
+  handler: async (ctx, args) => {
+    const row = await ctx.db.query("idempotency_keys").withIndex("by_org_key", (q) => q.eq("organization_id", args.organization_id).eq("key", args.key)).first();
+    if (row && row.expires_at > args.ts) {
+      if (row.fingerprint !== args.fingerprint) return { state: "mismatch" };
+      if (row.status === "completed") return { state: "replay", status_code: row.status_code, response_body: row.response_body };
+      if (row.locked_until > args.ts) return { state: "in_progress" };
+    }
+
+    const reservation = {
+      fingerprint: args.fingerprint,
+      status: "in_progress",
+      status_code: null,
+      response_body: null,
+      locked_until: args.locked_until,
+      created_at: args.ts,
+      expires_at: args.expires_at
+    };
+    if (row) await ctx.db.patch(row._id, reservation);
+    else await ctx.db.insert("idempotency_keys", { organization_id: args.organization_id, key: args.key, ...reservation });
+    return { state: "new" };
+  }
+});
+
+export const completeIdempotentRequest = mutation({
+  args: { ...orgScopeV, key: v.string(), status_code: v.number(), response_body: v.union(v.string(), v.null()) },
+  handler: async (ctx, args) => {
+    const row = await ctx.db.query("idempotency_keys").withIndex("by_org_key", (q) => q.eq("organization_id", args.organization_id).eq("key", args.key)).first();
+    if (!row) return null;
+    await ctx.db.patch(row._id, { status: "completed", status_code: args.status_code, response_body: args.response_body });
+    return { ok: true };
+  }
+});
+
+export const releaseIdempotentRequest = mutation({
+  args: { ...orgScopeV, key: v.string() },
+  handler: async (ctx, args) => {
+    const row = await ctx.db.query("idempotency_keys").withIndex("by_org_key", (q) => q.eq("organization_id", args.organization_id).eq("key", args.key)).first();
+    if (row && row.status === "in_progress") await ctx.db.delete(row._id);
+    return { ok: true };
+  }
+});
+
+export const purgeIdempotencyKeys = mutation({
+  args: { ts: v.string() },
+  handler: async (ctx, args) => {
+    const rows = await ctx.db.query("idempotency_keys").withIndex("by_expires_at", (q) => q.lte("expires_at", args.ts)).collect();
+    for (const row of rows) await ctx.db.delete(row._id);
+    return { purged: rows.length };
+  }
+});
+
 export const createApiKey = mutation({
   args: {
     ...orgScopeV,
     user_id: v.string(),
     name: v.string(),
-    expires_at: v.optional(v.union(v.string(), v.null()))
+    expires_at: v.optional(v.union(v.string(), v.null())),
+    scopes: v.optional(v.union(v.array(v.string()), v.null())),
+    agent_id: v.optional(v.union(v.string(), v.null())),
+    include_subtree: v.optional(v.boolean())
   },
   handler: async (ctx, args) => {
     const user = await findOrgUser(ctx, args.organization_id, args.user_id);
-    if (!user) throw new Error("USER_NOT_FOUND");
+    if (!user) throw new ConvexError("USER_NOT_FOUND");
+    if (args.agent_id) {
+      const agentId = args.agent_id;
+      const agent = await ctx.db.query("agents").withIndex("by_org_agent_id", (q) => q.eq("organization_id", args.organization_id).eq("agent_id", agentId)).first();
+      if (!agent) throw new ConvexError("AGENT_NOT_FOUND");
+    }
 
     const rawKey = buildRawApiKey();
     const secretHash = await sha256Hex(rawKey);
@@ -608,7 +1407,10 @@ export const createApiKey = mutation({
       updated_at: ts,
       last_used_at: null,
       revoked_at: null,
-      expires_at: args.expires_at ?? null
+      expires_at: args.expires_at ?? null,
+      scopes: args.scopes ?? null,
+      agent_id: args.agent_id ?? null,
+      include_subtree: args.include_subtree ?? false
     };
     await ctx.db.insert("api_keys", row);
     return { raw_key: rawKey, key: rowToApiKeyMeta(row) };
@@ -657,24 +1459,127 @@ export const revokeApiKey = mutation({
   }
 });
 
+// `touch: false` skips the last_used_at write; the Node server batches those
+// through touchApiKeys.
 export const resolveApiKeyContext = mutation({
-  args: { raw_key: v.string() },
+  args: { raw_key: v.string(), touch: v.optional(v.boolean()) },
   handler: async (ctx, args) => {
     const hash = await sha256Hex(args.raw_key);
     const row = await ctx.db.query("api_keys").withIndex("by_secret_hash", (q) => q.eq("secret_hash", hash)).first();
     if (!row) return null;
     if (row.revoked_at) return null;
     if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) return null;
+    const user = await findOrgUser(ctx, row.organization_id, row.user_id);
+    if (user?.status === "suspended") return null;
+    const org = await ctx.db.query("organizations").withIndex("by_organization_id", (q) => q.eq("organization_id", row.organization_id)).first();
+    if (org?.status === "suspended") return null;
 
-    await ctx.db.patch(row._id, { last_used_at: nowIso() });
+    if (args.touch !== false) await ctx.db.patch(row._id, { last_used_at: nowIso() });
     return {
       organization_id: row.organization_id,
       user_id: row.user_id,
-      key_id: row.key_id
+      key_id: row.key_id,
+      scopes: row.scopes ?? null,
+      agent_id: row.agent_id ?? null,
+      include_subtree: row.include_subtree ?? false,
+      expires_at: row.expires_at
     };
   }
 });
 
+export const touchApiKeys = mutation({
+  args: { touches: v.array(v.object({ key_id: v.string(), last_used_at: v.string() })) },
+  handler: async (ctx, args) => {
+    let touched = 0;
+    for (const touch of args.touches) {
+      const row = await ctx.db.query("api_keys").withIndex("by_key_id", (q) => q.eq("key_id", touch.key_id)).first();
+      if (!row || (row.last_used_at && row.last_used_at >= touch.last_used_at)) continue;
+      await ctx.db.patch(row._id, { last_used_at: touch.last_used_at });
+      touched += 1;
+    }
+    return { touched };
+  }
+});
+
+export const createOrganization = mutation({
+  args: { organization: v.object({ id: v.string(), name: v.string(), created_at: v.string() }) },
+  handler: async (ctx, args) => {
+    const existing = await ctx.db.query("organizations").withIndex("by_organization_id", (q) => q.eq("organization_id", args.organization.id)).first();
+    if (existing) throw new ConvexError("ORGANIZATION_EXISTS");
+    const row = {
+      organization_id: args.organization.id,
+      name: args.organization.name,
+      status: "active",
+      created_at: args.organization.created_at,
+      updated_at: args.organization.created_at
+    };
+    await ctx.db.insert("organizations", row);
+    return rowToOrganization(row);
+  }
+});
+
+export const setOrganizationStatus = mutation({
+  args: { organization_id: v.string(), status: v.string(), ts: v.string() },
+  handler: async (ctx, args) => {
+    const row = await ctx.db.query("organizations").withIndex("by_organization_id", (q) => q.eq("organization_id", args.organization_id)).first();
+    if (!row) return null;
+    await ctx.db.patch(row._id, { status: args.status, updated_at: args.ts });
+    return rowToOrganization({ ...row, status: args.status, updated_at: args.ts });
+  }
+});
+
+export const listUsers = query({
+  args: { ...orgScopeV },
+  handler: async (ctx, args) => {
+    const rows = await ctx.db.query("users").withIndex("by_org_user", (q) => q.eq("organization_id", args.organization_id)).collect();
+    rows.sort((a: any, b: any) => String(a.created_at).localeCompare(String(b.created_at)));
+    return rows.map(rowToUser);
+  }
+});
+
+// User ids are global (the SQLite backend keys users by id alone).
+export const createUser = mutation({
+  args: {
+    ...orgScopeV,
+    user: v.object({ id: v.string(), email: v.union(v.string(), v.null()), name: v.string(), created_at: v.string() })
+  },
+  handler: async (ctx, args) => {
+    const org = await ctx.db.query("organizations").withIndex("by_organization_id", (q) => q.eq("organization_id", args.organization_id)).first();
+    if (!org) throw new ConvexError("ORGANIZATION_NOT_FOUND");
+    const existing = await ctx.db.query("users").withIndex("by_user_id", (q) => q.eq("user_id", args.user.id)).first();
+    if (existing) throw new ConvexError("USER_EXISTS");
+    const row = {
+      user_id: args.user.id,
+      organization_id: args.organization_id,
+      email: args.user.email,
+      name: args.user.name,
+      status: "active",
+      created_at: args.user.created_at,
+      updated_at: args.user.created_at
+    };
+    await ctx.db.insert("users", row);
+    return rowToUser(row);
+  }
+});
+
+export const setUserStatus = mutation({
+  args: { ...orgScopeV, user_id: v.string(), status: v.string(), ts: v.string() },
+  handler: async (ctx, args) => {
+    const row = await findOrgUser(ctx, args.organization_id, args.user_id);
+    if (!row) return null;
+    await ctx.db.patch(row._id, { status: args.status, updated_at: args.ts });
+    return rowToUser({ ...row, status: args.status, updated_at: args.ts });
+  }
+});
+
+export const listOrganizations = query({
+  args: {},
+  handler: async (ctx) => {
+    const rows = await ctx.db.query("organizations").collect();
+    return rows.map(rowToOrganization);
+  }
+});
+
 export const bootstrapDefaultTenant = mutation({
   args: { seed_api_key: v.union(v.string(), v.null()) },
   handler: async (ctx, args) => {
@@ -684,6 +1589,7 @@ export const bootstrapDefaultTenant = mutation({
       await ctx.db.insert("organizations", {
         organization_id: DEFAULT_ORGANIZATION_ID,
         name: "Default Organization",
+        status: "active",
         created_at: ts,
         updated_at: ts
       });
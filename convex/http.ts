@@ -1,4 +1,5 @@
 import { httpRouter } from "convex/server";
+import { ConvexError } from "convex/values";
 import { httpAction } from "./_generated/server";
 import { api } from "./_generated/api";
 
@@ -53,6 +54,447 @@ http.route({
   })
 });
 
+// Filters of the page_* ops; the query validators reject unknown fields.
+function pageArgs(body: any) {
+  return { ...body.filters, cursor: body.cursor ?? null, limit: body.limit, offset: body.offset ?? 0 };
+}
+
+async function handleApiOp(ctx: any, body: any) {
+  const op = body?.op;
+  const organizationId = body?.organization_id;
+
+  if (op === "resolve_api_key_context") {
+    const auth = await ctx.runMutation(api.controlPlane.resolveApiKeyContext, { raw_key: body.raw_key, touch: body.touch });
+    return json({ auth });
+  }
+
+  if (op === "touch_api_keys") {
+    const result = await ctx.runMutation(api.controlPlane.touchApiKeys, { touches: body.touches });
+    return json(result);
+  }
+
+  if (op === "bootstrap_default_tenant") {
+    const result = await ctx.runMutation(api.controlPlane.bootstrapDefaultTenant, {
+      seed_api_key: body.seed_api_key ?? null
+    });
+    return json(result);
+  }
+
+  if (op === "list_organizations") {
+    const organizations = await ctx.runQuery(api.controlPlane.listOrganizations, {});
+    return json({ organizations });
+  }
+
+  if (op === "create_organization") {
+    const organization = await ctx.runMutation(api.controlPlane.createOrganization, { organization: body.organization });
+    return json({ organization });
+  }
+
+  if (op === "set_organization_status") {
+    const organization = await ctx.runMutation(api.controlPlane.setOrganizationStatus, {
+      organization_id: body.target_organization_id,
+      status: body.status,
+      ts: body.ts
+    });
+    return json({ organization });
+  }
+
+  if (op === "sweep_commands") {
+    const result = await ctx.runMutation(api.controlPlane.sweepCommands, {
+      redeliver_after_sec: body.redeliver_after_sec,
+      max_delivery_attempts: body.max_delivery_attempts,
+      ts: body.ts
+    });
+    return json(result);
+  }
+
+  if (op === "purge_idempotency_keys") {
+    const result = await ctx.runMutation(api.controlPlane.purgeIdempotencyKeys, { ts: body.ts });
+    return json(result);
+  }
+
+  if (!organizationId) {
+    return json({ error: "organization_id is required" }, 400);
+  }
+
+  if (op === "list_agents") {
+    const agents = await ctx.runQuery(api.controlPlane.listAgents, { organization_id: organizationId });
+    return json({ agents });
+  }
+
+  if (op === "page_agents") {
+    const page = await ctx.runQuery(api.controlPlane.pageAgents, { organization_id: organizationId, ...pageArgs(body) });
+    return json(page);
+  }
+
+  if (op === "get_agent") {
+    const agent = await ctx.runQuery(api.controlPlane.getAgent, { organization_id: organizationId, agent_id: body.agent_id });
+    return json({ agent });
+  }
+
+  if (op === "create_agent") {
+    const agent = await ctx.runMutation(api.controlPlane.createAgent, { organization_id: organizationId, agent: body.agent });
+    return json({ agent });
+  }
+
+  if (op === "patch_agent") {
+    const agent = await ctx.runMutation(api.controlPlane.patchAgent, {
+      organization_id: organizationId,
+      agent_id: body.agent_id,
+      patch: body.patch,
+      has_supervisor_id: body.has_supervisor_id,
+      has_current_task_id: body.has_current_task_id,
+      expected_version: body.expected_version,
+      updated_at: body.updated_at
+    });
+    return json({ agent });
+  }
+
+  if (op === "heartbeat_agent") {
+    const result = await ctx.runMutation(api.controlPlane.upsertAgentHeartbeat, {
+      organization_id: organizationId,
+      agent_id: body.agent_id,
+      payload: body.payload,
+      ts: body.ts
+    });
+    return json(result);
+  }
+
+  if (op === "list_tasks") {
+    const tasks = await ctx.runQuery(api.controlPlane.listTasks, { organization_id: organizationId });
+    return json({ tasks });
+  }
+
+  if (op === "page_tasks") {
+    const page = await ctx.runQuery(api.controlPlane.pageTasks, { organization_id: organizationId, ...pageArgs(body) });
+    return json(page);
+  }
+
+  if (op === "get_task") {
+    const task = await ctx.runQuery(api.controlPlane.getTask, { organization_id: organizationId, task_id: body.task_id });
+    return json({ task });
+  }
+
+  if (op === "create_task") {
+    const task = await ctx.runMutation(api.controlPlane.createTask, { organization_id: organizationId, task: body.task });
+    return json({ task });
+  }
+
+  if (op === "patch_task") {
+    const task = await ctx.runMutation(api.controlPlane.patchTask, {
+      organization_id: organizationId,
+      task_id: body.task_id,
+      patch: body.patch,
+      has_description: body.has_description,
+      has_assigned_agent_id: body.has_assigned_agent_id,
+      expected_version: body.expected_version,
+      updated_at: body.updated_at
+    });
+    return json({ task });
+  }
+
+  if (op === "assign_task") {
+    const task = await ctx.runMutation(api.controlPlane.assignTask, {
+      organization_id: organizationId,
+      task_id: body.task_id,
+      agent_id: body.agent_id,
+      event: body.event
+    });
+    return json({ task });
+  }
+
+  if (op === "claim_task") {
+    const task = await ctx.runMutation(api.controlPlane.claimTask, {
+      organization_id: organizationId,
+      agent_id: body.agent_id,
+      lease_sec: body.lease_sec,
+      event_id: body.event_id,
+      ts: body.ts
+    });
+    return json({ task });
+  }
+
+  if (op === "expire_task_leases") {
+    const tasks = await ctx.runMutation(api.controlPlane.expireTaskLeases, { organization_id: organizationId, ts: body.ts });
+    return json({ tasks });
+  }
+
+  if (op === "list_task_events") {
+    const events = await ctx.runQuery(api.controlPlane.listTaskEvents, {
+      organization_id: organizationId,
+      task_id: body.task_id
+    });
+    return json({ events });
+  }
+
+  if (op === "add_task_event") {
+    const event = await ctx.runMutation(api.controlPlane.addTaskEvent, {
+      organization_id: organizationId,
+      event: body.event
+    });
+    return json({ event });
+  }
+
+  if (op === "list_commands") {
+    const commands = await ctx.runQuery(api.controlPlane.listCommands, { organization_id: organizationId });
+    return json({ commands });
+  }
+
+  if (op === "page_commands") {
+    const page = await ctx.runQuery(api.controlPlane.pageCommands, { organization_id: organizationId, ...pageArgs(body) });
+    return json(page);
+  }
+
+  if (op === "get_command") {
+    const command = await ctx.runQuery(api.controlPlane.getCommand, {
+      organization_id: organizationId,
+      command_id: body.command_id
+    });
+    return json({ command });
+  }
+
+  if (op === "create_command") {
+    const command = await ctx.runMutation(api.controlPlane.createCommand, {
+      organization_id: organizationId,
+      command: body.command
+    });
+    return json({ command });
+  }
+
+  if (op === "deliver_commands") {
+    const commands = await ctx.runMutation(api.controlPlane.deliverCommands, {
+      organization_id: organizationId,
+      agent_id: body.agent_id,
+      limit: body.limit,
+      redeliver_after_sec: body.redeliver_after_sec,
+      max_delivery_attempts: body.max_delivery_attempts,
+      ts: body.ts
+    });
+    return json({ commands });
+  }
+
+  if (op === "ack_command") {
+    const command = await ctx.runMutation(api.controlPlane.ackCommand, {
+      organization_id: organizationId,
+      command_id: body.command_id,
+      acked_by: body.acked_by,
+      ack_message: body.ack_message,
+      status: body.status,
+      updated_at: body.updated_at
+    });
+    return json({ command });
+  }
+
+  if (op === "list_alerts") {
+    const alerts = await ctx.runQuery(api.controlPlane.listAlerts, { organization_id: organizationId });
+    return json({ alerts });
+  }
+
+  if (op === "page_alerts") {
+    const page = await ctx.runQuery(api.controlPlane.pageAlerts, { organization_id: organizationId, ...pageArgs(body) });
+    return json(page);
+  }
+
+  if (op === "get_alert") {
+    const alert = await ctx.runQuery(api.controlPlane.getAlert, {
+      organization_id: organizationId,
+      alert_id: body.alert_id
+    });
+    return json({ alert });
+  }
+
+  if (op === "create_alert") {
+    const alert = await ctx.runMutation(api.controlPlane.createAlert, {
+      organization_id: organizationId,
+      alert: body.alert
+    });
+    return json({ alert });
+  }
+
+  if (op === "patch_alert_status") {
+    const alert = await ctx.runMutation(api.controlPlane.patchAlertStatus, {
+      organization_id: organizationId,
+      alert_id: body.alert_id,
+      status: body.status,
+      updated_at: body.updated_at
+    });
+    return json({ alert });
+  }
+
+  if (op === "add_audit_entry") {
+    const entry = await ctx.runMutation(api.controlPlane.addAuditEntry, {
+      organization_id: organizationId,
+      entry: body.entry
+    });
+    return json({ entry });
+  }
+
+  if (op === "page_audit_log") {
+    const page = await ctx.runQuery(api.controlPlane.pageAuditLog, { organization_id: organizationId, ...pageArgs(body) });
+    return json(page);
+  }
+
+  if (op === "list_webhooks") {
+    const webhooks = await ctx.runQuery(api.controlPlane.listWebhooks, { organization_id: organizationId });
+    return json({ webhooks });
+  }
+
+  if (op === "get_webhook") {
+    const webhook = await ctx.runQuery(api.controlPlane.getWebhook, {
+      organization_id: organizationId,
+      webhook_id: body.webhook_id
+    });
+    return json({ webhook });
+  }
+
+  if (op === "create_webhook") {
+    const webhook = await ctx.runMutation(api.controlPlane.createWebhook, {
+      organization_id: organizationId,
+      webhook: body.webhook
+    });
+    return json({ webhook });
+  }
+
+  if (op === "patch_webhook") {
+    const webhook = await ctx.runMutation(api.controlPlane.patchWebhook, {
+      organization_id: organizationId,
+      webhook_id: body.webhook_id,
+      ...body.patch,
+      updated_at: body.updated_at
+    });
+    return json({ webhook });
+  }
+
+  if (op === "create_webhook_delivery") {
+    const delivery = await ctx.runMutation(api.controlPlane.createWebhookDelivery, {
+      organization_id: organizationId,
+      delivery: body.delivery
+    });
+    return json({ delivery });
+  }
+
+  if (op === "claim_webhook_deliveries") {
+    const deliveries = await ctx.runMutation(api.controlPlane.claimWebhookDeliveries, {
+      organization_id: organizationId,
+      ts: body.ts,
+      locked_until: body.locked_until,
+      limit: body.limit
+    });
+    return json({ deliveries });
+  }
+
+  if (op === "record_webhook_attempt") {
+    const delivery = await ctx.runMutation(api.controlPlane.recordWebhookAttempt, {
+      organization_id: organizationId,
+      delivery_id: body.delivery_id,
+      ...body.attempt
+    });
+    return json({ delivery });
+  }
+
+  if (op === "requeue_webhook_delivery") {
+    const delivery = await ctx.runMutation(api.controlPlane.requeueWebhookDelivery, {
+      organization_id: organizationId,
+      delivery_id: body.delivery_id,
+      ts: body.ts
+    });
+    return json({ delivery });
+  }
+
+  if (op === "page_webhook_deliveries") {
+    const page = await ctx.runQuery(api.controlPlane.pageWebhookDeliveries, { organization_id: organizationId, ...pageArgs(body) });
+    return json(page);
+  }
+
+  if (op === "begin_idempotent_request") {
+    const result = await ctx.runMutation(api.controlPlane.beginIdempotentRequest, {
+      organization_id: organizationId,
+      key: body.key,
+      fingerprint: body.fingerprint,
+      ts: body.ts,
+      locked_until: body.locked_until,
+      expires_at: body.expires_at
+    });
+    return json(result);
+  }
+
+  if (op === "complete_idempotent_request") {
+    const result = await ctx.runMutation(api.controlPlane.completeIdempotentRequest, {
+      organization_id: organizationId,
+      key: body.key,
+      status_code: body.status_code,
+      response_body: body.response_body
+    });
+    return json({ result });
+  }
+
+  if (op === "release_idempotent_request") {
+    const result = await ctx.runMutation(api.controlPlane.releaseIdempotentRequest, { organization_id: organizationId, key: body.key });
+    return json(result);
+  }
+
+  if (op === "list_users") {
+    const users = await ctx.runQuery(api.controlPlane.listUsers, { organization_id: organizationId });
+    return json({ users });
+  }
+
+  if (op === "create_user") {
+    const user = await ctx.runMutation(api.controlPlane.createUser, { organization_id: organizationId, user: body.user });
+    return json({ user });
+  }
+
+  if (op === "set_user_status") {
+    const user = await ctx.runMutation(api.controlPlane.setUserStatus, {
+      organization_id: organizationId,
+      user_id: body.user_id,
+      status: body.status,
+      ts: body.ts
+    });
+    return json({ user });
+  }
+
+  if (op === "create_api_key") {
+    const result = await ctx.runMutation(api.controlPlane.createApiKey, {
+      organization_id: organizationId,
+      user_id: body.user_id,
+      name: body.name,
+      expires_at: body.expires_at,
+      scopes: body.scopes,
+      agent_id: body.agent_id,
+      include_subtree: body.include_subtree
+    });
+    return json(result);
+  }
+
+  if (op === "list_api_keys") {
+    const keys = await ctx.runQuery(api.controlPlane.listApiKeys, {
+      organization_id: organizationId,
+      user_id: body.user_id
+    });
+    return json({ keys });
+  }
+
+  if (op === "rotate_api_key") {
+    const result = await ctx.runMutation(api.controlPlane.rotateApiKey, {
+      organization_id: organizationId,
+      user_id: body.user_id,
+      key_id: body.key_id
+    });
+    return json(result);
+  }
+
+  if (op === "revoke_api_key") {
+    const key = await ctx.runMutation(api.controlPlane.revokeApiKey, {
+      organization_id: organizationId,
+      user_id: body.user_id,
+      key_id: body.key_id
+    });
+    return json({ key });
+  }
+
+  return json({ error: "Unsupported operation" }, 400);
+}
+
 http.route({
   path: "/control-plane-api",
   method: "POST",
@@ -60,206 +502,14 @@ http.route({
     if (!requireSyncToken(req)) return json({ error: "Unauthorized" }, 401);
 
     const body = await req.json();
-    const op = body?.op;
-    const organizationId = body?.organization_id;
-
-    if (op === "resolve_api_key_context") {
-      const auth = await ctx.runMutation(api.controlPlane.resolveApiKeyContext, { raw_key: body.raw_key });
-      return json({ auth });
-    }
-
-    if (op === "bootstrap_default_tenant") {
-      const result = await ctx.runMutation(api.controlPlane.bootstrapDefaultTenant, {
-        seed_api_key: body.seed_api_key ?? null
-      });
-      return json(result);
-    }
-
-    if (!organizationId) {
-      return json({ error: "organization_id is required" }, 400);
-    }
-
-    if (op === "list_agents") {
-      const agents = await ctx.runQuery(api.controlPlane.listAgents, { organization_id: organizationId });
-      return json({ agents });
-    }
-
-    if (op === "get_agent") {
-      const agent = await ctx.runQuery(api.controlPlane.getAgent, { organization_id: organizationId, agent_id: body.agent_id });
-      return json({ agent });
-    }
-
-    if (op === "create_agent") {
-      const agent = await ctx.runMutation(api.controlPlane.createAgent, { organization_id: organizationId, agent: body.agent });
-      return json({ agent });
-    }
-
-    if (op === "patch_agent") {
-      const agent = await ctx.runMutation(api.controlPlane.patchAgent, {
-        organization_id: organizationId,
-        agent_id: body.agent_id,
-        patch: body.patch,
-        has_supervisor_id: body.has_supervisor_id,
-        has_current_task_id: body.has_current_task_id,
-        updated_at: body.updated_at
-      });
-      return json({ agent });
-    }
-
-    if (op === "heartbeat_agent") {
-      const result = await ctx.runMutation(api.controlPlane.upsertAgentHeartbeat, {
-        organization_id: organizationId,
-        agent_id: body.agent_id,
-        payload: body.payload,
-        ts: body.ts
-      });
-      return json(result);
-    }
-
-    if (op === "list_tasks") {
-      const tasks = await ctx.runQuery(api.controlPlane.listTasks, { organization_id: organizationId });
-      return json({ tasks });
-    }
-
-    if (op === "get_task") {
-      const task = await ctx.runQuery(api.controlPlane.getTask, { organization_id: organizationId, task_id: body.task_id });
-      return json({ task });
-    }
-
-    if (op === "create_task") {
-      const task = await ctx.runMutation(api.controlPlane.createTask, { organization_id: organizationId, task: body.task });
-      return json({ task });
-    }
-
-    if (op === "patch_task") {
-      const task = await ctx.runMutation(api.controlPlane.patchTask, {
-        organization_id: organizationId,
-        task_id: body.task_id,
-        patch: body.patch,
-        has_description: body.has_description,
-        has_assigned_agent_id: body.has_assigned_agent_id,
-        updated_at: body.updated_at
-      });
-      return json({ task });
-    }
-
-    if (op === "list_task_events") {
-      const events = await ctx.runQuery(api.controlPlane.listTaskEvents, {
-        organization_id: organizationId,
-        task_id: body.task_id
-      });
-      return json({ events });
-    }
-
-    if (op === "add_task_event") {
-      const event = await ctx.runMutation(api.controlPlane.addTaskEvent, {
-        organization_id: organizationId,
-        event: body.event
-      });
-      return json({ event });
-    }
-
-    if (op === "list_commands") {
-      const commands = await ctx.runQuery(api.controlPlane.listCommands, { organization_id: organizationId });
-      return json({ commands });
-    }
-
-    if (op === "get_command") {
-      const command = await ctx.runQuery(api.controlPlane.getCommand, {
-        organization_id: organizationId,
-        command_id: body.command_id
-      });
-      return json({ command });
-    }
-
-    if (op === "create_command") {
-      const command = await ctx.runMutation(api.controlPlane.createCommand, {
-        organization_id: organizationId,
-        command: body.command
-      });
-      return json({ command });
-    }
-
-    if (op === "ack_command") {
-      const command = await ctx.runMutation(api.controlPlane.ackCommand, {
-        organization_id: organizationId,
-        command_id: body.command_id,
-        acked_by: body.acked_by,
-        ack_message: body.ack_message,
-        status: body.status,
-        updated_at: body.updated_at
-      });
-      return json({ command });
-    }
-
-    if (op === "list_alerts") {
-      const alerts = await ctx.runQuery(api.controlPlane.listAlerts, { organization_id: organizationId });
-      return json({ alerts });
-    }
-
-    if (op === "get_alert") {
-      const alert = await ctx.runQuery(api.controlPlane.getAlert, {
-        organization_id: organizationId,
-        alert_id: body.alert_id
-      });
-      return json({ alert });
-    }
-
-    if (op === "create_alert") {
-      const alert = await ctx.runMutation(api.controlPlane.createAlert, {
-        organization_id: organizationId,
-        alert: body.alert
-      });
-      return json({ alert });
-    }
-
-    if (op === "patch_alert_status") {
-      const alert = await ctx.runMutation(api.controlPlane.patchAlertStatus, {
-        organization_id: organizationId,
-        alert_id: body.alert_id,
-        status: body.status,
-        updated_at: body.updated_at
-      });
-      return json({ alert });
-    }
-
-    if (op === "create_api_key") {
-      const result = await ctx.runMutation(api.controlPlane.createApiKey, {
-        organization_id: organizationId,
-        user_id: body.user_id,
-        name: body.name,
-        expires_at: body.expires_at
-      });
-      return json(result);
-    }
-
-    if (op === "list_api_keys") {
-      const keys = await ctx.runQuery(api.controlPlane.listApiKeys, {
-        organization_id: organizationId,
-        user_id: body.user_id
-      });
-      return json({ keys });
-    }
-
-    if (op === "rotate_api_key") {
-      const result = await ctx.runMutation(api.controlPlane.rotateApiKey, {
-        organization_id: organizationId,
-        user_id: body.user_id,
-        key_id: body.key_id
-      });
-      return json(result);
+    // Mutations reject domain errors with `ConvexError("<CODE>")`; they are
+    // returned as 409 so the Node client can surface the code.
+    try {
+      return await handleApiOp(ctx, body);
+    } catch (err) {
+      if (err instanceof ConvexError) return json({ error: err.data }, 409);
+      throw err;
     }
-
-    if (op === "revoke_api_key") {
-      const key = await ctx.runMutation(api.controlPlane.revokeApiKey, {
-        organization_id: organizationId,
-        user_id: body.user_id,
-        key_id: body.key_id
-      });
-      return json({ key });
-    }
-
-    return json({ error: "Unsupported operation" }, 400);
   })
 });
 
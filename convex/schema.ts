@@ -5,6 +5,7 @@ export default defineSchema({
   organizations: defineTable({
     organization_id: v.string(),
     name: v.string(),
+    status: v.optional(v.string()),
     created_at: v.string(),
     updated_at: v.string()
   }).index("by_organization_id", ["organization_id"]),
@@ -32,7 +33,10 @@ export default defineSchema({
     updated_at: v.string(),
     last_used_at: v.union(v.string(), v.null()),
     revoked_at: v.union(v.string(), v.null()),
-    expires_at: v.union(v.string(), v.null())
+    expires_at: v.union(v.string(), v.null()),
+    scopes: v.optional(v.union(v.array(v.string()), v.null())),
+    agent_id: v.optional(v.union(v.string(), v.null())),
+    include_subtree: v.optional(v.boolean())
   })
     .index("by_key_id", ["key_id"])
     .index("by_secret_hash", ["secret_hash"])
@@ -60,8 +64,9 @@ export default defineSchema({
     mirrored_at: v.optional(v.string())
   })
     .index("by_org_agent_id", ["organization_id", "agent_id"])
-    .index("by_org_status", ["organization_id", "status"])
-    .index("by_org_supervisor", ["organization_id", "supervisor_id"]),
+    .index("by_org_created", ["organization_id", "created_at"])
+    .index("by_org_status", ["organization_id", "status", "created_at"])
+    .index("by_org_supervisor", ["organization_id", "supervisor_id", "created_at"]),
 
   agent_events: defineTable({
     organization_id: v.string(),
@@ -89,16 +94,27 @@ export default defineSchema({
     status: v.string(),
     progress: v.number(),
     priority: v.string(),
+    required_capabilities: v.optional(v.array(v.string())),
+    depends_on: v.optional(v.array(v.string())),
+    parent_task_id: v.optional(v.union(v.string(), v.null())),
+    on_dependency_failure: v.optional(v.string()),
+    on_agent_offline: v.optional(v.string()),
+    retry_policy: v.optional(v.any()),
+    attempt: v.optional(v.number()),
+    retry_at: v.optional(v.union(v.string(), v.null())),
     metadata: v.any(),
     created_at: v.string(),
     updated_at: v.string(),
     started_at: v.union(v.string(), v.null()),
     finished_at: v.union(v.string(), v.null()),
+    lease_sec: v.optional(v.union(v.number(), v.null())),
+    lease_expires_at: v.optional(v.union(v.string(), v.null())),
     version: v.number()
   })
     .index("by_org_task_id", ["organization_id", "task_id"])
-    .index("by_org_task_status", ["organization_id", "status"])
-    .index("by_org_task_agent", ["organization_id", "assigned_agent_id"]),
+    .index("by_org_task_updated", ["organization_id", "updated_at"])
+    .index("by_org_task_status", ["organization_id", "status", "updated_at"])
+    .index("by_org_task_agent", ["organization_id", "assigned_agent_id", "updated_at"]),
 
   task_events: defineTable({
     organization_id: v.string(),
@@ -124,11 +140,28 @@ export default defineSchema({
     acked_by: v.union(v.string(), v.null()),
     ack_message: v.union(v.string(), v.null()),
     expires_at: v.union(v.string(), v.null()),
+    delivery_attempts: v.optional(v.number()),
+    delivered_at: v.optional(v.union(v.string(), v.null())),
+    history: v.optional(
+      v.array(
+        v.object({
+          status: v.string(),
+          previous_status: v.union(v.string(), v.null()),
+          actor: v.string(),
+          message: v.union(v.string(), v.null()),
+          at: v.string()
+        })
+      )
+    ),
     created_at: v.string(),
     updated_at: v.string()
   })
     .index("by_org_command_id", ["organization_id", "command_id"])
-    .index("by_org_command_agent_status", ["organization_id", "agent_id", "status"]),
+    .index("by_org_command_created", ["organization_id", "created_at"])
+    .index("by_org_command_agent", ["organization_id", "agent_id", "created_at"])
+    .index("by_org_command_status", ["organization_id", "status", "created_at"])
+    .index("by_org_command_agent_status", ["organization_id", "agent_id", "status", "created_at"])
+    .index("by_status", ["status"]),
 
   alerts: defineTable({
     organization_id: v.string(),
@@ -143,6 +176,71 @@ export default defineSchema({
     updated_at: v.string()
   })
     .index("by_org_alert_id", ["organization_id", "alert_id"])
-    .index("by_org_alert_status", ["organization_id", "status"])
-    .index("by_org_alert_entity", ["organization_id", "entity_type", "entity_id"])
+    .index("by_org_alert_created", ["organization_id", "created_at"])
+    .index("by_org_alert_status", ["organization_id", "status", "created_at"])
+    .index("by_org_alert_entity", ["organization_id", "entity_type", "entity_id"]),
+
+  audit_log: defineTable({
+    organization_id: v.string(),
+    audit_id: v.string(),
+    request_id: v.union(v.string(), v.null()),
+    actor_user_id: v.union(v.string(), v.null()),
+    actor_key_id: v.union(v.string(), v.null()),
+    actor_agent_id: v.union(v.string(), v.null()),
+    action: v.string(),
+    entity_type: v.string(),
+    entity_id: v.string(),
+    changes: v.any(),
+    created_at: v.string()
+  })
+    .index("by_org_audit_created", ["organization_id", "created_at"])
+    .index("by_org_audit_entity", ["organization_id", "entity_type", "entity_id", "created_at"])
+    .index("by_org_audit_actor", ["organization_id", "actor_user_id", "created_at"]),
+
+  webhooks: defineTable({
+    organization_id: v.string(),
+    webhook_id: v.string(),
+    url: v.string(),
+    event_types: v.array(v.string()),
+    secret: v.string(),
+    status: v.string(),
+    created_at: v.string(),
+    updated_at: v.string()
+  })
+    .index("by_org_webhook_id", ["organization_id", "webhook_id"]),
+
+  webhook_deliveries: defineTable({
+    organization_id: v.string(),
+    delivery_id: v.string(),
+    webhook_id: v.string(),
+    event_type: v.string(),
+    payload: v.any(),
+    status: v.string(),
+    attempts: v.number(),
+    next_attempt_at: v.string(),
+    last_attempt_at: v.union(v.string(), v.null()),
+    response_status: v.union(v.number(), v.null()),
+    last_error: v.union(v.string(), v.null()),
+    created_at: v.string(),
+    updated_at: v.string()
+  })
+    .index("by_org_delivery_id", ["organization_id", "delivery_id"])
+    .index("by_org_delivery_created", ["organization_id", "created_at"])
+    .index("by_org_delivery_webhook", ["organization_id", "webhook_id", "created_at"])
+    .index("by_org_delivery_status", ["organization_id", "status", "created_at"])
+    .index("by_org_delivery_due", ["organization_id", "status", "next_attempt_at"]),
+
+  idempotency_keys: defineTable({
+    organization_id: v.string(),
+    key: v.string(),
+    fingerprint: v.string(),
+    status: v.string(),
+    status_code: v.union(v.number(), v.null()),
+    response_body: v.union(v.string(), v.null()),
+    locked_until: v.string(),
+    created_at: v.string(),
+    expires_at: v.string()
+  })
+    .index("by_org_key", ["organization_id", "key"])
+    .index("by_expires_at", ["expires_at"])
 });
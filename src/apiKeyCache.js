@@ -0,0 +1,52 @@
+import { createHash } from "node:crypto";
+
+function sha256Hex(input) {
+  return createHash("sha256").update(input).digest("hex");
+}
+
+// In-process cache of resolved API key contexts, keyed by the key hash.
+// Entries live for `ttlSec` (never past the key's own `expires_at`); only
+// successful resolutions are cached. `last_used_at` is collected per key and
+// written in one batch by `flush()` instead of on every request.
+// A TTL of 0 disables the cache and resolves (and touches) on every call.
+export function createApiKeyCache(backend, { ttlSec }) {
+  const entries = new Map();
+  const pendingTouches = new Map();
+
+  async function flush() {
+    if (pendingTouches.size === 0) return;
+    const touches = Array.from(pendingTouches, ([keyId, lastUsedAt]) => ({ key_id: keyId, last_used_at: lastUsedAt }));
+    pendingTouches.clear();
+    await backend.touchApiKeys(touches);
+  }
+
+  return {
+    async resolve(rawKey) {
+      if (!(ttlSec > 0)) return backend.resolveApiKey(rawKey);
+
+      const hash = sha256Hex(rawKey);
+      const nowMs = Date.now();
+      let entry = entries.get(hash);
+      if (!entry || entry.expiresAtMs <= nowMs) {
+        entries.delete(hash);
+        const auth = await backend.resolveApiKey(rawKey, { touch: false });
+        if (!auth) return null;
+        const keyExpiryMs = auth.expires_at ? Date.parse(auth.expires_at) : Infinity;
+        entry = { auth, expiresAtMs: Math.min(nowMs + ttlSec * 1000, keyExpiryMs) };
+        entries.set(hash, entry);
+      }
+      pendingTouches.set(entry.auth.key_id, new Date(nowMs).toISOString());
+      return entry.auth;
+    },
+
+    // Drops every cached context matching `predicate` (e.g. a rotated key or
+    // the keys of a suspended user) so the next request resolves again.
+    invalidate(predicate) {
+      for (const [hash, entry] of entries) {
+        if (predicate(entry.auth)) entries.delete(hash);
+      }
+    },
+
+    flush
+  };
+}
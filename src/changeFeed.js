@@ -0,0 +1,112 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { randomBytes } from "node:crypto";
+
+const ALERT_EVENT_TYPES = { open: "alert.opened", ack: "alert.acked", closed: "alert.closed" };
+
+// In-process buffer of change events per organization. Ids are
+// `<instance>:<sequence>`, so an id from another process (or from before a
+// restart) is never mistaken for a resumable position. Each organization keeps
+// its last `bufferSize` events.
+export function createChangeFeed({ bufferSize }) {
+  const instance = randomBytes(4).toString("hex");
+  let sequence = 0;
+  const buffers = new Map();
+  const listeners = new Map();
+  const globalListeners = new Set();
+
+  return {
+    publish(organizationId, type, entity, row) {
+      sequence += 1;
+      const event = { id: `${instance}:${sequence}`, sequence, type, entity, row };
+      let buffer = buffers.get(organizationId);
+      if (!buffer) {
+        buffer = { events: [], evictedThrough: 0 };
+        buffers.set(organizationId, buffer);
+      }
+      buffer.events.push(event);
+      if (buffer.events.length > bufferSize) {
+        const evicted = buffer.events.splice(0, buffer.events.length - bufferSize);
+        buffer.evictedThrough = evicted[evicted.length - 1].sequence;
+      }
+      for (const listener of listeners.get(organizationId) ?? []) listener(event);
+      for (const listener of globalListeners) listener(organizationId, event);
+    },
+
+    // Buffered events after `lastEventId`, or null when some of them are gone
+    // and the caller has to reload its state.
+    since(organizationId, lastEventId) {
+      const [eventInstance, rawSequence] = String(lastEventId).split(":");
+      const after = Number(rawSequence);
+      if (eventInstance !== instance || !Number.isInteger(after) || after < 0 || after > sequence) return null;
+      const buffer = buffers.get(organizationId);
+      if (!buffer) return [];
+      if (after < buffer.evictedThrough) return null;
+      return buffer.events.filter((event) => event.sequence > after);
+    },
+
+    subscribe(organizationId, listener) {
+      if (!listeners.has(organizationId)) listeners.set(organizationId, new Set());
+      listeners.get(organizationId).add(listener);
+      return () => {
+        const set = listeners.get(organizationId);
+        set.delete(listener);
+        if (set.size === 0) listeners.delete(organizationId);
+      };
+    },
+
+    // Events of every organization, for server-side consumers such as webhooks.
+    subscribeAll(listener) {
+      globalListeners.add(listener);
+      return () => globalListeners.delete(listener);
+    }
+  };
+}
+
+// Publishes writes made through `backend` (API routes and background jobs
+// alike) to `feed`, under the organization of the current context.
+export function withChangeFeed(backend, feed) {
+  const context = new AsyncLocalStorage();
+
+  function publish(type, entity, row) {
+    const organizationId = context.getStore()?.organization_id;
+    if (organizationId && row) feed.publish(organizationId, type, entity, row);
+  }
+
+  function published(method, toEvents) {
+    return async (...args) => {
+      const result = await backend[method](...args);
+      toEvents(result);
+      return result;
+    };
+  }
+
+  return {
+    ...backend,
+    runWithContext: (ctx, fn) => context.run(ctx, () => backend.runWithContext(ctx, fn)),
+    createAgent: published("createAgent", (agent) => publish("agent.created", "agent", agent)),
+    patchAgent: published("patchAgent", (agent) => publish("agent.updated", "agent", agent)),
+    heartbeatAgent: published("heartbeatAgent", (result) => {
+      publish(result.created ? "agent.created" : "agent.heartbeat", "agent", result.agent);
+      for (const alert of result.resolved_alerts ?? []) publish("alert.closed", "alert", alert);
+    }),
+    createTask: published("createTask", (task) => publish("task.created", "task", task)),
+    patchTask: published("patchTask", (task) => publish("task.updated", "task", task)),
+    assignTask: published("assignTask", (task) => publish("task.updated", "task", task)),
+    claimTask: published("claimTask", (task) => publish("task.updated", "task", task)),
+    expireTaskLeases: published("expireTaskLeases", (tasks) => {
+      for (const task of tasks) publish("task.updated", "task", task);
+    }),
+    addTaskEvent: published("addTaskEvent", (event) => publish("task.event", "task_event", event)),
+    createCommand: published("createCommand", (command) => publish("command.created", "command", command)),
+    deliverCommands: published("deliverCommands", (commands) => {
+      for (const command of commands) publish("command.updated", "command", command);
+    }),
+    ackCommand: published("ackCommand", (command) => publish("command.updated", "command", command)),
+    // The sweep runs across organizations and reports where each change went.
+    sweepCommands: published("sweepCommands", (result) => {
+      for (const change of result.changed ?? []) feed.publish(change.organization_id, "command.updated", "command", change.command);
+    }),
+    createAlert: published("createAlert", (alert) => publish("alert.opened", "alert", alert)),
+    patchAlertStatus: published("patchAlertStatus", (alert) => publish(ALERT_EVENT_TYPES[alert?.status], "alert", alert))
+  };
+}
@@ -0,0 +1,10 @@
+import { startPeriodicJob } from "./periodicJob.js";
+
+// Periodically moves commands past `expires_at` to `expired` and puts
+// deliveries that were never acked back in the queue (or fails them once
+// they ran out of attempts). Runs across all organizations.
+export function startCommandSweeper(backend, { intervalSec, redeliverAfterSec, maxDeliveryAttempts }) {
+  return startPeriodicJob("Command sweep", intervalSec, () =>
+    backend.sweepCommands(redeliverAfterSec, maxDeliveryAttempts, new Date().toISOString())
+  );
+}
@@ -1,6 +1,15 @@
 import { AsyncLocalStorage } from "node:async_hooks";
+import { performance } from "node:perf_hooks";
+import { createMemoryConvex } from "./memoryConvex.js";
+import { metrics } from "./metrics.js";
+
+const MEMORY_BACKEND_URL = "memory://";
 
 const requestContext = new AsyncLocalStorage();
+let memoryConvex = null;
+
+const convexCallSeconds = metrics.histogram("control_plane_convex_call_duration_seconds", "Latency of Convex backend calls by op.", ["op"]);
+const convexCallErrors = metrics.counter("control_plane_convex_call_errors_total", "Convex backend calls that failed, by op.", ["op"]);
 
 function getBaseUrl() {
   return process.env.CONVEX_BACKEND_URL || process.env.CONVEX_SYNC_URL || "";
@@ -18,6 +27,10 @@ function getTimeoutMs() {
   return Number(process.env.CONVEX_SYNC_TIMEOUT_MS || "5000");
 }
 
+function usesMemoryBackend() {
+  return getBaseUrl() === MEMORY_BACKEND_URL;
+}
+
 function endpointUrl() {
   const baseUrl = getBaseUrl();
   if (!baseUrl) {
@@ -44,7 +57,27 @@ function contextPayload() {
   };
 }
 
-async function callConvex(op, payload = {}) {
+// CONVEX_BACKEND_URL=memory:// answers every op from an in-process store
+// (see memoryConvex.js) instead of the deployment; used by tests and local dev.
+function callMemoryConvex(body) {
+  if (!memoryConvex) memoryConvex = createMemoryConvex();
+  try {
+    const { status, body: responseBody } = memoryConvex.handle(body, getToken());
+    return { ok: status >= 200 && status < 300, status, bodyText: JSON.stringify(responseBody) };
+  } catch (err) {
+    // An error the httpAction does not catch reaches the client as a bare 500,
+    // without its message; only the deployment logs have it.
+    // eslint-disable-next-line no-console
+    console.error(`Convex op ${body.op} failed`, err);
+    return { ok: false, status: 500, bodyText: "Server Error" };
+  }
+}
+
+async function requestConvex(op, payload) {
+  if (usesMemoryBackend()) {
+    return parseConvexResponse(callMemoryConvex({ op, ...contextPayload(), ...payload }));
+  }
+
   const url = endpointUrl();
   if (!url) {
     throw new Error("Convex backend URL is not configured");
@@ -65,7 +98,22 @@ async function callConvex(op, payload = {}) {
     signal: timeoutSignal(getTimeoutMs())
   });
 
-  const bodyText = await response.text();
+  return parseConvexResponse({ ok: response.ok, status: response.status, bodyText: await response.text() });
+}
+
+async function callConvex(op, payload = {}) {
+  const startedAt = performance.now();
+  try {
+    return await requestConvex(op, payload);
+  } catch (err) {
+    convexCallErrors.inc({ op });
+    throw err;
+  } finally {
+    convexCallSeconds.observe({ op }, (performance.now() - startedAt) / 1000);
+  }
+}
+
+function parseConvexResponse({ ok, status, bodyText }) {
   let body;
   try {
     body = bodyText ? JSON.parse(bodyText) : {};
@@ -73,8 +121,8 @@ async function callConvex(op, payload = {}) {
     body = { raw: bodyText };
   }
 
-  if (!response.ok) {
-    const message = typeof body?.error === "string" ? body.error : `Convex backend call failed (${response.status})`;
+  if (!ok) {
+    const message = typeof body?.error === "string" ? body.error : `Convex backend call failed (${status})`;
     throw new Error(message);
   }
 
@@ -89,20 +137,57 @@ export function convexBackendConfigured() {
   return endpointUrl().length > 0;
 }
 
-export async function convexResolveApiKey(rawKey) {
-  const result = await callConvex("resolve_api_key_context", { raw_key: rawKey });
+export async function convexResolveApiKey(rawKey, { touch = true } = {}) {
+  const result = await callConvex("resolve_api_key_context", { raw_key: rawKey, touch });
   return result.auth ?? null;
 }
 
+export async function convexTouchApiKeys(touches) {
+  return callConvex("touch_api_keys", { touches });
+}
+
 export async function convexBootstrapDefaultTenant(seedApiKey = null) {
   return callConvex("bootstrap_default_tenant", { seed_api_key: seedApiKey });
 }
 
-export async function convexCreateApiKey(userId, name, expiresAt) {
+export async function convexListOrganizations() {
+  const result = await callConvex("list_organizations");
+  return result.organizations ?? [];
+}
+
+export async function convexCreateOrganization(organization) {
+  const result = await callConvex("create_organization", { organization });
+  return result.organization;
+}
+
+export async function convexSetOrganizationStatus(organizationId, status, ts) {
+  const result = await callConvex("set_organization_status", { target_organization_id: organizationId, status, ts });
+  return result.organization ?? null;
+}
+
+export async function convexListUsers() {
+  const result = await callConvex("list_users");
+  return result.users ?? [];
+}
+
+export async function convexCreateUser(user) {
+  const result = await callConvex("create_user", { user });
+  return result.user;
+}
+
+export async function convexSetUserStatus(userId, status, ts) {
+  const result = await callConvex("set_user_status", { user_id: userId, status, ts });
+  return result.user ?? null;
+}
+
+export async function convexCreateApiKey(userId, name, expiresAt, scopes, agentBinding) {
   return callConvex("create_api_key", {
     user_id: userId,
     name,
-    expires_at: expiresAt ?? null
+    expires_at: expiresAt ?? null,
+    scopes: scopes ?? null,
+    agent_id: agentBinding?.agent_id ?? null,
+    include_subtree: agentBinding?.include_subtree ?? false
   });
 }
 
@@ -131,6 +216,11 @@ export async function convexListAgents() {
   return result.agents ?? [];
 }
 
+export async function convexPageAgents(filters, page) {
+  const result = await callConvex("page_agents", { filters, ...page });
+  return { items: result.items ?? [], next_cursor: result.next_cursor ?? null };
+}
+
 export async function convexGetAgent(agentId) {
   const result = await callConvex("get_agent", { agent_id: agentId });
   return result.agent ?? null;
@@ -147,6 +237,7 @@ export async function convexPatchAgent(agentId, patch, options) {
     patch,
     has_supervisor_id: options.has_supervisor_id,
     has_current_task_id: options.has_current_task_id,
+    expected_version: options.expected_version,
     updated_at: options.updated_at
   });
   return result.agent ?? null;
@@ -165,6 +256,11 @@ export async function convexListTasks() {
   return result.tasks ?? [];
 }
 
+export async function convexPageTasks(filters, page) {
+  const result = await callConvex("page_tasks", { filters, ...page });
+  return { items: result.items ?? [], next_cursor: result.next_cursor ?? null };
+}
+
 export async function convexGetTask(taskId) {
   const result = await callConvex("get_task", { task_id: taskId });
   return result.task ?? null;
@@ -181,11 +277,27 @@ export async function convexPatchTask(taskId, patch, options) {
     patch,
     has_description: options.has_description,
     has_assigned_agent_id: options.has_assigned_agent_id,
+    expected_version: options.expected_version,
     updated_at: options.updated_at
   });
   return result.task ?? null;
 }
 
+export async function convexAssignTask(taskId, agentId, event) {
+  const result = await callConvex("assign_task", { task_id: taskId, agent_id: agentId, event });
+  return result.task ?? null;
+}
+
+export async function convexClaimTask(agentId, leaseSec, eventId, ts) {
+  const result = await callConvex("claim_task", { agent_id: agentId, lease_sec: leaseSec, event_id: eventId, ts });
+  return result.task ?? null;
+}
+
+export async function convexExpireTaskLeases(ts) {
+  const result = await callConvex("expire_task_leases", { ts });
+  return result.tasks ?? [];
+}
+
 export async function convexListTaskEvents(taskId) {
   const result = await callConvex("list_task_events", { task_id: taskId });
   return result.events ?? [];
@@ -201,6 +313,11 @@ export async function convexListCommands() {
   return result.commands ?? [];
 }
 
+export async function convexPageCommands(filters, page) {
+  const result = await callConvex("page_commands", { filters, ...page });
+  return { items: result.items ?? [], next_cursor: result.next_cursor ?? null };
+}
+
 export async function convexGetCommand(commandId) {
   const result = await callConvex("get_command", { command_id: commandId });
   return result.command ?? null;
@@ -211,6 +328,25 @@ export async function convexCreateCommand(command) {
   return result.command;
 }
 
+export async function convexDeliverCommands(agentId, limit, redeliverAfterSec, maxDeliveryAttempts, ts) {
+  const result = await callConvex("deliver_commands", {
+    agent_id: agentId,
+    limit,
+    redeliver_after_sec: redeliverAfterSec,
+    max_delivery_attempts: maxDeliveryAttempts,
+    ts
+  });
+  return result.commands ?? [];
+}
+
+export async function convexSweepCommands(redeliverAfterSec, maxDeliveryAttempts, ts) {
+  return callConvex("sweep_commands", {
+    redeliver_after_sec: redeliverAfterSec,
+    max_delivery_attempts: maxDeliveryAttempts,
+    ts
+  });
+}
+
 export async function convexAckCommand(commandId, ackedBy, ackMessage, status, updatedAt) {
   const result = await callConvex("ack_command", {
     command_id: commandId,
@@ -227,6 +363,11 @@ export async function convexListAlerts() {
   return result.alerts ?? [];
 }
 
+export async function convexPageAlerts(filters, page) {
+  const result = await callConvex("page_alerts", { filters, ...page });
+  return { items: result.items ?? [], next_cursor: result.next_cursor ?? null };
+}
+
 export async function convexGetAlert(alertId) {
   const result = await callConvex("get_alert", { alert_id: alertId });
   return result.alert ?? null;
@@ -245,3 +386,74 @@ export async function convexPatchAlertStatus(alertId, status, updatedAt) {
   });
   return result.alert ?? null;
 }
+
+export async function convexAddAuditEntry(entry) {
+  const result = await callConvex("add_audit_entry", { entry });
+  return result.entry;
+}
+
+export async function convexPageAuditLog(filters, page) {
+  const result = await callConvex("page_audit_log", { filters, ...page });
+  return { items: result.items ?? [], next_cursor: result.next_cursor ?? null };
+}
+
+export async function convexListWebhooks() {
+  const result = await callConvex("list_webhooks");
+  return result.webhooks ?? [];
+}
+
+export async function convexGetWebhook(webhookId) {
+  const result = await callConvex("get_webhook", { webhook_id: webhookId });
+  return result.webhook ?? null;
+}
+
+export async function convexCreateWebhook(webhook) {
+  const result = await callConvex("create_webhook", { webhook });
+  return result.webhook;
+}
+
+export async function convexPatchWebhook(webhookId, patch, updatedAt) {
+  const result = await callConvex("patch_webhook", { webhook_id: webhookId, patch, updated_at: updatedAt });
+  return result.webhook ?? null;
+}
+
+export async function convexCreateWebhookDelivery(delivery) {
+  const result = await callConvex("create_webhook_delivery", { delivery });
+  return result.delivery;
+}
+
+export async function convexClaimWebhookDeliveries(ts, lockedUntil, limit) {
+  const result = await callConvex("claim_webhook_deliveries", { ts, locked_until: lockedUntil, limit });
+  return result.deliveries ?? [];
+}
+
+export async function convexRecordWebhookAttempt(deliveryId, attempt) {
+  const result = await callConvex("record_webhook_attempt", { delivery_id: deliveryId, attempt });
+  return result.delivery ?? null;
+}
+
+export async function convexRequeueWebhookDelivery(deliveryId, ts) {
+  const result = await callConvex("requeue_webhook_delivery", { delivery_id: deliveryId, ts });
+  return result.delivery ?? null;
+}
+
+export async function convexPageWebhookDeliveries(filters, page) {
+  const result = await callConvex("page_webhook_deliveries", { filters, ...page });
+  return { items: result.items ?? [], next_cursor: result.next_cursor ?? null };
+}
+
+export async function convexBeginIdempotentRequest(key, fingerprint, ts, lockedUntil, expiresAt) {
+  return callConvex("begin_idempotent_request", { key, fingerprint, ts, locked_until: lockedUntil, expires_at: expiresAt });
+}
+
+export async function convexCompleteIdempotentRequest(key, statusCode, responseBody) {
+  await callConvex("complete_idempotent_request", { key, status_code: statusCode, response_body: responseBody });
+}
+
+export async function convexReleaseIdempotentRequest(key) {
+  await callConvex("release_idempotent_request", { key });
+}
+
+export async function convexPurgeIdempotencyKeys(ts) {
+  return callConvex("purge_idempotency_keys", { ts });
+}
@@ -0,0 +1,251 @@
+import {
+  convexAckCommand,
+  convexAddAuditEntry,
+  convexAddTaskEvent,
+  convexAssignTask,
+  convexBackendConfigured,
+  convexBeginIdempotentRequest,
+  convexBootstrapDefaultTenant,
+  convexClaimTask,
+  convexClaimWebhookDeliveries,
+  convexCompleteIdempotentRequest,
+  convexCreateAgent,
+  convexCreateAlert,
+  convexCreateApiKey,
+  convexCreateCommand,
+  convexCreateOrganization,
+  convexCreateTask,
+  convexCreateUser,
+  convexCreateWebhook,
+  convexCreateWebhookDelivery,
+  convexDeliverCommands,
+  convexExpireTaskLeases,
+  convexGetAgent,
+  convexGetAlert,
+  convexGetCommand,
+  convexGetTask,
+  convexGetWebhook,
+  convexHeartbeatAgent,
+  convexListAgents,
+  convexListAlerts,
+  convexListApiKeys,
+  convexListCommands,
+  convexListOrganizations,
+  convexListTaskEvents,
+  convexListTasks,
+  convexListUsers,
+  convexListWebhooks,
+  convexPageAgents,
+  convexPageAlerts,
+  convexPageAuditLog,
+  convexPageCommands,
+  convexPageTasks,
+  convexPageWebhookDeliveries,
+  convexPatchAgent,
+  convexPatchAlertStatus,
+  convexPatchTask,
+  convexPatchWebhook,
+  convexPurgeIdempotencyKeys,
+  convexRecordWebhookAttempt,
+  convexReleaseIdempotentRequest,
+  convexRequeueWebhookDelivery,
+  convexResolveApiKey,
+  convexRevokeApiKey,
+  convexRotateApiKey,
+  convexSetOrganizationStatus,
+  convexSetUserStatus,
+  convexSweepCommands,
+  convexTouchApiKeys,
+  runWithConvexContext
+} from "./convexBackend.js";
+import {
+  runWithSqliteContext,
+  sqliteAckCommand,
+  sqliteAddAuditEntry,
+  sqliteAddTaskEvent,
+  sqliteAssignTask,
+  sqliteBeginIdempotentRequest,
+  sqliteBootstrapDefaultTenant,
+  sqliteClaimTask,
+  sqliteClaimWebhookDeliveries,
+  sqliteCompleteIdempotentRequest,
+  sqliteCreateAgent,
+  sqliteCreateAlert,
+  sqliteCreateApiKey,
+  sqliteCreateCommand,
+  sqliteCreateOrganization,
+  sqliteCreateTask,
+  sqliteCreateUser,
+  sqliteCreateWebhook,
+  sqliteCreateWebhookDelivery,
+  sqliteDeliverCommands,
+  sqliteExpireTaskLeases,
+  sqliteGetAgent,
+  sqliteGetAlert,
+  sqliteGetCommand,
+  sqliteGetTask,
+  sqliteGetWebhook,
+  sqliteHeartbeatAgent,
+  sqliteListAgents,
+  sqliteListAlerts,
+  sqliteListApiKeys,
+  sqliteListCommands,
+  sqliteListOrganizations,
+  sqliteListTaskEvents,
+  sqliteListTasks,
+  sqliteListUsers,
+  sqliteListWebhooks,
+  sqlitePageAgents,
+  sqlitePageAlerts,
+  sqlitePageAuditLog,
+  sqlitePageCommands,
+  sqlitePageTasks,
+  sqlitePageWebhookDeliveries,
+  sqlitePatchAgent,
+  sqlitePatchAlertStatus,
+  sqlitePatchTask,
+  sqlitePatchWebhook,
+  sqlitePurgeIdempotencyKeys,
+  sqliteRecordWebhookAttempt,
+  sqliteReleaseIdempotentRequest,
+  sqliteRequeueWebhookDelivery,
+  sqliteResolveApiKey,
+  sqliteRevokeApiKey,
+  sqliteRotateApiKey,
+  sqliteSetOrganizationStatus,
+  sqliteSetUserStatus,
+  sqliteSweepCommands,
+  sqliteTouchApiKeys
+} from "./sqliteBackend.js";
+
+export const DATA_BACKENDS = new Set(["convex", "sqlite"]);
+
+const convexBackend = {
+  name: "convex",
+  configured: convexBackendConfigured,
+  runWithContext: runWithConvexContext,
+  resolveApiKey: convexResolveApiKey,
+  touchApiKeys: convexTouchApiKeys,
+  bootstrapDefaultTenant: convexBootstrapDefaultTenant,
+  listOrganizations: convexListOrganizations,
+  createOrganization: convexCreateOrganization,
+  setOrganizationStatus: convexSetOrganizationStatus,
+  listUsers: convexListUsers,
+  createUser: convexCreateUser,
+  setUserStatus: convexSetUserStatus,
+  createApiKey: convexCreateApiKey,
+  listApiKeys: convexListApiKeys,
+  rotateApiKey: convexRotateApiKey,
+  revokeApiKey: convexRevokeApiKey,
+  listAgents: convexListAgents,
+  pageAgents: convexPageAgents,
+  getAgent: convexGetAgent,
+  createAgent: convexCreateAgent,
+  patchAgent: convexPatchAgent,
+  heartbeatAgent: convexHeartbeatAgent,
+  listTasks: convexListTasks,
+  pageTasks: convexPageTasks,
+  getTask: convexGetTask,
+  createTask: convexCreateTask,
+  patchTask: convexPatchTask,
+  assignTask: convexAssignTask,
+  claimTask: convexClaimTask,
+  expireTaskLeases: convexExpireTaskLeases,
+  listTaskEvents: convexListTaskEvents,
+  addTaskEvent: convexAddTaskEvent,
+  listCommands: convexListCommands,
+  pageCommands: convexPageCommands,
+  getCommand: convexGetCommand,
+  createCommand: convexCreateCommand,
+  deliverCommands: convexDeliverCommands,
+  sweepCommands: convexSweepCommands,
+  ackCommand: convexAckCommand,
+  listAlerts: convexListAlerts,
+  pageAlerts: convexPageAlerts,
+  getAlert: convexGetAlert,
+  createAlert: convexCreateAlert,
+  patchAlertStatus: convexPatchAlertStatus,
+  addAuditEntry: convexAddAuditEntry,
+  pageAuditLog: convexPageAuditLog,
+  listWebhooks: convexListWebhooks,
+  getWebhook: convexGetWebhook,
+  createWebhook: convexCreateWebhook,
+  patchWebhook: convexPatchWebhook,
+  createWebhookDelivery: convexCreateWebhookDelivery,
+  claimWebhookDeliveries: convexClaimWebhookDeliveries,
+  recordWebhookAttempt: convexRecordWebhookAttempt,
+  requeueWebhookDelivery: convexRequeueWebhookDelivery,
+  pageWebhookDeliveries: convexPageWebhookDeliveries,
+  beginIdempotentRequest: convexBeginIdempotentRequest,
+  completeIdempotentRequest: convexCompleteIdempotentRequest,
+  releaseIdempotentRequest: convexReleaseIdempotentRequest,
+  purgeIdempotencyKeys: convexPurgeIdempotencyKeys
+};
+
+const sqliteBackend = {
+  name: "sqlite",
+  configured: () => true,
+  runWithContext: runWithSqliteContext,
+  resolveApiKey: sqliteResolveApiKey,
+  touchApiKeys: sqliteTouchApiKeys,
+  bootstrapDefaultTenant: sqliteBootstrapDefaultTenant,
+  listOrganizations: sqliteListOrganizations,
+  createOrganization: sqliteCreateOrganization,
+  setOrganizationStatus: sqliteSetOrganizationStatus,
+  listUsers: sqliteListUsers,
+  createUser: sqliteCreateUser,
+  setUserStatus: sqliteSetUserStatus,
+  createApiKey: sqliteCreateApiKey,
+  listApiKeys: sqliteListApiKeys,
+  rotateApiKey: sqliteRotateApiKey,
+  revokeApiKey: sqliteRevokeApiKey,
+  listAgents: sqliteListAgents,
+  pageAgents: sqlitePageAgents,
+  getAgent: sqliteGetAgent,
+  createAgent: sqliteCreateAgent,
+  patchAgent: sqlitePatchAgent,
+  heartbeatAgent: sqliteHeartbeatAgent,
+  listTasks: sqliteListTasks,
+  pageTasks: sqlitePageTasks,
+  getTask: sqliteGetTask,
+  createTask: sqliteCreateTask,
+  patchTask: sqlitePatchTask,
+  assignTask: sqliteAssignTask,
+  claimTask: sqliteClaimTask,
+  expireTaskLeases: sqliteExpireTaskLeases,
+  listTaskEvents: sqliteListTaskEvents,
+  addTaskEvent: sqliteAddTaskEvent,
+  listCommands: sqliteListCommands,
+  pageCommands: sqlitePageCommands,
+  getCommand: sqliteGetCommand,
+  createCommand: sqliteCreateCommand,
+  deliverCommands: sqliteDeliverCommands,
+  sweepCommands: sqliteSweepCommands,
+  ackCommand: sqliteAckCommand,
+  listAlerts: sqliteListAlerts,
+  pageAlerts: sqlitePageAlerts,
+  getAlert: sqliteGetAlert,
+  createAlert: sqliteCreateAlert,
+  patchAlertStatus: sqlitePatchAlertStatus,
+  addAuditEntry: sqliteAddAuditEntry,
+  pageAuditLog: sqlitePageAuditLog,
+  listWebhooks: sqliteListWebhooks,
+  getWebhook: sqliteGetWebhook,
+  createWebhook: sqliteCreateWebhook,
+  patchWebhook: sqlitePatchWebhook,
+  createWebhookDelivery: sqliteCreateWebhookDelivery,
+  claimWebhookDeliveries: sqliteClaimWebhookDeliveries,
+  recordWebhookAttempt: sqliteRecordWebhookAttempt,
+  requeueWebhookDelivery: sqliteRequeueWebhookDelivery,
+  pageWebhookDeliveries: sqlitePageWebhookDeliveries,
+  beginIdempotentRequest: sqliteBeginIdempotentRequest,
+  completeIdempotentRequest: sqliteCompleteIdempotentRequest,
+  releaseIdempotentRequest: sqliteReleaseIdempotentRequest,
+  purgeIdempotencyKeys: sqlitePurgeIdempotencyKeys
+};
+
+export function createDataBackend(name) {
+  if (name === "convex") return convexBackend;
+  if (name === "sqlite") return sqliteBackend;
+  throw new Error(`Unsupported DATA_BACKEND "${name}". Use one of: ${Array.from(DATA_BACKENDS).join(", ")}.`);
+}
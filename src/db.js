@@ -1,7 +1,103 @@
 import sqlite3 from "sqlite3";
 import { open } from "sqlite";
 
-const databaseUrl = process.env.DATABASE_URL || "./control_plane.db";
+function databaseUrl() {
+  return process.env.DATABASE_URL || "./control_plane.db";
+}
+
+// Ids of these tables are chosen by clients and only unique within an
+// organization, so every key (and every reference between them) includes
+// organization_id. Kept apart from the main schema so legacy tables keyed on
+// id alone can be rebuilt with the same definition.
+const ORG_SCOPED_TABLES = {
+  agents: `
+    id TEXT NOT NULL,
+    organization_id TEXT NOT NULL DEFAULT 'default-org',
+    name TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'worker',
+    host TEXT NOT NULL DEFAULT 'openclaw-macmini',
+    supervisor_id TEXT NULL,
+    status TEXT NOT NULL DEFAULT 'online',
+    capabilities TEXT NOT NULL DEFAULT '[]',
+    last_heartbeat_at TEXT NOT NULL,
+    load REAL NULL,
+    queue_depth INTEGER NULL,
+    current_task_id TEXT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY (organization_id, id),
+    FOREIGN KEY (organization_id, supervisor_id) REFERENCES agents(organization_id, id)`,
+  tasks: `
+    id TEXT NOT NULL,
+    organization_id TEXT NOT NULL DEFAULT 'default-org',
+    title TEXT NOT NULL,
+    description TEXT NULL,
+    assigned_agent_id TEXT NULL,
+    status TEXT NOT NULL DEFAULT 'queued',
+    progress INTEGER NOT NULL DEFAULT 0,
+    priority TEXT NOT NULL DEFAULT 'normal',
+    required_capabilities TEXT NOT NULL DEFAULT '[]',
+    depends_on TEXT NOT NULL DEFAULT '[]',
+    on_dependency_failure TEXT NOT NULL DEFAULT 'fail',
+    on_agent_offline TEXT NOT NULL DEFAULT 'requeue',
+    parent_task_id TEXT NULL,
+    retry_policy TEXT NULL,
+    attempt INTEGER NOT NULL DEFAULT 1,
+    retry_at TEXT NULL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    started_at TEXT NULL,
+    finished_at TEXT NULL,
+    lease_sec REAL NULL,
+    lease_expires_at TEXT NULL,
+    version INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY (organization_id, id),
+    FOREIGN KEY (organization_id, assigned_agent_id) REFERENCES agents(organization_id, id)`,
+  task_events: `
+    id TEXT NOT NULL,
+    organization_id TEXT NOT NULL DEFAULT 'default-org',
+    task_id TEXT NOT NULL,
+    agent_id TEXT NULL,
+    type TEXT NOT NULL,
+    message TEXT NULL,
+    payload TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL,
+    PRIMARY KEY (organization_id, id),
+    FOREIGN KEY (organization_id, task_id) REFERENCES tasks(organization_id, id) ON DELETE CASCADE,
+    FOREIGN KEY (organization_id, agent_id) REFERENCES agents(organization_id, id)`,
+  commands: `
+    id TEXT NOT NULL,
+    organization_id TEXT NOT NULL DEFAULT 'default-org',
+    agent_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'queued',
+    created_by TEXT NOT NULL DEFAULT 'operator',
+    acked_by TEXT NULL,
+    ack_message TEXT NULL,
+    expires_at TEXT NULL,
+    delivery_attempts INTEGER NOT NULL DEFAULT 0,
+    delivered_at TEXT NULL,
+    history TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (organization_id, id),
+    FOREIGN KEY (organization_id, agent_id) REFERENCES agents(organization_id, id) ON DELETE CASCADE`,
+  alerts: `
+    id TEXT NOT NULL,
+    organization_id TEXT NOT NULL DEFAULT 'default-org',
+    severity TEXT NOT NULL,
+    type TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    message TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (organization_id, id)`
+};
 
 async function ensureColumn(db, table, column, definition) {
   const rows = await db.all(`PRAGMA table_info(${table})`);
@@ -11,104 +107,194 @@ async function ensureColumn(db, table, column, definition) {
   }
 }
 
+// Databases created before ids were scoped per organization key these tables
+// on id alone. SQLite cannot change a primary key in place, so each one is
+// rebuilt: copy into a table with the current definition, drop, rename back.
+async function migrateToOrgScopedKeys(db) {
+  const legacy = [];
+  for (const table of Object.keys(ORG_SCOPED_TABLES)) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (columns.filter((column) => column.pk > 0).length === 1) legacy.push(table);
+  }
+  if (legacy.length === 0) return;
+
+  await db.exec("PRAGMA foreign_keys = OFF");
+  await db.exec("BEGIN IMMEDIATE");
+  try {
+    for (const table of legacy) {
+      await db.exec(`CREATE TABLE ${table}__rebuilt (${ORG_SCOPED_TABLES[table]})`);
+      const columns = (await db.all(`PRAGMA table_info(${table}__rebuilt)`)).map((column) => column.name).join(", ");
+      await db.exec(`INSERT INTO ${table}__rebuilt (${columns}) SELECT ${columns} FROM ${table}`);
+      await db.exec(`DROP TABLE ${table}`);
+      await db.exec(`ALTER TABLE ${table}__rebuilt RENAME TO ${table}`);
+    }
+    await db.exec("COMMIT");
+  } catch (err) {
+    await db.exec("ROLLBACK");
+    throw err;
+  } finally {
+    await db.exec("PRAGMA foreign_keys = ON");
+  }
+}
+
 export async function createDb() {
   const db = await open({
-    filename: databaseUrl,
+    filename: databaseUrl(),
     driver: sqlite3.Database
   });
 
   await db.exec(`
     PRAGMA foreign_keys = ON;
 
-    CREATE TABLE IF NOT EXISTS agents (
+    CREATE TABLE IF NOT EXISTS organizations (
       id TEXT PRIMARY KEY,
       name TEXT NOT NULL,
-      role TEXT NOT NULL DEFAULT 'worker',
-      host TEXT NOT NULL DEFAULT 'openclaw-macmini',
-      supervisor_id TEXT NULL REFERENCES agents(id),
-      status TEXT NOT NULL DEFAULT 'online',
-      capabilities TEXT NOT NULL DEFAULT '[]',
-      last_heartbeat_at TEXT NOT NULL,
-      load REAL NULL,
-      queue_depth INTEGER NULL,
-      current_task_id TEXT NULL,
       created_at TEXT NOT NULL,
-      updated_at TEXT NOT NULL,
-      version INTEGER NOT NULL DEFAULT 1
+      updated_at TEXT NOT NULL
     );
 
-    CREATE INDEX IF NOT EXISTS idx_agents_supervisor ON agents(supervisor_id);
-    CREATE INDEX IF NOT EXISTS idx_agents_status ON agents(status);
-    CREATE INDEX IF NOT EXISTS idx_agents_heartbeat ON agents(last_heartbeat_at);
-
-    CREATE TABLE IF NOT EXISTS tasks (
+    CREATE TABLE IF NOT EXISTS users (
       id TEXT PRIMARY KEY,
-      title TEXT NOT NULL,
-      description TEXT NULL,
-      assigned_agent_id TEXT NULL REFERENCES agents(id),
-      status TEXT NOT NULL DEFAULT 'queued',
-      progress INTEGER NOT NULL DEFAULT 0,
-      priority TEXT NOT NULL DEFAULT 'normal',
-      metadata TEXT NOT NULL DEFAULT '{}',
+      organization_id TEXT NOT NULL REFERENCES organizations(id),
+      email TEXT NULL,
+      name TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_users_org ON users(organization_id);
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      key_id TEXT PRIMARY KEY,
+      organization_id TEXT NOT NULL REFERENCES organizations(id),
+      user_id TEXT NOT NULL REFERENCES users(id),
+      name TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      secret_hash TEXT NOT NULL UNIQUE,
       created_at TEXT NOT NULL,
       updated_at TEXT NOT NULL,
-      started_at TEXT NULL,
-      finished_at TEXT NULL,
-      version INTEGER NOT NULL DEFAULT 1
+      last_used_at TEXT NULL,
+      revoked_at TEXT NULL,
+      expires_at TEXT NULL
     );
 
-    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
-    CREATE INDEX IF NOT EXISTS idx_tasks_agent ON tasks(assigned_agent_id);
+    CREATE INDEX IF NOT EXISTS idx_api_keys_org_user ON api_keys(organization_id, user_id);
 
-    CREATE TABLE IF NOT EXISTS task_events (
+    CREATE TABLE IF NOT EXISTS audit_log (
       id TEXT PRIMARY KEY,
-      task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
-      agent_id TEXT NULL REFERENCES agents(id),
-      type TEXT NOT NULL,
-      message TEXT NULL,
-      payload TEXT NOT NULL DEFAULT '{}',
+      organization_id TEXT NOT NULL,
+      request_id TEXT NULL,
+      actor_user_id TEXT NULL,
+      actor_key_id TEXT NULL,
+      actor_agent_id TEXT NULL,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      changes TEXT NOT NULL DEFAULT '{}',
       created_at TEXT NOT NULL
     );
 
-    CREATE INDEX IF NOT EXISTS idx_task_events_task_created ON task_events(task_id, created_at);
+    CREATE TABLE IF NOT EXISTS webhooks (
+      organization_id TEXT NOT NULL,
+      id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      event_types TEXT NOT NULL DEFAULT '[]',
+      secret TEXT NOT NULL,
+      status TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (organization_id, id)
+    );
 
-    CREATE TABLE IF NOT EXISTS commands (
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
       id TEXT PRIMARY KEY,
-      agent_id TEXT NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
-      type TEXT NOT NULL,
+      organization_id TEXT NOT NULL,
+      webhook_id TEXT NOT NULL,
+      event_type TEXT NOT NULL,
       payload TEXT NOT NULL DEFAULT '{}',
-      status TEXT NOT NULL DEFAULT 'queued',
-      created_by TEXT NOT NULL DEFAULT 'operator',
-      acked_by TEXT NULL,
-      ack_message TEXT NULL,
-      expires_at TEXT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL,
+      last_attempt_at TEXT NULL,
+      response_status INTEGER NULL,
+      last_error TEXT NULL,
       created_at TEXT NOT NULL,
       updated_at TEXT NOT NULL
     );
 
-    CREATE INDEX IF NOT EXISTS idx_commands_agent_status ON commands(agent_id, status);
-    CREATE INDEX IF NOT EXISTS idx_commands_created_at ON commands(created_at);
-
-    CREATE TABLE IF NOT EXISTS alerts (
-      id TEXT PRIMARY KEY,
-      severity TEXT NOT NULL,
-      type TEXT NOT NULL,
-      entity_type TEXT NOT NULL,
-      entity_id TEXT NOT NULL,
-      message TEXT NOT NULL,
-      status TEXT NOT NULL DEFAULT 'open',
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      organization_id TEXT NOT NULL,
+      key TEXT NOT NULL,
+      fingerprint TEXT NOT NULL,
+      status TEXT NOT NULL,
+      status_code INTEGER NULL,
+      response_body TEXT NULL,
+      locked_until TEXT NOT NULL,
       created_at TEXT NOT NULL,
-      updated_at TEXT NOT NULL
+      expires_at TEXT NOT NULL,
+      PRIMARY KEY (organization_id, key)
     );
 
-    CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
-    CREATE INDEX IF NOT EXISTS idx_alerts_entity ON alerts(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires ON idempotency_keys(expires_at);
   `);
+  for (const [table, definition] of Object.entries(ORG_SCOPED_TABLES)) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS ${table} (${definition})`);
+  }
 
   await ensureColumn(db, "agents", "version", "INTEGER NOT NULL DEFAULT 1");
   await ensureColumn(db, "tasks", "started_at", "TEXT NULL");
   await ensureColumn(db, "tasks", "finished_at", "TEXT NULL");
   await ensureColumn(db, "tasks", "version", "INTEGER NOT NULL DEFAULT 1");
+  await ensureColumn(db, "tasks", "required_capabilities", "TEXT NOT NULL DEFAULT '[]'");
+  await ensureColumn(db, "tasks", "depends_on", "TEXT NOT NULL DEFAULT '[]'");
+  await ensureColumn(db, "tasks", "on_dependency_failure", "TEXT NOT NULL DEFAULT 'fail'");
+  await ensureColumn(db, "tasks", "on_agent_offline", "TEXT NOT NULL DEFAULT 'requeue'");
+  await ensureColumn(db, "tasks", "parent_task_id", "TEXT NULL");
+  await ensureColumn(db, "tasks", "retry_policy", "TEXT NULL");
+  await ensureColumn(db, "tasks", "attempt", "INTEGER NOT NULL DEFAULT 1");
+  await ensureColumn(db, "tasks", "retry_at", "TEXT NULL");
+  await ensureColumn(db, "tasks", "lease_sec", "REAL NULL");
+  await ensureColumn(db, "tasks", "lease_expires_at", "TEXT NULL");
+  await ensureColumn(db, "organizations", "status", "TEXT NOT NULL DEFAULT 'active'");
+  await ensureColumn(db, "api_keys", "scopes", "TEXT NULL");
+  await ensureColumn(db, "api_keys", "agent_id", "TEXT NULL");
+  await ensureColumn(db, "api_keys", "include_subtree", "INTEGER NOT NULL DEFAULT 0");
+  await ensureColumn(db, "commands", "delivery_attempts", "INTEGER NOT NULL DEFAULT 0");
+  await ensureColumn(db, "commands", "delivered_at", "TEXT NULL");
+  await ensureColumn(db, "commands", "history", "TEXT NOT NULL DEFAULT '[]'");
+  for (const table of ["agents", "tasks", "task_events", "commands", "alerts"]) {
+    await ensureColumn(db, table, "organization_id", "TEXT NOT NULL DEFAULT 'default-org'");
+  }
+  await migrateToOrgScopedKeys(db);
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_agents_supervisor ON agents(supervisor_id);
+    CREATE INDEX IF NOT EXISTS idx_agents_status ON agents(status);
+    CREATE INDEX IF NOT EXISTS idx_agents_heartbeat ON agents(last_heartbeat_at);
+    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+    CREATE INDEX IF NOT EXISTS idx_tasks_agent ON tasks(assigned_agent_id);
+    CREATE INDEX IF NOT EXISTS idx_task_events_task_created ON task_events(task_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_commands_agent_status ON commands(agent_id, status);
+    CREATE INDEX IF NOT EXISTS idx_commands_created_at ON commands(created_at);
+    CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts(status);
+    CREATE INDEX IF NOT EXISTS idx_alerts_entity ON alerts(entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_agents_org ON agents(organization_id, id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_org_status ON tasks(organization_id, status);
+    CREATE INDEX IF NOT EXISTS idx_task_events_org_task ON task_events(organization_id, task_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_commands_org_agent_status ON commands(organization_id, agent_id, status);
+    CREATE INDEX IF NOT EXISTS idx_alerts_org_status ON alerts(organization_id, status);
+    CREATE INDEX IF NOT EXISTS idx_agents_org_created ON agents(organization_id, created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_org_updated ON tasks(organization_id, updated_at, id);
+    CREATE INDEX IF NOT EXISTS idx_commands_org_created ON commands(organization_id, created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_alerts_org_created ON alerts(organization_id, created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_org_created ON audit_log(organization_id, created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_org_entity ON audit_log(organization_id, entity_type, entity_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_org_actor ON audit_log(organization_id, actor_user_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_org_created ON webhook_deliveries(organization_id, created_at, id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_org_webhook ON webhook_deliveries(organization_id, webhook_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_org_due ON webhook_deliveries(organization_id, status, next_attempt_at);
+  `);
 
   return db;
 }
@@ -0,0 +1,57 @@
+import { forEachOrganization, startPeriodicJob } from "./periodicJob.js";
+
+export const AGENT_OFFLINE_ALERT_TYPE = "agent_offline";
+
+// Losing a supervisor or orchestrator stalls every agent below it.
+const OFFLINE_SEVERITY_BY_ROLE = {
+  worker: "warn",
+  supervisor: "critical",
+  orchestrator: "critical"
+};
+
+// One alert per offline period: the id is derived from the last heartbeat, so
+// repeated sweeps (or several API instances) cannot open duplicates.
+function offlineAlertId(agent) {
+  return `agent-offline:${agent.id}:${agent.last_heartbeat_at}`;
+}
+
+async function checkOrganization(backend, offlineAfterSec, nowMs) {
+  const agents = await backend.listAgents();
+  const offline = agents.filter((agent) => nowMs - Date.parse(agent.last_heartbeat_at) > offlineAfterSec * 1000);
+  if (offline.length === 0) return;
+
+  const alerts = await backend.listAlerts();
+  const knownIds = new Set(alerts.map((alert) => alert.id));
+  const alerted = new Set(alerts.filter((alert) => alert.type === AGENT_OFFLINE_ALERT_TYPE && alert.status !== "closed").map((alert) => alert.entity_id));
+
+  for (const agent of offline) {
+    const id = offlineAlertId(agent);
+    if (alerted.has(agent.id) || knownIds.has(id)) continue;
+    const silentSec = Math.round((nowMs - Date.parse(agent.last_heartbeat_at)) / 1000);
+    const ts = new Date(nowMs).toISOString();
+    try {
+      await backend.createAlert({
+        id,
+        severity: OFFLINE_SEVERITY_BY_ROLE[agent.role] ?? "warn",
+        type: AGENT_OFFLINE_ALERT_TYPE,
+        entity_type: "agent",
+        entity_id: agent.id,
+        message: `Agent ${agent.name} (${agent.role}) has not sent a heartbeat for ${silentSec}s`,
+        status: "open",
+        created_at: ts,
+        updated_at: ts
+      });
+    } catch (err) {
+      if (!(err instanceof Error && err.message === "ALERT_EXISTS")) throw err;
+    }
+  }
+}
+
+// Raises `agent_offline` alerts for agents that crossed the heartbeat
+// threshold. The alert is closed by the heartbeat write itself once the agent
+// reports again.
+export function startHeartbeatWatchdog(backend, { intervalSec, offlineAfterSec }) {
+  return startPeriodicJob("Heartbeat watchdog", intervalSec, () =>
+    forEachOrganization(backend, () => checkOrganization(backend, offlineAfterSec, Date.now()))
+  );
+}
@@ -0,0 +1,1369 @@
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+
+// In-process stand-in for the Convex deployment. It speaks the same `op`
+// protocol as the `/control-plane-api` httpAction in convex/http.ts and keeps
+// the documents in the shapes declared by convex/schema.ts, so the handlers
+// below can follow convex/controlPlane.ts line by line. Argument validators
+// are not enforced here; the Node layer validates before calling.
+
+const DEFAULT_ORGANIZATION_ID = "default-org";
+const DEFAULT_USER_ID = "default-user";
+
+const AGENT_OFFLINE_ALERT_TYPE = "agent_offline";
+
+const COMMAND_TRANSITIONS = {
+  queued: ["delivered", "acked", "failed", "expired"],
+  delivered: ["queued", "delivered", "acked", "failed", "expired"],
+  acked: [],
+  failed: [],
+  expired: []
+};
+
+const TASK_PRIORITY_RANK = { urgent: 0, high: 1, normal: 2, low: 3 };
+
+const TABLES = ["organizations", "users", "api_keys", "agents", "agent_events", "agent_snapshots", "tasks", "task_events", "commands", "alerts", "audit_log", "webhooks", "webhook_deliveries", "idempotency_keys"];
+
+// Stand-in for `ConvexError` from convex/values: carries a domain error code
+// that the httpAction turns into a 409.
+class ConvexError extends Error {
+  constructor(data) {
+    super(String(data));
+    this.data = data;
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function createStore() {
+  const tables = Object.fromEntries(TABLES.map((name) => [name, []]));
+  let nextId = 1;
+  return {
+    first(table, predicate) {
+      return tables[table].find(predicate) ?? null;
+    },
+    collect(table, predicate = () => true) {
+      return tables[table].filter(predicate);
+    },
+    insert(table, doc) {
+      const row = { _id: `${table}:${nextId++}`, ...doc };
+      tables[table].push(row);
+      return row._id;
+    },
+    patch(row, fields) {
+      Object.assign(row, fields);
+    },
+    delete(table, row) {
+      tables[table] = tables[table].filter((candidate) => candidate !== row);
+    }
+  };
+}
+
+function rowToAgent(row) {
+  const createdAt = row.created_at ?? row.updated_at ?? row.source_updated_at ?? new Date(0).toISOString();
+  const updatedAt = row.updated_at ?? row.source_updated_at ?? createdAt;
+  const version = row.version ?? row.source_version ?? 1;
+  return {
+    id: row.agent_id,
+    name: row.name,
+    role: row.role,
+    host: row.host,
+    supervisor_id: row.supervisor_id,
+    status: row.status,
+    capabilities: row.capabilities,
+    last_heartbeat_at: row.last_heartbeat_at,
+    load: row.load,
+    queue_depth: row.queue_depth,
+    current_task_id: row.current_task_id,
+    created_at: createdAt,
+    updated_at: updatedAt,
+    version
+  };
+}
+
+function rowToTask(row) {
+  return {
+    id: row.task_id,
+    title: row.title,
+    description: row.description,
+    assigned_agent_id: row.assigned_agent_id,
+    status: row.status,
+    progress: row.progress,
+    priority: row.priority,
+    required_capabilities: row.required_capabilities ?? [],
+    depends_on: row.depends_on ?? [],
+    on_dependency_failure: row.on_dependency_failure ?? "fail",
+    on_agent_offline: row.on_agent_offline ?? "requeue",
+    parent_task_id: row.parent_task_id ?? null,
+    retry_policy: row.retry_policy ?? null,
+    attempt: row.attempt ?? 1,
+    retry_at: row.retry_at ?? null,
+    metadata: row.metadata ?? {},
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    lease_sec: row.lease_sec ?? null,
+    lease_expires_at: row.lease_expires_at ?? null,
+    version: row.version
+  };
+}
+
+function byPriorityThenAge(a, b) {
+  const rank = (TASK_PRIORITY_RANK[a.priority] ?? TASK_PRIORITY_RANK.normal) - (TASK_PRIORITY_RANK[b.priority] ?? TASK_PRIORITY_RANK.normal);
+  if (rank !== 0) return rank;
+  return String(a.created_at).localeCompare(String(b.created_at));
+}
+
+// Keyset cursors: the (sort value, id) of the last returned item, so a page
+// stays stable while rows are inserted in front of it.
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new ConvexError("INVALID_CURSOR");
+  }
+  if (!Array.isArray(key) || key.length !== 2 || !key.every((part) => typeof part === "string")) {
+    throw new ConvexError("INVALID_CURSOR");
+  }
+  return key;
+}
+
+function pageItems(items, sortField, order, args) {
+  const direction = order === "desc" ? -1 : 1;
+  const compare = (a, b) => direction * (a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+  let entries = items.map((item) => ({ item, key: [String(item[sortField]), item.id] })).sort((a, b) => compare(a.key, b.key));
+  let offset = args.offset ?? 0;
+  if (args.cursor !== null && args.cursor !== undefined) {
+    const after = decodeCursor(args.cursor);
+    entries = entries.filter((entry) => compare(entry.key, after) > 0);
+    offset = 0;
+  }
+  const page = entries.slice(offset, offset + args.limit);
+  const hasMore = entries.length > offset + args.limit;
+  return { items: page.map((entry) => entry.item), next_cursor: hasMore ? encodeCursor(page[page.length - 1].key) : null };
+}
+
+function hasActiveLease(row, ts) {
+  return row.status === "running" && Boolean(row.lease_expires_at) && Date.parse(row.lease_expires_at) > Date.parse(ts);
+}
+
+function leaseExpiry(ts, leaseSec) {
+  return new Date(Date.parse(ts) + leaseSec * 1000).toISOString();
+}
+
+function rowToTaskEvent(row) {
+  return {
+    id: row.event_id,
+    task_id: row.task_id,
+    agent_id: row.agent_id,
+    type: row.type,
+    message: row.message,
+    payload: row.payload ?? {},
+    created_at: row.created_at
+  };
+}
+
+function rowToCommand(row) {
+  return {
+    id: row.command_id,
+    agent_id: row.agent_id,
+    type: row.type,
+    payload: row.payload ?? {},
+    status: row.status,
+    created_by: row.created_by,
+    acked_by: row.acked_by,
+    ack_message: row.ack_message,
+    expires_at: row.expires_at,
+    delivery_attempts: row.delivery_attempts ?? 0,
+    delivered_at: row.delivered_at ?? null,
+    history: row.history ?? [],
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function commandTransition(row, status, actor, message, ts) {
+  if (!COMMAND_TRANSITIONS[row.status]?.includes(status)) throw new ConvexError("INVALID_COMMAND_TRANSITION");
+  const entry = { status, previous_status: row.status, actor, message, at: ts };
+  return { status, updated_at: ts, history: [...(row.history ?? []), entry] };
+}
+
+function isPastExpiry(row, nowMs) {
+  return Boolean(row.expires_at) && Date.parse(row.expires_at) <= nowMs;
+}
+
+function isDeliveryStale(row, nowMs, redeliverAfterSec) {
+  return row.status === "delivered" && Boolean(row.delivered_at) && Date.parse(row.delivered_at) + redeliverAfterSec * 1000 <= nowMs;
+}
+
+// A stale delivery that already used up its attempts is failed instead of
+// being delivered (or requeued) again.
+function exhaustDelivery(row, ts) {
+  return {
+    ...commandTransition(row, "failed", "system", "Delivery attempts exhausted", ts),
+    ack_message: "Delivery attempts exhausted"
+  };
+}
+
+function rowToAlert(row) {
+  return {
+    id: row.alert_id,
+    severity: row.severity,
+    type: row.type,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    message: row.message,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToAuditEntry(row) {
+  return {
+    id: row.audit_id,
+    request_id: row.request_id,
+    actor_user_id: row.actor_user_id,
+    actor_key_id: row.actor_key_id,
+    actor_agent_id: row.actor_agent_id,
+    action: row.action,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    changes: row.changes ?? {},
+    created_at: row.created_at
+  };
+}
+
+function rowToWebhook(row) {
+  return {
+    id: row.webhook_id,
+    url: row.url,
+    event_types: row.event_types ?? [],
+    secret: row.secret,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToWebhookDelivery(row) {
+  return {
+    id: row.delivery_id,
+    webhook_id: row.webhook_id,
+    event_type: row.event_type,
+    payload: row.payload ?? {},
+    status: row.status,
+    attempts: row.attempts ?? 0,
+    next_attempt_at: row.next_attempt_at,
+    last_attempt_at: row.last_attempt_at ?? null,
+    response_status: row.response_status ?? null,
+    last_error: row.last_error ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToOrganization(row) {
+  return {
+    id: row.organization_id,
+    name: row.name,
+    status: row.status ?? "active",
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToUser(row) {
+  return {
+    id: row.user_id,
+    organization_id: row.organization_id,
+    email: row.email,
+    name: row.name,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToApiKeyMeta(row) {
+  return {
+    key_id: row.key_id,
+    user_id: row.user_id,
+    name: row.name,
+    prefix: row.prefix,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at,
+    expires_at: row.expires_at,
+    scopes: row.scopes ?? null,
+    agent_id: row.agent_id ?? null,
+    include_subtree: row.include_subtree ?? false
+  };
+}
+
+function sha256Hex(input) {
+  return createHash("sha256").update(input).digest("hex");
+}
+
+function buildRawApiKey() {
+  return `ak_${randomBytes(16).toString("hex")}${randomBytes(16).toString("hex")}`;
+}
+
+function apiKeyPrefix(rawKey) {
+  return rawKey.slice(0, 12);
+}
+
+function findOrgUser(db, organizationId, userId) {
+  return db.first("users", (r) => r.organization_id === organizationId && r.user_id === userId);
+}
+
+function findAgentRow(db, organizationId, agentId) {
+  return db.first("agents", (r) => r.organization_id === organizationId && r.agent_id === agentId);
+}
+
+function findTaskRow(db, organizationId, taskId) {
+  return db.first("tasks", (r) => r.organization_id === organizationId && r.task_id === taskId);
+}
+
+function findCommandRow(db, organizationId, commandId) {
+  return db.first("commands", (r) => r.organization_id === organizationId && r.command_id === commandId);
+}
+
+function findAlertRow(db, organizationId, alertId) {
+  return db.first("alerts", (r) => r.organization_id === organizationId && r.alert_id === alertId);
+}
+
+function findWebhookRow(db, organizationId, webhookId) {
+  return db.first("webhooks", (r) => r.organization_id === organizationId && r.webhook_id === webhookId);
+}
+
+function findWebhookDeliveryRow(db, organizationId, deliveryId) {
+  return db.first("webhook_deliveries", (r) => r.organization_id === organizationId && r.delivery_id === deliveryId);
+}
+
+function agentDoc(organizationId, agent) {
+  return {
+    organization_id: organizationId,
+    agent_id: agent.id,
+    name: agent.name,
+    role: agent.role,
+    host: agent.host,
+    supervisor_id: agent.supervisor_id,
+    status: agent.status,
+    capabilities: agent.capabilities,
+    last_heartbeat_at: agent.last_heartbeat_at,
+    load: agent.load,
+    queue_depth: agent.queue_depth,
+    current_task_id: agent.current_task_id,
+    created_at: agent.created_at,
+    updated_at: agent.updated_at,
+    version: agent.version
+  };
+}
+
+const handlers = {
+  getAgent(db, args) {
+    const row = findAgentRow(db, args.organization_id, args.agent_id);
+    return row ? rowToAgent(row) : null;
+  },
+
+  listAgents(db, args) {
+    return db.collect("agents", (r) => r.organization_id === args.organization_id).map(rowToAgent);
+  },
+
+  pageAgents(db, args) {
+    const rows = db.collect("agents", (r) =>
+      r.organization_id === args.organization_id &&
+      (args.status === undefined || r.status === args.status) &&
+      (args.role === undefined || r.role === args.role) &&
+      (args.host === undefined || r.host === args.host) &&
+      (args.supervisor_id === undefined || (r.supervisor_id ?? null) === args.supervisor_id)
+    );
+    return pageItems(rows.map(rowToAgent), "created_at", "asc", args);
+  },
+
+  createAgent(db, args) {
+    if (findAgentRow(db, args.organization_id, args.agent.id)) throw new ConvexError("AGENT_EXISTS");
+    db.insert("agents", agentDoc(args.organization_id, args.agent));
+    return args.agent;
+  },
+
+  patchAgent(db, args) {
+    const row = findAgentRow(db, args.organization_id, args.agent_id);
+    if (!row) return null;
+    if (args.expected_version !== undefined && (row.version ?? 1) !== args.expected_version) throw new ConvexError("VERSION_MISMATCH");
+
+    const next = {
+      name: args.patch.name ?? row.name,
+      role: args.patch.role ?? row.role,
+      host: args.patch.host ?? row.host,
+      supervisor_id: args.has_supervisor_id ? args.patch.supervisor_id ?? null : row.supervisor_id,
+      status: args.patch.status ?? row.status,
+      capabilities: args.patch.capabilities ?? row.capabilities,
+      load: args.patch.load === undefined ? row.load : args.patch.load,
+      queue_depth: args.patch.queue_depth === undefined ? row.queue_depth : args.patch.queue_depth,
+      current_task_id: args.has_current_task_id ? args.patch.current_task_id ?? null : row.current_task_id,
+      updated_at: args.updated_at,
+      version: (row.version ?? 1) + 1
+    };
+
+    db.patch(row, next);
+    return rowToAgent(row);
+  },
+
+  upsertAgentHeartbeat(db, args) {
+    const row = findAgentRow(db, args.organization_id, args.agent_id);
+    if (!row) {
+      const created = {
+        id: args.agent_id,
+        name: args.payload.name ?? `agent-${args.agent_id}`,
+        role: args.payload.role,
+        host: args.payload.host,
+        supervisor_id: args.payload.supervisor_id,
+        status: args.payload.status,
+        capabilities: args.payload.capabilities,
+        last_heartbeat_at: args.ts,
+        load: args.payload.load,
+        queue_depth: args.payload.queue_depth,
+        current_task_id: args.payload.current_task_id,
+        created_at: args.ts,
+        updated_at: args.ts,
+        version: 1
+      };
+      db.insert("agents", agentDoc(args.organization_id, created));
+      return { agent: created, created: true };
+    }
+
+    db.patch(row, {
+      name: args.payload.name ?? row.name,
+      role: args.payload.role,
+      host: args.payload.host,
+      supervisor_id: args.payload.supervisor_id,
+      status: args.payload.status,
+      capabilities: args.payload.capabilities,
+      last_heartbeat_at: args.ts,
+      load: args.payload.load,
+      queue_depth: args.payload.queue_depth,
+      current_task_id: args.payload.current_task_id,
+      updated_at: args.ts,
+      version: (row.version ?? 1) + 1
+    });
+
+    const resolvedAlerts = [];
+    for (const task of db.collect("tasks", (r) => r.organization_id === args.organization_id && r.assigned_agent_id === args.agent_id)) {
+      if (task.lease_sec != null && hasActiveLease(task, args.ts)) db.patch(task, { lease_expires_at: leaseExpiry(args.ts, task.lease_sec) });
+    }
+
+    for (const alert of db.collect("alerts", (r) => r.organization_id === args.organization_id && r.entity_type === "agent" && r.entity_id === args.agent_id)) {
+      if (alert.type !== AGENT_OFFLINE_ALERT_TYPE || alert.status === "closed") continue;
+      db.patch(alert, { status: "closed", updated_at: args.ts });
+      resolvedAlerts.push(rowToAlert(alert));
+    }
+
+    return { agent: rowToAgent(row), created: false, resolved_alerts: resolvedAlerts };
+  },
+
+  listTasks(db, args) {
+    return db.collect("tasks", (r) => r.organization_id === args.organization_id).map(rowToTask);
+  },
+
+  pageTasks(db, args) {
+    const rows = db.collect("tasks", (r) =>
+      r.organization_id === args.organization_id &&
+      (args.status === undefined || r.status === args.status) &&
+      (args.assigned_agent_id === undefined || r.assigned_agent_id === args.assigned_agent_id) &&
+      (args.assigned_agent_ids === undefined || args.assigned_agent_ids.includes(r.assigned_agent_id)) &&
+      (args.priority === undefined || r.priority === args.priority)
+    );
+    return pageItems(rows.map(rowToTask), "updated_at", "desc", args);
+  },
+
+  getTask(db, args) {
+    const row = findTaskRow(db, args.organization_id, args.task_id);
+    return row ? rowToTask(row) : null;
+  },
+
+  createTask(db, args) {
+    if (findTaskRow(db, args.organization_id, args.task.id)) throw new ConvexError("TASK_EXISTS");
+    db.insert("tasks", {
+      organization_id: args.organization_id,
+      task_id: args.task.id,
+      title: args.task.title,
+      description: args.task.description,
+      assigned_agent_id: args.task.assigned_agent_id,
+      status: args.task.status,
+      progress: args.task.progress,
+      priority: args.task.priority,
+      required_capabilities: args.task.required_capabilities,
+      depends_on: args.task.depends_on,
+      on_dependency_failure: args.task.on_dependency_failure,
+      on_agent_offline: args.task.on_agent_offline,
+      parent_task_id: args.task.parent_task_id,
+      retry_policy: args.task.retry_policy,
+      attempt: args.task.attempt,
+      retry_at: args.task.retry_at,
+      metadata: args.task.metadata,
+      created_at: args.task.created_at,
+      updated_at: args.task.updated_at,
+      started_at: args.task.started_at,
+      finished_at: args.task.finished_at,
+      lease_sec: null,
+      lease_expires_at: null,
+      version: args.task.version
+    });
+    return args.task;
+  },
+
+  patchTask(db, args) {
+    const row = findTaskRow(db, args.organization_id, args.task_id);
+    if (!row) return null;
+    if (args.expected_version !== undefined && row.version !== args.expected_version) throw new ConvexError("VERSION_MISMATCH");
+    db.patch(row, {
+      title: args.patch.title ?? row.title,
+      description: args.has_description ? args.patch.description ?? null : row.description,
+      assigned_agent_id: args.has_assigned_agent_id ? args.patch.assigned_agent_id ?? null : row.assigned_agent_id,
+      status: args.patch.status ?? row.status,
+      progress: args.patch.progress ?? row.progress,
+      priority: args.patch.priority ?? row.priority,
+      required_capabilities: args.patch.required_capabilities ?? row.required_capabilities ?? [],
+      depends_on: args.patch.depends_on ?? row.depends_on ?? [],
+      on_dependency_failure: args.patch.on_dependency_failure ?? row.on_dependency_failure ?? "fail",
+      on_agent_offline: args.patch.on_agent_offline ?? row.on_agent_offline ?? "requeue",
+      retry_policy: args.patch.retry_policy === undefined ? row.retry_policy ?? null : args.patch.retry_policy,
+      attempt: args.patch.attempt ?? row.attempt ?? 1,
+      retry_at: args.patch.retry_at === undefined ? row.retry_at ?? null : args.patch.retry_at,
+      metadata: args.patch.metadata ?? row.metadata,
+      started_at: args.patch.started_at === undefined ? row.started_at : args.patch.started_at,
+      finished_at: args.patch.finished_at === undefined ? row.finished_at : args.patch.finished_at,
+      updated_at: args.updated_at,
+      version: row.version + 1
+    });
+    if (row.status !== "running") db.patch(row, { lease_expires_at: null });
+    return rowToTask(row);
+  },
+
+  assignTask(db, args) {
+    const row = findTaskRow(db, args.organization_id, args.task_id);
+    if (!row || row.status !== "queued" || row.assigned_agent_id !== null) return null;
+    db.patch(row, { assigned_agent_id: args.agent_id, updated_at: args.event.created_at, version: row.version + 1 });
+    db.insert("task_events", {
+      organization_id: args.organization_id,
+      event_id: args.event.id,
+      task_id: args.task_id,
+      agent_id: args.agent_id,
+      type: args.event.type,
+      message: args.event.message,
+      payload: args.event.payload,
+      created_at: args.event.created_at
+    });
+    return rowToTask(row);
+  },
+
+  claimTask(db, args) {
+    const agent = findAgentRow(db, args.organization_id, args.agent_id);
+    if (!agent) return null;
+    const capabilities = new Set(agent.capabilities ?? []);
+    const row = db
+      .collect("tasks", (r) => r.organization_id === args.organization_id && r.status === "queued")
+      .filter((r) => r.assigned_agent_id === null || r.assigned_agent_id === args.agent_id)
+      .filter((r) => (r.required_capabilities ?? []).every((capability) => capabilities.has(capability)))
+      .sort(byPriorityThenAge)[0];
+    if (!row) return null;
+
+    db.patch(row, {
+      assigned_agent_id: args.agent_id,
+      status: "running",
+      started_at: row.started_at ?? args.ts,
+      lease_sec: args.lease_sec,
+      lease_expires_at: leaseExpiry(args.ts, args.lease_sec),
+      updated_at: args.ts,
+      version: row.version + 1
+    });
+    db.patch(agent, { current_task_id: row.task_id, updated_at: args.ts, version: (agent.version ?? 1) + 1 });
+    db.insert("task_events", {
+      organization_id: args.organization_id,
+      event_id: args.event_id,
+      task_id: row.task_id,
+      agent_id: args.agent_id,
+      type: "status_changed",
+      message: `Task claimed by ${args.agent_id}`,
+      payload: { status: row.status, progress: row.progress, attempt: row.attempt ?? 1, assigned_agent_id: args.agent_id, lease_expires_at: row.lease_expires_at },
+      created_at: args.ts
+    });
+    return rowToTask(row);
+  },
+
+  expireTaskLeases(db, args) {
+    const expired = [];
+    for (const row of db.collect("tasks", (r) => r.organization_id === args.organization_id && r.status === "running")) {
+      if (!row.lease_expires_at || Date.parse(row.lease_expires_at) > Date.parse(args.ts)) continue;
+      const previousAgentId = row.assigned_agent_id;
+      db.patch(row, {
+        assigned_agent_id: null,
+        status: "queued",
+        started_at: null,
+        lease_expires_at: null,
+        updated_at: args.ts,
+        version: row.version + 1
+      });
+      const agent = previousAgentId ? findAgentRow(db, args.organization_id, previousAgentId) : null;
+      if (agent && agent.current_task_id === row.task_id) {
+        db.patch(agent, { current_task_id: null, updated_at: args.ts, version: (agent.version ?? 1) + 1 });
+      }
+      db.insert("task_events", {
+        organization_id: args.organization_id,
+        event_id: randomUUID(),
+        task_id: row.task_id,
+        agent_id: previousAgentId,
+        type: "status_changed",
+        message: "Lease expired, task returned to queue",
+        payload: { status: "queued", progress: row.progress, attempt: row.attempt ?? 1, previous_agent_id: previousAgentId },
+        created_at: args.ts
+      });
+      expired.push(rowToTask(row));
+    }
+    return expired;
+  },
+
+  listTaskEvents(db, args) {
+    return db
+      .collect("task_events", (r) => r.organization_id === args.organization_id && r.task_id === args.task_id)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+      .map(rowToTaskEvent);
+  },
+
+  addTaskEvent(db, args) {
+    const existing = db.first("task_events", (r) => r.organization_id === args.organization_id && r.event_id === args.event.id);
+    if (existing) throw new ConvexError("TASK_EVENT_EXISTS");
+    db.insert("task_events", {
+      organization_id: args.organization_id,
+      event_id: args.event.id,
+      task_id: args.event.task_id,
+      agent_id: args.event.agent_id,
+      type: args.event.type,
+      message: args.event.message,
+      payload: args.event.payload,
+      created_at: args.event.created_at
+    });
+
+    const task = findTaskRow(db, args.organization_id, args.event.task_id);
+    if (task && task.lease_sec != null && args.event.agent_id !== null && task.assigned_agent_id === args.event.agent_id && hasActiveLease(task, args.event.created_at)) {
+      db.patch(task, { lease_expires_at: leaseExpiry(args.event.created_at, task.lease_sec) });
+    }
+    return args.event;
+  },
+
+  listCommands(db, args) {
+    return db.collect("commands", (r) => r.organization_id === args.organization_id).map(rowToCommand);
+  },
+
+  pageCommands(db, args) {
+    const rows = db.collect("commands", (r) =>
+      r.organization_id === args.organization_id &&
+      (args.agent_id === undefined || r.agent_id === args.agent_id) &&
+      (args.status === undefined || r.status === args.status) &&
+      (args.type === undefined || r.type === args.type)
+    );
+    return pageItems(rows.map(rowToCommand), "created_at", "desc", args);
+  },
+
+  getCommand(db, args) {
+    const row = findCommandRow(db, args.organization_id, args.command_id);
+    return row ? rowToCommand(row) : null;
+  },
+
+  createCommand(db, args) {
+    if (findCommandRow(db, args.organization_id, args.command.id)) throw new ConvexError("COMMAND_EXISTS");
+    db.insert("commands", {
+      organization_id: args.organization_id,
+      command_id: args.command.id,
+      agent_id: args.command.agent_id,
+      type: args.command.type,
+      payload: args.command.payload,
+      status: args.command.status,
+      created_by: args.command.created_by,
+      acked_by: args.command.acked_by,
+      ack_message: args.command.ack_message,
+      expires_at: args.command.expires_at,
+      delivery_attempts: args.command.delivery_attempts ?? 0,
+      delivered_at: args.command.delivered_at ?? null,
+      history: [{ status: args.command.status, previous_status: null, actor: args.command.created_by, message: null, at: args.command.created_at }],
+      created_at: args.command.created_at,
+      updated_at: args.command.updated_at
+    });
+    return args.command;
+  },
+
+  deliverCommands(db, args) {
+    const nowMs = Date.parse(args.ts);
+    const rows = db.collect(
+      "commands",
+      (r) => r.organization_id === args.organization_id && r.agent_id === args.agent_id && (r.status === "queued" || r.status === "delivered")
+    );
+
+    const pending = [];
+    for (const row of rows) {
+      if (isPastExpiry(row, nowMs)) {
+        db.patch(row, commandTransition(row, "expired", "system", "Expired before delivery", args.ts));
+        continue;
+      }
+      if (row.status === "queued") {
+        pending.push(row);
+      } else if (isDeliveryStale(row, nowMs, args.redeliver_after_sec)) {
+        if ((row.delivery_attempts ?? 0) >= args.max_delivery_attempts) db.patch(row, exhaustDelivery(row, args.ts));
+        else pending.push(row);
+      }
+    }
+    pending.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+    return pending.slice(0, args.limit).map((row) => {
+      db.patch(row, {
+        ...commandTransition(row, "delivered", args.agent_id, null, args.ts),
+        delivery_attempts: (row.delivery_attempts ?? 0) + 1,
+        delivered_at: args.ts
+      });
+      return rowToCommand(row);
+    });
+  },
+
+  sweepCommands(db, args) {
+    const nowMs = Date.parse(args.ts);
+    const counts = { expired: 0, requeued: 0, failed: 0 };
+    const changed = [];
+    for (const row of db.collect("commands", (r) => r.status === "queued" || r.status === "delivered")) {
+      if (isPastExpiry(row, nowMs)) {
+        db.patch(row, commandTransition(row, "expired", "system", "Expired before delivery", args.ts));
+        counts.expired += 1;
+      } else if (isDeliveryStale(row, nowMs, args.redeliver_after_sec)) {
+        if ((row.delivery_attempts ?? 0) >= args.max_delivery_attempts) {
+          db.patch(row, exhaustDelivery(row, args.ts));
+          counts.failed += 1;
+        } else {
+          db.patch(row, commandTransition(row, "queued", "system", "Not acked in time, requeued", args.ts));
+          counts.requeued += 1;
+        }
+      } else {
+        continue;
+      }
+      changed.push({ organization_id: row.organization_id, command: rowToCommand(row) });
+    }
+    return { ...counts, changed };
+  },
+
+  ackCommand(db, args) {
+    const row = findCommandRow(db, args.organization_id, args.command_id);
+    if (!row) return null;
+    db.patch(row, {
+      ...commandTransition(row, args.status, args.acked_by, args.ack_message, args.updated_at),
+      acked_by: args.acked_by,
+      ack_message: args.ack_message
+    });
+    return rowToCommand(row);
+  },
+
+  listAlerts(db, args) {
+    return db.collect("alerts", (r) => r.organization_id === args.organization_id).map(rowToAlert);
+  },
+
+  pageAlerts(db, args) {
+    const rows = db.collect("alerts", (r) =>
+      r.organization_id === args.organization_id &&
+      (args.status === undefined || r.status === args.status) &&
+      (args.severity === undefined || r.severity === args.severity) &&
+      (args.type === undefined || r.type === args.type)
+    );
+    return pageItems(rows.map(rowToAlert), "created_at", "desc", args);
+  },
+
+  getAlert(db, args) {
+    const row = findAlertRow(db, args.organization_id, args.alert_id);
+    return row ? rowToAlert(row) : null;
+  },
+
+  createAlert(db, args) {
+    if (findAlertRow(db, args.organization_id, args.alert.id)) throw new ConvexError("ALERT_EXISTS");
+    db.insert("alerts", {
+      organization_id: args.organization_id,
+      alert_id: args.alert.id,
+      severity: args.alert.severity,
+      type: args.alert.type,
+      entity_type: args.alert.entity_type,
+      entity_id: args.alert.entity_id,
+      message: args.alert.message,
+      status: args.alert.status,
+      created_at: args.alert.created_at,
+      updated_at: args.alert.updated_at
+    });
+    return args.alert;
+  },
+
+  patchAlertStatus(db, args) {
+    const row = findAlertRow(db, args.organization_id, args.alert_id);
+    if (!row) return null;
+    db.patch(row, { status: args.status, updated_at: args.updated_at });
+    return rowToAlert(row);
+  },
+
+  addAuditEntry(db, args) {
+    const { id, ...entry } = args.entry;
+    db.insert("audit_log", { organization_id: args.organization_id, audit_id: id, ...entry });
+    return args.entry;
+  },
+
+  pageAuditLog(db, args) {
+    const rows = db.collect("audit_log", (r) =>
+      r.organization_id === args.organization_id &&
+      (args.entity_type === undefined || r.entity_type === args.entity_type) &&
+      (args.entity_id === undefined || r.entity_id === args.entity_id) &&
+      (args.actor_user_id === undefined || r.actor_user_id === args.actor_user_id) &&
+      (args.actor_key_id === undefined || r.actor_key_id === args.actor_key_id) &&
+      (args.action === undefined || r.action === args.action) &&
+      (args.from === undefined || r.created_at >= args.from) &&
+      (args.to === undefined || r.created_at < args.to)
+    );
+    return pageItems(rows.map(rowToAuditEntry), "created_at", "desc", args);
+  },
+
+  listWebhooks(db, args) {
+    return db.collect("webhooks", (r) => r.organization_id === args.organization_id).map(rowToWebhook);
+  },
+
+  getWebhook(db, args) {
+    const row = findWebhookRow(db, args.organization_id, args.webhook_id);
+    return row ? rowToWebhook(row) : null;
+  },
+
+  createWebhook(db, args) {
+    if (findWebhookRow(db, args.organization_id, args.webhook.id)) throw new ConvexError("WEBHOOK_EXISTS");
+    const { id, ...webhook } = args.webhook;
+    db.insert("webhooks", { organization_id: args.organization_id, webhook_id: id, ...webhook });
+    return args.webhook;
+  },
+
+  patchWebhook(db, args) {
+    const row = findWebhookRow(db, args.organization_id, args.webhook_id);
+    if (!row) return null;
+    db.patch(row, {
+      url: args.url ?? row.url,
+      event_types: args.event_types ?? row.event_types,
+      secret: args.secret ?? row.secret,
+      status: args.status ?? row.status,
+      updated_at: args.updated_at
+    });
+    return rowToWebhook(row);
+  },
+
+  createWebhookDelivery(db, args) {
+    const { id, ...delivery } = args.delivery;
+    db.insert("webhook_deliveries", { organization_id: args.organization_id, delivery_id: id, ...delivery });
+    return args.delivery;
+  },
+
+  claimWebhookDeliveries(db, args) {
+    const rows = db.collect("webhook_deliveries", (r) => r.organization_id === args.organization_id && r.status === "pending" && r.next_attempt_at <= args.ts);
+    rows.sort((a, b) => String(a.next_attempt_at).localeCompare(String(b.next_attempt_at)));
+    return rows.slice(0, args.limit).map((row) => {
+      db.patch(row, { next_attempt_at: args.locked_until });
+      return rowToWebhookDelivery(row);
+    });
+  },
+
+  recordWebhookAttempt(db, args) {
+    const row = findWebhookDeliveryRow(db, args.organization_id, args.delivery_id);
+    if (!row) return null;
+    db.patch(row, {
+      status: args.status,
+      attempts: args.attempts,
+      next_attempt_at: args.next_attempt_at,
+      last_attempt_at: args.last_attempt_at,
+      response_status: args.response_status,
+      last_error: args.last_error,
+      updated_at: args.updated_at
+    });
+    return rowToWebhookDelivery(row);
+  },
+
+  requeueWebhookDelivery(db, args) {
+    const row = findWebhookDeliveryRow(db, args.organization_id, args.delivery_id);
+    if (!row) return null;
+    if (row.status !== "dead") throw new ConvexError("WEBHOOK_DELIVERY_NOT_DEAD");
+    db.patch(row, { status: "pending", attempts: 0, next_attempt_at: args.ts, updated_at: args.ts });
+    return rowToWebhookDelivery(row);
+  },
+
+  pageWebhookDeliveries(db, args) {
+    const rows = db.collect("webhook_deliveries", (r) =>
+      r.organization_id === args.organization_id &&
+      (args.webhook_id === undefined || r.webhook_id === args.webhook_id) &&
+      (args.status === undefined || r.status === args.status)
+    );
+    return pageItems(rows.map(rowToWebhookDelivery), "created_at", "desc", args);
+  },
+
+  beginIdempotentRequest(db, args) {
+    const row = db.first("idempotency_keys", (r) => r.organization_id === args.organization_id && r.key === args.key);
+    if (row && row.expires_at > args.ts) {
+      if (row.fingerprint !== args.fingerprint) return { state: "mismatch" };
+      if (row.status === "completed") return { state: "replay", status_code: row.status_code, response_body: row.response_body };
+      if (row.locked_until > args.ts) return { state: "in_progress" };
+    }
+
+    const reservation = {
+      fingerprint: args.fingerprint,
+      status: "in_progress",
+      status_code: null,
+      response_body: null,
+      locked_until: args.locked_until,
+      created_at: args.ts,
+      expires_at: args.expires_at
+    };
+    if (row) db.patch(row, reservation);
+    else db.insert("idempotency_keys", { organization_id: args.organization_id, key: args.key, ...reservation });
+    return { state: "new" };
+  },
+
+  completeIdempotentRequest(db, args) {
+    const row = db.first("idempotency_keys", (r) => r.organization_id === args.organization_id && r.key === args.key);
+    if (!row) return null;
+    db.patch(row, { status: "completed", status_code: args.status_code, response_body: args.response_body });
+    return { ok: true };
+  },
+
+  releaseIdempotentRequest(db, args) {
+    const row = db.first("idempotency_keys", (r) => r.organization_id === args.organization_id && r.key === args.key);
+    if (row && row.status === "in_progress") db.delete("idempotency_keys", row);
+    return { ok: true };
+  },
+
+  purgeIdempotencyKeys(db, args) {
+    const rows = db.collect("idempotency_keys", (r) => r.expires_at <= args.ts);
+    for (const row of rows) db.delete("idempotency_keys", row);
+    return { purged: rows.length };
+  },
+
+  createApiKey(db, args) {
+    const user = findOrgUser(db, args.organization_id, args.user_id);
+    if (!user) throw new ConvexError("USER_NOT_FOUND");
+    if (args.agent_id && !findAgentRow(db, args.organization_id, args.agent_id)) throw new ConvexError("AGENT_NOT_FOUND");
+
+    const rawKey = buildRawApiKey();
+    const ts = nowIso();
+    const row = {
+      key_id: randomUUID(),
+      organization_id: args.organization_id,
+      user_id: args.user_id,
+      name: args.name,
+      prefix: apiKeyPrefix(rawKey),
+      secret_hash: sha256Hex(rawKey),
+      created_at: ts,
+      updated_at: ts,
+      last_used_at: null,
+      revoked_at: null,
+      expires_at: args.expires_at ?? null,
+      scopes: args.scopes ?? null,
+      agent_id: args.agent_id ?? null,
+      include_subtree: args.include_subtree ?? false
+    };
+    db.insert("api_keys", row);
+    return { raw_key: rawKey, key: rowToApiKeyMeta(row) };
+  },
+
+  listApiKeys(db, args) {
+    const rows = db.collect("api_keys", (r) => r.organization_id === args.organization_id && r.user_id === args.user_id);
+    rows.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+    return rows.map(rowToApiKeyMeta);
+  },
+
+  rotateApiKey(db, args) {
+    const row = db.first("api_keys", (r) => r.key_id === args.key_id);
+    if (!row || row.organization_id !== args.organization_id || row.user_id !== args.user_id) return null;
+    if (row.revoked_at) return null;
+
+    const rawKey = buildRawApiKey();
+    db.patch(row, {
+      secret_hash: sha256Hex(rawKey),
+      prefix: apiKeyPrefix(rawKey),
+      updated_at: nowIso(),
+      last_used_at: null
+    });
+    return { raw_key: rawKey, key: rowToApiKeyMeta(row) };
+  },
+
+  revokeApiKey(db, args) {
+    const row = db.first("api_keys", (r) => r.key_id === args.key_id);
+    if (!row || row.organization_id !== args.organization_id || row.user_id !== args.user_id) return null;
+    if (row.revoked_at) return rowToApiKeyMeta(row);
+
+    db.patch(row, { revoked_at: nowIso(), updated_at: nowIso() });
+    return rowToApiKeyMeta(row);
+  },
+
+  resolveApiKeyContext(db, args) {
+    const hash = sha256Hex(args.raw_key);
+    const row = db.first("api_keys", (r) => r.secret_hash === hash);
+    if (!row) return null;
+    if (row.revoked_at) return null;
+    if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) return null;
+    if (findOrgUser(db, row.organization_id, row.user_id)?.status === "suspended") return null;
+    if (db.first("organizations", (r) => r.organization_id === row.organization_id)?.status === "suspended") return null;
+
+    if (args.touch !== false) db.patch(row, { last_used_at: nowIso() });
+    return {
+      organization_id: row.organization_id,
+      user_id: row.user_id,
+      key_id: row.key_id,
+      scopes: row.scopes ?? null,
+      agent_id: row.agent_id ?? null,
+      include_subtree: row.include_subtree ?? false,
+      expires_at: row.expires_at
+    };
+  },
+
+  touchApiKeys(db, args) {
+    let touched = 0;
+    for (const touch of args.touches) {
+      const row = db.first("api_keys", (r) => r.key_id === touch.key_id);
+      if (!row || (row.last_used_at && row.last_used_at >= touch.last_used_at)) continue;
+      db.patch(row, { last_used_at: touch.last_used_at });
+      touched += 1;
+    }
+    return { touched };
+  },
+
+  listOrganizations(db) {
+    return db.collect("organizations").map(rowToOrganization);
+  },
+
+  createOrganization(db, args) {
+    if (db.first("organizations", (r) => r.organization_id === args.organization.id)) throw new ConvexError("ORGANIZATION_EXISTS");
+    const row = {
+      organization_id: args.organization.id,
+      name: args.organization.name,
+      status: "active",
+      created_at: args.organization.created_at,
+      updated_at: args.organization.created_at
+    };
+    db.insert("organizations", row);
+    return rowToOrganization(row);
+  },
+
+  setOrganizationStatus(db, args) {
+    const row = db.first("organizations", (r) => r.organization_id === args.organization_id);
+    if (!row) return null;
+    db.patch(row, { status: args.status, updated_at: args.ts });
+    return rowToOrganization(row);
+  },
+
+  listUsers(db, args) {
+    return db
+      .collect("users", (r) => r.organization_id === args.organization_id)
+      .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+      .map(rowToUser);
+  },
+
+  createUser(db, args) {
+    if (!db.first("organizations", (r) => r.organization_id === args.organization_id)) throw new ConvexError("ORGANIZATION_NOT_FOUND");
+    if (db.first("users", (r) => r.user_id === args.user.id)) throw new ConvexError("USER_EXISTS");
+    const row = {
+      user_id: args.user.id,
+      organization_id: args.organization_id,
+      email: args.user.email,
+      name: args.user.name,
+      status: "active",
+      created_at: args.user.created_at,
+      updated_at: args.user.created_at
+    };
+    db.insert("users", row);
+    return rowToUser(row);
+  },
+
+  setUserStatus(db, args) {
+    const row = findOrgUser(db, args.organization_id, args.user_id);
+    if (!row) return null;
+    db.patch(row, { status: args.status, updated_at: args.ts });
+    return rowToUser(row);
+  },
+
+  bootstrapDefaultTenant(db, args) {
+    const ts = nowIso();
+    const org = db.first("organizations", (r) => r.organization_id === DEFAULT_ORGANIZATION_ID);
+    if (!org) {
+      db.insert("organizations", {
+        organization_id: DEFAULT_ORGANIZATION_ID,
+        name: "Default Organization",
+        status: "active",
+        created_at: ts,
+        updated_at: ts
+      });
+    }
+
+    const user = findOrgUser(db, DEFAULT_ORGANIZATION_ID, DEFAULT_USER_ID);
+    if (!user) {
+      db.insert("users", {
+        user_id: DEFAULT_USER_ID,
+        organization_id: DEFAULT_ORGANIZATION_ID,
+        email: null,
+        name: "Default User",
+        status: "active",
+        created_at: ts,
+        updated_at: ts
+      });
+    }
+
+    const userKeys = db.collect("api_keys", (r) => r.organization_id === DEFAULT_ORGANIZATION_ID && r.user_id === DEFAULT_USER_ID);
+    const hasActiveKey = userKeys.some((row) => {
+      if (row.revoked_at) return false;
+      if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) return false;
+      return true;
+    });
+    if (hasActiveKey) {
+      return { organization_id: DEFAULT_ORGANIZATION_ID, user_id: DEFAULT_USER_ID, created_api_key: null };
+    }
+
+    const rawKey = args.seed_api_key || buildRawApiKey();
+    db.insert("api_keys", {
+      key_id: randomUUID(),
+      organization_id: DEFAULT_ORGANIZATION_ID,
+      user_id: DEFAULT_USER_ID,
+      name: "Bootstrap Key",
+      prefix: apiKeyPrefix(rawKey),
+      secret_hash: sha256Hex(rawKey),
+      created_at: ts,
+      updated_at: ts,
+      last_used_at: null,
+      revoked_at: null,
+      expires_at: null
+    });
+
+    return { organization_id: DEFAULT_ORGANIZATION_ID, user_id: DEFAULT_USER_ID, created_api_key: rawKey };
+  }
+};
+
+function json(body, status = 200) {
+  return { status, body };
+}
+
+function pageArgs(body) {
+  return { ...body.filters, cursor: body.cursor ?? null, limit: body.limit, offset: body.offset ?? 0 };
+}
+
+function dispatch(db, body) {
+  const op = body?.op;
+  const organizationId = body?.organization_id;
+
+  if (op === "resolve_api_key_context") {
+    return json({ auth: handlers.resolveApiKeyContext(db, { raw_key: body.raw_key, touch: body.touch }) });
+  }
+
+  if (op === "touch_api_keys") {
+    return json(handlers.touchApiKeys(db, { touches: body.touches }));
+  }
+
+  if (op === "bootstrap_default_tenant") {
+    return json(handlers.bootstrapDefaultTenant(db, { seed_api_key: body.seed_api_key ?? null }));
+  }
+
+  if (op === "list_organizations") {
+    return json({ organizations: handlers.listOrganizations(db) });
+  }
+
+  if (op === "create_organization") {
+    return json({ organization: handlers.createOrganization(db, { organization: body.organization }) });
+  }
+
+  if (op === "set_organization_status") {
+    return json({ organization: handlers.setOrganizationStatus(db, { organization_id: body.target_organization_id, status: body.status, ts: body.ts }) });
+  }
+
+  if (op === "sweep_commands") {
+    return json(handlers.sweepCommands(db, {
+      redeliver_after_sec: body.redeliver_after_sec,
+      max_delivery_attempts: body.max_delivery_attempts,
+      ts: body.ts
+    }));
+  }
+
+  if (op === "purge_idempotency_keys") {
+    return json(handlers.purgeIdempotencyKeys(db, { ts: body.ts }));
+  }
+
+  if (!organizationId) return json({ error: "organization_id is required" }, 400);
+  const scope = { organization_id: organizationId };
+
+  switch (op) {
+    case "list_agents":
+      return json({ agents: handlers.listAgents(db, scope) });
+    case "page_agents":
+      return json(handlers.pageAgents(db, { ...scope, ...pageArgs(body) }));
+    case "get_agent":
+      return json({ agent: handlers.getAgent(db, { ...scope, agent_id: body.agent_id }) });
+    case "create_agent":
+      return json({ agent: handlers.createAgent(db, { ...scope, agent: body.agent }) });
+    case "patch_agent":
+      return json({
+        agent: handlers.patchAgent(db, {
+          ...scope,
+          agent_id: body.agent_id,
+          patch: body.patch,
+          has_supervisor_id: body.has_supervisor_id,
+          has_current_task_id: body.has_current_task_id,
+          expected_version: body.expected_version,
+          updated_at: body.updated_at
+        })
+      });
+    case "heartbeat_agent":
+      return json(handlers.upsertAgentHeartbeat(db, { ...scope, agent_id: body.agent_id, payload: body.payload, ts: body.ts }));
+    case "list_tasks":
+      return json({ tasks: handlers.listTasks(db, scope) });
+    case "page_tasks":
+      return json(handlers.pageTasks(db, { ...scope, ...pageArgs(body) }));
+    case "get_task":
+      return json({ task: handlers.getTask(db, { ...scope, task_id: body.task_id }) });
+    case "create_task":
+      return json({ task: handlers.createTask(db, { ...scope, task: body.task }) });
+    case "patch_task":
+      return json({
+        task: handlers.patchTask(db, {
+          ...scope,
+          task_id: body.task_id,
+          patch: body.patch,
+          has_description: body.has_description,
+          has_assigned_agent_id: body.has_assigned_agent_id,
+          expected_version: body.expected_version,
+          updated_at: body.updated_at
+        })
+      });
+    case "assign_task":
+      return json({ task: handlers.assignTask(db, { ...scope, task_id: body.task_id, agent_id: body.agent_id, event: body.event }) });
+    case "claim_task":
+      return json({
+        task: handlers.claimTask(db, { ...scope, agent_id: body.agent_id, lease_sec: body.lease_sec, event_id: body.event_id, ts: body.ts })
+      });
+    case "expire_task_leases":
+      return json({ tasks: handlers.expireTaskLeases(db, { ...scope, ts: body.ts }) });
+    case "list_task_events":
+      return json({ events: handlers.listTaskEvents(db, { ...scope, task_id: body.task_id }) });
+    case "add_task_event":
+      return json({ event: handlers.addTaskEvent(db, { ...scope, event: body.event }) });
+    case "list_commands":
+      return json({ commands: handlers.listCommands(db, scope) });
+    case "page_commands":
+      return json(handlers.pageCommands(db, { ...scope, ...pageArgs(body) }));
+    case "get_command":
+      return json({ command: handlers.getCommand(db, { ...scope, command_id: body.command_id }) });
+    case "create_command":
+      return json({ command: handlers.createCommand(db, { ...scope, command: body.command }) });
+    case "deliver_commands":
+      return json({
+        commands: handlers.deliverCommands(db, {
+          ...scope,
+          agent_id: body.agent_id,
+          limit: body.limit,
+          redeliver_after_sec: body.redeliver_after_sec,
+          max_delivery_attempts: body.max_delivery_attempts,
+          ts: body.ts
+        })
+      });
+    case "ack_command":
+      return json({
+        command: handlers.ackCommand(db, {
+          ...scope,
+          command_id: body.command_id,
+          acked_by: body.acked_by,
+          ack_message: body.ack_message,
+          status: body.status,
+          updated_at: body.updated_at
+        })
+      });
+    case "list_alerts":
+      return json({ alerts: handlers.listAlerts(db, scope) });
+    case "page_alerts":
+      return json(handlers.pageAlerts(db, { ...scope, ...pageArgs(body) }));
+    case "get_alert":
+      return json({ alert: handlers.getAlert(db, { ...scope, alert_id: body.alert_id }) });
+    case "create_alert":
+      return json({ alert: handlers.createAlert(db, { ...scope, alert: body.alert }) });
+    case "patch_alert_status":
+      return json({ alert: handlers.patchAlertStatus(db, { ...scope, alert_id: body.alert_id, status: body.status, updated_at: body.updated_at }) });
+    case "add_audit_entry":
+      return json({ entry: handlers.addAuditEntry(db, { ...scope, entry: body.entry }) });
+    case "page_audit_log":
+      return json(handlers.pageAuditLog(db, { ...scope, ...pageArgs(body) }));
+    case "list_webhooks":
+      return json({ webhooks: handlers.listWebhooks(db, scope) });
+    case "get_webhook":
+      return json({ webhook: handlers.getWebhook(db, { ...scope, webhook_id: body.webhook_id }) });
+    case "create_webhook":
+      return json({ webhook: handlers.createWebhook(db, { ...scope, webhook: body.webhook }) });
+    case "patch_webhook":
+      return json({ webhook: handlers.patchWebhook(db, { ...scope, webhook_id: body.webhook_id, ...body.patch, updated_at: body.updated_at }) });
+    case "create_webhook_delivery":
+      return json({ delivery: handlers.createWebhookDelivery(db, { ...scope, delivery: body.delivery }) });
+    case "claim_webhook_deliveries":
+      return json({ deliveries: handlers.claimWebhookDeliveries(db, { ...scope, ts: body.ts, locked_until: body.locked_until, limit: body.limit }) });
+    case "record_webhook_attempt":
+      return json({ delivery: handlers.recordWebhookAttempt(db, { ...scope, delivery_id: body.delivery_id, ...body.attempt }) });
+    case "requeue_webhook_delivery":
+      return json({ delivery: handlers.requeueWebhookDelivery(db, { ...scope, delivery_id: body.delivery_id, ts: body.ts }) });
+    case "page_webhook_deliveries":
+      return json(handlers.pageWebhookDeliveries(db, { ...scope, ...pageArgs(body) }));
+    case "begin_idempotent_request":
+      return json(handlers.beginIdempotentRequest(db, {
+        ...scope,
+        key: body.key,
+        fingerprint: body.fingerprint,
+        ts: body.ts,
+        locked_until: body.locked_until,
+        expires_at: body.expires_at
+      }));
+    case "complete_idempotent_request":
+      return json({ result: handlers.completeIdempotentRequest(db, { ...scope, key: body.key, status_code: body.status_code, response_body: body.response_body }) });
+    case "release_idempotent_request":
+      return json(handlers.releaseIdempotentRequest(db, { ...scope, key: body.key }));
+    case "list_users":
+      return json({ users: handlers.listUsers(db, scope) });
+    case "create_user":
+      return json({ user: handlers.createUser(db, { ...scope, user: body.user }) });
+    case "set_user_status":
+      return json({ user: handlers.setUserStatus(db, { ...scope, user_id: body.user_id, status: body.status, ts: body.ts }) });
+    case "create_api_key":
+      return json(handlers.createApiKey(db, { ...scope, user_id: body.user_id, name: body.name, expires_at: body.expires_at, scopes: body.scopes, agent_id: body.agent_id, include_subtree: body.include_subtree }));
+    case "list_api_keys":
+      return json({ keys: handlers.listApiKeys(db, { ...scope, user_id: body.user_id }) });
+    case "rotate_api_key":
+      return json(handlers.rotateApiKey(db, { ...scope, user_id: body.user_id, key_id: body.key_id }));
+    case "revoke_api_key":
+      return json({ key: handlers.revokeApiKey(db, { ...scope, user_id: body.user_id, key_id: body.key_id }) });
+    default:
+      return json({ error: "Unsupported operation" }, 400);
+  }
+}
+
+export function createMemoryConvex() {
+  const db = createStore();
+  return {
+    // Returns `{ status, body }` like the httpAction's Response, and throws
+    // whatever the httpAction would not catch. Handlers run
+    // synchronously, which gives each op the same isolation as a Convex
+    // mutation. Bodies are round-tripped through JSON as they would be on the wire.
+    handle(requestBody, token) {
+      const expected = process.env.CONVEX_SYNC_TOKEN || "";
+      if (!expected || token !== expected) return { status: 401, body: { error: "Unauthorized" } };
+      try {
+        const result = dispatch(db, JSON.parse(JSON.stringify(requestBody)));
+        return { status: result.status, body: JSON.parse(JSON.stringify(result.body)) };
+      } catch (err) {
+        if (err instanceof ConvexError) return { status: 409, body: { error: err.data } };
+        throw err;
+      }
+    }
+  };
+}
@@ -0,0 +1,107 @@
+// Minimal Prometheus text-format (0.0.4) metrics. Counters and histograms
+// live in the process-wide `metrics` registry; gauges that are computed per
+// scrape are passed to `render()` as ready samples.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value ?? "")}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  return String(value);
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// Series are keyed by their label set, in the order the metric declares them.
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] ?? ""]));
+}
+
+function createCounter(name, help, labelNames) {
+  const series = new Map();
+  return {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const current = series.get(key) ?? { labels: pickLabels(labelNames, labels), value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    collect() {
+      const lines = header(name, help, "counter");
+      for (const { labels, value } of series.values()) lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+      return lines;
+    }
+  };
+}
+
+function createHistogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let current = series.get(key);
+      if (!current) {
+        current = { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+      buckets.forEach((bound, index) => {
+        if (value <= bound) current.counts[index] += 1;
+      });
+      current.sum += value;
+      current.count += 1;
+    },
+    collect() {
+      const lines = header(name, help, "histogram");
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`));
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+}
+
+function createRegistry() {
+  const collectors = [];
+  return {
+    counter(name, help, labelNames = []) {
+      const counter = createCounter(name, help, labelNames);
+      collectors.push(counter);
+      return counter;
+    },
+    histogram(name, help, labelNames = [], buckets) {
+      const histogram = createHistogram(name, help, labelNames, buckets);
+      collectors.push(histogram);
+      return histogram;
+    },
+    // `gauges` is a list of `{ name, help, samples: [{ labels, value }] }`.
+    render(gauges = []) {
+      const lines = [];
+      for (const gauge of gauges) {
+        lines.push(...header(gauge.name, gauge.help, "gauge"));
+        for (const sample of gauge.samples) lines.push(`${gauge.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+      for (const collector of collectors) lines.push(...collector.collect());
+      return `${lines.join("\n")}\n`;
+    }
+  };
+}
+
+export const metrics = createRegistry();
@@ -0,0 +1,87 @@
+import { toOpenApiSchema } from "./schema.js";
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// GET /api/v1/agents/:agentId/commands -> getAgentsByAgentIdCommands
+function operationId(method, path) {
+  const words = path.replace(/^\/api\/v1\//, "/").split("/").filter(Boolean)
+    .map((segment) => (segment.startsWith(":") ? `By${capitalize(segment.slice(1))}` : segment.split(/[-.]/).map(capitalize).join("")));
+  return `${method.toLowerCase()}${words.join("")}`;
+}
+
+// Builds the OpenAPI 3.1 document of the API. `routes` are the registered
+// `{ method, path, idempotent }` routes (Express path syntax); `operations`
+// maps "METHOD /path" to its summary, tag, `body` and `query` schemas and
+// `response` ({ status, schema, list, paged }). Routes under /api/v1 need an
+// API key with the scopes `scopesOf(method, path)` returns.
+export function buildOpenApiDocument({ info, routes, operations, scopesOf, errorSchema }) {
+  const schemas = {};
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: toOpenApiSchema(errorSchema, schemas) } }
+  });
+  const paths = {};
+
+  for (const route of routes) {
+    const method = route.method.toUpperCase();
+    const meta = operations[`${method} ${route.path}`] ?? {};
+    const pathParams = Array.from(route.path.matchAll(/:(\w+)/g), (match) => match[1]);
+    const authenticated = route.path.startsWith("/api/v1/");
+    const parameters = pathParams.map((name) => ({ name, in: "path", required: true, schema: { type: "string" } }));
+    for (const [name, schema] of Object.entries(meta.query?.properties ?? {})) {
+      parameters.push({ name, in: "query", required: Boolean(schema.required), schema: toOpenApiSchema(schema, schemas) });
+    }
+    if (route.idempotent) {
+      parameters.push({ name: "Idempotency-Key", in: "header", required: false, schema: { type: "string", minLength: 1, maxLength: 255 } });
+    }
+
+    const response = meta.response ?? {};
+    const itemSchema = response.schema && toOpenApiSchema(response.schema, schemas);
+    let responseSchema = response.list ? { type: "array", items: itemSchema } : itemSchema;
+    if (response.paged) {
+      responseSchema = {
+        type: "object",
+        required: ["items", "next_cursor"],
+        properties: {
+          items: responseSchema,
+          next_cursor: { type: ["string", "null"], description: "Cursor of the next page; null on the last page" }
+        }
+      };
+    }
+    const responses = {
+      [response.status ?? 200]: {
+        description: response.description ?? "OK",
+        ...(response.paged ? { headers: { "X-Next-Cursor": { description: "Cursor of the next page; absent on the last page", schema: { type: "string" } } } } : {}),
+        ...(responseSchema ? { content: { [response.contentType ?? "application/json"]: { schema: responseSchema } } } : {})
+      },
+      ...(meta.body || meta.query ? { 400: errorResponse("Invalid request") } : {}),
+      ...(authenticated ? { 401: errorResponse("Missing or invalid API key"), 403: errorResponse("API key lacks a scope or is bound to another agent") } : {}),
+      default: errorResponse("Error")
+    };
+
+    const operation = {
+      operationId: operationId(route.method, route.path),
+      summary: meta.summary,
+      ...(meta.description ? { description: meta.description } : {}),
+      tags: [meta.tag ?? "misc"],
+      ...(parameters.length > 0 ? { parameters } : {}),
+      ...(meta.body ? { requestBody: { required: true, content: { "application/json": { schema: toOpenApiSchema(meta.body, schemas) } } } } : {}),
+      responses,
+      ...(authenticated ? { security: [{ ApiKey: [] }], "x-required-scopes": scopesOf(method, route.path.replace(/^\/api\/v1/, "").replace(/:\w+/g, "_")) } : {})
+    };
+    const openApiPath = route.path.replace(/:(\w+)/g, "{$1}");
+    paths[openApiPath] = { ...paths[openApiPath], [route.method.toLowerCase()]: operation };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info,
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(schemas).sort(([a], [b]) => a.localeCompare(b))),
+      securitySchemes: { ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" } }
+    }
+  };
+}
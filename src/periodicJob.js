@@ -0,0 +1,32 @@
+// Runs `run` every `intervalSec` seconds without overlapping runs; an interval
+// of 0 (or less) disables the job. Returns a function that stops it.
+export function startPeriodicJob(name, intervalSec, run) {
+  if (!(intervalSec > 0)) return () => {};
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await run();
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error(`${name} failed`, err);
+    } finally {
+      running = false;
+    }
+  }, intervalSec * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// Background jobs have no API key; this runs `fn` once per organization with
+// the backend context scoped to it.
+export async function forEachOrganization(backend, fn) {
+  const organizations = await backend.listOrganizations();
+  for (const organization of organizations) {
+    const ctx = { organization_id: organization.id, user_id: null, key_id: null };
+    await backend.runWithContext(ctx, () => fn(organization));
+  }
+}
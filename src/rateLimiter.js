@@ -0,0 +1,54 @@
+// In-process token buckets. Each bucket holds up to `capacity` tokens and
+// refills continuously at `capacity` per `windowSec`; a request takes one
+// token. Buckets that have refilled completely carry no state and are dropped
+// once the map grows past `maxBuckets`.
+export function createRateLimiter({ maxBuckets = 10000 } = {}) {
+  const buckets = new Map();
+
+  function refill(bucket, policy, nowMs) {
+    const ratePerMs = policy.capacity / (policy.windowSec * 1000);
+    bucket.tokens = Math.min(policy.capacity, bucket.tokens + (nowMs - bucket.updatedMs) * ratePerMs);
+    bucket.updatedMs = nowMs;
+    return ratePerMs;
+  }
+
+  function prune(nowMs) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, bucket.policy, nowMs);
+      if (bucket.tokens >= bucket.policy.capacity) buckets.delete(key);
+    }
+  }
+
+  return {
+    // Takes a token from every bucket in `keys` only if all of them have one,
+    // so a rejected request does not drain the other buckets. Returns the
+    // state of the most constrained bucket, in whole seconds.
+    take(keys, policy, nowMs = Date.now()) {
+      if (buckets.size > maxBuckets) prune(nowMs);
+
+      const states = keys.map((key) => {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+          bucket = { tokens: policy.capacity, updatedMs: nowMs, policy };
+          buckets.set(key, bucket);
+        }
+        const ratePerMs = refill(bucket, policy, nowMs);
+        return { key, bucket, ratePerMs };
+      });
+
+      const allowed = states.every((state) => state.bucket.tokens >= 1);
+      if (allowed) for (const state of states) state.bucket.tokens -= 1;
+
+      const tightest = states.reduce((min, state) => (state.bucket.tokens < min.bucket.tokens ? state : min));
+      const { bucket, ratePerMs } = tightest;
+      return {
+        allowed,
+        key: tightest.key,
+        limit: policy.capacity,
+        remaining: Math.max(0, Math.floor(bucket.tokens)),
+        resetSec: Math.ceil((policy.capacity - bucket.tokens) / ratePerMs / 1000),
+        retryAfterSec: allowed ? 0 : Math.max(1, Math.ceil((1 - bucket.tokens) / ratePerMs / 1000))
+      };
+    }
+  };
+}
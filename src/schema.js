@@ -0,0 +1,163 @@
+// Declarative request schemas. A schema validates a request body (filling in
+// defaults) and renders itself as an OpenAPI 3.1 schema, so the documented API
+// cannot drift from what the handlers accept.
+//
+// Field options shared by all builders:
+//   required  - missing (undefined or null) values are rejected
+//   default   - value (or factory) used when the field is missing
+//   nullable  - null is kept as null instead of counting as missing
+//   description
+// A field without `required` or `default` stays undefined when absent, which
+// is what PATCH handlers rely on.
+
+function field(label, check, openApi, { required = false, nullable = false, description, ...rest } = {}) {
+  return { label, check, openApi, required, nullable, description, default: rest.default };
+}
+
+export function string({ minLength = 0, format, test, label, ...options } = {}) {
+  const fallbackLabel = format === "date-time" ? "ISO string" : minLength > 1 ? `string of at least ${minLength} characters` : "string";
+  return field(
+    label ?? fallbackLabel,
+    (value) => typeof value === "string"
+      && value.length >= minLength
+      && (format !== "date-time" || !Number.isNaN(Date.parse(value)))
+      && (!test || test(value)),
+    () => ({ type: "string", ...(minLength > 0 ? { minLength } : {}), ...(format ? { format } : {}) }),
+    options
+  );
+}
+
+function rangeLabel(kind, minimum, maximum) {
+  if (minimum === undefined && maximum === undefined) return kind;
+  return `${kind} ${minimum ?? ""}..${maximum ?? ""}`;
+}
+
+export function integer({ minimum, maximum, ...options } = {}) {
+  return field(
+    rangeLabel("integer", minimum, maximum),
+    (value) => Number.isInteger(value) && !(value < minimum) && !(value > maximum),
+    () => ({ type: "integer", ...(minimum !== undefined ? { minimum } : {}), ...(maximum !== undefined ? { maximum } : {}) }),
+    options
+  );
+}
+
+export function number({ exclusiveMinimum, maximum, ...options } = {}) {
+  return field(
+    rangeLabel("number", exclusiveMinimum, maximum),
+    (value) => typeof value === "number" && Number.isFinite(value) && !(value <= exclusiveMinimum) && !(value > maximum),
+    () => ({ type: "number", ...(exclusiveMinimum !== undefined ? { exclusiveMinimum } : {}), ...(maximum !== undefined ? { maximum } : {}) }),
+    options
+  );
+}
+
+export function boolean(options = {}) {
+  return field("boolean", (value) => typeof value === "boolean", () => ({ type: "boolean" }), options);
+}
+
+// `name` publishes the set as a reusable component (e.g. TaskStatus).
+export function enumOf(values, { name, ...options } = {}) {
+  const allowed = new Set(values);
+  const schema = field(
+    `one of: ${Array.from(allowed).join(", ")}`,
+    (value) => allowed.has(value),
+    () => ({ type: "string", enum: Array.from(allowed) }),
+    options
+  );
+  return { ...schema, name };
+}
+
+// `unique` drops repeated items from the validated value.
+export function arrayOf(items, { minItems = 0, unique = false, ...options } = {}) {
+  const itemsLabel = items.label.startsWith("one of: ") ? `: ${items.label.slice("one of: ".length)}` : ` ${items.label}s`;
+  const schema = field(
+    `${minItems > 0 ? "non-empty " : ""}array of${itemsLabel}`,
+    (value) => Array.isArray(value) && value.length >= minItems && value.every((item) => item !== null && item !== undefined && items.check(item)),
+    (components) => ({ type: "array", items: toOpenApiSchema(items, components), ...(minItems > 0 ? { minItems } : {}), ...(unique ? { uniqueItems: true } : {}) }),
+    options
+  );
+  return { ...schema, normalize: unique ? (value) => Array.from(new Set(value)) : undefined };
+}
+
+// Free-form JSON object (task metadata, command payloads).
+export function record(options = {}) {
+  return field(
+    "object",
+    (value) => typeof value === "object" && !Array.isArray(value),
+    () => ({ type: "object", additionalProperties: true }),
+    options
+  );
+}
+
+// Reference to a named schema defined elsewhere, for recursive shapes.
+export function ref(name, options = {}) {
+  return field("object", (value) => typeof value === "object" && !Array.isArray(value), () => ({ $ref: `#/components/schemas/${name}` }), options);
+}
+
+// A named object of fields. `validate(body)` returns `{ payload }` with only
+// the declared fields, or `{ error }` with the first problem found. `refine`
+// checks rules spanning several fields and returns an error message or null.
+// Used as a field of another object it is validated (and defaulted) in place.
+export function object(properties, { name, description, refine, required = false, nullable = false, ...rest } = {}) {
+  return {
+    name,
+    description,
+    required,
+    nullable,
+    default: rest.default,
+    properties,
+    label: "object",
+    check: (value) => typeof value === "object" && !Array.isArray(value),
+    validate(body) {
+      const input = body !== null && typeof body === "object" && !Array.isArray(body) ? body : {};
+      const payload = {};
+      for (const [key, schema] of Object.entries(properties)) {
+        let value = input[key];
+        const missing = value === undefined || (value === null && !schema.nullable);
+        if (missing && schema.default !== undefined) {
+          value = typeof schema.default === "function" ? schema.default() : schema.default;
+        } else if (missing && schema.required) {
+          return { error: `${key} is required ${schema.label}` };
+        } else if (value !== undefined && !(value === null && schema.nullable)) {
+          if (!schema.check(value)) return { error: `${key} must be ${schema.nullable ? "null or " : ""}${schema.label}` };
+          if (schema.normalize) value = schema.normalize(value);
+          if (schema.validate) {
+            const nested = schema.validate(value);
+            if (nested.error) return { error: `${key}.${nested.error}` };
+            value = nested.payload;
+          }
+        }
+        payload[key] = value;
+      }
+      const error = refine?.(payload) ?? null;
+      return error ? { error } : { payload };
+    },
+    openApi(components) {
+      const required = Object.entries(properties).filter(([, schema]) => schema.required).map(([key]) => key);
+      return {
+        type: "object",
+        properties: Object.fromEntries(Object.entries(properties).map(([key, schema]) => [key, toOpenApiSchema(schema, components)])),
+        ...(required.length > 0 ? { required } : {})
+      };
+    }
+  };
+}
+
+// Renders `schema` as OpenAPI. Named schemas are registered once in
+// `components` and referenced from everywhere else.
+export function toOpenApiSchema(schema, components) {
+  let rendered;
+  if (schema.name) {
+    if (!components[schema.name]) {
+      components[schema.name] = {};
+      components[schema.name] = { ...schema.openApi(components), ...(schema.description ? { description: schema.description } : {}) };
+    }
+    rendered = { $ref: `#/components/schemas/${schema.name}` };
+  } else {
+    rendered = schema.openApi(components);
+  }
+  if (schema.nullable && rendered.$ref) rendered = { anyOf: [rendered, { type: "null" }] };
+  else if (schema.nullable) rendered = { ...rendered, type: [rendered.type, "null"], ...(rendered.enum ? { enum: [...rendered.enum, null] } : {}) };
+  if (schema.default !== undefined && typeof schema.default !== "function") rendered = { ...rendered, default: schema.default };
+  if (schema.description && !schema.name) rendered = { ...rendered, description: schema.description };
+  return rendered;
+}
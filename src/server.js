@@ -1,39 +1,45 @@
 import express from "express";
 import fs from "node:fs";
+import http from "node:http";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
-import { randomUUID } from "node:crypto";
-import {
-  convexAckCommand,
-  convexBootstrapDefaultTenant,
-  convexAddTaskEvent,
-  convexBackendConfigured,
-  convexCreateAgent,
-  convexCreateApiKey,
-  convexCreateAlert,
-  convexCreateCommand,
-  convexCreateTask,
-  convexGetAgent,
-  convexGetAlert,
-  convexGetCommand,
-  convexGetTask,
-  convexHeartbeatAgent,
-  convexListAgents,
-  convexListApiKeys,
-  convexListAlerts,
-  convexListCommands,
-  convexListTaskEvents,
-  convexListTasks,
-  convexPatchAgent,
-  convexPatchAlertStatus,
-  convexPatchTask,
-  convexResolveApiKey,
-  convexRevokeApiKey,
-  convexRotateApiKey,
-  runWithConvexContext
-} from "./convexBackend.js";
+import { performance } from "node:perf_hooks";
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import { convexBackendConfigured } from "./convexBackend.js";
+import { createDataBackend } from "./dataBackend.js";
+import { startCommandSweeper } from "./commandSweeper.js";
+import { AGENT_OFFLINE_ALERT_TYPE, startHeartbeatWatchdog } from "./heartbeatWatchdog.js";
+import { dispatchTasks, startTaskDispatcher } from "./taskDispatcher.js";
+import { DEPENDENCY_FAILURE_POLICIES, dependencyState, findDependencyCycle, reconcileDependencies } from "./taskDependencies.js";
+import { buildTaskTree } from "./taskHierarchy.js";
+import { propagateTaskChange } from "./taskPropagation.js";
+import { FINAL_TASK_STATUSES, transitionTask } from "./taskTransitions.js";
+import { RETRY_BACKOFF_STRATEGIES, nextAttempt, scheduleRetry, startTaskRetryScheduler } from "./taskRetries.js";
+import { AGENT_OFFLINE_POLICIES, startTaskReaper } from "./taskReaper.js";
+import { startTaskLeaseSweeper } from "./taskLeaseSweeper.js";
+import { forEachOrganization, startPeriodicJob } from "./periodicJob.js";
+import { createApiKeyCache } from "./apiKeyCache.js";
+import { createRateLimiter } from "./rateLimiter.js";
+import { createChangeFeed, withChangeFeed } from "./changeFeed.js";
+import { enqueueWebhookEvent, startWebhookDelivery } from "./webhooks.js";
+import { metrics } from "./metrics.js";
+import { buildOpenApiDocument } from "./openapi.js";
+import { arrayOf, boolean, enumOf, integer, number, object, record, ref, string } from "./schema.js";
+import { WebSocketServer } from "ws";
 
 const app = express();
+
+const httpRequestSeconds = metrics.histogram("control_plane_http_request_duration_seconds", "HTTP request latency by method, route and status.", ["method", "route", "status"]);
+// Labelled with the matched route pattern rather than the raw path, so ids do
+// not create new series.
+app.use((req, res, next) => {
+  const startedAt = performance.now();
+  res.on("close", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpRequestSeconds.observe({ method: req.method, route, status: res.statusCode }, (performance.now() - startedAt) / 1000);
+  });
+  return next();
+});
 app.use(express.json());
 
 function loadDotEnv() {
@@ -57,15 +63,45 @@ function loadDotEnv() {
 loadDotEnv();
 
 const DATA_BACKEND = (process.env.DATA_BACKEND || "convex").toLowerCase();
-if (DATA_BACKEND !== "convex") {
-  throw new Error("Only Convex backend is supported. Set DATA_BACKEND=convex.");
-}
+const STREAM_BUFFER_SIZE = Number(process.env.STREAM_BUFFER_SIZE || "1000");
+const STREAM_KEEPALIVE_SEC = Number(process.env.STREAM_KEEPALIVE_SEC || "15");
+const changeFeed = createChangeFeed({ bufferSize: STREAM_BUFFER_SIZE });
+const backend = withChangeFeed(createDataBackend(DATA_BACKEND), changeFeed);
 
 const HEARTBEAT_OFFLINE_SEC = Number(process.env.HEARTBEAT_OFFLINE_SEC || "35");
+const AGENT_WATCHDOG_INTERVAL_SEC = Number(process.env.AGENT_WATCHDOG_INTERVAL_SEC || "10");
+const COMMAND_REDELIVERY_TIMEOUT_SEC = Number(process.env.COMMAND_REDELIVERY_TIMEOUT_SEC || "60");
+const COMMAND_MAX_DELIVERY_ATTEMPTS = Number(process.env.COMMAND_MAX_DELIVERY_ATTEMPTS || "5");
+const COMMAND_SWEEP_INTERVAL_SEC = Number(process.env.COMMAND_SWEEP_INTERVAL_SEC || "15");
+const TASK_DISPATCH_INTERVAL_SEC = Number(process.env.TASK_DISPATCH_INTERVAL_SEC || "5");
+const TASK_DISPATCH_MAX_PER_AGENT = Number(process.env.TASK_DISPATCH_MAX_PER_AGENT || "1");
+const TASK_LEASE_SEC = Number(process.env.TASK_LEASE_SEC || "60");
+const TASK_LEASE_SWEEP_INTERVAL_SEC = Number(process.env.TASK_LEASE_SWEEP_INTERVAL_SEC || "5");
+const TASK_RETRY_INTERVAL_SEC = Number(process.env.TASK_RETRY_INTERVAL_SEC || "5");
+const TASK_REAPER_INTERVAL_SEC = Number(process.env.TASK_REAPER_INTERVAL_SEC || "10");
+const TASK_ORPHAN_GRACE_SEC = Number(process.env.TASK_ORPHAN_GRACE_SEC || "60");
+const IDEMPOTENCY_TTL_SEC = Number(process.env.IDEMPOTENCY_TTL_SEC || "86400");
+const IDEMPOTENCY_LOCK_SEC = Number(process.env.IDEMPOTENCY_LOCK_SEC || "60");
+const IDEMPOTENCY_PURGE_INTERVAL_SEC = Number(process.env.IDEMPOTENCY_PURGE_INTERVAL_SEC || "300");
+const API_KEY_CACHE_TTL_SEC = Number(process.env.API_KEY_CACHE_TTL_SEC || "30");
+const API_KEY_TOUCH_INTERVAL_SEC = Number(process.env.API_KEY_TOUCH_INTERVAL_SEC || "15");
+const apiKeyCache = createApiKeyCache(backend, { ttlSec: API_KEY_CACHE_TTL_SEC });
+const RATE_LIMIT_WINDOW_SEC = Number(process.env.RATE_LIMIT_WINDOW_SEC || "60");
+const RATE_LIMIT_HEARTBEAT = Number(process.env.RATE_LIMIT_HEARTBEAT || "30");
+const RATE_LIMIT_TASK_EVENTS = Number(process.env.RATE_LIMIT_TASK_EVENTS || "120");
+const RATE_LIMIT_WRITE = Number(process.env.RATE_LIMIT_WRITE || "300");
+const RATE_LIMIT_READ = Number(process.env.RATE_LIMIT_READ || "600");
+const AGENT_SOCKET_PING_SEC = Number(process.env.AGENT_SOCKET_PING_SEC || "15");
+const WEBHOOK_DELIVERY_INTERVAL_SEC = Number(process.env.WEBHOOK_DELIVERY_INTERVAL_SEC || "2");
+const WEBHOOK_TIMEOUT_SEC = Number(process.env.WEBHOOK_TIMEOUT_SEC || "10");
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || "8");
+const WEBHOOK_RETRY_BASE_SEC = Number(process.env.WEBHOOK_RETRY_BASE_SEC || "30");
+const WEBHOOK_RETRY_MAX_SEC = Number(process.env.WEBHOOK_RETRY_MAX_SEC || "3600");
 const PORT = Number(process.env.PORT || "8080");
 const HOST = process.env.HOST || "127.0.0.1";
 const CONVEX_SYNC_TOKEN = process.env.CONVEX_SYNC_TOKEN || "";
-if (!CONVEX_SYNC_TOKEN) {
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+if (DATA_BACKEND === "convex" && !CONVEX_SYNC_TOKEN) {
   throw new Error("CONVEX_SYNC_TOKEN is required.");
 }
 
@@ -75,10 +111,91 @@ const TASK_STATUSES = new Set(["queued", "running", "blocked", "done", "failed",
 const TASK_PRIORITIES = new Set(["low", "normal", "high", "urgent"]);
 const COMMAND_TYPES = new Set(["pause", "resume", "cancel_task", "restart", "sync"]);
 const COMMAND_STATUSES = new Set(["queued", "delivered", "acked", "failed", "expired"]);
+// The only outcomes an agent can report; delivery, requeue and expiry are
+// driven by the pull endpoint and the sweeper.
+const COMMAND_ACK_STATUSES = new Set(["acked", "failed"]);
 const ALERT_SEVERITIES = new Set(["info", "warn", "critical"]);
 const ALERT_STATUSES = new Set(["open", "ack", "closed"]);
+const WEBHOOK_EVENT_TYPES = new Set(["alert.opened", "task.failed", "agent.offline"]);
+const WEBHOOK_STATUSES = new Set(["active", "disabled"]);
+const WEBHOOK_DELIVERY_STATUSES = new Set(["pending", "succeeded", "dead"]);
+const API_SCOPES = new Set([
+  "agents:read",
+  "agents:write",
+  "tasks:read",
+  "tasks:write",
+  "commands:read",
+  "commands:write",
+  "alerts:read",
+  "alerts:write",
+  "alerts:admin",
+  "audit:read",
+  "webhooks:admin",
+  "keys:admin",
+  "orgs:admin"
+]);
+// Keys issued to a new organization's user must not manage other tenants.
+const TENANT_SCOPES = Array.from(API_SCOPES).filter((scope) => scope !== "orgs:admin");
+// A write/admin scope also grants the weaker scopes of the same resource.
+const IMPLIED_SCOPES = {
+  "agents:write": ["agents:read"],
+  "tasks:write": ["tasks:read"],
+  "commands:write": ["commands:read"],
+  "alerts:write": ["alerts:read"],
+  "alerts:admin": ["alerts:write", "alerts:read"]
+};
+// First match wins; `path` is relative to /api/v1. Routes not listed here
+// need `keys:admin`, so a new endpoint is never open to narrowly scoped keys.
+const ROUTE_SCOPES = [
+  { method: "*", path: /^\/auth\/api-keys(\/|$)/, scopes: ["keys:admin"] },
+  { method: "*", path: /^\/organizations(\/|$)/, scopes: ["orgs:admin"] },
+  { method: "GET", path: /^\/overview$/, scopes: ["agents:read", "tasks:read", "alerts:read"] },
+  { method: "POST", path: /^\/agents\/[^/]+\/tasks\/claim$/, scopes: ["tasks:write"] },
+  { method: "GET", path: /^\/agents\/[^/]+\/commands$/, scopes: ["commands:read"] },
+  { method: "POST", path: /^\/agents\/[^/]+\/commands(\/pull)?$/, scopes: ["commands:write"] },
+  { method: "GET", path: /^\/agents\/[^/]+\/ws$/, scopes: ["agents:write", "commands:write"] },
+  { method: "GET", path: /^\/agents(\/|$)/, scopes: ["agents:read"] },
+  { method: "*", path: /^\/agents(\/|$)/, scopes: ["agents:write"] },
+  { method: "POST", path: /^\/convex\/sync\/agents$/, scopes: ["agents:write"] },
+  { method: "GET", path: /^\/tasks(\/|$)/, scopes: ["tasks:read"] },
+  { method: "*", path: /^\/tasks(\/|$)/, scopes: ["tasks:write"] },
+  { method: "GET", path: /^\/commands(\/|$)/, scopes: ["commands:read"] },
+  { method: "*", path: /^\/commands(\/|$)/, scopes: ["commands:write"] },
+  { method: "GET", path: /^\/alerts(\/|$)/, scopes: ["alerts:read"] },
+  { method: "POST", path: /^\/alerts\/[^/]+\/(ack|close)$/, scopes: ["alerts:admin"] },
+  { method: "*", path: /^\/alerts(\/|$)/, scopes: ["alerts:write"] },
+  { method: "GET", path: /^\/audit$/, scopes: ["audit:read"] },
+  { method: "*", path: /^\/webhooks(\/|$)/, scopes: ["webhooks:admin"] },
+  // The stream only sends events the key's read scopes cover.
+  { method: "GET", path: /^\/stream$/, scopes: [] },
+  { method: "GET", path: /^\/openapi\.json$/, scopes: [] }
+];
+// The only routes an agent-bound key may call; `agentOf` maps the matched
+// path to the agent the request acts for.
+const AGENT_KEY_ROUTES = [
+  { method: "POST", path: /^\/agents\/([^/]+)\/heartbeat$/, agentOf: (id) => id },
+  { method: "GET", path: /^\/agents\/([^/]+)\/ws$/, agentOf: (id) => id },
+  { method: "GET", path: /^\/agents\/([^/]+)\/commands$/, agentOf: (id) => id },
+  { method: "POST", path: /^\/agents\/([^/]+)\/commands\/pull$/, agentOf: (id) => id },
+  { method: "POST", path: /^\/agents\/([^/]+)\/tasks\/claim$/, agentOf: (id) => id },
+  { method: "POST", path: /^\/commands\/([^/]+)\/ack$/, agentOf: async (id) => (await backend.getCommand(id))?.agent_id },
+  { method: "POST", path: /^\/tasks\/([^/]+)\/events$/, agentOf: async (id) => (await backend.getTask(id))?.assigned_agent_id }
+];
+
+// Requests per RATE_LIMIT_WINDOW_SEC, per API key and per agent; first match
+// wins and a capacity of 0 disables the group.
+const RATE_LIMIT_GROUPS = [
+  { name: "heartbeat", method: "POST", path: /^\/agents\/[^/]+\/heartbeat$/, capacity: RATE_LIMIT_HEARTBEAT },
+  { name: "task_events", method: "POST", path: /^\/tasks\/[^/]+\/events$/, capacity: RATE_LIMIT_TASK_EVENTS },
+  { name: "read", method: "GET", path: /^/, capacity: RATE_LIMIT_READ },
+  { name: "write", method: "*", path: /^/, capacity: RATE_LIMIT_WRITE }
+];
+
+// Bookkeeping fields that change with every write; left out of audit diffs.
+const AUDIT_IGNORED_FIELDS = new Set(["updated_at", "version", "history"]);
+// Heartbeats are audited only when they change an agent's configuration.
+const HEARTBEAT_TELEMETRY_FIELDS = new Set([...AUDIT_IGNORED_FIELDS, "status", "load", "queue_depth", "current_task_id", "last_heartbeat_at"]);
 
-const FINAL_TASK_STATUSES = new Set(["done", "failed", "cancelled"]);
 const ALLOWED_TRANSITIONS = {
   queued: new Set(["running", "cancelled"]),
   running: new Set(["blocked", "done", "failed", "cancelled"]),
@@ -88,39 +205,298 @@ const ALLOWED_TRANSITIONS = {
   cancelled: new Set([])
 };
 
+const COMMAND_TRANSITIONS = {
+  queued: new Set(["delivered", "acked", "failed", "expired"]),
+  delivered: new Set(["queued", "delivered", "acked", "failed", "expired"]),
+  acked: new Set([]),
+  failed: new Set([]),
+  expired: new Set([])
+};
+
 function nowIso() {
   return new Date().toISOString();
 }
 
+// Backends reject domain rule violations detected inside the write (e.g. a
+// concurrent status change) by throwing an Error whose message is the code.
+function isBackendError(err, code) {
+  return err instanceof Error && err.message === code;
+}
+
 function extractApiKey(req) {
   const value = req.header("x-api-key");
   if (typeof value !== "string") return "";
   return value.trim();
 }
 
+// `scopes: null` marks a key created before scopes existed (and the bootstrap
+// key); it keeps full access.
+function hasScope(auth, scope) {
+  if (auth.scopes === null || auth.scopes === undefined) return true;
+  return auth.scopes.some((granted) => granted === scope || IMPLIED_SCOPES[granted]?.includes(scope));
+}
+
+function requiredScopes(method, path) {
+  const verb = method === "HEAD" ? "GET" : method;
+  const rule = ROUTE_SCOPES.find((candidate) => (candidate.method === "*" || candidate.method === verb) && candidate.path.test(path));
+  return rule ? rule.scopes : ["keys:admin"];
+}
+
+async function boundAgentIds(auth) {
+  const ids = new Set([auth.agent_id]);
+  if (!auth.include_subtree) return ids;
+  const agents = await backend.listAgents();
+  let added = true;
+  while (added) {
+    added = false;
+    for (const agent of agents) {
+      if (agent.supervisor_id && ids.has(agent.supervisor_id) && !ids.has(agent.id)) {
+        ids.add(agent.id);
+        added = true;
+      }
+    }
+  }
+  return ids;
+}
+
+// Returns an error message when an agent-bound key calls something other than
+// its own agent endpoints. Unknown commands/tasks fall through to the 404 of
+// the route handler.
+async function checkAgentBinding(method, path, auth) {
+  const rule = AGENT_KEY_ROUTES.find((candidate) => candidate.method === method && candidate.path.test(path));
+  if (!rule) return "Agent-bound API key cannot call this endpoint";
+  const id = decodeURIComponent(rule.path.exec(path)[1]);
+  const agentId = await rule.agentOf(id);
+  if (agentId === undefined) return null;
+  if (agentId === null || !(await boundAgentIds(auth)).has(agentId)) return `API key is bound to agent ${auth.agent_id}`;
+  return null;
+}
+
 function errorResponse(res, status, code, message, details = {}) {
   return res.status(status).json({ error: { code, message, details } });
 }
 
+function versionEtag(row) {
+  return `"${row.version}"`;
+}
+
+// Precondition for PATCH: `If-Match: "<version>"` (the ETag) or an
+// `expected_version` body field. `If-Match: *` means no precondition.
+function parseExpectedVersion(req) {
+  const header = req.get("If-Match")?.trim();
+  const fromBody = req.body.expected_version;
+  let expectedVersion;
+  if (header !== undefined && header !== "*") {
+    const match = /^(?:W\/)?"(\d+)"$/.exec(header);
+    if (!match) return { error: "If-Match must be a version ETag" };
+    expectedVersion = Number(match[1]);
+  }
+  if (fromBody !== undefined) {
+    if (!Number.isInteger(fromBody) || fromBody < 1) return { error: "expected_version must be positive integer" };
+    if (expectedVersion !== undefined && expectedVersion !== fromBody) return { error: "If-Match and expected_version disagree" };
+    expectedVersion = fromBody;
+  }
+  return { expectedVersion };
+}
+
+function versionMismatch(res, currentVersion) {
+  return errorResponse(res, 412, "VERSION_MISMATCH", `Resource was modified; current version is ${currentVersion}`, { current_version: currentVersion });
+}
+
+// Every response carries X-Request-Id; a well-formed id sent by the client is
+// kept so audit entries can be matched with the caller's own logs.
+app.use((req, res, next) => {
+  const header = req.get("X-Request-Id");
+  req.requestId = header && /^[\w.:-]{1,128}$/.test(header) ? header : randomUUID();
+  res.set("X-Request-Id", req.requestId);
+  return next();
+});
+
+// Resolves the API key and checks its scopes and agent binding for `method`
+// and `path` (relative to /api/v1). Returns `{ auth }` or `{ error }` with the
+// arguments of errorResponse.
+async function authenticate(rawKey, method, path) {
+  if (!rawKey) return { error: [401, "UNAUTHORIZED", "Missing X-API-Key header"] };
+  const auth = await apiKeyCache.resolve(rawKey);
+  if (!auth) return { error: [401, "UNAUTHORIZED", "Invalid API key"] };
+  const missing = requiredScopes(method, path).filter((scope) => !hasScope(auth, scope));
+  if (missing.length > 0) {
+    return { error: [403, "FORBIDDEN", `API key lacks scope: ${missing.join(", ")}`, { required_scopes: missing }] };
+  }
+  if (auth.agent_id) {
+    const denied = await backend.runWithContext(auth, () => checkAgentBinding(method, path, auth));
+    if (denied) return { error: [403, "FORBIDDEN", denied, { agent_id: auth.agent_id }] };
+  }
+  return { auth };
+}
+
 app.use("/api/v1", async (req, res, next) => {
   try {
-    const rawKey = extractApiKey(req);
-    if (!rawKey) return errorResponse(res, 401, "UNAUTHORIZED", "Missing X-API-Key header");
-    const auth = await convexResolveApiKey(rawKey);
-    if (!auth) return errorResponse(res, 401, "UNAUTHORIZED", "Invalid API key");
+    const { auth, error } = await authenticate(extractApiKey(req), req.method, req.path);
+    if (error) return errorResponse(res, ...error);
     req.auth = auth;
-    return runWithConvexContext(auth, next);
+    return backend.runWithContext(auth, next);
   } catch (err) {
     return next(err);
   }
 });
 
+const rateLimiter = createRateLimiter();
+
+// The agent a request acts for: the `/agents/:agentId/...` path segment, the
+// agent an agent-bound key belongs to, or `agent_id` in the body.
+function rateLimitAgentId(req) {
+  const match = /^\/agents\/([^/]+)\//.exec(req.path);
+  if (match) return decodeURIComponent(match[1]);
+  if (req.auth.agent_id) return req.auth.agent_id;
+  return typeof req.body?.agent_id === "string" ? req.body.agent_id : null;
+}
+
+// Takes a token for one request; null when its group is not limited.
+function takeRateLimit(auth, method, path, agentId) {
+  const verb = method === "HEAD" ? "GET" : method;
+  const group = RATE_LIMIT_GROUPS.find((candidate) => (candidate.method === "*" || candidate.method === verb) && candidate.path.test(path));
+  if (!group || !(group.capacity > 0)) return null;
+
+  const buckets = [`key:${auth.key_id}:${group.name}`];
+  if (agentId) buckets.push(`agent:${auth.organization_id}:${agentId}:${group.name}`);
+  const result = rateLimiter.take(buckets, { capacity: group.capacity, windowSec: RATE_LIMIT_WINDOW_SEC });
+  return { group, result };
+}
+
+function rateLimitDetails(group, result) {
+  return {
+    group: group.name,
+    limited_by: result.key.startsWith("agent:") ? "agent" : "api_key",
+    retry_after_sec: result.retryAfterSec
+  };
+}
+
+app.use("/api/v1", (req, res, next) => {
+  const limited = takeRateLimit(req.auth, req.method, req.path, rateLimitAgentId(req));
+  if (!limited) return next();
+  const { group, result } = limited;
+
+  res.set("RateLimit-Policy", `${group.capacity};w=${RATE_LIMIT_WINDOW_SEC}`);
+  res.set("RateLimit-Limit", String(result.limit));
+  res.set("RateLimit-Remaining", String(result.remaining));
+  res.set("RateLimit-Reset", String(result.resetSec));
+  if (result.allowed) return next();
+
+  res.set("Retry-After", String(result.retryAfterSec));
+  return errorResponse(res, 429, "RATE_LIMITED", `Rate limit exceeded for ${group.name} requests`, rateLimitDetails(group, result));
+});
+
+// Honours `Idempotency-Key` on POST routes: the key is reserved (per
+// organization) before the handler runs, the first response is stored for
+// IDEMPOTENCY_TTL_SEC and replayed for retries. 5xx responses release the key.
+async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+  if (!key || key.length > 255) return errorResponse(res, 400, "VALIDATION_ERROR", "Idempotency-Key must be 1..255 characters");
+
+  try {
+    const fingerprint = createHash("sha256").update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body)}`).digest("hex");
+    const nowMs = Date.now();
+    const begun = await backend.beginIdempotentRequest(
+      key,
+      fingerprint,
+      new Date(nowMs).toISOString(),
+      new Date(nowMs + IDEMPOTENCY_LOCK_SEC * 1000).toISOString(),
+      new Date(nowMs + IDEMPOTENCY_TTL_SEC * 1000).toISOString()
+    );
+    if (begun.state === "mismatch") return errorResponse(res, 422, "IDEMPOTENCY_KEY_REUSED", "Idempotency-Key was already used with a different request");
+    if (begun.state === "in_progress") return errorResponse(res, 409, "IDEMPOTENCY_IN_PROGRESS", "A request with this Idempotency-Key is still being processed");
+    if (begun.state === "replay") {
+      res.set("Idempotent-Replayed", "true");
+      if (begun.response_body) res.type("json");
+      return res.status(begun.status_code).send(begun.response_body ?? undefined);
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  // Route handlers answer with res.json()/res.send(), which both end up here
+  // with the serialized body.
+  const send = res.send.bind(res);
+  res.send = (body) => {
+    const stored = res.statusCode >= 500
+      ? backend.releaseIdempotentRequest(key)
+      : backend.completeIdempotentRequest(key, res.statusCode, body === undefined ? null : String(body));
+    stored
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error("Storing idempotent response failed", err);
+      })
+      .finally(() => send(body));
+    return res;
+  };
+  return next();
+}
+
+// Field-level diff `{ field: { before, after } }`; `before` is null for created
+// entities. When both sides are given only fields present in both are
+// compared, so a partial `before` covers just the state an action is known to
+// have replaced.
+function auditChanges(before, after, ignored = AUDIT_IGNORED_FIELDS) {
+  const fields = before && after ? Object.keys(after).filter((field) => field in before) : Object.keys(after ?? before ?? {});
+  const changes = {};
+  for (const field of fields) {
+    if (ignored.has(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { before: from, after: to };
+  }
+  return changes;
+}
+
+// Records an API mutation for the calling key. The change has already been
+// applied, so a failed audit write is logged instead of failing the request.
+async function audit(req, action, entityType, entityId, before, after, changes = auditChanges(before, after)) {
+  try {
+    await backend.addAuditEntry({
+      id: randomUUID(),
+      request_id: req.requestId,
+      actor_user_id: req.auth.user_id ?? null,
+      actor_key_id: req.auth.key_id ?? null,
+      actor_agent_id: req.auth.agent_id ?? null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId,
+      changes,
+      created_at: nowIso()
+    });
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error("Writing audit entry failed", err);
+  }
+}
+
 function parsePaging(query) {
   const limitRaw = Number(query.limit ?? 50);
   const limit = Number.isFinite(limitRaw) ? Math.min(Math.max(limitRaw, 1), 200) : 50;
   const offsetRaw = Number(query.offset ?? 0);
   const offset = Number.isFinite(offsetRaw) ? Math.max(offsetRaw, 0) : 0;
-  return { limit, offset };
+  const cursor = typeof query.cursor === "string" && query.cursor.length > 0 ? query.cursor : null;
+  return { limit, offset, cursor };
+}
+
+// Paged lists answer `{ items, next_cursor }`; next_cursor is null on the
+// last page and is also sent as X-Next-Cursor for clients that read headers.
+async function sendPage(res, loadPage, mapRow) {
+  let page;
+  try {
+    page = await loadPage();
+  } catch (err) {
+    if (isBackendError(err, "INVALID_CURSOR")) return errorResponse(res, 400, "INVALID_CURSOR", "cursor is invalid or expired");
+    throw err;
+  }
+  if (page.next_cursor) res.set("X-Next-Cursor", page.next_cursor);
+  return res.json({ items: page.items.map(mapRow), next_cursor: page.next_cursor });
+}
+
+function queryFilter(query, name) {
+  return query[name] ? String(query[name]) : undefined;
 }
 
 function validateSetValue(value, allowed, fieldName) {
@@ -165,11 +541,20 @@ function mapTask(row) {
     status: row.status,
     progress: row.progress,
     priority: row.priority,
+    required_capabilities: Array.isArray(row.required_capabilities) ? row.required_capabilities : [],
+    depends_on: Array.isArray(row.depends_on) ? row.depends_on : [],
+    on_dependency_failure: row.on_dependency_failure ?? "fail",
+    on_agent_offline: row.on_agent_offline ?? "requeue",
+    parent_task_id: row.parent_task_id ?? null,
+    retry_policy: row.retry_policy ?? null,
+    attempt: row.attempt ?? 1,
+    retry_at: row.retry_at ?? null,
     metadata: row.metadata ?? {},
     created_at: row.created_at,
     updated_at: row.updated_at,
     started_at: row.started_at,
     finished_at: row.finished_at,
+    lease_expires_at: row.lease_expires_at ?? null,
     version: row.version
   };
 }
@@ -197,11 +582,20 @@ function mapCommand(row) {
     acked_by: row.acked_by,
     ack_message: row.ack_message,
     expires_at: row.expires_at,
+    delivery_attempts: row.delivery_attempts ?? 0,
+    delivered_at: row.delivered_at ?? null,
     created_at: row.created_at,
     updated_at: row.updated_at
   };
 }
 
+function mapCommandDetail(row) {
+  return {
+    ...mapCommand(row),
+    history: Array.isArray(row.history) ? row.history : []
+  };
+}
+
 function mapAlert(row) {
   return {
     id: row.id,
@@ -216,6 +610,67 @@ function mapAlert(row) {
   };
 }
 
+function mapAuditEntry(row) {
+  return {
+    id: row.id,
+    request_id: row.request_id,
+    actor_user_id: row.actor_user_id,
+    actor_key_id: row.actor_key_id,
+    actor_agent_id: row.actor_agent_id,
+    action: row.action,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    changes: row.changes ?? {},
+    created_at: row.created_at
+  };
+}
+
+// Entities of /api/v1/stream events: the read scope they need and the mapper
+// of their `data`.
+const STREAM_ENTITIES = {
+  agent: { scope: "agents:read", map: mapAgent },
+  task: { scope: "tasks:read", map: mapTask },
+  task_event: { scope: "tasks:read", map: mapTaskEvent },
+  command: { scope: "commands:read", map: mapCommand },
+  alert: { scope: "alerts:read", map: mapAlert }
+};
+const STREAM_EVENT_TYPES = new Set([
+  "agent.created",
+  "agent.updated",
+  "agent.heartbeat",
+  "task.created",
+  "task.updated",
+  "task.event",
+  "command.created",
+  "command.updated",
+  "alert.opened",
+  "alert.acked",
+  "alert.closed"
+]);
+
+function streamAgentId(event) {
+  const { entity, row } = event;
+  if (entity === "agent") return row.id;
+  if (entity === "task") return row.assigned_agent_id;
+  if (entity === "alert") return row.entity_type === "agent" ? row.entity_id : null;
+  return row.agent_id;
+}
+
+function streamTaskId(event) {
+  if (event.entity === "task") return event.row.id;
+  if (event.entity === "task_event") return event.row.task_id;
+  return null;
+}
+
+// `types` entries are event types or their prefix (`task` matches `task.*`).
+function streamEventMatches(event, filters) {
+  if (!filters.entities.has(event.entity)) return false;
+  if (filters.types && !filters.types.some((type) => event.type === type || event.type.startsWith(`${type}.`))) return false;
+  if (filters.agent_id !== undefined && streamAgentId(event) !== filters.agent_id) return false;
+  if (filters.task_id !== undefined && streamTaskId(event) !== filters.task_id) return false;
+  return true;
+}
+
 function buildTree(agentRows) {
   const nodes = new Map();
   const roots = [];
@@ -238,535 +693,1107 @@ function buildTree(agentRows) {
 
 async function agentExists(agentId) {
   if (!agentId) return false;
-  return Boolean(await convexGetAgent(agentId));
-}
-
-function validateAgentCreate(body) {
-  const payload = {
-    id: body.id,
-    name: body.name,
-    role: body.role ?? "worker",
-    host: body.host ?? "openclaw-macmini",
-    supervisor_id: body.supervisor_id ?? null,
-    status: body.status ?? "online",
-    capabilities: Array.isArray(body.capabilities) ? body.capabilities : []
-  };
-  if (typeof payload.id !== "string" || payload.id.length < 1) return { error: "id is required string" };
-  if (typeof payload.name !== "string" || payload.name.length < 1) return { error: "name is required string" };
-  if (typeof payload.host !== "string") return { error: "host must be a string" };
-  if (payload.supervisor_id !== null && typeof payload.supervisor_id !== "string") return { error: "supervisor_id must be null or string" };
-  if (!Array.isArray(payload.capabilities) || payload.capabilities.some((c) => typeof c !== "string")) return { error: "capabilities must be array of strings" };
-  const roleError = validateSetValue(payload.role, AGENT_ROLES, "role");
-  if (roleError) return { error: roleError };
-  const statusError = validateSetValue(payload.status, AGENT_STATUSES, "status");
-  if (statusError) return { error: statusError };
-  return { payload };
-}
-
-function validateAgentPatch(body) {
-  const payload = {
-    name: body.name,
-    role: body.role,
-    host: body.host,
-    supervisor_id: Object.prototype.hasOwnProperty.call(body, "supervisor_id") ? body.supervisor_id : undefined,
-    status: body.status,
-    capabilities: body.capabilities,
-    load: body.load,
-    queue_depth: body.queue_depth,
-    current_task_id: Object.prototype.hasOwnProperty.call(body, "current_task_id") ? body.current_task_id : undefined
-  };
-  if (payload.name !== undefined && typeof payload.name !== "string") return { error: "name must be string" };
-  if (payload.host !== undefined && typeof payload.host !== "string") return { error: "host must be string" };
-  if (payload.supervisor_id !== undefined && payload.supervisor_id !== null && typeof payload.supervisor_id !== "string") return { error: "supervisor_id must be null or string" };
-  if (payload.current_task_id !== undefined && payload.current_task_id !== null && typeof payload.current_task_id !== "string") return { error: "current_task_id must be null or string" };
-  if (payload.capabilities !== undefined && (!Array.isArray(payload.capabilities) || payload.capabilities.some((c) => typeof c !== "string"))) return { error: "capabilities must be array of strings" };
-  if (payload.load !== undefined && payload.load !== null && typeof payload.load !== "number") return { error: "load must be null or number" };
-  if (payload.queue_depth !== undefined && payload.queue_depth !== null && !Number.isInteger(payload.queue_depth)) return { error: "queue_depth must be null or integer" };
-  const roleError = validateSetValue(payload.role, AGENT_ROLES, "role");
-  if (roleError) return { error: roleError };
-  const statusError = validateSetValue(payload.status, AGENT_STATUSES, "status");
-  if (statusError) return { error: statusError };
-  return { payload };
-}
-
-function validateHeartbeat(body) {
-  const payload = {
-    name: body.name,
-    role: body.role ?? "worker",
-    host: body.host ?? "openclaw-macmini",
-    supervisor_id: body.supervisor_id ?? null,
-    capabilities: Array.isArray(body.capabilities) ? body.capabilities : [],
-    status: body.status ?? "online",
-    load: body.load ?? null,
-    queue_depth: body.queue_depth ?? null,
-    current_task_id: body.current_task_id ?? null
-  };
-  if (payload.name !== undefined && typeof payload.name !== "string") return { error: "name must be string" };
-  if (typeof payload.host !== "string") return { error: "host must be string" };
-  if (payload.supervisor_id !== null && typeof payload.supervisor_id !== "string") return { error: "supervisor_id must be null or string" };
-  if (!Array.isArray(payload.capabilities) || payload.capabilities.some((c) => typeof c !== "string")) return { error: "capabilities must be array of strings" };
-  if (payload.load !== null && typeof payload.load !== "number") return { error: "load must be null or number" };
-  if (payload.queue_depth !== null && !Number.isInteger(payload.queue_depth)) return { error: "queue_depth must be null or integer" };
-  if (payload.current_task_id !== null && typeof payload.current_task_id !== "string") return { error: "current_task_id must be null or string" };
-  const roleError = validateSetValue(payload.role, AGENT_ROLES, "role");
-  if (roleError) return { error: roleError };
-  const statusError = validateSetValue(payload.status, AGENT_STATUSES, "status");
-  if (statusError) return { error: statusError };
-  return { payload };
-}
-
-function validateTaskCreate(body) {
-  const payload = {
-    id: body.id ?? randomUUID(),
-    title: body.title,
-    description: body.description ?? null,
-    assigned_agent_id: body.assigned_agent_id ?? null,
-    status: body.status ?? "queued",
-    progress: body.progress ?? 0,
-    priority: body.priority ?? "normal",
-    metadata: body.metadata ?? {}
-  };
-  if (typeof payload.id !== "string" || payload.id.length < 1) return { error: "id must be string" };
-  if (typeof payload.title !== "string" || payload.title.length < 1) return { error: "title is required string" };
-  if (payload.description !== null && typeof payload.description !== "string") return { error: "description must be null or string" };
-  if (payload.assigned_agent_id !== null && typeof payload.assigned_agent_id !== "string") return { error: "assigned_agent_id must be null or string" };
-  if (!Number.isInteger(payload.progress) || payload.progress < 0 || payload.progress > 100) return { error: "progress must be integer 0..100" };
-  const statusError = validateSetValue(payload.status, TASK_STATUSES, "status");
-  if (statusError) return { error: statusError };
-  const priorityError = validateSetValue(payload.priority, TASK_PRIORITIES, "priority");
-  if (priorityError) return { error: priorityError };
-  return { payload };
-}
-
-function validateTaskPatch(body) {
-  const payload = {
-    title: body.title,
-    description: Object.prototype.hasOwnProperty.call(body, "description") ? body.description : undefined,
-    assigned_agent_id: Object.prototype.hasOwnProperty.call(body, "assigned_agent_id") ? body.assigned_agent_id : undefined,
-    status: body.status,
-    progress: body.progress,
-    priority: body.priority,
-    metadata: body.metadata
-  };
-  if (payload.title !== undefined && (typeof payload.title !== "string" || !payload.title)) return { error: "title must be non-empty string" };
-  if (payload.description !== undefined && payload.description !== null && typeof payload.description !== "string") return { error: "description must be null or string" };
-  if (payload.assigned_agent_id !== undefined && payload.assigned_agent_id !== null && typeof payload.assigned_agent_id !== "string") return { error: "assigned_agent_id must be null or string" };
-  if (payload.progress !== undefined && (!Number.isInteger(payload.progress) || payload.progress < 0 || payload.progress > 100)) return { error: "progress must be integer 0..100" };
-  const statusError = validateSetValue(payload.status, TASK_STATUSES, "status");
-  if (statusError) return { error: statusError };
-  const priorityError = validateSetValue(payload.priority, TASK_PRIORITIES, "priority");
-  if (priorityError) return { error: priorityError };
-  return { payload };
-}
-
-function validateTaskEventCreate(body) {
-  const payload = {
-    id: body.id ?? randomUUID(),
-    agent_id: body.agent_id ?? null,
-    type: body.type,
-    message: body.message ?? null,
-    payload: body.payload ?? {}
-  };
-  if (typeof payload.id !== "string" || !payload.id) return { error: "id must be string" };
-  if (payload.agent_id !== null && typeof payload.agent_id !== "string") return { error: "agent_id must be null or string" };
-  if (typeof payload.type !== "string" || !payload.type) return { error: "type is required string" };
-  if (payload.message !== null && typeof payload.message !== "string") return { error: "message must be null or string" };
-  return { payload };
-}
-
-function validateCommandCreate(body) {
-  const payload = {
-    id: body.id ?? randomUUID(),
-    type: body.type,
-    payload: body.payload ?? {},
-    created_by: body.created_by ?? "operator",
-    expires_at: body.expires_at ?? null
-  };
-  if (typeof payload.id !== "string" || !payload.id) return { error: "id must be string" };
-  const typeError = validateSetValue(payload.type, COMMAND_TYPES, "type");
-  if (typeError) return { error: typeError };
-  if (typeof payload.created_by !== "string" || !payload.created_by) return { error: "created_by must be string" };
-  if (payload.expires_at !== null && typeof payload.expires_at !== "string") return { error: "expires_at must be null or ISO string" };
-  return { payload };
-}
-
-function validateCommandAck(body) {
-  const payload = {
-    acked_by: body.acked_by ?? "agent",
-    ack_message: body.ack_message ?? null,
-    status: body.status ?? "acked"
-  };
-  if (typeof payload.acked_by !== "string" || !payload.acked_by) return { error: "acked_by must be string" };
-  if (payload.ack_message !== null && typeof payload.ack_message !== "string") return { error: "ack_message must be null or string" };
-  const statusError = validateSetValue(payload.status, COMMAND_STATUSES, "status");
-  if (statusError) return { error: statusError };
-  return { payload };
-}
-
-function validateAlertCreate(body) {
-  const payload = {
-    id: body.id ?? randomUUID(),
-    severity: body.severity,
-    type: body.type,
-    entity_type: body.entity_type,
-    entity_id: body.entity_id,
-    message: body.message
-  };
-  if (typeof payload.id !== "string" || !payload.id) return { error: "id must be string" };
-  const sevError = validateSetValue(payload.severity, ALERT_SEVERITIES, "severity");
-  if (sevError) return { error: sevError };
-  if (typeof payload.type !== "string" || !payload.type) return { error: "type is required string" };
-  if (typeof payload.entity_type !== "string" || !payload.entity_type) return { error: "entity_type is required string" };
-  if (typeof payload.entity_id !== "string" || !payload.entity_id) return { error: "entity_id is required string" };
-  if (typeof payload.message !== "string" || !payload.message) return { error: "message is required string" };
-  return { payload };
-}
-
-function validateApiKeyCreate(body) {
-  const payload = {
-    name: body.name ?? "API Key",
-    expires_at: Object.prototype.hasOwnProperty.call(body, "expires_at") ? body.expires_at : undefined
-  };
-  if (typeof payload.name !== "string" || payload.name.length < 1) return { error: "name must be non-empty string" };
-  if (payload.expires_at !== undefined && payload.expires_at !== null && typeof payload.expires_at !== "string") return { error: "expires_at must be null or ISO string" };
-  return { payload };
+  return Boolean(await backend.getAgent(agentId));
+}
+
+const AGENT_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, required: true }),
+  name: string({ minLength: 1, required: true }),
+  role: enumOf(AGENT_ROLES, { name: "AgentRole", default: "worker" }),
+  host: string({ default: "openclaw-macmini" }),
+  supervisor_id: string({ nullable: true, default: null }),
+  status: enumOf(AGENT_STATUSES, { name: "AgentStatus", default: "online" }),
+  capabilities: arrayOf(string(), { default: [] })
+}, { name: "AgentCreate" });
+
+const AGENT_PATCH_SCHEMA = object({
+  name: string(),
+  role: enumOf(AGENT_ROLES, { name: "AgentRole" }),
+  host: string(),
+  supervisor_id: string({ nullable: true }),
+  status: enumOf(AGENT_STATUSES, { name: "AgentStatus" }),
+  capabilities: arrayOf(string()),
+  load: number({ nullable: true }),
+  queue_depth: integer({ nullable: true }),
+  current_task_id: string({ nullable: true })
+}, { name: "AgentPatch" });
+
+const HEARTBEAT_SCHEMA = object({
+  name: string(),
+  role: enumOf(AGENT_ROLES, { name: "AgentRole", default: "worker" }),
+  host: string({ default: "openclaw-macmini" }),
+  supervisor_id: string({ nullable: true, default: null }),
+  capabilities: arrayOf(string(), { default: [] }),
+  status: enumOf(AGENT_STATUSES, { name: "AgentStatus", default: "online" }),
+  load: number({ nullable: true, default: null }),
+  queue_depth: integer({ nullable: true, default: null }),
+  current_task_id: string({ nullable: true, default: null })
+}, { name: "Heartbeat", description: "Also registers the agent on its first heartbeat." });
+
+// Create defaults it to null (no retries); PATCH replaces it whole or clears it with null.
+function retryPolicySchema(options = {}) {
+  return object({
+    max_attempts: integer({ minimum: 1, maximum: 100, default: 3, description: "Attempts in total, the first run included" }),
+    backoff: enumOf(RETRY_BACKOFF_STRATEGIES, { name: "RetryBackoff", default: "exponential" }),
+    delay_sec: number({ exclusiveMinimum: 0, maximum: 86400, default: 30, description: "Delay after the first failure; doubled per attempt when exponential" }),
+    max_delay_sec: number({ exclusiveMinimum: 0, maximum: 604800, default: 3600 }),
+    retryable_errors: arrayOf(string({ minLength: 1 }), { unique: true, default: [], description: "Error classes worth retrying; empty retries every failure" })
+  }, { name: "RetryPolicy", nullable: true, ...options });
 }
 
+const TASK_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, default: randomUUID }),
+  title: string({ minLength: 1, required: true }),
+  description: string({ nullable: true, default: null }),
+  assigned_agent_id: string({ nullable: true, default: null }),
+  status: enumOf(TASK_STATUSES, { name: "TaskStatus", default: "queued" }),
+  progress: integer({ minimum: 0, maximum: 100, default: 0 }),
+  priority: enumOf(TASK_PRIORITIES, { name: "TaskPriority", default: "normal" }),
+  required_capabilities: arrayOf(string(), { default: [] }),
+  depends_on: arrayOf(string({ minLength: 1 }), { unique: true, default: [] }),
+  on_dependency_failure: enumOf(DEPENDENCY_FAILURE_POLICIES, { name: "DependencyFailurePolicy", default: "fail" }),
+  on_agent_offline: enumOf(AGENT_OFFLINE_POLICIES, { name: "AgentOfflinePolicy", default: "requeue" }),
+  parent_task_id: string({ nullable: true, default: null }),
+  retry_policy: retryPolicySchema({ default: null }),
+  metadata: record({ default: {} })
+}, { name: "TaskCreate" });
+
+const TASK_PATCH_SCHEMA = object({
+  title: string({ minLength: 1 }),
+  description: string({ nullable: true }),
+  assigned_agent_id: string({ nullable: true }),
+  status: enumOf(TASK_STATUSES, { name: "TaskStatus" }),
+  progress: integer({ minimum: 0, maximum: 100 }),
+  priority: enumOf(TASK_PRIORITIES, { name: "TaskPriority" }),
+  required_capabilities: arrayOf(string()),
+  depends_on: arrayOf(string({ minLength: 1 }), { unique: true }),
+  on_dependency_failure: enumOf(DEPENDENCY_FAILURE_POLICIES, { name: "DependencyFailurePolicy" }),
+  on_agent_offline: enumOf(AGENT_OFFLINE_POLICIES, { name: "AgentOfflinePolicy" }),
+  retry_policy: retryPolicySchema(),
+  error_class: string({ minLength: 1, description: "Failure class, matched against retry_policy.retryable_errors" }),
+  error_message: string(),
+  metadata: record()
+}, {
+  name: "TaskPatch",
+  refine: (payload) => ((payload.error_class !== undefined || payload.error_message !== undefined) && payload.status !== "failed"
+    ? "error_class and error_message are only accepted with status failed"
+    : null)
+});
+
+const TASK_EVENT_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, default: randomUUID }),
+  agent_id: string({ nullable: true, default: null }),
+  type: string({ minLength: 1, required: true }),
+  message: string({ nullable: true, default: null }),
+  payload: record({ default: {} })
+}, { name: "TaskEventCreate" });
+
+const TASK_CLAIM_SCHEMA = object({
+  lease_sec: number({ exclusiveMinimum: 0, maximum: 86400, default: TASK_LEASE_SEC })
+}, { name: "TaskClaim" });
+
+const COMMAND_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, default: randomUUID }),
+  type: enumOf(COMMAND_TYPES, { name: "CommandType", required: true }),
+  payload: record({ default: {} }),
+  created_by: string({ minLength: 1, default: "operator" }),
+  expires_at: string({ format: "date-time", nullable: true, default: null })
+}, { name: "CommandCreate" });
+
+const COMMAND_PULL_SCHEMA = object({
+  limit: integer({ minimum: 1, maximum: 200, default: 20 })
+}, { name: "CommandPull" });
+
+const COMMAND_ACK_SCHEMA = object({
+  acked_by: string({ minLength: 1, default: "agent" }),
+  ack_message: string({ nullable: true, default: null }),
+  status: enumOf(COMMAND_ACK_STATUSES, { name: "CommandAckStatus", default: "acked" })
+}, { name: "CommandAck" });
+
+const ALERT_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, default: randomUUID }),
+  severity: enumOf(ALERT_SEVERITIES, { name: "AlertSeverity", required: true }),
+  type: string({ minLength: 1, required: true }),
+  entity_type: string({ minLength: 1, required: true }),
+  entity_id: string({ minLength: 1, required: true }),
+  message: string({ minLength: 1, required: true })
+}, { name: "AlertCreate" });
+
+const API_KEY_CREATE_SCHEMA = object({
+  name: string({ minLength: 1, default: "API Key" }),
+  expires_at: string({ format: "date-time", nullable: true }),
+  scopes: arrayOf(enumOf(API_SCOPES, { name: "ApiScope" }), { minItems: 1, unique: true }),
+  agent_id: string({ minLength: 1, nullable: true, default: null }),
+  include_subtree: boolean({ default: false })
+}, {
+  name: "ApiKeyCreate",
+  refine: (payload) => (payload.include_subtree && payload.agent_id === null ? "include_subtree requires agent_id" : null)
+});
+
 app.post("/api/v1/auth/api-keys", async (req, res) => {
-  const { payload, error } = validateApiKeyCreate(req.body);
+  const { payload, error } = API_KEY_CREATE_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
-  const result = await convexCreateApiKey(req.auth.user_id, payload.name, payload.expires_at);
+  // A key can only hand out scopes it holds itself; without `scopes` the new
+  // key inherits the caller's.
+  const scopes = payload.scopes ?? req.auth.scopes ?? null;
+  const escalated = (scopes ?? Array.from(API_SCOPES)).filter((scope) => !hasScope(req.auth, scope));
+  if (escalated.length > 0) {
+    return errorResponse(res, 403, "FORBIDDEN", `Cannot grant scopes the API key does not hold: ${escalated.join(", ")}`, { scopes: escalated });
+  }
+  const agentBinding = payload.agent_id ? { agent_id: payload.agent_id, include_subtree: payload.include_subtree } : null;
+  if (agentBinding && !(await agentExists(agentBinding.agent_id))) return errorResponse(res, 400, "INVALID_AGENT", "agent_id does not exist");
+  let result;
+  try {
+    result = await backend.createApiKey(req.auth.user_id, payload.name, payload.expires_at, scopes, agentBinding);
+  } catch (err) {
+    if (isBackendError(err, "AGENT_NOT_FOUND")) return errorResponse(res, 400, "INVALID_AGENT", "agent_id does not exist");
+    throw err;
+  }
+  await audit(req, "api_key.create", "api_key", result.key.key_id, null, result.key);
   return res.status(201).json({ key: result.key, raw_key: result.raw_key });
 });
 
 app.get("/api/v1/auth/api-keys", async (req, res) => {
-  const keys = await convexListApiKeys(req.auth.user_id);
+  const keys = await backend.listApiKeys(req.auth.user_id);
   return res.json(keys);
 });
 
+async function findApiKey(userId, keyId) {
+  const keys = await backend.listApiKeys(userId);
+  return keys.find((key) => key.key_id === keyId) ?? null;
+}
+
 app.post("/api/v1/auth/api-keys/:keyId/rotate", async (req, res) => {
-  const result = await convexRotateApiKey(req.auth.user_id, req.params.keyId);
+  const before = await findApiKey(req.auth.user_id, req.params.keyId);
+  const result = await backend.rotateApiKey(req.auth.user_id, req.params.keyId);
   if (!result) return errorResponse(res, 404, "API_KEY_NOT_FOUND", "API key not found");
+  apiKeyCache.invalidate((auth) => auth.key_id === req.params.keyId);
+  await audit(req, "api_key.rotate", "api_key", req.params.keyId, before, result.key);
   return res.json({ key: result.key, raw_key: result.raw_key });
 });
 
 app.post("/api/v1/auth/api-keys/:keyId/revoke", async (req, res) => {
-  const key = await convexRevokeApiKey(req.auth.user_id, req.params.keyId);
+  const before = await findApiKey(req.auth.user_id, req.params.keyId);
+  const key = await backend.revokeApiKey(req.auth.user_id, req.params.keyId);
   if (!key) return errorResponse(res, 404, "API_KEY_NOT_FOUND", "API key not found");
+  apiKeyCache.invalidate((auth) => auth.key_id === req.params.keyId);
+  await audit(req, "api_key.revoke", "api_key", req.params.keyId, before, key);
   return res.json({ key });
 });
 
-app.post("/api/v1/agents", async (req, res) => {
-  const { payload, error } = validateAgentCreate(req.body);
+const ORGANIZATION_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, default: randomUUID }),
+  name: string({ minLength: 1, required: true })
+}, { name: "OrganizationCreate" });
+
+const USER_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, default: randomUUID }),
+  name: string({ minLength: 1, required: true }),
+  email: string({ nullable: true, default: null })
+}, { name: "UserCreate" });
+
+async function findOrganization(organizationId) {
+  const organizations = await backend.listOrganizations();
+  return organizations.find((organization) => organization.id === organizationId) ?? null;
+}
+
+// Admin routes act on another tenant: run the backend calls in its context.
+function inOrganization(organizationId, fn) {
+  return backend.runWithContext({ organization_id: organizationId, user_id: null, key_id: null }, fn);
+}
+
+async function findUser(organizationId, userId) {
+  const users = await inOrganization(organizationId, () => backend.listUsers());
+  return users.find((user) => user.id === userId) ?? null;
+}
+
+app.post("/api/v1/organizations", idempotent, async (req, res) => {
+  const { payload, error } = ORGANIZATION_CREATE_SCHEMA.validate(req.body);
+  if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  try {
+    const organization = await backend.createOrganization({ ...payload, created_at: nowIso() });
+    await audit(req, "organization.create", "organization", organization.id, null, organization);
+    return res.status(201).json(organization);
+  } catch (err) {
+    if (isBackendError(err, "ORGANIZATION_EXISTS")) return errorResponse(res, 409, "ORGANIZATION_EXISTS", "Organization already exists");
+    throw err;
+  }
+});
+
+app.get("/api/v1/organizations", async (_req, res) => {
+  return res.json(await backend.listOrganizations());
+});
+
+async function setOrganizationStatus(req, res, status) {
+  if (status === "suspended" && req.params.orgId === req.auth.organization_id) {
+    return errorResponse(res, 409, "CANNOT_SUSPEND_SELF", "Cannot suspend the organization of the calling API key");
+  }
+  const before = await findOrganization(req.params.orgId);
+  const organization = await backend.setOrganizationStatus(req.params.orgId, status, nowIso());
+  if (!organization) return errorResponse(res, 404, "ORGANIZATION_NOT_FOUND", "Organization not found");
+  apiKeyCache.invalidate((auth) => auth.organization_id === req.params.orgId);
+  await audit(req, status === "suspended" ? "organization.suspend" : "organization.activate", "organization", organization.id, before, organization);
+  return res.json(organization);
+}
+
+async function setUserStatus(req, res, status) {
+  if (status === "suspended" && req.params.userId === req.auth.user_id) {
+    return errorResponse(res, 409, "CANNOT_SUSPEND_SELF", "Cannot suspend the user of the calling API key");
+  }
+  const before = await findUser(req.params.orgId, req.params.userId);
+  const user = await inOrganization(req.params.orgId, () => backend.setUserStatus(req.params.userId, status, nowIso()));
+  if (!user) return errorResponse(res, 404, "USER_NOT_FOUND", "User not found");
+  apiKeyCache.invalidate((auth) => auth.organization_id === req.params.orgId && auth.user_id === req.params.userId);
+  await audit(req, status === "suspended" ? "user.suspend" : "user.activate", "user", user.id, before, user);
+  return res.json(user);
+}
+
+app.post("/api/v1/organizations/:orgId/suspend", idempotent, (req, res) => setOrganizationStatus(req, res, "suspended"));
+
+app.post("/api/v1/organizations/:orgId/activate", idempotent, (req, res) => setOrganizationStatus(req, res, "active"));
+
+app.post("/api/v1/organizations/:orgId/users", idempotent, async (req, res) => {
+  const { payload, error } = USER_CREATE_SCHEMA.validate(req.body);
+  if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  if (!(await findOrganization(req.params.orgId))) return errorResponse(res, 404, "ORGANIZATION_NOT_FOUND", "Organization not found");
+  try {
+    const user = await inOrganization(req.params.orgId, () => backend.createUser({ ...payload, created_at: nowIso() }));
+    await audit(req, "user.create", "user", user.id, null, user);
+    return res.status(201).json(user);
+  } catch (err) {
+    if (isBackendError(err, "USER_EXISTS")) return errorResponse(res, 409, "USER_EXISTS", "User already exists");
+    if (isBackendError(err, "ORGANIZATION_NOT_FOUND")) return errorResponse(res, 404, "ORGANIZATION_NOT_FOUND", "Organization not found");
+    throw err;
+  }
+});
+
+app.get("/api/v1/organizations/:orgId/users", async (req, res) => {
+  if (!(await findOrganization(req.params.orgId))) return errorResponse(res, 404, "ORGANIZATION_NOT_FOUND", "Organization not found");
+  return res.json(await inOrganization(req.params.orgId, () => backend.listUsers()));
+});
+
+app.post("/api/v1/organizations/:orgId/users/:userId/suspend", idempotent, (req, res) => setUserStatus(req, res, "suspended"));
+
+app.post("/api/v1/organizations/:orgId/users/:userId/activate", idempotent, (req, res) => setUserStatus(req, res, "active"));
+
+// Issues a key for a user of any organization, e.g. the first key of a new
+// tenant. Without `scopes` the key gets every scope except `orgs:admin`.
+app.post("/api/v1/organizations/:orgId/users/:userId/api-keys", idempotent, async (req, res) => {
+  const { payload, error } = API_KEY_CREATE_SCHEMA.validate(req.body);
+  if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  if (payload.agent_id) return errorResponse(res, 400, "VALIDATION_ERROR", "agent_id is not supported here; bind keys from the organization itself");
+  const user = await findUser(req.params.orgId, req.params.userId);
+  if (!user) return errorResponse(res, 404, "USER_NOT_FOUND", "User not found");
+  if (user.status !== "active") return errorResponse(res, 409, "USER_SUSPENDED", "User is suspended");
+  const scopes = payload.scopes ?? TENANT_SCOPES;
+  const escalated = scopes.filter((scope) => !hasScope(req.auth, scope));
+  if (escalated.length > 0) {
+    return errorResponse(res, 403, "FORBIDDEN", `Cannot grant scopes the API key does not hold: ${escalated.join(", ")}`, { scopes: escalated });
+  }
+  const result = await inOrganization(req.params.orgId, () => backend.createApiKey(user.id, payload.name, payload.expires_at, scopes, null));
+  await audit(req, "api_key.create", "api_key", result.key.key_id, null, result.key);
+  return res.status(201).json({ key: result.key, raw_key: result.raw_key });
+});
+
+app.post("/api/v1/agents", idempotent, async (req, res) => {
+  const { payload, error } = AGENT_CREATE_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
   if (payload.supervisor_id && !(await agentExists(payload.supervisor_id))) return errorResponse(res, 400, "INVALID_SUPERVISOR", "supervisor_id does not exist");
   if (await agentExists(payload.id)) return errorResponse(res, 409, "AGENT_EXISTS", "Agent already exists");
   const ts = nowIso();
-  const created = await convexCreateAgent({
-    id: payload.id,
-    name: payload.name,
-    role: payload.role,
-    host: payload.host,
-    supervisor_id: payload.supervisor_id,
-    status: payload.status,
-    capabilities: payload.capabilities,
-    last_heartbeat_at: ts,
-    load: null,
-    queue_depth: null,
-    current_task_id: null,
-    created_at: ts,
-    updated_at: ts,
-    version: 1
-  });
+  let created;
+  try {
+    created = await backend.createAgent({
+      id: payload.id,
+      name: payload.name,
+      role: payload.role,
+      host: payload.host,
+      supervisor_id: payload.supervisor_id,
+      status: payload.status,
+      capabilities: payload.capabilities,
+      last_heartbeat_at: ts,
+      load: null,
+      queue_depth: null,
+      current_task_id: null,
+      created_at: ts,
+      updated_at: ts,
+      version: 1
+    });
+  } catch (err) {
+    if (isBackendError(err, "AGENT_EXISTS")) return errorResponse(res, 409, "AGENT_EXISTS", "Agent already exists");
+    throw err;
+  }
+  await audit(req, "agent.create", "agent", created.id, null, created);
+  res.set("ETag", versionEtag(created));
   return res.status(201).json(mapAgent(created));
 });
 
 app.get("/api/v1/agents", async (req, res) => {
-  const { limit, offset } = parsePaging(req.query);
-  let rows = await convexListAgents();
-  if (req.query.status) rows = rows.filter((row) => row.status === String(req.query.status));
-  if (req.query.role) rows = rows.filter((row) => row.role === String(req.query.role));
-  if (req.query.host) rows = rows.filter((row) => row.host === String(req.query.host));
+  const filters = {
+    status: queryFilter(req.query, "status"),
+    role: queryFilter(req.query, "role"),
+    host: queryFilter(req.query, "host")
+  };
   if (Object.prototype.hasOwnProperty.call(req.query, "supervisor_id")) {
-    rows = req.query.supervisor_id === "null"
-      ? rows.filter((row) => row.supervisor_id === null)
-      : rows.filter((row) => row.supervisor_id === String(req.query.supervisor_id));
+    filters.supervisor_id = req.query.supervisor_id === "null" ? null : String(req.query.supervisor_id);
   }
-  rows.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
-  return res.json(rows.slice(offset, offset + limit).map(mapAgent));
+  return sendPage(res, () => backend.pageAgents(filters, parsePaging(req.query)), mapAgent);
 });
 
 app.get("/api/v1/agents/tree", async (_req, res) => {
-  const rows = await convexListAgents();
+  const rows = await backend.listAgents();
   return res.json(buildTree(rows));
 });
 
 app.get("/api/v1/agents/:agentId", async (req, res) => {
-  const row = await convexGetAgent(req.params.agentId);
+  const row = await backend.getAgent(req.params.agentId);
   if (!row) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
+  res.set("ETag", versionEtag(row));
   return res.json(mapAgent(row));
 });
 
 app.patch("/api/v1/agents/:agentId", async (req, res) => {
   const { agentId } = req.params;
-  const existing = await convexGetAgent(agentId);
+  const existing = await backend.getAgent(agentId);
   if (!existing) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
-  const { payload, error } = validateAgentPatch(req.body);
+  const { payload, error } = AGENT_PATCH_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  const { expectedVersion, error: versionError } = parseExpectedVersion(req);
+  if (versionError) return errorResponse(res, 400, "VALIDATION_ERROR", versionError);
+  if (expectedVersion !== undefined && expectedVersion !== existing.version) return versionMismatch(res, existing.version);
   if (payload.supervisor_id === agentId) return errorResponse(res, 400, "INVALID_SUPERVISOR", "Agent cannot supervise itself");
   if (payload.supervisor_id && !(await agentExists(payload.supervisor_id))) return errorResponse(res, 400, "INVALID_SUPERVISOR", "supervisor_id does not exist");
 
-  const updated = await convexPatchAgent(agentId, payload, {
-    has_supervisor_id: Object.prototype.hasOwnProperty.call(req.body, "supervisor_id"),
-    has_current_task_id: Object.prototype.hasOwnProperty.call(req.body, "current_task_id"),
-    updated_at: nowIso()
-  });
+  let updated;
+  try {
+    updated = await backend.patchAgent(agentId, payload, {
+      has_supervisor_id: Object.prototype.hasOwnProperty.call(req.body, "supervisor_id"),
+      has_current_task_id: Object.prototype.hasOwnProperty.call(req.body, "current_task_id"),
+      expected_version: expectedVersion,
+      updated_at: nowIso()
+    });
+  } catch (err) {
+    if (isBackendError(err, "VERSION_MISMATCH")) return versionMismatch(res, (await backend.getAgent(agentId))?.version);
+    throw err;
+  }
   if (!updated) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
+  await audit(req, "agent.update", "agent", agentId, existing, updated);
+  res.set("ETag", versionEtag(updated));
   return res.json(mapAgent(updated));
 });
 
-app.post("/api/v1/agents/:agentId/heartbeat", async (req, res) => {
+// Heartbeats, task events and command delivery are shared by the HTTP routes
+// and the agent socket; `req` only provides `auth` and `requestId`.
+async function recordHeartbeat(req, agentId, payload) {
+  const before = await backend.getAgent(agentId);
+  const result = await backend.heartbeatAgent(agentId, payload, nowIso());
+  const changes = auditChanges(before, result.agent, HEARTBEAT_TELEMETRY_FIELDS);
+  if (Object.keys(changes).length > 0) await audit(req, "agent.heartbeat", "agent", agentId, before, result.agent, changes);
+  return result.agent;
+}
+
+// Agent events are stamped with the attempt they belong to, unless they say.
+async function recordTaskEvent(req, task, payload) {
+  const event = await backend.addTaskEvent({
+    id: payload.id,
+    task_id: task.id,
+    agent_id: payload.agent_id,
+    type: payload.type,
+    message: payload.message,
+    payload: { attempt: task.attempt ?? 1, ...payload.payload },
+    created_at: nowIso()
+  });
+  await audit(req, "task_event.create", "task_event", event.id, null, event);
+  return event;
+}
+
+async function deliverAgentCommands(req, agentId, limit) {
+  const commands = await backend.deliverCommands(agentId, limit, COMMAND_REDELIVERY_TIMEOUT_SEC, COMMAND_MAX_DELIVERY_ATTEMPTS, nowIso());
+  for (const command of commands) {
+    await audit(req, "command.deliver", "command", command.id, { delivery_attempts: command.delivery_attempts - 1 }, command);
+  }
+  return commands;
+}
+
+app.post("/api/v1/agents/:agentId/heartbeat", idempotent, async (req, res) => {
   const { agentId } = req.params;
-  const { payload, error } = validateHeartbeat(req.body);
+  const { payload, error } = HEARTBEAT_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
   if (payload.supervisor_id && !(await agentExists(payload.supervisor_id))) return errorResponse(res, 400, "INVALID_SUPERVISOR", "supervisor_id does not exist");
-  const result = await convexHeartbeatAgent(agentId, payload, nowIso());
-  return res.json(mapAgent(result.agent));
+  const agent = await recordHeartbeat(req, agentId, payload);
+  return res.json(mapAgent(agent));
 });
 
 app.get("/api/v1/agents/:agentId/children", async (req, res) => {
-  const exists = await convexGetAgent(req.params.agentId);
+  const exists = await backend.getAgent(req.params.agentId);
   if (!exists) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
-  const rows = await convexListAgents();
+  const rows = await backend.listAgents();
   return res.json(rows.filter((row) => row.supervisor_id === req.params.agentId).sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))).map(mapAgent));
 });
 
-app.post("/api/v1/tasks", async (req, res) => {
-  const { payload, error } = validateTaskCreate(req.body);
+async function loadTasksById(needed) {
+  if (!needed) return new Map();
+  const tasks = await backend.listTasks();
+  return new Map(tasks.map((task) => [task.id, task]));
+}
+
+// Returns the errorResponse arguments when `dependsOn` names unknown tasks or
+// would close a cycle through `taskId`.
+function checkDependencies(taskId, dependsOn, tasksById) {
+  const cycle = findDependencyCycle(taskId, dependsOn, tasksById);
+  if (cycle) return [409, "DEPENDENCY_CYCLE", `depends_on would create a cycle: ${[taskId, ...cycle].join(" -> ")}`, { cycle: [taskId, ...cycle] }];
+  const missing = dependsOn.filter((id) => !tasksById.has(id));
+  if (missing.length > 0) return [400, "DEPENDENCY_NOT_FOUND", `Unknown dependencies: ${missing.join(", ")}`, { task_ids: missing }];
+  return null;
+}
+
+function dependenciesNotMet(res, task, tasksById) {
+  const { pending, dependency } = dependencyState(task, tasksById);
+  return errorResponse(res, 409, "DEPENDENCIES_NOT_MET", "Task cannot run before its dependencies are done", { depends_on: pending ?? [dependency.id] });
+}
+
+app.post("/api/v1/tasks", idempotent, async (req, res) => {
+  const { payload, error } = TASK_CREATE_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
   if (payload.assigned_agent_id && !(await agentExists(payload.assigned_agent_id))) return errorResponse(res, 400, "AGENT_NOT_FOUND", "assigned_agent_id does not exist");
-  if (await convexGetTask(payload.id)) return errorResponse(res, 409, "TASK_EXISTS", "Task already exists");
+  if (await backend.getTask(payload.id)) return errorResponse(res, 409, "TASK_EXISTS", "Task already exists");
+  if (payload.parent_task_id) {
+    const parent = await backend.getTask(payload.parent_task_id);
+    if (!parent) return errorResponse(res, 400, "PARENT_TASK_NOT_FOUND", "parent_task_id does not exist");
+    if (FINAL_TASK_STATUSES.has(parent.status)) return errorResponse(res, 409, "PARENT_TASK_FINISHED", `Cannot add a subtask to a ${parent.status} task`);
+  }
+  const tasksById = await loadTasksById(payload.depends_on.length > 0);
+  const dependencyError = checkDependencies(payload.id, payload.depends_on, tasksById);
+  if (dependencyError) return errorResponse(res, ...dependencyError);
+  // A task waiting for dependencies starts out blocked.
+  const waiting = dependencyState(payload, tasksById).state !== "ready";
+  if (waiting && payload.status === "running") return dependenciesNotMet(res, payload, tasksById);
+  const status = waiting && payload.status === "queued" ? "blocked" : payload.status;
 
   const ts = nowIso();
-  const task = await convexCreateTask({
-    id: payload.id,
-    title: payload.title,
-    description: payload.description,
-    assigned_agent_id: payload.assigned_agent_id,
-    status: payload.status,
-    progress: payload.progress,
-    priority: payload.priority,
-    metadata: payload.metadata,
-    created_at: ts,
-    updated_at: ts,
-    started_at: payload.status === "running" ? ts : null,
-    finished_at: FINAL_TASK_STATUSES.has(payload.status) ? ts : null,
-    version: 1
-  });
+  let task;
+  try {
+    task = await backend.createTask({
+      id: payload.id,
+      title: payload.title,
+      description: payload.description,
+      assigned_agent_id: payload.assigned_agent_id,
+      status,
+      progress: payload.progress,
+      priority: payload.priority,
+      required_capabilities: payload.required_capabilities,
+      depends_on: payload.depends_on,
+      on_dependency_failure: payload.on_dependency_failure,
+      on_agent_offline: payload.on_agent_offline,
+      parent_task_id: payload.parent_task_id,
+      retry_policy: payload.retry_policy,
+      attempt: 1,
+      retry_at: null,
+      metadata: payload.metadata,
+      created_at: ts,
+      updated_at: ts,
+      started_at: status === "running" ? ts : null,
+      finished_at: FINAL_TASK_STATUSES.has(status) ? ts : null,
+      version: 1
+    });
+  } catch (err) {
+    if (isBackendError(err, "TASK_EXISTS")) return errorResponse(res, 409, "TASK_EXISTS", "Task already exists");
+    throw err;
+  }
 
-  await convexAddTaskEvent({
+  await backend.addTaskEvent({
     id: randomUUID(),
     task_id: task.id,
     agent_id: task.assigned_agent_id,
     type: "status_changed",
     message: `Task created with status ${task.status}`,
-    payload: { status: task.status, progress: task.progress },
+    payload: { status: task.status, progress: task.progress, attempt: task.attempt },
     created_at: ts
   });
+  // A dependency may have finished while the task was being created.
+  if (waiting) task = (await reconcileDependencies(backend, task.id))?.task ?? task;
+  await propagateTaskChange(backend, task, null);
 
+  await audit(req, "task.create", "task", task.id, null, task);
+  res.set("ETag", versionEtag(task));
   return res.status(201).json(mapTask(task));
 });
 
 app.get("/api/v1/tasks", async (req, res) => {
-  const { limit, offset } = parsePaging(req.query);
-  let tasks = await convexListTasks();
-  if (req.query.status) tasks = tasks.filter((t) => t.status === String(req.query.status));
-  if (req.query.assigned_agent_id) tasks = tasks.filter((t) => t.assigned_agent_id === String(req.query.assigned_agent_id));
-  if (req.query.priority) tasks = tasks.filter((t) => t.priority === String(req.query.priority));
+  const filters = {
+    status: queryFilter(req.query, "status"),
+    assigned_agent_id: queryFilter(req.query, "assigned_agent_id"),
+    priority: queryFilter(req.query, "priority")
+  };
   if (req.query.supervisor_id) {
-    const agents = await convexListAgents();
-    const childIds = new Set(agents.filter((a) => a.supervisor_id === String(req.query.supervisor_id)).map((a) => a.id));
-    tasks = tasks.filter((t) => t.assigned_agent_id && childIds.has(t.assigned_agent_id));
+    const agents = await backend.listAgents();
+    let childIds = agents.filter((a) => a.supervisor_id === String(req.query.supervisor_id)).map((a) => a.id);
+    if (filters.assigned_agent_id) childIds = childIds.filter((id) => id === filters.assigned_agent_id);
+    if (childIds.length === 0) return res.json({ items: [], next_cursor: null });
+    filters.assigned_agent_id = undefined;
+    filters.assigned_agent_ids = childIds;
+  }
+  return sendPage(res, () => backend.pageTasks(filters, parsePaging(req.query)), mapTask);
+});
+
+app.post("/api/v1/tasks/dispatch", idempotent, async (req, res) => {
+  const assignments = await dispatchTasks(backend, {
+    offlineAfterSec: HEARTBEAT_OFFLINE_SEC,
+    maxTasksPerAgent: TASK_DISPATCH_MAX_PER_AGENT
+  });
+  // The dispatcher only assigns unassigned tasks.
+  for (const assignment of assignments) {
+    await audit(req, "task.assign", "task", assignment.task_id, { assigned_agent_id: null }, { assigned_agent_id: assignment.agent_id });
+  }
+  return res.json({ assignments });
+});
+
+// The whole task forest, or the subtree under `?root=`.
+app.get("/api/v1/tasks/tree", async (req, res) => {
+  const tasks = (await backend.listTasks()).sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))).map(mapTask);
+  const rootId = queryFilter(req.query, "root");
+  if (!rootId) return res.json(buildTaskTree(tasks));
+  if (!tasks.some((task) => task.id === rootId)) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
+  const inSubtree = new Set([rootId]);
+  for (let added = true; added;) {
+    added = false;
+    for (const task of tasks) {
+      if (task.parent_task_id && inSubtree.has(task.parent_task_id) && !inSubtree.has(task.id)) {
+        inSubtree.add(task.id);
+        added = true;
+      }
+    }
   }
-  tasks.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
-  return res.json(tasks.slice(offset, offset + limit).map(mapTask));
+  return res.json(buildTaskTree(tasks.filter((task) => inSubtree.has(task.id))));
 });
 
 app.get("/api/v1/tasks/:taskId", async (req, res) => {
-  const task = await convexGetTask(req.params.taskId);
+  const task = await backend.getTask(req.params.taskId);
   if (!task) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
+  res.set("ETag", versionEtag(task));
   return res.json(mapTask(task));
 });
 
 app.patch("/api/v1/tasks/:taskId", async (req, res) => {
-  const existing = await convexGetTask(req.params.taskId);
+  const existing = await backend.getTask(req.params.taskId);
   if (!existing) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
-  const { payload, error } = validateTaskPatch(req.body);
+  const { payload, error } = TASK_PATCH_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  const { expectedVersion, error: versionError } = parseExpectedVersion(req);
+  if (versionError) return errorResponse(res, 400, "VALIDATION_ERROR", versionError);
+  if (expectedVersion !== undefined && expectedVersion !== existing.version) return versionMismatch(res, existing.version);
   if (payload.assigned_agent_id && !(await agentExists(payload.assigned_agent_id))) return errorResponse(res, 400, "AGENT_NOT_FOUND", "assigned_agent_id does not exist");
   if (payload.status && !ALLOWED_TRANSITIONS[existing.status]?.has(payload.status)) {
     return errorResponse(res, 409, "INVALID_TASK_TRANSITION", `Invalid transition from ${existing.status} to ${payload.status}`);
   }
+  if (existing.retry_at && payload.status === "running") {
+    return errorResponse(res, 409, "RETRY_PENDING", `Task is waiting to retry at ${existing.retry_at}; use POST /api/v1/tasks/${existing.id}/retry to retry now`);
+  }
+  if (payload.depends_on !== undefined && !["queued", "blocked"].includes(existing.status)) {
+    return errorResponse(res, 409, "DEPENDENCIES_LOCKED", `depends_on cannot change once the task is ${existing.status}`);
+  }
+  let nextStatus = payload.status ?? existing.status;
+  const dependencies = {
+    id: existing.id,
+    depends_on: payload.depends_on ?? existing.depends_on ?? [],
+    on_dependency_failure: payload.on_dependency_failure ?? existing.on_dependency_failure
+  };
+  const checkState = dependencies.depends_on.length > 0 && (payload.depends_on !== undefined || nextStatus === "running");
+  const tasksById = await loadTasksById(checkState);
+  if (payload.depends_on !== undefined) {
+    const dependencyError = checkDependencies(existing.id, payload.depends_on, tasksById);
+    if (dependencyError) return errorResponse(res, ...dependencyError);
+  }
+  const waiting = checkState && dependencyState(dependencies, tasksById).state !== "ready";
+  if (waiting && nextStatus === "running") return dependenciesNotMet(res, dependencies, tasksById);
+  if (waiting && nextStatus === "queued") nextStatus = "blocked";
+  // A retryable failure parks the task as blocked until the retry is due.
+  const retryPolicy = payload.retry_policy !== undefined ? payload.retry_policy : existing.retry_policy;
+  const retryAt = payload.status === "failed" && !existing.retry_at ? scheduleRetry({ ...existing, retry_policy: retryPolicy }, payload.error_class) : null;
+  if (retryAt) nextStatus = "blocked";
 
   const ts = nowIso();
-  const nextStatus = payload.status ?? existing.status;
-  const updated = await convexPatchTask(req.params.taskId, {
-    title: payload.title,
-    description: payload.description,
-    assigned_agent_id: payload.assigned_agent_id,
-    status: nextStatus,
-    progress: payload.progress,
-    priority: payload.priority,
-    metadata: payload.metadata,
-    started_at: existing.started_at ?? (nextStatus === "running" ? ts : null),
-    finished_at: FINAL_TASK_STATUSES.has(nextStatus) ? (existing.finished_at ?? ts) : null
-  }, {
-    has_description: Object.prototype.hasOwnProperty.call(req.body, "description"),
-    has_assigned_agent_id: Object.prototype.hasOwnProperty.call(req.body, "assigned_agent_id"),
-    updated_at: ts
-  });
+  let updated;
+  try {
+    updated = await backend.patchTask(req.params.taskId, {
+      title: payload.title,
+      description: payload.description,
+      assigned_agent_id: payload.assigned_agent_id,
+      status: nextStatus,
+      progress: payload.progress,
+      priority: payload.priority,
+      required_capabilities: payload.required_capabilities,
+      depends_on: payload.depends_on,
+      on_dependency_failure: payload.on_dependency_failure,
+      on_agent_offline: payload.on_agent_offline,
+      retry_policy: payload.retry_policy,
+      retry_at: retryAt ?? (nextStatus === "blocked" ? undefined : null),
+      metadata: payload.metadata,
+      started_at: existing.started_at ?? (nextStatus === "running" ? ts : null),
+      finished_at: FINAL_TASK_STATUSES.has(nextStatus) ? (existing.finished_at ?? ts) : null
+    }, {
+      has_description: Object.prototype.hasOwnProperty.call(req.body, "description"),
+      has_assigned_agent_id: Object.prototype.hasOwnProperty.call(req.body, "assigned_agent_id"),
+      expected_version: expectedVersion,
+      updated_at: ts
+    });
+  } catch (err) {
+    if (isBackendError(err, "VERSION_MISMATCH")) return versionMismatch(res, (await backend.getTask(req.params.taskId))?.version);
+    throw err;
+  }
   if (!updated) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
 
-  await convexAddTaskEvent({
+  await backend.addTaskEvent({
     id: randomUUID(),
     task_id: updated.id,
     agent_id: updated.assigned_agent_id,
     type: "status_changed",
-    message: `Task updated to status ${updated.status}`,
-    payload: { status: updated.status, progress: updated.progress },
+    message: retryAt ? `Attempt ${updated.attempt} failed, retrying at ${retryAt}` : `Task updated to status ${updated.status}`,
+    payload: {
+      status: updated.status,
+      progress: updated.progress,
+      attempt: updated.attempt,
+      ...(payload.status === "failed" ? { error_class: payload.error_class ?? null, error_message: payload.error_message ?? null } : {}),
+      ...(retryAt ? { reason: "retry_scheduled", retry_at: retryAt } : {})
+    },
     created_at: ts
   });
+  if (payload.depends_on !== undefined || payload.on_dependency_failure !== undefined) {
+    updated = (await reconcileDependencies(backend, updated.id))?.task ?? updated;
+  }
+  await propagateTaskChange(backend, updated, existing);
 
+  await audit(req, "task.update", "task", updated.id, existing, updated);
+  res.set("ETag", versionEtag(updated));
   return res.json(mapTask(updated));
 });
 
-app.post("/api/v1/tasks/:taskId/events", async (req, res) => {
-  const task = await convexGetTask(req.params.taskId);
+// Operator retry: a failed task (or one waiting for its retry) starts its next
+// attempt right away, regardless of the retry policy.
+app.post("/api/v1/tasks/:taskId/retry", idempotent, async (req, res) => {
+  const existing = await backend.getTask(req.params.taskId);
+  if (!existing) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
+  const retryable = (task) => task.status === "failed" || Boolean(task.retry_at);
+  if (!retryable(existing)) return errorResponse(res, 409, "TASK_NOT_RETRYABLE", `Cannot retry a ${existing.status} task`);
+  const parent = existing.parent_task_id ? await backend.getTask(existing.parent_task_id) : null;
+  if (parent && FINAL_TASK_STATUSES.has(parent.status)) return errorResponse(res, 409, "PARENT_TASK_FINISHED", `Cannot retry a subtask of a ${parent.status} task`);
+
+  const change = await transitionTask(backend, existing.id, (task) => (retryable(task) ? nextAttempt(task, "manual_retry") : null));
+  if (!change) return errorResponse(res, 409, "TASK_NOT_RETRYABLE", "Task changed while retrying; reload and try again");
+  await propagateTaskChange(backend, change.task, change.previous);
+
+  await audit(req, "task.retry", "task", change.task.id, change.previous, change.task);
+  res.set("ETag", versionEtag(change.task));
+  return res.json(mapTask(change.task));
+});
+
+app.post("/api/v1/tasks/:taskId/events", idempotent, async (req, res) => {
+  const task = await backend.getTask(req.params.taskId);
   if (!task) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
-  const { payload, error } = validateTaskEventCreate(req.body);
+  const { payload, error } = TASK_EVENT_CREATE_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  // Agent-bound keys always report as the task's assignee.
+  if (req.auth.agent_id) {
+    if (payload.agent_id && payload.agent_id !== task.assigned_agent_id) return errorResponse(res, 403, "FORBIDDEN", "agent_id must be the task's assignee");
+    payload.agent_id = task.assigned_agent_id;
+  }
   if (payload.agent_id && !(await agentExists(payload.agent_id))) return errorResponse(res, 400, "AGENT_NOT_FOUND", "agent_id does not exist");
-  const event = await convexAddTaskEvent({
-    id: payload.id,
-    task_id: req.params.taskId,
-    agent_id: payload.agent_id,
-    type: payload.type,
-    message: payload.message,
-    payload: payload.payload,
-    created_at: nowIso()
-  });
+  let event;
+  try {
+    event = await recordTaskEvent(req, task, payload);
+  } catch (err) {
+    if (isBackendError(err, "TASK_EVENT_EXISTS")) return errorResponse(res, 409, "TASK_EVENT_EXISTS", "Task event already exists");
+    throw err;
+  }
   return res.status(201).json(mapTaskEvent(event));
 });
 
+app.get("/api/v1/tasks/:taskId/subtasks", async (req, res) => {
+  const task = await backend.getTask(req.params.taskId);
+  if (!task) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
+  const tasks = await backend.listTasks();
+  return res.json(tasks.filter((row) => row.parent_task_id === task.id).sort((a, b) => String(a.created_at).localeCompare(String(b.created_at))).map(mapTask));
+});
+
 app.get("/api/v1/tasks/:taskId/events", async (req, res) => {
-  const task = await convexGetTask(req.params.taskId);
+  const task = await backend.getTask(req.params.taskId);
   if (!task) return errorResponse(res, 404, "TASK_NOT_FOUND", "Task not found");
-  const events = await convexListTaskEvents(req.params.taskId);
-  return res.json(events.map(mapTaskEvent));
+  const attemptFilter = queryFilter(req.query, "attempt");
+  const attempt = attemptFilter === undefined ? undefined : Number(attemptFilter);
+  if (attempt !== undefined && !(Number.isInteger(attempt) && attempt >= 1)) return errorResponse(res, 400, "VALIDATION_ERROR", "attempt must be integer 1..");
+  const events = await backend.listTaskEvents(req.params.taskId);
+  // Events written before retries existed belong to the first attempt.
+  return res.json(events.filter((event) => attempt === undefined || (event.payload?.attempt ?? 1) === attempt).map(mapTaskEvent));
+});
+
+app.post("/api/v1/agents/:agentId/tasks/claim", idempotent, async (req, res) => {
+  const agent = await backend.getAgent(req.params.agentId);
+  if (!agent) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
+  const { payload, error } = TASK_CLAIM_SCHEMA.validate(req.body);
+  if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  const task = await backend.claimTask(req.params.agentId, payload.lease_sec, randomUUID(), nowIso());
+  if (!task) return res.status(204).send();
+  // Only queued tasks can be claimed.
+  await audit(req, "task.claim", "task", task.id, { status: "queued", lease_expires_at: null }, task);
+  return res.json(mapTask(task));
 });
 
-app.post("/api/v1/agents/:agentId/commands", async (req, res) => {
-  const agent = await convexGetAgent(req.params.agentId);
+app.post("/api/v1/agents/:agentId/commands", idempotent, async (req, res) => {
+  const agent = await backend.getAgent(req.params.agentId);
   if (!agent) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
-  const { payload, error } = validateCommandCreate(req.body);
+  const { payload, error } = COMMAND_CREATE_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
-  if (await convexGetCommand(payload.id)) return errorResponse(res, 409, "COMMAND_EXISTS", "Command already exists");
+  if (await backend.getCommand(payload.id)) return errorResponse(res, 409, "COMMAND_EXISTS", "Command already exists");
   const ts = nowIso();
-  const command = await convexCreateCommand({
-    id: payload.id,
-    agent_id: req.params.agentId,
-    type: payload.type,
-    payload: payload.payload,
-    status: "queued",
-    created_by: payload.created_by,
-    acked_by: null,
-    ack_message: null,
-    expires_at: payload.expires_at,
-    created_at: ts,
-    updated_at: ts
-  });
+  let command;
+  try {
+    command = await backend.createCommand({
+      id: payload.id,
+      agent_id: req.params.agentId,
+      type: payload.type,
+      payload: payload.payload,
+      status: "queued",
+      created_by: payload.created_by,
+      acked_by: null,
+      ack_message: null,
+      expires_at: payload.expires_at,
+      delivery_attempts: 0,
+      delivered_at: null,
+      created_at: ts,
+      updated_at: ts
+    });
+  } catch (err) {
+    if (isBackendError(err, "COMMAND_EXISTS")) return errorResponse(res, 409, "COMMAND_EXISTS", "Command already exists");
+    throw err;
+  }
+  await audit(req, "command.create", "command", command.id, null, command);
   return res.status(201).json(mapCommand(command));
 });
 
+app.post("/api/v1/agents/:agentId/commands/pull", idempotent, async (req, res) => {
+  const agent = await backend.getAgent(req.params.agentId);
+  if (!agent) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
+  const { payload, error } = COMMAND_PULL_SCHEMA.validate(req.body);
+  if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  const commands = await deliverAgentCommands(req, req.params.agentId, payload.limit);
+  return res.json(commands.map(mapCommand));
+});
+
 app.get("/api/v1/agents/:agentId/commands", async (req, res) => {
-  const agent = await convexGetAgent(req.params.agentId);
+  const agent = await backend.getAgent(req.params.agentId);
   if (!agent) return errorResponse(res, 404, "AGENT_NOT_FOUND", "Agent not found");
-  const { limit, offset } = parsePaging(req.query);
-  let commands = await convexListCommands();
-  commands = commands.filter((c) => c.agent_id === req.params.agentId);
-  if (req.query.status) commands = commands.filter((c) => c.status === String(req.query.status));
-  commands.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
-  return res.json(commands.slice(offset, offset + limit).map(mapCommand));
+  const filters = { agent_id: req.params.agentId, status: queryFilter(req.query, "status") };
+  return sendPage(res, () => backend.pageCommands(filters, parsePaging(req.query)), mapCommand);
 });
 
 app.get("/api/v1/commands", async (req, res) => {
-  const { limit, offset } = parsePaging(req.query);
-  let commands = await convexListCommands();
-  if (req.query.agent_id) commands = commands.filter((c) => c.agent_id === String(req.query.agent_id));
-  if (req.query.status) commands = commands.filter((c) => c.status === String(req.query.status));
-  if (req.query.type) commands = commands.filter((c) => c.type === String(req.query.type));
-  commands.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
-  return res.json(commands.slice(offset, offset + limit).map(mapCommand));
+  const filters = {
+    agent_id: queryFilter(req.query, "agent_id"),
+    status: queryFilter(req.query, "status"),
+    type: queryFilter(req.query, "type")
+  };
+  return sendPage(res, () => backend.pageCommands(filters, parsePaging(req.query)), mapCommand);
 });
 
-app.post("/api/v1/commands/:commandId/ack", async (req, res) => {
-  const command = await convexGetCommand(req.params.commandId);
+app.get("/api/v1/commands/:commandId", async (req, res) => {
+  const command = await backend.getCommand(req.params.commandId);
   if (!command) return errorResponse(res, 404, "COMMAND_NOT_FOUND", "Command not found");
-  const { payload, error } = validateCommandAck(req.body);
+  return res.json(mapCommandDetail(command));
+});
+
+app.post("/api/v1/commands/:commandId/ack", idempotent, async (req, res) => {
+  const command = await backend.getCommand(req.params.commandId);
+  if (!command) return errorResponse(res, 404, "COMMAND_NOT_FOUND", "Command not found");
+  const { payload, error } = COMMAND_ACK_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
-  const updated = await convexAckCommand(req.params.commandId, payload.acked_by, payload.ack_message, payload.status, nowIso());
+  if (!COMMAND_TRANSITIONS[command.status]?.has(payload.status)) {
+    return errorResponse(res, 409, "INVALID_COMMAND_TRANSITION", `Invalid transition from ${command.status} to ${payload.status}`);
+  }
+  let updated;
+  try {
+    updated = await backend.ackCommand(req.params.commandId, payload.acked_by, payload.ack_message, payload.status, nowIso());
+  } catch (err) {
+    if (isBackendError(err, "INVALID_COMMAND_TRANSITION")) {
+      return errorResponse(res, 409, "INVALID_COMMAND_TRANSITION", `Command status changed concurrently; cannot move to ${payload.status}`);
+    }
+    throw err;
+  }
   if (!updated) return errorResponse(res, 404, "COMMAND_NOT_FOUND", "Command not found");
+  await audit(req, "command.ack", "command", updated.id, command, updated);
   return res.json(mapCommand(updated));
 });
 
-app.post("/api/v1/alerts", async (req, res) => {
-  const { payload, error } = validateAlertCreate(req.body);
+app.post("/api/v1/alerts", idempotent, async (req, res) => {
+  const { payload, error } = ALERT_CREATE_SCHEMA.validate(req.body);
   if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
-  if (await convexGetAlert(payload.id)) return errorResponse(res, 409, "ALERT_EXISTS", "Alert already exists");
+  if (await backend.getAlert(payload.id)) return errorResponse(res, 409, "ALERT_EXISTS", "Alert already exists");
   const ts = nowIso();
-  const alert = await convexCreateAlert({
-    id: payload.id,
-    severity: payload.severity,
-    type: payload.type,
-    entity_type: payload.entity_type,
-    entity_id: payload.entity_id,
-    message: payload.message,
-    status: "open",
-    created_at: ts,
-    updated_at: ts
-  });
+  let alert;
+  try {
+    alert = await backend.createAlert({
+      id: payload.id,
+      severity: payload.severity,
+      type: payload.type,
+      entity_type: payload.entity_type,
+      entity_id: payload.entity_id,
+      message: payload.message,
+      status: "open",
+      created_at: ts,
+      updated_at: ts
+    });
+  } catch (err) {
+    if (isBackendError(err, "ALERT_EXISTS")) return errorResponse(res, 409, "ALERT_EXISTS", "Alert already exists");
+    throw err;
+  }
+  await audit(req, "alert.create", "alert", alert.id, null, alert);
   return res.status(201).json(mapAlert(alert));
 });
 
 app.get("/api/v1/alerts", async (req, res) => {
-  const { limit, offset } = parsePaging(req.query);
-  let alerts = await convexListAlerts();
-  if (req.query.status) alerts = alerts.filter((a) => a.status === String(req.query.status));
-  if (req.query.severity) alerts = alerts.filter((a) => a.severity === String(req.query.severity));
-  if (req.query.type) alerts = alerts.filter((a) => a.type === String(req.query.type));
-  alerts.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
-  return res.json(alerts.slice(offset, offset + limit).map(mapAlert));
+  const filters = {
+    status: queryFilter(req.query, "status"),
+    severity: queryFilter(req.query, "severity"),
+    type: queryFilter(req.query, "type")
+  };
+  return sendPage(res, () => backend.pageAlerts(filters, parsePaging(req.query)), mapAlert);
 });
 
-app.post("/api/v1/alerts/:alertId/ack", async (req, res) => {
-  const alert = await convexGetAlert(req.params.alertId);
+app.post("/api/v1/alerts/:alertId/ack", idempotent, async (req, res) => {
+  const alert = await backend.getAlert(req.params.alertId);
   if (!alert) return errorResponse(res, 404, "ALERT_NOT_FOUND", "Alert not found");
   if (alert.status === "closed") return errorResponse(res, 409, "ALERT_ALREADY_CLOSED", "Closed alert cannot be acknowledged");
-  const updated = await convexPatchAlertStatus(req.params.alertId, "ack", nowIso());
+  const updated = await backend.patchAlertStatus(req.params.alertId, "ack", nowIso());
+  await audit(req, "alert.ack", "alert", updated.id, alert, updated);
   return res.json(mapAlert(updated));
 });
 
-app.post("/api/v1/alerts/:alertId/close", async (req, res) => {
-  const alert = await convexGetAlert(req.params.alertId);
+app.post("/api/v1/alerts/:alertId/close", idempotent, async (req, res) => {
+  const alert = await backend.getAlert(req.params.alertId);
   if (!alert) return errorResponse(res, 404, "ALERT_NOT_FOUND", "Alert not found");
-  const updated = await convexPatchAlertStatus(req.params.alertId, "closed", nowIso());
+  const updated = await backend.patchAlertStatus(req.params.alertId, "closed", nowIso());
+  await audit(req, "alert.close", "alert", updated.id, alert, updated);
   return res.json(mapAlert(updated));
 });
 
+// `from` is inclusive and `to` exclusive.
+app.get("/api/v1/audit", async (req, res) => {
+  const filters = {
+    entity_type: queryFilter(req.query, "entity_type"),
+    entity_id: queryFilter(req.query, "entity_id"),
+    actor_user_id: queryFilter(req.query, "actor_user_id"),
+    actor_key_id: queryFilter(req.query, "actor_key_id"),
+    action: queryFilter(req.query, "action")
+  };
+  for (const name of ["from", "to"]) {
+    const value = queryFilter(req.query, name);
+    if (value === undefined) continue;
+    if (Number.isNaN(Date.parse(value))) return errorResponse(res, 400, "VALIDATION_ERROR", `${name} must be ISO timestamp`);
+    filters[name] = new Date(value).toISOString();
+  }
+  return sendPage(res, () => backend.pageAuditLog(filters, parsePaging(req.query)), mapAuditEntry);
+});
+
+app.get("/api/v1/stream", (req, res) => {
+  const entities = new Set(Object.keys(STREAM_ENTITIES).filter((entity) => hasScope(req.auth, STREAM_ENTITIES[entity].scope)));
+  if (entities.size === 0) {
+    return errorResponse(res, 403, "FORBIDDEN", "API key has no read scope for the stream", { required_scopes: ["agents:read", "tasks:read", "commands:read", "alerts:read"] });
+  }
+  const types = queryFilter(req.query, "types")?.split(",").map((type) => type.trim()).filter(Boolean);
+  const unknown = (types ?? []).filter((type) => !Array.from(STREAM_EVENT_TYPES).some((known) => known === type || known.startsWith(`${type}.`)));
+  if (unknown.length > 0) return errorResponse(res, 400, "VALIDATION_ERROR", `Unknown event types: ${unknown.join(", ")}`);
+  const filters = { entities, types, agent_id: queryFilter(req.query, "agent_id"), task_id: queryFilter(req.query, "task_id") };
+  const organizationId = req.auth.organization_id;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (!streamEventMatches(event, filters)) return;
+    const data = { [event.entity]: STREAM_ENTITIES[event.entity].map(event.row) };
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Replay and subscription happen in the same tick, so no event falls between.
+  const lastEventId = req.get("Last-Event-ID") ?? queryFilter(req.query, "last_event_id");
+  if (lastEventId) {
+    const missed = changeFeed.since(organizationId, lastEventId);
+    if (missed === null) res.write(`event: reset\ndata: ${JSON.stringify({ reason: "history_unavailable" })}\n\n`);
+    else missed.forEach(send);
+  }
+  const unsubscribe = changeFeed.subscribe(organizationId, send);
+  const keepAlive = STREAM_KEEPALIVE_SEC > 0 ? setInterval(() => res.write(": keep-alive\n\n"), STREAM_KEEPALIVE_SEC * 1000) : null;
+  res.on("close", () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+});
+
+// The receiver only ever sees the secret in the create response.
+function mapWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    event_types: Array.isArray(row.event_types) ? row.event_types : [],
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function mapWebhookDelivery(row) {
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id,
+    event_type: row.event_type,
+    payload: row.payload ?? {},
+    status: row.status,
+    attempts: row.attempts ?? 0,
+    next_attempt_at: row.status === "pending" ? row.next_attempt_at : null,
+    last_attempt_at: row.last_attempt_at ?? null,
+    response_status: row.response_status ?? null,
+    last_error: row.last_error ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+const WEBHOOK_FIELDS = {
+  url: string({ format: "uri", label: "absolute http(s) URL", test: isHttpUrl }),
+  event_types: arrayOf(enumOf(WEBHOOK_EVENT_TYPES, { name: "WebhookEventType" }), { minItems: 1, unique: true }),
+  secret: string({ minLength: 16 }),
+  status: enumOf(WEBHOOK_STATUSES, { name: "WebhookStatus" })
+};
+
+const WEBHOOK_CREATE_SCHEMA = object({
+  id: string({ minLength: 1, default: randomUUID }),
+  url: { ...WEBHOOK_FIELDS.url, required: true },
+  event_types: { ...WEBHOOK_FIELDS.event_types, required: true },
+  secret: { ...WEBHOOK_FIELDS.secret, default: () => `whsec_${randomBytes(24).toString("hex")}` },
+  status: { ...WEBHOOK_FIELDS.status, default: "active" }
+}, { name: "WebhookCreate" });
+
+const WEBHOOK_PATCH_SCHEMA = object(WEBHOOK_FIELDS, {
+  name: "WebhookPatch",
+  refine: (payload) => (Object.values(payload).every((value) => value === undefined) ? "No patch fields provided" : null)
+});
+
+// The secret itself never goes into the audit log, only the fact it changed.
+function webhookAuditChanges(before, after) {
+  const changes = auditChanges(before && mapWebhook(before), mapWebhook(after));
+  if (before?.secret !== after.secret) changes.secret = { before: before ? "[redacted]" : null, after: "[redacted]" };
+  return changes;
+}
+
+// Webhook events derived from the change feed. The feed carries the written
+// row only, so a task counts as failed by the write that finished it.
+async function webhookEventsOf(event) {
+  const events = [];
+  if (event.type === "alert.opened") {
+    events.push({ type: "alert.opened", data: { alert: mapAlert(event.row) } });
+    if (event.row.type === AGENT_OFFLINE_ALERT_TYPE && event.row.entity_type === "agent") {
+      const agent = await backend.getAgent(event.row.entity_id);
+      events.push({ type: "agent.offline", data: { agent: agent ? mapAgent(agent) : null, alert: mapAlert(event.row) } });
+    }
+  } else if (event.type === "task.updated" && event.row.status === "failed" && event.row.finished_at === event.row.updated_at) {
+    events.push({ type: "task.failed", data: { task: mapTask(event.row) } });
+  }
+  return events;
+}
+
+changeFeed.subscribeAll((organizationId, event) => {
+  if (event.type !== "alert.opened" && event.type !== "task.updated") return;
+  inOrganization(organizationId, async () => {
+    for (const webhookEvent of await webhookEventsOf(event)) {
+      await enqueueWebhookEvent(backend, { id: randomUUID(), type: webhookEvent.type, organization_id: organizationId, created_at: nowIso(), data: webhookEvent.data });
+    }
+  }).catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error("Queueing webhook deliveries failed", err);
+  });
+});
+
+app.post("/api/v1/webhooks", async (req, res) => {
+  const { payload, error } = WEBHOOK_CREATE_SCHEMA.validate(req.body);
+  if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  const ts = nowIso();
+  let webhook;
+  try {
+    webhook = await backend.createWebhook({ ...payload, created_at: ts, updated_at: ts });
+  } catch (err) {
+    if (isBackendError(err, "WEBHOOK_EXISTS")) return errorResponse(res, 409, "WEBHOOK_EXISTS", "Webhook already exists");
+    throw err;
+  }
+  await audit(req, "webhook.create", "webhook", webhook.id, null, null, webhookAuditChanges(null, webhook));
+  return res.status(201).json({ ...mapWebhook(webhook), secret: webhook.secret });
+});
+
+app.get("/api/v1/webhooks", async (_req, res) => {
+  const webhooks = await backend.listWebhooks();
+  return res.json(webhooks.map(mapWebhook));
+});
+
+app.get("/api/v1/webhooks/dead-letters", async (req, res) => {
+  const filters = { webhook_id: queryFilter(req.query, "webhook_id"), status: "dead" };
+  return sendPage(res, () => backend.pageWebhookDeliveries(filters, parsePaging(req.query)), mapWebhookDelivery);
+});
+
+app.post("/api/v1/webhooks/deliveries/:deliveryId/retry", idempotent, async (req, res) => {
+  let delivery;
+  try {
+    delivery = await backend.requeueWebhookDelivery(req.params.deliveryId, nowIso());
+  } catch (err) {
+    if (isBackendError(err, "WEBHOOK_DELIVERY_NOT_DEAD")) return errorResponse(res, 409, "WEBHOOK_DELIVERY_NOT_DEAD", "Only dead-lettered deliveries can be retried");
+    throw err;
+  }
+  if (!delivery) return errorResponse(res, 404, "WEBHOOK_DELIVERY_NOT_FOUND", "Webhook delivery not found");
+  await audit(req, "webhook_delivery.retry", "webhook_delivery", delivery.id, null, null, { status: { before: "dead", after: "pending" } });
+  return res.json(mapWebhookDelivery(delivery));
+});
+
+app.get("/api/v1/webhooks/:webhookId", async (req, res) => {
+  const webhook = await backend.getWebhook(req.params.webhookId);
+  if (!webhook) return errorResponse(res, 404, "WEBHOOK_NOT_FOUND", "Webhook not found");
+  return res.json(mapWebhook(webhook));
+});
+
+app.patch("/api/v1/webhooks/:webhookId", async (req, res) => {
+  const existing = await backend.getWebhook(req.params.webhookId);
+  if (!existing) return errorResponse(res, 404, "WEBHOOK_NOT_FOUND", "Webhook not found");
+  const { payload, error } = WEBHOOK_PATCH_SCHEMA.validate(req.body);
+  if (error) return errorResponse(res, 400, "VALIDATION_ERROR", error);
+  const updated = await backend.patchWebhook(req.params.webhookId, payload, nowIso());
+  if (!updated) return errorResponse(res, 404, "WEBHOOK_NOT_FOUND", "Webhook not found");
+  await audit(req, "webhook.update", "webhook", updated.id, null, null, webhookAuditChanges(existing, updated));
+  return res.json(mapWebhook(updated));
+});
+
+// The delivery log of one webhook, newest first.
+app.get("/api/v1/webhooks/:webhookId/deliveries", async (req, res) => {
+  const status = queryFilter(req.query, "status");
+  const statusError = validateSetValue(status, WEBHOOK_DELIVERY_STATUSES, "status");
+  if (statusError) return errorResponse(res, 400, "VALIDATION_ERROR", statusError);
+  if (!(await backend.getWebhook(req.params.webhookId))) return errorResponse(res, 404, "WEBHOOK_NOT_FOUND", "Webhook not found");
+  const filters = { webhook_id: req.params.webhookId, status };
+  return sendPage(res, () => backend.pageWebhookDeliveries(filters, parsePaging(req.query)), mapWebhookDelivery);
+});
+
 app.get("/api/v1/overview", async (_req, res) => {
-  const agents = await convexListAgents();
-  const tasks = await convexListTasks();
-  const alerts = await convexListAlerts();
+  const agents = await backend.listAgents();
+  const tasks = await backend.listTasks();
+  const alerts = await backend.listAlerts();
 
   const activeTasks = tasks
     .filter((task) => ["queued", "running", "blocked"].includes(task.status))
@@ -777,6 +1804,7 @@ app.get("/api/v1/overview", async (_req, res) => {
       status: task.status,
       progress: task.progress,
       assigned_agent_id: task.assigned_agent_id,
+      parent_task_id: task.parent_task_id ?? null,
       priority: task.priority,
       updated_at: task.updated_at
     }));
@@ -802,6 +1830,7 @@ app.get("/api/v1/overview", async (_req, res) => {
     snapshot_at: nowIso(),
     agents_tree: buildTree(agents),
     active_tasks: activeTasks,
+    active_task_tree: buildTaskTree(activeTasks),
     aggregates: {
       agents_online: online,
       agents_offline: offline,
@@ -816,38 +1845,652 @@ app.get("/api/v1/overview", async (_req, res) => {
 });
 
 app.post("/api/v1/convex/sync/agents", async (_req, res) => {
-  const agents = await convexListAgents();
+  const agents = await backend.listAgents();
   return res.json({
     convex_sync_enabled: convexBackendConfigured(),
     agents_count: agents.length,
-    result: { skipped: true, reason: "convex_is_primary_backend" }
+    result: { skipped: true, reason: `${DATA_BACKEND}_is_primary_backend` }
   });
 });
 
+// Agent socket: one WebSocket per agent at GET /api/v1/agents/:agentId/ws
+// (same X-API-Key auth as HTTP). The agent sends `heartbeat` and `task_event`
+// messages whose `data` is the body of the matching HTTP route; commands are
+// pushed as `command` messages as soon as they are queued and count as
+// delivered, like a pull.
+const AGENT_SOCKET_PATH = /^\/api\/v1\/agents\/([^/]+)\/ws$/;
+const agentSocketServer = new WebSocketServer({ noServer: true });
+const agentSockets = new Map();
+
+function sendSocketMessage(socket, message) {
+  if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+}
+
+function socketError(socket, ref, code, message, details = {}) {
+  sendSocketMessage(socket, { type: "error", ref, error: { code, message, details } });
+}
+
+function rejectUpgrade(socket, status, code, message, details = {}) {
+  const body = JSON.stringify({ error: { code, message, details } });
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`
+  );
+}
+
+async function handleAgentSocketMessage(socket, auth, agentId, raw) {
+  let message;
+  try {
+    message = JSON.parse(String(raw));
+  } catch {
+    return socketError(socket, null, "VALIDATION_ERROR", "Message must be a JSON object");
+  }
+  if (!message || typeof message !== "object" || Array.isArray(message)) return socketError(socket, null, "VALIDATION_ERROR", "Message must be a JSON object");
+  const ref = message.ref ?? null;
+  const data = message.data ?? {};
+  if (typeof data !== "object" || Array.isArray(data)) return socketError(socket, ref, "VALIDATION_ERROR", "data must be an object");
+  const req = { auth, requestId: randomUUID() };
+
+  if (message.type === "heartbeat") {
+    const limited = takeRateLimit(auth, "POST", `/agents/${agentId}/heartbeat`, agentId);
+    if (limited && !limited.result.allowed) return socketError(socket, ref, "RATE_LIMITED", "Rate limit exceeded for heartbeat messages", rateLimitDetails(limited.group, limited.result));
+    const { payload, error } = HEARTBEAT_SCHEMA.validate(data);
+    if (error) return socketError(socket, ref, "VALIDATION_ERROR", error);
+    if (payload.supervisor_id && !(await agentExists(payload.supervisor_id))) return socketError(socket, ref, "INVALID_SUPERVISOR", "supervisor_id does not exist");
+    const agent = await recordHeartbeat(req, agentId, payload);
+    return sendSocketMessage(socket, { type: "heartbeat_ack", ref, agent: mapAgent(agent) });
+  }
+
+  if (message.type === "task_event") {
+    if (!hasScope(auth, "tasks:write")) return socketError(socket, ref, "FORBIDDEN", "API key lacks scope: tasks:write", { required_scopes: ["tasks:write"] });
+    if (typeof message.task_id !== "string" || !message.task_id) return socketError(socket, ref, "VALIDATION_ERROR", "task_id is required string");
+    const limited = takeRateLimit(auth, "POST", `/tasks/${message.task_id}/events`, agentId);
+    if (limited && !limited.result.allowed) return socketError(socket, ref, "RATE_LIMITED", "Rate limit exceeded for task_events messages", rateLimitDetails(limited.group, limited.result));
+    const task = await backend.getTask(message.task_id);
+    if (!task) return socketError(socket, ref, "TASK_NOT_FOUND", "Task not found");
+    // Events sent over the socket are always reported as the connected agent.
+    if (task.assigned_agent_id !== agentId) return socketError(socket, ref, "FORBIDDEN", "Task is not assigned to this agent");
+    const { payload, error } = TASK_EVENT_CREATE_SCHEMA.validate({ ...data, agent_id: agentId });
+    if (error) return socketError(socket, ref, "VALIDATION_ERROR", error);
+    try {
+      const event = await recordTaskEvent(req, task, payload);
+      return sendSocketMessage(socket, { type: "task_event_ack", ref, event: mapTaskEvent(event) });
+    } catch (err) {
+      if (isBackendError(err, "TASK_EVENT_EXISTS")) return socketError(socket, ref, "TASK_EVENT_EXISTS", "Task event already exists");
+      throw err;
+    }
+  }
+
+  return socketError(socket, ref, "VALIDATION_ERROR", "type must be one of: heartbeat, task_event");
+}
+
+function handleAgentSocket(socket, auth, agentId) {
+  const socketKey = `${auth.organization_id}:${agentId}`;
+  agentSockets.get(socketKey)?.close(4000, "Replaced by a newer connection");
+  agentSockets.set(socketKey, socket);
+  const inContext = (fn) => backend.runWithContext(auth, fn);
+  const logError = (err) => {
+    // eslint-disable-next-line no-console
+    console.error(`Agent socket ${agentId} failed`, err);
+  };
+
+  // Deliveries are chained so overlapping triggers do not race each other.
+  let delivering = Promise.resolve();
+  const deliverPending = () => {
+    delivering = delivering
+      .then(() => inContext(async () => {
+        if (socket.readyState !== socket.OPEN) return;
+        const commands = await deliverAgentCommands({ auth, requestId: randomUUID() }, agentId, 200);
+        for (const command of commands) sendSocketMessage(socket, { type: "command", command: mapCommand(command) });
+      }))
+      .catch(logError);
+  };
+
+  // Covers commands queued through the API, requeued by the sweeper or left
+  // over from before the connection.
+  const unsubscribe = changeFeed.subscribe(auth.organization_id, (event) => {
+    if (event.entity === "command" && event.row.agent_id === agentId && event.row.status === "queued") deliverPending();
+  });
+  deliverPending();
+
+  let alive = true;
+  socket.on("pong", () => {
+    alive = true;
+  });
+  const pingTimer = AGENT_SOCKET_PING_SEC > 0
+    ? setInterval(() => {
+      if (!alive) return socket.terminate();
+      alive = false;
+      return socket.ping();
+    }, AGENT_SOCKET_PING_SEC * 1000)
+    : null;
+
+  // Protocol errors (unmasked or oversized frames, invalid UTF-8) end the
+  // connection; `close` then cleans up as for any other disconnect.
+  socket.on("error", (err) => {
+    logError(err);
+    socket.terminate();
+  });
+
+  socket.on("message", (data) => {
+    inContext(() => handleAgentSocketMessage(socket, auth, agentId, data)).catch((err) => {
+      logError(err);
+      socketError(socket, null, "INTERNAL_ERROR", "Message could not be processed");
+    });
+  });
+
+  // Losing the connection counts as a missed heartbeat: the agent is marked
+  // offline right away instead of after HEARTBEAT_OFFLINE_SEC.
+  socket.on("close", () => {
+    clearInterval(pingTimer);
+    unsubscribe();
+    if (agentSockets.get(socketKey) !== socket) return;
+    agentSockets.delete(socketKey);
+    inContext(async () => {
+      const agent = await backend.getAgent(agentId);
+      if (!agent || agent.status === "offline") return;
+      await backend.patchAgent(agentId, { status: "offline" }, { has_supervisor_id: false, has_current_task_id: false, updated_at: nowIso() });
+    }).catch(logError);
+  });
+}
+
+async function handleUpgrade(req, socket, head) {
+  const url = new URL(req.url, "http://localhost");
+  const match = AGENT_SOCKET_PATH.exec(url.pathname);
+  if (!match) return rejectUpgrade(socket, 404, "NOT_FOUND", "No WebSocket endpoint at this path");
+  try {
+    const rawKey = String(req.headers["x-api-key"] ?? "").trim();
+    const { auth, error } = await authenticate(rawKey, "GET", url.pathname.slice("/api/v1".length));
+    if (error) return rejectUpgrade(socket, ...error);
+    const agentId = decodeURIComponent(match[1]);
+    return agentSocketServer.handleUpgrade(req, socket, head, (ws) => handleAgentSocket(ws, auth, agentId));
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error("Agent socket upgrade failed", err);
+    return rejectUpgrade(socket, 500, "INTERNAL_ERROR", "Internal server error");
+  }
+}
+
+function countSamples(rows, labelsOf) {
+  const counts = new Map();
+  for (const row of rows) {
+    const labels = labelsOf(row);
+    const key = JSON.stringify(labels);
+    counts.set(key, { labels, value: (counts.get(key)?.value ?? 0) + 1 });
+  }
+  return Array.from(counts.values());
+}
+
+// The /api/v1/overview aggregates, per organization, as Prometheus gauges.
+async function collectStateGauges() {
+  const agents = [];
+  const tasks = [];
+  const openAlerts = [];
+  const queuedCommands = [];
+  await forEachOrganization(backend, async (organization) => {
+    const organizationId = organization.id;
+    const [agentRows, taskRows, alertRows, commandRows] = await Promise.all([backend.listAgents(), backend.listTasks(), backend.listAlerts(), backend.listCommands()]);
+    agents.push(...countSamples(agentRows, (row) => ({ organization_id: organizationId, status: effectiveStatus(row), role: row.role, host: row.host })));
+    tasks.push(...countSamples(taskRows, (row) => ({ organization_id: organizationId, status: row.status, priority: row.priority })));
+    openAlerts.push(...countSamples(alertRows.filter((row) => row.status === "open"), (row) => ({ organization_id: organizationId, severity: row.severity })));
+    queuedCommands.push({ labels: { organization_id: organizationId }, value: commandRows.filter((row) => row.status === "queued").length });
+  });
+  return [
+    { name: "control_plane_agents", help: "Agents by effective status, role and host.", samples: agents },
+    { name: "control_plane_tasks", help: "Tasks by status and priority.", samples: tasks },
+    { name: "control_plane_alerts_open", help: "Open alerts by severity.", samples: openAlerts },
+    { name: "control_plane_commands_queued", help: "Commands waiting for delivery.", samples: queuedCommands }
+  ];
+}
+
+// OpenAPI document. Request bodies come from the schemas the handlers
+// validate with; response shapes below mirror the map* functions.
+const TIMESTAMP = { format: "date-time" };
+
+const AGENT_SCHEMA = object({
+  id: string(),
+  name: string(),
+  role: enumOf(AGENT_ROLES, { name: "AgentRole" }),
+  host: string(),
+  supervisor_id: string({ nullable: true }),
+  status: enumOf(AGENT_STATUSES, { name: "AgentStatus" }),
+  capabilities: arrayOf(string()),
+  last_heartbeat_at: string(TIMESTAMP),
+  load: number({ nullable: true }),
+  queue_depth: integer({ nullable: true }),
+  current_task_id: string({ nullable: true }),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP),
+  version: integer()
+}, { name: "Agent" });
+
+const TASK_SCHEMA = object({
+  id: string(),
+  title: string(),
+  description: string({ nullable: true }),
+  assigned_agent_id: string({ nullable: true }),
+  status: enumOf(TASK_STATUSES, { name: "TaskStatus" }),
+  progress: integer({ minimum: 0, maximum: 100 }),
+  priority: enumOf(TASK_PRIORITIES, { name: "TaskPriority" }),
+  required_capabilities: arrayOf(string()),
+  depends_on: arrayOf(string()),
+  on_dependency_failure: enumOf(DEPENDENCY_FAILURE_POLICIES, { name: "DependencyFailurePolicy" }),
+  on_agent_offline: enumOf(AGENT_OFFLINE_POLICIES, { name: "AgentOfflinePolicy" }),
+  parent_task_id: string({ nullable: true }),
+  retry_policy: retryPolicySchema(),
+  attempt: integer({ minimum: 1 }),
+  retry_at: string({ ...TIMESTAMP, nullable: true }),
+  metadata: record(),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP),
+  started_at: string({ ...TIMESTAMP, nullable: true }),
+  finished_at: string({ ...TIMESTAMP, nullable: true }),
+  lease_expires_at: string({ ...TIMESTAMP, nullable: true }),
+  version: integer()
+}, { name: "Task" });
+const TASK_TREE_NODE_SCHEMA = object({
+  ...TASK_SCHEMA.properties,
+  children: arrayOf(ref("TaskTreeNode"))
+}, { name: "TaskTreeNode" });
+
+const TASK_EVENT_SCHEMA = object({
+  id: string(),
+  task_id: string(),
+  agent_id: string({ nullable: true }),
+  type: string(),
+  message: string({ nullable: true }),
+  payload: record(),
+  created_at: string(TIMESTAMP)
+}, { name: "TaskEvent" });
+
+const COMMAND_FIELDS = {
+  id: string(),
+  agent_id: string(),
+  type: enumOf(COMMAND_TYPES, { name: "CommandType" }),
+  payload: record(),
+  status: enumOf(COMMAND_STATUSES, { name: "CommandStatus" }),
+  created_by: string(),
+  acked_by: string({ nullable: true }),
+  ack_message: string({ nullable: true }),
+  expires_at: string({ ...TIMESTAMP, nullable: true }),
+  delivery_attempts: integer({ minimum: 0 }),
+  delivered_at: string({ ...TIMESTAMP, nullable: true }),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP)
+};
+const COMMAND_SCHEMA = object(COMMAND_FIELDS, { name: "Command" });
+const COMMAND_DETAIL_SCHEMA = object({ ...COMMAND_FIELDS, history: arrayOf(record()) }, { name: "CommandDetail" });
+
+const ALERT_SCHEMA = object({
+  id: string(),
+  severity: enumOf(ALERT_SEVERITIES, { name: "AlertSeverity" }),
+  type: string(),
+  entity_type: string(),
+  entity_id: string(),
+  message: string(),
+  status: enumOf(ALERT_STATUSES, { name: "AlertStatus" }),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP)
+}, { name: "Alert" });
+
+const AUDIT_ENTRY_SCHEMA = object({
+  id: string(),
+  request_id: string({ nullable: true }),
+  actor_user_id: string({ nullable: true }),
+  actor_key_id: string({ nullable: true }),
+  actor_agent_id: string({ nullable: true }),
+  action: string(),
+  entity_type: string(),
+  entity_id: string(),
+  changes: record({ description: "Changed fields as { field: { before, after } }" }),
+  created_at: string(TIMESTAMP)
+}, { name: "AuditEntry" });
+
+const WEBHOOK_FIELDS_OUT = {
+  id: string(),
+  url: string({ format: "uri" }),
+  event_types: arrayOf(enumOf(WEBHOOK_EVENT_TYPES, { name: "WebhookEventType" })),
+  status: enumOf(WEBHOOK_STATUSES, { name: "WebhookStatus" }),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP)
+};
+const WEBHOOK_SCHEMA = object(WEBHOOK_FIELDS_OUT, { name: "Webhook" });
+const WEBHOOK_CREATED_SCHEMA = object({ ...WEBHOOK_FIELDS_OUT, secret: string() }, { name: "WebhookCreated", description: "The only response that contains the signing secret." });
+
+const WEBHOOK_DELIVERY_SCHEMA = object({
+  id: string(),
+  webhook_id: string(),
+  event_type: enumOf(WEBHOOK_EVENT_TYPES, { name: "WebhookEventType" }),
+  payload: record(),
+  status: enumOf(WEBHOOK_DELIVERY_STATUSES, { name: "WebhookDeliveryStatus" }),
+  attempts: integer({ minimum: 0 }),
+  next_attempt_at: string({ ...TIMESTAMP, nullable: true }),
+  last_attempt_at: string({ ...TIMESTAMP, nullable: true }),
+  response_status: integer({ nullable: true }),
+  last_error: string({ nullable: true }),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP)
+}, { name: "WebhookDelivery" });
+
+const API_KEY_SCHEMA = object({
+  key_id: string(),
+  user_id: string(),
+  name: string(),
+  prefix: string(),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP),
+  last_used_at: string({ ...TIMESTAMP, nullable: true }),
+  revoked_at: string({ ...TIMESTAMP, nullable: true }),
+  expires_at: string({ ...TIMESTAMP, nullable: true }),
+  scopes: arrayOf(enumOf(API_SCOPES, { name: "ApiScope" }), { nullable: true }),
+  agent_id: string({ nullable: true }),
+  include_subtree: boolean()
+}, { name: "ApiKey" });
+const API_KEY_SECRET_SCHEMA = object({ key: API_KEY_SCHEMA, raw_key: string() }, { name: "ApiKeyWithSecret" });
+
+const ORGANIZATION_SCHEMA = object({
+  id: string(),
+  name: string(),
+  status: enumOf(["active", "suspended"], { name: "OrganizationStatus" }),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP)
+}, { name: "Organization" });
+
+const USER_SCHEMA = object({
+  id: string(),
+  organization_id: string(),
+  email: string({ nullable: true }),
+  name: string(),
+  status: enumOf(["active", "suspended"], { name: "UserStatus" }),
+  created_at: string(TIMESTAMP),
+  updated_at: string(TIMESTAMP)
+}, { name: "User" });
+
+// The envelope of every errorResponse().
+const ERROR_SCHEMA = object({
+  error: object({
+    code: string({ required: true }),
+    message: string({ required: true }),
+    details: record({ required: true })
+  }, { required: true })
+}, { name: "Error" });
+
+const PAGING_QUERY = {
+  limit: integer({ minimum: 1, maximum: 200, default: 50 }),
+  offset: integer({ minimum: 0, default: 0 }),
+  cursor: string({ description: "next_cursor of the previous page; offset is ignored with a cursor" })
+};
+
+const OPENAPI_OPERATIONS = {
+  "POST /api/v1/auth/api-keys": { tag: "auth", summary: "Create an API key for the calling user", body: API_KEY_CREATE_SCHEMA, response: { status: 201, schema: API_KEY_SECRET_SCHEMA } },
+  "GET /api/v1/auth/api-keys": { tag: "auth", summary: "List the calling user's API keys", response: { schema: API_KEY_SCHEMA, list: true } },
+  "POST /api/v1/auth/api-keys/:keyId/rotate": { tag: "auth", summary: "Rotate an API key", response: { schema: API_KEY_SECRET_SCHEMA } },
+  "POST /api/v1/auth/api-keys/:keyId/revoke": { tag: "auth", summary: "Revoke an API key", response: { schema: object({ key: API_KEY_SCHEMA }) } },
+  "POST /api/v1/organizations": { tag: "organizations", summary: "Create an organization", body: ORGANIZATION_CREATE_SCHEMA, response: { status: 201, schema: ORGANIZATION_SCHEMA } },
+  "GET /api/v1/organizations": { tag: "organizations", summary: "List organizations", response: { schema: ORGANIZATION_SCHEMA, list: true } },
+  "POST /api/v1/organizations/:orgId/suspend": { tag: "organizations", summary: "Suspend an organization", response: { schema: ORGANIZATION_SCHEMA } },
+  "POST /api/v1/organizations/:orgId/activate": { tag: "organizations", summary: "Activate an organization", response: { schema: ORGANIZATION_SCHEMA } },
+  "POST /api/v1/organizations/:orgId/users": { tag: "organizations", summary: "Create a user in an organization", body: USER_CREATE_SCHEMA, response: { status: 201, schema: USER_SCHEMA } },
+  "GET /api/v1/organizations/:orgId/users": { tag: "organizations", summary: "List users of an organization", response: { schema: USER_SCHEMA, list: true } },
+  "POST /api/v1/organizations/:orgId/users/:userId/suspend": { tag: "organizations", summary: "Suspend a user", response: { schema: USER_SCHEMA } },
+  "POST /api/v1/organizations/:orgId/users/:userId/activate": { tag: "organizations", summary: "Activate a user", response: { schema: USER_SCHEMA } },
+  "POST /api/v1/organizations/:orgId/users/:userId/api-keys": { tag: "organizations", summary: "Issue an API key for a user of an organization", body: API_KEY_CREATE_SCHEMA, response: { status: 201, schema: API_KEY_SECRET_SCHEMA } },
+  "POST /api/v1/agents": { tag: "agents", summary: "Register an agent", body: AGENT_CREATE_SCHEMA, response: { status: 201, schema: AGENT_SCHEMA } },
+  "GET /api/v1/agents": {
+    tag: "agents",
+    summary: "List agents",
+    query: object({
+      status: enumOf(AGENT_STATUSES, { name: "AgentStatus" }),
+      role: enumOf(AGENT_ROLES, { name: "AgentRole" }),
+      host: string(),
+      supervisor_id: string({ description: "`null` lists top-level agents" }),
+      ...PAGING_QUERY
+    }),
+    response: { schema: AGENT_SCHEMA, list: true, paged: true }
+  },
+  "GET /api/v1/agents/tree": { tag: "agents", summary: "Agent hierarchy", response: { schema: arrayOf(record()) } },
+  "GET /api/v1/agents/:agentId": { tag: "agents", summary: "Get an agent", response: { schema: AGENT_SCHEMA } },
+  "PATCH /api/v1/agents/:agentId": { tag: "agents", summary: "Update an agent (If-Match supported)", body: AGENT_PATCH_SCHEMA, response: { schema: AGENT_SCHEMA } },
+  "POST /api/v1/agents/:agentId/heartbeat": { tag: "agents", summary: "Report agent state", body: HEARTBEAT_SCHEMA, response: { schema: AGENT_SCHEMA } },
+  "GET /api/v1/agents/:agentId/children": { tag: "agents", summary: "Direct subordinates of an agent", response: { schema: AGENT_SCHEMA, list: true } },
+  "GET /api/v1/agents/:agentId/ws": {
+    tag: "agents",
+    summary: "Agent WebSocket (heartbeats, task events, pushed commands)",
+    response: { status: 101, description: "Switching Protocols" }
+  },
+  "POST /api/v1/tasks": { tag: "tasks", summary: "Create a task", body: TASK_CREATE_SCHEMA, response: { status: 201, schema: TASK_SCHEMA } },
+  "GET /api/v1/tasks": {
+    tag: "tasks",
+    summary: "List tasks",
+    query: object({
+      status: enumOf(TASK_STATUSES, { name: "TaskStatus" }),
+      assigned_agent_id: string(),
+      priority: enumOf(TASK_PRIORITIES, { name: "TaskPriority" }),
+      supervisor_id: string({ description: "Tasks of the supervisor's direct subordinates" }),
+      ...PAGING_QUERY
+    }),
+    response: { schema: TASK_SCHEMA, list: true, paged: true }
+  },
+  "POST /api/v1/tasks/dispatch": {
+    tag: "tasks",
+    summary: "Assign queued tasks to idle agents now",
+    response: { schema: object({ assignments: arrayOf(object({ task_id: string(), agent_id: string() })) }) }
+  },
+  "GET /api/v1/tasks/tree": {
+    tag: "tasks",
+    summary: "Tasks nested under their parents",
+    query: object({ root: string({ description: "Only the subtree of this task" }) }),
+    response: { schema: TASK_TREE_NODE_SCHEMA, list: true }
+  },
+  "GET /api/v1/tasks/:taskId": { tag: "tasks", summary: "Get a task", response: { schema: TASK_SCHEMA } },
+  "GET /api/v1/tasks/:taskId/subtasks": { tag: "tasks", summary: "Direct subtasks of a task", response: { schema: TASK_SCHEMA, list: true } },
+  "PATCH /api/v1/tasks/:taskId": { tag: "tasks", summary: "Update a task (If-Match supported)", body: TASK_PATCH_SCHEMA, response: { schema: TASK_SCHEMA } },
+  "POST /api/v1/tasks/:taskId/events": { tag: "tasks", summary: "Record a task event", body: TASK_EVENT_CREATE_SCHEMA, response: { status: 201, schema: TASK_EVENT_SCHEMA } },
+  "POST /api/v1/tasks/:taskId/retry": {
+    tag: "tasks",
+    summary: "Start the next attempt of a failed task now",
+    response: { schema: TASK_SCHEMA }
+  },
+  "GET /api/v1/tasks/:taskId/events": {
+    tag: "tasks",
+    summary: "List events of a task",
+    query: object({ attempt: integer({ minimum: 1, description: "Only events of this attempt" }) }),
+    response: { schema: TASK_EVENT_SCHEMA, list: true }
+  },
+  "POST /api/v1/agents/:agentId/tasks/claim": {
+    tag: "tasks",
+    summary: "Claim the next matching task under a lease",
+    body: TASK_CLAIM_SCHEMA,
+    response: { schema: TASK_SCHEMA, description: "Claimed task; 204 when there is nothing to claim" }
+  },
+  "POST /api/v1/agents/:agentId/commands": { tag: "commands", summary: "Queue a command for an agent", body: COMMAND_CREATE_SCHEMA, response: { status: 201, schema: COMMAND_SCHEMA } },
+  "POST /api/v1/agents/:agentId/commands/pull": { tag: "commands", summary: "Pull queued commands", body: COMMAND_PULL_SCHEMA, response: { schema: COMMAND_SCHEMA, list: true } },
+  "GET /api/v1/agents/:agentId/commands": {
+    tag: "commands",
+    summary: "List commands of an agent",
+    query: object({ status: enumOf(COMMAND_STATUSES, { name: "CommandStatus" }), ...PAGING_QUERY }),
+    response: { schema: COMMAND_SCHEMA, list: true, paged: true }
+  },
+  "GET /api/v1/commands": {
+    tag: "commands",
+    summary: "List commands",
+    query: object({
+      agent_id: string(),
+      status: enumOf(COMMAND_STATUSES, { name: "CommandStatus" }),
+      type: enumOf(COMMAND_TYPES, { name: "CommandType" }),
+      ...PAGING_QUERY
+    }),
+    response: { schema: COMMAND_SCHEMA, list: true, paged: true }
+  },
+  "GET /api/v1/commands/:commandId": { tag: "commands", summary: "Get a command with its history", response: { schema: COMMAND_DETAIL_SCHEMA } },
+  "POST /api/v1/commands/:commandId/ack": { tag: "commands", summary: "Acknowledge a command", body: COMMAND_ACK_SCHEMA, response: { schema: COMMAND_SCHEMA } },
+  "POST /api/v1/alerts": { tag: "alerts", summary: "Open an alert", body: ALERT_CREATE_SCHEMA, response: { status: 201, schema: ALERT_SCHEMA } },
+  "GET /api/v1/alerts": {
+    tag: "alerts",
+    summary: "List alerts",
+    query: object({
+      status: enumOf(ALERT_STATUSES, { name: "AlertStatus" }),
+      severity: enumOf(ALERT_SEVERITIES, { name: "AlertSeverity" }),
+      type: string(),
+      ...PAGING_QUERY
+    }),
+    response: { schema: ALERT_SCHEMA, list: true, paged: true }
+  },
+  "POST /api/v1/alerts/:alertId/ack": { tag: "alerts", summary: "Acknowledge an alert", response: { schema: ALERT_SCHEMA } },
+  "POST /api/v1/alerts/:alertId/close": { tag: "alerts", summary: "Close an alert", response: { schema: ALERT_SCHEMA } },
+  "GET /api/v1/audit": {
+    tag: "audit",
+    summary: "Audit log of API mutations, newest first",
+    query: object({
+      entity_type: string(),
+      entity_id: string(),
+      actor_user_id: string(),
+      actor_key_id: string(),
+      action: string(),
+      from: string({ ...TIMESTAMP, description: "Inclusive" }),
+      to: string({ ...TIMESTAMP, description: "Exclusive" }),
+      ...PAGING_QUERY
+    }),
+    response: { schema: AUDIT_ENTRY_SCHEMA, list: true, paged: true }
+  },
+  "GET /api/v1/stream": {
+    tag: "stream",
+    summary: "Server-Sent Events change stream",
+    query: object({
+      types: string({ description: `Comma-separated event types or prefixes: ${Array.from(STREAM_EVENT_TYPES).join(", ")}` }),
+      agent_id: string(),
+      task_id: string(),
+      last_event_id: string({ description: "Resume point; the Last-Event-ID header takes precedence" })
+    }),
+    response: { contentType: "text/event-stream", schema: string() }
+  },
+  "POST /api/v1/webhooks": { tag: "webhooks", summary: "Subscribe a webhook", body: WEBHOOK_CREATE_SCHEMA, response: { status: 201, schema: WEBHOOK_CREATED_SCHEMA } },
+  "GET /api/v1/webhooks": { tag: "webhooks", summary: "List webhooks", response: { schema: WEBHOOK_SCHEMA, list: true } },
+  "GET /api/v1/webhooks/dead-letters": {
+    tag: "webhooks",
+    summary: "Deliveries that ran out of attempts",
+    query: object({ webhook_id: string(), ...PAGING_QUERY }),
+    response: { schema: WEBHOOK_DELIVERY_SCHEMA, list: true, paged: true }
+  },
+  "POST /api/v1/webhooks/deliveries/:deliveryId/retry": { tag: "webhooks", summary: "Send a dead-lettered delivery again", response: { schema: WEBHOOK_DELIVERY_SCHEMA } },
+  "GET /api/v1/webhooks/:webhookId": { tag: "webhooks", summary: "Get a webhook", response: { schema: WEBHOOK_SCHEMA } },
+  "PATCH /api/v1/webhooks/:webhookId": { tag: "webhooks", summary: "Update a webhook", body: WEBHOOK_PATCH_SCHEMA, response: { schema: WEBHOOK_SCHEMA } },
+  "GET /api/v1/webhooks/:webhookId/deliveries": {
+    tag: "webhooks",
+    summary: "Delivery log of a webhook, newest first",
+    query: object({ status: enumOf(WEBHOOK_DELIVERY_STATUSES, { name: "WebhookDeliveryStatus" }), ...PAGING_QUERY }),
+    response: { schema: WEBHOOK_DELIVERY_SCHEMA, list: true, paged: true }
+  },
+  "GET /api/v1/overview": { tag: "overview", summary: "Dashboard snapshot: agent tree, active tasks and aggregates", response: { schema: record() } },
+  "POST /api/v1/convex/sync/agents": { tag: "agents", summary: "Report the agent sync state", response: { schema: record() } },
+  "GET /api/v1/openapi.json": { tag: "meta", summary: "This document", response: { schema: record() } },
+  "GET /metrics": { tag: "meta", summary: "Prometheus metrics (Bearer METRICS_TOKEN when configured)", response: { contentType: "text/plain", schema: string() } },
+  "GET /health/live": { tag: "meta", summary: "Liveness probe", response: { schema: record() } },
+  "GET /health/ready": { tag: "meta", summary: "Readiness probe", response: { schema: record() } }
+};
+
+// Every Express route plus the WebSocket upgrade, which bypasses Express.
+function documentedRoutes() {
+  const routes = app._router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) => Object.keys(layer.route.methods).map((method) => ({
+      method,
+      path: layer.route.path,
+      idempotent: layer.route.stack.some((handler) => handler.handle === idempotent)
+    })));
+  return [...routes, { method: "get", path: "/api/v1/agents/:agentId/ws", idempotent: false }];
+}
+
+const PACKAGE_VERSION = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")).version;
+
+// Built on first request, once every route is registered.
+let openApiDocument = null;
+
+app.get("/api/v1/openapi.json", (_req, res) => {
+  openApiDocument ??= buildOpenApiDocument({
+    info: { title: "Control Plane API", version: PACKAGE_VERSION },
+    routes: documentedRoutes(),
+    operations: OPENAPI_OPERATIONS,
+    scopesOf: requiredScopes,
+    errorSchema: ERROR_SCHEMA
+  });
+  return res.json(openApiDocument);
+});
+
+// Outside /api/v1 so scrapers need no API key; METRICS_TOKEN, when set, is
+// required as a bearer token.
+app.get("/metrics", async (req, res) => {
+  if (METRICS_TOKEN && req.get("Authorization") !== `Bearer ${METRICS_TOKEN}`) {
+    return errorResponse(res, 401, "UNAUTHORIZED", "Missing or invalid metrics token");
+  }
+  const gauges = await collectStateGauges();
+  return res.type("text/plain; version=0.0.4").send(metrics.render(gauges));
+});
+
 app.get("/health/live", (_req, res) => {
   res.json({ status: "ok" });
 });
 
 app.get("/health/ready", async (_req, res) => {
   try {
-    await convexBootstrapDefaultTenant(null);
+    await backend.bootstrapDefaultTenant(null);
     return res.json({ status: "ready" });
   } catch {
-    return errorResponse(res, 503, "CONVEX_NOT_READY", "Convex backend not ready");
+    if (DATA_BACKEND === "convex") return errorResponse(res, 503, "CONVEX_NOT_READY", "Convex backend not ready");
+    return errorResponse(res, 503, "BACKEND_NOT_READY", `${DATA_BACKEND} backend not ready`);
   }
 });
 
 async function start() {
-  const bootstrap = await convexBootstrapDefaultTenant(process.env.BOOTSTRAP_API_KEY || null);
+  const bootstrap = await backend.bootstrapDefaultTenant(process.env.BOOTSTRAP_API_KEY || null);
   if (bootstrap?.created_api_key) {
     // eslint-disable-next-line no-console
     console.log(`Bootstrap API key (store safely): ${bootstrap.created_api_key}`);
   }
 
-  app.listen(PORT, HOST, () => {
+  startCommandSweeper(backend, {
+    intervalSec: COMMAND_SWEEP_INTERVAL_SEC,
+    redeliverAfterSec: COMMAND_REDELIVERY_TIMEOUT_SEC,
+    maxDeliveryAttempts: COMMAND_MAX_DELIVERY_ATTEMPTS
+  });
+
+  startHeartbeatWatchdog(backend, {
+    intervalSec: AGENT_WATCHDOG_INTERVAL_SEC,
+    offlineAfterSec: HEARTBEAT_OFFLINE_SEC
+  });
+
+  startTaskLeaseSweeper(backend, { intervalSec: TASK_LEASE_SWEEP_INTERVAL_SEC });
+
+  startTaskRetryScheduler(backend, { intervalSec: TASK_RETRY_INTERVAL_SEC });
+
+  startTaskReaper(backend, {
+    intervalSec: TASK_REAPER_INTERVAL_SEC,
+    offlineAfterSec: HEARTBEAT_OFFLINE_SEC,
+    graceSec: TASK_ORPHAN_GRACE_SEC
+  });
+
+  startPeriodicJob("Idempotency key purge", IDEMPOTENCY_PURGE_INTERVAL_SEC, () => backend.purgeIdempotencyKeys(nowIso()));
+
+  startPeriodicJob("API key last_used_at flush", API_KEY_TOUCH_INTERVAL_SEC, () => apiKeyCache.flush());
+
+  startTaskDispatcher(backend, {
+    intervalSec: TASK_DISPATCH_INTERVAL_SEC,
+    offlineAfterSec: HEARTBEAT_OFFLINE_SEC,
+    maxTasksPerAgent: TASK_DISPATCH_MAX_PER_AGENT
+  });
+
+  startWebhookDelivery(backend, {
+    intervalSec: WEBHOOK_DELIVERY_INTERVAL_SEC,
+    timeoutSec: WEBHOOK_TIMEOUT_SEC,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    retryBaseSec: WEBHOOK_RETRY_BASE_SEC,
+    retryMaxSec: WEBHOOK_RETRY_MAX_SEC
+  });
+
+  const server = app.listen(PORT, HOST, () => {
     // eslint-disable-next-line no-console
-    console.log(`Control Plane API (convex) listening on ${HOST}:${PORT}`);
+    console.log(`Control Plane API (${backend.name}) listening on ${HOST}:${PORT}`);
   });
+  server.on("upgrade", handleUpgrade);
 }
 
 start().catch((err) => {
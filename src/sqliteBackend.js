@@ -0,0 +1,1364 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import { createDb } from "./db.js";
+
+const DEFAULT_ORGANIZATION_ID = "default-org";
+const DEFAULT_USER_ID = "default-user";
+
+const AGENT_OFFLINE_ALERT_TYPE = "agent_offline";
+
+const COMMAND_TRANSITIONS = {
+  queued: ["delivered", "acked", "failed", "expired"],
+  delivered: ["queued", "delivered", "acked", "failed", "expired"],
+  acked: [],
+  failed: [],
+  expired: []
+};
+
+const TASK_PRIORITY_RANK = { urgent: 0, high: 1, normal: 2, low: 3 };
+
+const requestContext = new AsyncLocalStorage();
+
+let dbPromise = null;
+let txQueue = Promise.resolve();
+
+function getDb() {
+  if (!dbPromise) dbPromise = createDb();
+  return dbPromise;
+}
+
+// SQLite shares one connection between requests, so every write is serialized
+// here: a statement run beside an open BEGIN would silently join (or be rolled
+// back with) someone else's transaction. Multi-statement writes also get the
+// same all-or-nothing behaviour as a Convex mutation.
+async function transaction(fn) {
+  const db = await getDb();
+  const run = txQueue.then(async () => {
+    await db.exec("BEGIN IMMEDIATE");
+    try {
+      const result = await fn(db);
+      await db.exec("COMMIT");
+      return result;
+    } catch (err) {
+      await db.exec("ROLLBACK");
+      throw err;
+    }
+  });
+  txQueue = run.catch(() => {});
+  return run;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function orgId() {
+  const ctx = requestContext.getStore();
+  if (!ctx?.organization_id) throw new Error("organization_id is required");
+  return ctx.organization_id;
+}
+
+function parseJson(value, fallback) {
+  if (typeof value !== "string") return value ?? fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function isUniqueViolation(err) {
+  return err?.code === "SQLITE_CONSTRAINT" && /UNIQUE|PRIMARY KEY/.test(String(err.message));
+}
+
+function rowToAgent(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    role: row.role,
+    host: row.host,
+    supervisor_id: row.supervisor_id,
+    status: row.status,
+    capabilities: parseJson(row.capabilities, []),
+    last_heartbeat_at: row.last_heartbeat_at,
+    load: row.load,
+    queue_depth: row.queue_depth,
+    current_task_id: row.current_task_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    version: row.version
+  };
+}
+
+function rowToTask(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    assigned_agent_id: row.assigned_agent_id,
+    status: row.status,
+    progress: row.progress,
+    priority: row.priority,
+    required_capabilities: parseJson(row.required_capabilities, []),
+    depends_on: parseJson(row.depends_on, []),
+    on_dependency_failure: row.on_dependency_failure ?? "fail",
+    on_agent_offline: row.on_agent_offline ?? "requeue",
+    parent_task_id: row.parent_task_id ?? null,
+    retry_policy: parseJson(row.retry_policy, null),
+    attempt: row.attempt ?? 1,
+    retry_at: row.retry_at ?? null,
+    metadata: parseJson(row.metadata, {}),
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    lease_sec: row.lease_sec ?? null,
+    lease_expires_at: row.lease_expires_at ?? null,
+    version: row.version
+  };
+}
+
+function byPriorityThenAge(a, b) {
+  const rank = (TASK_PRIORITY_RANK[a.priority] ?? TASK_PRIORITY_RANK.normal) - (TASK_PRIORITY_RANK[b.priority] ?? TASK_PRIORITY_RANK.normal);
+  if (rank !== 0) return rank;
+  return String(a.created_at).localeCompare(String(b.created_at));
+}
+
+// Keyset cursors: the (sort value, id) of the last returned row.
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    throw new Error("INVALID_CURSOR");
+  }
+  if (!Array.isArray(key) || key.length !== 2 || !key.every((part) => typeof part === "string")) {
+    throw new Error("INVALID_CURSOR");
+  }
+  return key;
+}
+
+// `where` maps columns to equality filters: undefined is skipped, null means
+// IS NULL and an array means IN. Rows are sorted by `sortColumn`, then id.
+async function pageRows(table, sortColumn, order, where, page, rowMapper) {
+  const clauses = ["organization_id = ?"];
+  const params = [orgId()];
+  for (const [column, value] of Object.entries(where)) {
+    if (value === undefined) continue;
+    if (value === null) {
+      clauses.push(`${column} IS NULL`);
+    } else if (Array.isArray(value)) {
+      if (value.length === 0) return { items: [], next_cursor: null };
+      clauses.push(`${column} IN (${value.map(() => "?").join(", ")})`);
+      params.push(...value);
+    } else if (typeof value === "object") {
+      // Half-open range: `{ gte, lt }`, either bound optional.
+      if (value.gte !== undefined) {
+        clauses.push(`${column} >= ?`);
+        params.push(value.gte);
+      }
+      if (value.lt !== undefined) {
+        clauses.push(`${column} < ?`);
+        params.push(value.lt);
+      }
+    } else {
+      clauses.push(`${column} = ?`);
+      params.push(value);
+    }
+  }
+  const direction = order === "desc" ? "DESC" : "ASC";
+  if (page.cursor) {
+    const [sortValue, id] = decodeCursor(page.cursor);
+    clauses.push(`(${sortColumn} ${order === "desc" ? "<" : ">"} ? OR (${sortColumn} = ? AND id ${order === "desc" ? "<" : ">"} ?))`);
+    params.push(sortValue, sortValue, id);
+  }
+  const db = await getDb();
+  const rows = await db.all(
+    `SELECT * FROM ${table} WHERE ${clauses.join(" AND ")} ORDER BY ${sortColumn} ${direction}, id ${direction} LIMIT ? OFFSET ?`,
+    // A cursor already marks the position, so offset only applies without one.
+    [...params, page.limit + 1, page.cursor ? 0 : page.offset ?? 0]
+  );
+  const items = rows.slice(0, page.limit);
+  const last = items[items.length - 1];
+  return {
+    items: items.map(rowMapper),
+    next_cursor: rows.length > page.limit ? encodeCursor([String(last[sortColumn]), last.id]) : null
+  };
+}
+
+function hasActiveLease(task, ts) {
+  return task.status === "running" && Boolean(task.lease_expires_at) && Date.parse(task.lease_expires_at) > Date.parse(ts);
+}
+
+function leaseExpiry(ts, leaseSec) {
+  return new Date(Date.parse(ts) + leaseSec * 1000).toISOString();
+}
+
+function rowToTaskEvent(row) {
+  return {
+    id: row.id,
+    task_id: row.task_id,
+    agent_id: row.agent_id,
+    type: row.type,
+    message: row.message,
+    payload: parseJson(row.payload, {}),
+    created_at: row.created_at
+  };
+}
+
+function rowToCommand(row) {
+  return {
+    id: row.id,
+    agent_id: row.agent_id,
+    type: row.type,
+    payload: parseJson(row.payload, {}),
+    status: row.status,
+    created_by: row.created_by,
+    acked_by: row.acked_by,
+    ack_message: row.ack_message,
+    expires_at: row.expires_at,
+    delivery_attempts: row.delivery_attempts ?? 0,
+    delivered_at: row.delivered_at ?? null,
+    history: parseJson(row.history, []),
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function commandTransition(command, status, actor, message, ts) {
+  if (!COMMAND_TRANSITIONS[command.status]?.includes(status)) throw new Error("INVALID_COMMAND_TRANSITION");
+  const entry = { status, previous_status: command.status, actor, message, at: ts };
+  return { status, updated_at: ts, history: [...command.history, entry] };
+}
+
+async function updateCommand(db, organizationId, command) {
+  await db.run(
+    "UPDATE commands SET status = ?, acked_by = ?, ack_message = ?, delivery_attempts = ?, delivered_at = ?, history = ?, updated_at = ? WHERE organization_id = ? AND id = ?",
+    [command.status, command.acked_by, command.ack_message, command.delivery_attempts, command.delivered_at, JSON.stringify(command.history), command.updated_at, organizationId, command.id]
+  );
+}
+
+function isPastExpiry(row, nowMs) {
+  return Boolean(row.expires_at) && Date.parse(row.expires_at) <= nowMs;
+}
+
+function isDeliveryStale(row, nowMs, redeliverAfterSec) {
+  return row.status === "delivered" && Boolean(row.delivered_at) && Date.parse(row.delivered_at) + redeliverAfterSec * 1000 <= nowMs;
+}
+
+// A stale delivery that already used up its attempts is failed instead of
+// being delivered (or requeued) again.
+function exhaustDelivery(command, ts) {
+  return {
+    ...command,
+    ...commandTransition(command, "failed", "system", "Delivery attempts exhausted", ts),
+    ack_message: "Delivery attempts exhausted"
+  };
+}
+
+function rowToAlert(row) {
+  return {
+    id: row.id,
+    severity: row.severity,
+    type: row.type,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    message: row.message,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToAuditEntry(row) {
+  return {
+    id: row.id,
+    request_id: row.request_id,
+    actor_user_id: row.actor_user_id,
+    actor_key_id: row.actor_key_id,
+    actor_agent_id: row.actor_agent_id,
+    action: row.action,
+    entity_type: row.entity_type,
+    entity_id: row.entity_id,
+    changes: parseJson(row.changes, {}),
+    created_at: row.created_at
+  };
+}
+
+function rowToWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    event_types: parseJson(row.event_types, []),
+    secret: row.secret,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToWebhookDelivery(row) {
+  return {
+    id: row.id,
+    webhook_id: row.webhook_id,
+    event_type: row.event_type,
+    payload: parseJson(row.payload, {}),
+    status: row.status,
+    attempts: row.attempts ?? 0,
+    next_attempt_at: row.next_attempt_at,
+    last_attempt_at: row.last_attempt_at ?? null,
+    response_status: row.response_status ?? null,
+    last_error: row.last_error ?? null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToOrganization(row) {
+  return { id: row.id, name: row.name, status: row.status ?? "active", created_at: row.created_at, updated_at: row.updated_at };
+}
+
+function rowToUser(row) {
+  return {
+    id: row.id,
+    organization_id: row.organization_id,
+    email: row.email,
+    name: row.name,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function rowToApiKeyMeta(row) {
+  return {
+    key_id: row.key_id,
+    user_id: row.user_id,
+    name: row.name,
+    prefix: row.prefix,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at,
+    expires_at: row.expires_at,
+    scopes: parseJson(row.scopes, null),
+    agent_id: row.agent_id ?? null,
+    include_subtree: Boolean(row.include_subtree)
+  };
+}
+
+function sha256Hex(input) {
+  return createHash("sha256").update(input).digest("hex");
+}
+
+function buildRawApiKey() {
+  return `ak_${randomBytes(32).toString("hex")}`;
+}
+
+function apiKeyPrefix(rawKey) {
+  return rawKey.slice(0, 12);
+}
+
+function isActiveKey(row) {
+  if (row.revoked_at) return false;
+  if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) return false;
+  return true;
+}
+
+async function insertApiKey(db, organizationId, userId, name, rawKey, expiresAt, scopes = null, agentBinding = null) {
+  const ts = nowIso();
+  const row = {
+    key_id: randomUUID(),
+    organization_id: organizationId,
+    user_id: userId,
+    name,
+    prefix: apiKeyPrefix(rawKey),
+    secret_hash: sha256Hex(rawKey),
+    created_at: ts,
+    updated_at: ts,
+    last_used_at: null,
+    revoked_at: null,
+    expires_at: expiresAt ?? null,
+    scopes: scopes ? JSON.stringify(scopes) : null,
+    agent_id: agentBinding?.agent_id ?? null,
+    include_subtree: agentBinding?.include_subtree ? 1 : 0
+  };
+  await db.run(
+    `INSERT INTO api_keys (key_id, organization_id, user_id, name, prefix, secret_hash, created_at, updated_at, last_used_at, revoked_at, expires_at, scopes, agent_id, include_subtree)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [row.key_id, row.organization_id, row.user_id, row.name, row.prefix, row.secret_hash, row.created_at, row.updated_at, row.last_used_at, row.revoked_at, row.expires_at, row.scopes, row.agent_id, row.include_subtree]
+  );
+  return row;
+}
+
+async function insertAgent(db, organizationId, agent) {
+  await db.run(
+    `INSERT INTO agents (id, organization_id, name, role, host, supervisor_id, status, capabilities, last_heartbeat_at, load, queue_depth, current_task_id, created_at, updated_at, version)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      agent.id,
+      organizationId,
+      agent.name,
+      agent.role,
+      agent.host,
+      agent.supervisor_id,
+      agent.status,
+      JSON.stringify(agent.capabilities),
+      agent.last_heartbeat_at,
+      agent.load,
+      agent.queue_depth,
+      agent.current_task_id,
+      agent.created_at,
+      agent.updated_at,
+      agent.version
+    ]
+  );
+}
+
+async function updateAgent(db, organizationId, agentId, next) {
+  await db.run(
+    `UPDATE agents SET name = ?, role = ?, host = ?, supervisor_id = ?, status = ?, capabilities = ?, last_heartbeat_at = ?, load = ?, queue_depth = ?, current_task_id = ?, updated_at = ?, version = ?
+     WHERE organization_id = ? AND id = ?`,
+    [
+      next.name,
+      next.role,
+      next.host,
+      next.supervisor_id,
+      next.status,
+      JSON.stringify(next.capabilities),
+      next.last_heartbeat_at,
+      next.load,
+      next.queue_depth,
+      next.current_task_id,
+      next.updated_at,
+      next.version,
+      organizationId,
+      agentId
+    ]
+  );
+}
+
+async function findAgent(db, organizationId, agentId) {
+  const row = await db.get("SELECT * FROM agents WHERE organization_id = ? AND id = ?", [organizationId, agentId]);
+  return row ? rowToAgent(row) : null;
+}
+
+async function updateTask(db, organizationId, task) {
+  await db.run(
+    `UPDATE tasks SET title = ?, description = ?, assigned_agent_id = ?, status = ?, progress = ?, priority = ?, required_capabilities = ?, depends_on = ?, on_dependency_failure = ?, on_agent_offline = ?, retry_policy = ?, attempt = ?, retry_at = ?, metadata = ?, started_at = ?, finished_at = ?, lease_sec = ?, lease_expires_at = ?, updated_at = ?, version = ?
+     WHERE organization_id = ? AND id = ?`,
+    [
+      task.title,
+      task.description,
+      task.assigned_agent_id,
+      task.status,
+      task.progress,
+      task.priority,
+      JSON.stringify(task.required_capabilities ?? []),
+      JSON.stringify(task.depends_on ?? []),
+      task.on_dependency_failure ?? "fail",
+      task.on_agent_offline ?? "requeue",
+      task.retry_policy ? JSON.stringify(task.retry_policy) : null,
+      task.attempt ?? 1,
+      task.retry_at ?? null,
+      JSON.stringify(task.metadata ?? {}),
+      task.started_at,
+      task.finished_at,
+      task.lease_sec,
+      task.lease_expires_at,
+      task.updated_at,
+      task.version,
+      organizationId,
+      task.id
+    ]
+  );
+}
+
+async function insertTaskEvent(db, organizationId, event) {
+  try {
+    await db.run(
+      "INSERT INTO task_events (id, organization_id, task_id, agent_id, type, message, payload, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+      [event.id, organizationId, event.task_id, event.agent_id, event.type, event.message, JSON.stringify(event.payload ?? {}), event.created_at]
+    );
+  } catch (err) {
+    if (isUniqueViolation(err)) throw new Error("TASK_EVENT_EXISTS");
+    throw err;
+  }
+}
+
+async function renewTaskLease(db, organizationId, task, ts) {
+  await db.run("UPDATE tasks SET lease_expires_at = ? WHERE organization_id = ? AND id = ?", [leaseExpiry(ts, task.lease_sec), organizationId, task.id]);
+}
+
+async function findTask(db, organizationId, taskId) {
+  const row = await db.get("SELECT * FROM tasks WHERE organization_id = ? AND id = ?", [organizationId, taskId]);
+  return row ? rowToTask(row) : null;
+}
+
+export function runWithSqliteContext(ctx, fn) {
+  return requestContext.run(ctx, fn);
+}
+
+export async function sqliteResolveApiKey(rawKey, { touch = true } = {}) {
+  const db = await getDb();
+  const row = await db.get(
+    `SELECT api_keys.*, users.status AS user_status, organizations.status AS organization_status
+     FROM api_keys
+     LEFT JOIN users ON users.id = api_keys.user_id
+     LEFT JOIN organizations ON organizations.id = api_keys.organization_id
+     WHERE api_keys.secret_hash = ?`,
+    [sha256Hex(rawKey)]
+  );
+  if (!row || !isActiveKey(row)) return null;
+  if (row.user_status === "suspended" || row.organization_status === "suspended") return null;
+  if (touch) await transaction((tx) => tx.run("UPDATE api_keys SET last_used_at = ? WHERE key_id = ?", [nowIso(), row.key_id]));
+  return {
+    organization_id: row.organization_id,
+    user_id: row.user_id,
+    key_id: row.key_id,
+    scopes: parseJson(row.scopes, null),
+    agent_id: row.agent_id ?? null,
+    include_subtree: Boolean(row.include_subtree),
+    expires_at: row.expires_at
+  };
+}
+
+export async function sqliteTouchApiKeys(touches) {
+  return transaction(async (db) => {
+    let touched = 0;
+    for (const touch of touches) {
+      const result = await db.run(
+        "UPDATE api_keys SET last_used_at = ? WHERE key_id = ? AND (last_used_at IS NULL OR last_used_at < ?)",
+        [touch.last_used_at, touch.key_id, touch.last_used_at]
+      );
+      touched += result.changes ?? 0;
+    }
+    return { touched };
+  });
+}
+
+export async function sqliteBootstrapDefaultTenant(seedApiKey = null) {
+  return transaction(async (db) => {
+    const ts = nowIso();
+    await db.run(
+      "INSERT OR IGNORE INTO organizations (id, name, created_at, updated_at) VALUES (?, ?, ?, ?)",
+      [DEFAULT_ORGANIZATION_ID, "Default Organization", ts, ts]
+    );
+    await db.run(
+      "INSERT OR IGNORE INTO users (id, organization_id, email, name, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      [DEFAULT_USER_ID, DEFAULT_ORGANIZATION_ID, null, "Default User", "active", ts, ts]
+    );
+
+    const userKeys = await db.all("SELECT * FROM api_keys WHERE organization_id = ? AND user_id = ?", [DEFAULT_ORGANIZATION_ID, DEFAULT_USER_ID]);
+    if (userKeys.some(isActiveKey)) {
+      return { organization_id: DEFAULT_ORGANIZATION_ID, user_id: DEFAULT_USER_ID, created_api_key: null };
+    }
+
+    const rawKey = seedApiKey || buildRawApiKey();
+    await insertApiKey(db, DEFAULT_ORGANIZATION_ID, DEFAULT_USER_ID, "Bootstrap Key", rawKey, null);
+    return { organization_id: DEFAULT_ORGANIZATION_ID, user_id: DEFAULT_USER_ID, created_api_key: rawKey };
+  });
+}
+
+export async function sqliteListOrganizations() {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM organizations ORDER BY created_at ASC");
+  return rows.map(rowToOrganization);
+}
+
+export async function sqliteCreateOrganization(organization) {
+  return transaction(async (db) => {
+    const row = { id: organization.id, name: organization.name, status: "active", created_at: organization.created_at, updated_at: organization.created_at };
+    try {
+      await db.run(
+        "INSERT INTO organizations (id, name, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?)",
+        [row.id, row.name, row.status, row.created_at, row.updated_at]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new Error("ORGANIZATION_EXISTS");
+      throw err;
+    }
+    return rowToOrganization(row);
+  });
+}
+
+export async function sqliteSetOrganizationStatus(organizationId, status, ts) {
+  return transaction(async (db) => {
+    const result = await db.run("UPDATE organizations SET status = ?, updated_at = ? WHERE id = ?", [status, ts, organizationId]);
+    if (result.changes === 0) return null;
+    return rowToOrganization(await db.get("SELECT * FROM organizations WHERE id = ?", [organizationId]));
+  });
+}
+
+export async function sqliteListUsers() {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM users WHERE organization_id = ? ORDER BY created_at ASC", [orgId()]);
+  return rows.map(rowToUser);
+}
+
+// User ids are global: `users.id` is the primary key.
+export async function sqliteCreateUser(user) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const org = await db.get("SELECT id FROM organizations WHERE id = ?", [organizationId]);
+    if (!org) throw new Error("ORGANIZATION_NOT_FOUND");
+    const row = { id: user.id, organization_id: organizationId, email: user.email, name: user.name, status: "active", created_at: user.created_at, updated_at: user.created_at };
+    try {
+      await db.run(
+        "INSERT INTO users (id, organization_id, email, name, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [row.id, row.organization_id, row.email, row.name, row.status, row.created_at, row.updated_at]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new Error("USER_EXISTS");
+      throw err;
+    }
+    return rowToUser(row);
+  });
+}
+
+export async function sqliteSetUserStatus(userId, status, ts) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const result = await db.run("UPDATE users SET status = ?, updated_at = ? WHERE organization_id = ? AND id = ?", [status, ts, organizationId, userId]);
+    if (result.changes === 0) return null;
+    return rowToUser(await db.get("SELECT * FROM users WHERE id = ?", [userId]));
+  });
+}
+
+export async function sqliteCreateApiKey(userId, name, expiresAt, scopes, agentBinding) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const user = await db.get("SELECT id FROM users WHERE organization_id = ? AND id = ?", [organizationId, userId]);
+    if (!user) throw new Error("USER_NOT_FOUND");
+    if (agentBinding?.agent_id) {
+      const agent = await db.get("SELECT id FROM agents WHERE organization_id = ? AND id = ?", [organizationId, agentBinding.agent_id]);
+      if (!agent) throw new Error("AGENT_NOT_FOUND");
+    }
+    const rawKey = buildRawApiKey();
+    const row = await insertApiKey(db, organizationId, userId, name, rawKey, expiresAt, scopes, agentBinding);
+    return { raw_key: rawKey, key: rowToApiKeyMeta(row) };
+  });
+}
+
+export async function sqliteListApiKeys(userId) {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM api_keys WHERE organization_id = ? AND user_id = ? ORDER BY created_at DESC", [orgId(), userId]);
+  return rows.map(rowToApiKeyMeta);
+}
+
+export async function sqliteRotateApiKey(userId, keyId) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM api_keys WHERE key_id = ?", [keyId]);
+    if (!row || row.organization_id !== organizationId || row.user_id !== userId) return null;
+    if (row.revoked_at) return null;
+
+    const rawKey = buildRawApiKey();
+    const next = {
+      secret_hash: sha256Hex(rawKey),
+      prefix: apiKeyPrefix(rawKey),
+      updated_at: nowIso(),
+      last_used_at: null
+    };
+    await db.run(
+      "UPDATE api_keys SET secret_hash = ?, prefix = ?, updated_at = ?, last_used_at = ? WHERE key_id = ?",
+      [next.secret_hash, next.prefix, next.updated_at, next.last_used_at, keyId]
+    );
+    return { raw_key: rawKey, key: rowToApiKeyMeta({ ...row, ...next }) };
+  });
+}
+
+export async function sqliteRevokeApiKey(userId, keyId) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM api_keys WHERE key_id = ?", [keyId]);
+    if (!row || row.organization_id !== organizationId || row.user_id !== userId) return null;
+    if (row.revoked_at) return rowToApiKeyMeta(row);
+
+    const ts = nowIso();
+    const next = { revoked_at: ts, updated_at: ts };
+    await db.run("UPDATE api_keys SET revoked_at = ?, updated_at = ? WHERE key_id = ?", [next.revoked_at, next.updated_at, keyId]);
+    return rowToApiKeyMeta({ ...row, ...next });
+  });
+}
+
+export async function sqliteListAgents() {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM agents WHERE organization_id = ?", [orgId()]);
+  return rows.map(rowToAgent);
+}
+
+export async function sqlitePageAgents(filters, page) {
+  return pageRows("agents", "created_at", "asc", {
+    status: filters.status,
+    role: filters.role,
+    host: filters.host,
+    supervisor_id: filters.supervisor_id
+  }, page, rowToAgent);
+}
+
+export async function sqliteGetAgent(agentId) {
+  return findAgent(await getDb(), orgId(), agentId);
+}
+
+export async function sqliteCreateAgent(agent) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    try {
+      await insertAgent(db, organizationId, agent);
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new Error("AGENT_EXISTS");
+      throw err;
+    }
+    return agent;
+  });
+}
+
+export async function sqlitePatchAgent(agentId, patch, options) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await findAgent(db, organizationId, agentId);
+    if (!row) return null;
+    if (options.expected_version !== undefined && (row.version ?? 1) !== options.expected_version) throw new Error("VERSION_MISMATCH");
+
+    const next = {
+      ...row,
+      name: patch.name ?? row.name,
+      role: patch.role ?? row.role,
+      host: patch.host ?? row.host,
+      supervisor_id: options.has_supervisor_id ? patch.supervisor_id ?? null : row.supervisor_id,
+      status: patch.status ?? row.status,
+      capabilities: patch.capabilities ?? row.capabilities,
+      load: patch.load === undefined ? row.load : patch.load,
+      queue_depth: patch.queue_depth === undefined ? row.queue_depth : patch.queue_depth,
+      current_task_id: options.has_current_task_id ? patch.current_task_id ?? null : row.current_task_id,
+      updated_at: options.updated_at,
+      version: (row.version ?? 1) + 1
+    };
+    await updateAgent(db, organizationId, agentId, next);
+    return next;
+  });
+}
+
+export async function sqliteHeartbeatAgent(agentId, payload, ts) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await findAgent(db, organizationId, agentId);
+    if (!row) {
+      const created = {
+        id: agentId,
+        name: payload.name ?? `agent-${agentId}`,
+        role: payload.role,
+        host: payload.host,
+        supervisor_id: payload.supervisor_id,
+        status: payload.status,
+        capabilities: payload.capabilities,
+        last_heartbeat_at: ts,
+        load: payload.load,
+        queue_depth: payload.queue_depth,
+        current_task_id: payload.current_task_id,
+        created_at: ts,
+        updated_at: ts,
+        version: 1
+      };
+      await insertAgent(db, organizationId, created);
+      return { agent: created, created: true };
+    }
+
+    const next = {
+      ...row,
+      name: payload.name ?? row.name,
+      role: payload.role,
+      host: payload.host,
+      supervisor_id: payload.supervisor_id,
+      status: payload.status,
+      capabilities: payload.capabilities,
+      last_heartbeat_at: ts,
+      load: payload.load,
+      queue_depth: payload.queue_depth,
+      current_task_id: payload.current_task_id,
+      updated_at: ts,
+      version: (row.version ?? 1) + 1
+    };
+    await updateAgent(db, organizationId, agentId, next);
+
+    const held = await db.all("SELECT * FROM tasks WHERE organization_id = ? AND assigned_agent_id = ? AND status = 'running'", [organizationId, agentId]);
+    for (const task of held.map(rowToTask)) {
+      if (hasActiveLease(task, ts)) await renewTaskLease(db, organizationId, task, ts);
+    }
+
+    const alerts = await db.all(
+      "SELECT * FROM alerts WHERE organization_id = ? AND entity_type = 'agent' AND entity_id = ? AND type = ? AND status != 'closed'",
+      [organizationId, agentId, AGENT_OFFLINE_ALERT_TYPE]
+    );
+    await db.run(
+      "UPDATE alerts SET status = 'closed', updated_at = ? WHERE organization_id = ? AND entity_type = 'agent' AND entity_id = ? AND type = ? AND status != 'closed'",
+      [ts, organizationId, agentId, AGENT_OFFLINE_ALERT_TYPE]
+    );
+    const resolvedAlerts = alerts.map((alert) => rowToAlert({ ...alert, status: "closed", updated_at: ts }));
+
+    return { agent: next, created: false, resolved_alerts: resolvedAlerts };
+  });
+}
+
+export async function sqliteListTasks() {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM tasks WHERE organization_id = ?", [orgId()]);
+  return rows.map(rowToTask);
+}
+
+export async function sqlitePageTasks(filters, page) {
+  return pageRows("tasks", "updated_at", "desc", {
+    status: filters.status,
+    assigned_agent_id: filters.assigned_agent_id ?? filters.assigned_agent_ids,
+    priority: filters.priority
+  }, page, rowToTask);
+}
+
+export async function sqliteGetTask(taskId) {
+  return findTask(await getDb(), orgId(), taskId);
+}
+
+export async function sqliteCreateTask(task) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    try {
+      await db.run(
+        `INSERT INTO tasks (id, organization_id, title, description, assigned_agent_id, status, progress, priority, required_capabilities, depends_on, on_dependency_failure, on_agent_offline, parent_task_id, retry_policy, attempt, retry_at, metadata, created_at, updated_at, started_at, finished_at, version)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          task.id,
+          organizationId,
+          task.title,
+          task.description,
+          task.assigned_agent_id,
+          task.status,
+          task.progress,
+          task.priority,
+          JSON.stringify(task.required_capabilities ?? []),
+          JSON.stringify(task.depends_on ?? []),
+          task.on_dependency_failure ?? "fail",
+          task.on_agent_offline ?? "requeue",
+          task.parent_task_id ?? null,
+          task.retry_policy ? JSON.stringify(task.retry_policy) : null,
+          task.attempt ?? 1,
+          task.retry_at ?? null,
+          JSON.stringify(task.metadata ?? {}),
+          task.created_at,
+          task.updated_at,
+          task.started_at,
+          task.finished_at,
+          task.version
+        ]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new Error("TASK_EXISTS");
+      throw err;
+    }
+    return task;
+  });
+}
+
+export async function sqlitePatchTask(taskId, patch, options) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await findTask(db, organizationId, taskId);
+    if (!row) return null;
+    if (options.expected_version !== undefined && row.version !== options.expected_version) throw new Error("VERSION_MISMATCH");
+
+    const next = {
+      ...row,
+      title: patch.title ?? row.title,
+      description: options.has_description ? patch.description ?? null : row.description,
+      assigned_agent_id: options.has_assigned_agent_id ? patch.assigned_agent_id ?? null : row.assigned_agent_id,
+      status: patch.status ?? row.status,
+      progress: patch.progress ?? row.progress,
+      priority: patch.priority ?? row.priority,
+      required_capabilities: patch.required_capabilities ?? row.required_capabilities,
+      depends_on: patch.depends_on ?? row.depends_on,
+      on_dependency_failure: patch.on_dependency_failure ?? row.on_dependency_failure,
+      on_agent_offline: patch.on_agent_offline ?? row.on_agent_offline,
+      retry_policy: patch.retry_policy === undefined ? row.retry_policy : patch.retry_policy,
+      attempt: patch.attempt ?? row.attempt,
+      retry_at: patch.retry_at === undefined ? row.retry_at : patch.retry_at,
+      metadata: patch.metadata ?? row.metadata,
+      started_at: patch.started_at === undefined ? row.started_at : patch.started_at,
+      finished_at: patch.finished_at === undefined ? row.finished_at : patch.finished_at,
+      updated_at: options.updated_at,
+      version: row.version + 1
+    };
+    if (next.status !== "running") next.lease_expires_at = null;
+    await updateTask(db, organizationId, next);
+    return next;
+  });
+}
+
+export async function sqliteAssignTask(taskId, agentId, event) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await findTask(db, organizationId, taskId);
+    if (!row || row.status !== "queued" || row.assigned_agent_id !== null) return null;
+    const next = { ...row, assigned_agent_id: agentId, updated_at: event.created_at, version: row.version + 1 };
+    await updateTask(db, organizationId, next);
+    await insertTaskEvent(db, organizationId, { ...event, task_id: taskId, agent_id: agentId });
+    return next;
+  });
+}
+
+export async function sqliteClaimTask(agentId, leaseSec, eventId, ts) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const agent = await findAgent(db, organizationId, agentId);
+    if (!agent) return null;
+    const capabilities = new Set(agent.capabilities ?? []);
+    const rows = await db.all(
+      "SELECT * FROM tasks WHERE organization_id = ? AND status = 'queued' AND (assigned_agent_id IS NULL OR assigned_agent_id = ?)",
+      [organizationId, agentId]
+    );
+    const row = rows
+      .map(rowToTask)
+      .filter((task) => task.required_capabilities.every((capability) => capabilities.has(capability)))
+      .sort(byPriorityThenAge)[0];
+    if (!row) return null;
+
+    const next = {
+      ...row,
+      assigned_agent_id: agentId,
+      status: "running",
+      started_at: row.started_at ?? ts,
+      lease_sec: leaseSec,
+      lease_expires_at: leaseExpiry(ts, leaseSec),
+      updated_at: ts,
+      version: row.version + 1
+    };
+    await updateTask(db, organizationId, next);
+    await updateAgent(db, organizationId, agentId, { ...agent, current_task_id: row.id, updated_at: ts, version: (agent.version ?? 1) + 1 });
+    await insertTaskEvent(db, organizationId, {
+      id: eventId,
+      task_id: row.id,
+      agent_id: agentId,
+      type: "status_changed",
+      message: `Task claimed by ${agentId}`,
+      payload: { status: next.status, progress: next.progress, attempt: next.attempt, assigned_agent_id: agentId, lease_expires_at: next.lease_expires_at },
+      created_at: ts
+    });
+    return next;
+  });
+}
+
+export async function sqliteExpireTaskLeases(ts) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const rows = await db.all("SELECT * FROM tasks WHERE organization_id = ? AND status = 'running' AND lease_expires_at IS NOT NULL", [organizationId]);
+    const expired = [];
+    for (const row of rows.map(rowToTask)) {
+      if (Date.parse(row.lease_expires_at) > Date.parse(ts)) continue;
+      const next = { ...row, assigned_agent_id: null, status: "queued", started_at: null, lease_expires_at: null, updated_at: ts, version: row.version + 1 };
+      await updateTask(db, organizationId, next);
+      const agent = row.assigned_agent_id ? await findAgent(db, organizationId, row.assigned_agent_id) : null;
+      if (agent && agent.current_task_id === row.id) {
+        await updateAgent(db, organizationId, agent.id, { ...agent, current_task_id: null, updated_at: ts, version: (agent.version ?? 1) + 1 });
+      }
+      await insertTaskEvent(db, organizationId, {
+        id: randomUUID(),
+        task_id: row.id,
+        agent_id: row.assigned_agent_id,
+        type: "status_changed",
+        message: "Lease expired, task returned to queue",
+        payload: { status: "queued", progress: row.progress, attempt: row.attempt, previous_agent_id: row.assigned_agent_id },
+        created_at: ts
+      });
+      expired.push(next);
+    }
+    return expired;
+  });
+}
+
+export async function sqliteListTaskEvents(taskId) {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM task_events WHERE organization_id = ? AND task_id = ? ORDER BY created_at ASC, rowid ASC", [orgId(), taskId]);
+  return rows.map(rowToTaskEvent);
+}
+
+export async function sqliteAddTaskEvent(event) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    await insertTaskEvent(db, organizationId, event);
+    const task = await findTask(db, organizationId, event.task_id);
+    if (task && event.agent_id !== null && task.assigned_agent_id === event.agent_id && hasActiveLease(task, event.created_at)) {
+      await renewTaskLease(db, organizationId, task, event.created_at);
+    }
+    return event;
+  });
+}
+
+export async function sqliteListCommands() {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM commands WHERE organization_id = ?", [orgId()]);
+  return rows.map(rowToCommand);
+}
+
+export async function sqlitePageCommands(filters, page) {
+  return pageRows("commands", "created_at", "desc", {
+    agent_id: filters.agent_id,
+    status: filters.status,
+    type: filters.type
+  }, page, rowToCommand);
+}
+
+export async function sqliteGetCommand(commandId) {
+  const db = await getDb();
+  const row = await db.get("SELECT * FROM commands WHERE organization_id = ? AND id = ?", [orgId(), commandId]);
+  return row ? rowToCommand(row) : null;
+}
+
+export async function sqliteCreateCommand(command) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    try {
+      await db.run(
+        `INSERT INTO commands (id, organization_id, agent_id, type, payload, status, created_by, acked_by, ack_message, expires_at, delivery_attempts, delivered_at, history, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          command.id,
+          organizationId,
+          command.agent_id,
+          command.type,
+          JSON.stringify(command.payload ?? {}),
+          command.status,
+          command.created_by,
+          command.acked_by,
+          command.ack_message,
+          command.expires_at,
+          command.delivery_attempts ?? 0,
+          command.delivered_at ?? null,
+          JSON.stringify([{ status: command.status, previous_status: null, actor: command.created_by, message: null, at: command.created_at }]),
+          command.created_at,
+          command.updated_at
+        ]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new Error("COMMAND_EXISTS");
+      throw err;
+    }
+    return command;
+  });
+}
+
+export async function sqliteDeliverCommands(agentId, limit, redeliverAfterSec, maxDeliveryAttempts, ts) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const nowMs = Date.parse(ts);
+    const rows = await db.all(
+      "SELECT * FROM commands WHERE organization_id = ? AND agent_id = ? AND status IN ('queued', 'delivered') ORDER BY created_at ASC",
+      [organizationId, agentId]
+    );
+
+    const pending = [];
+    for (const command of rows.map(rowToCommand)) {
+      if (isPastExpiry(command, nowMs)) {
+        await updateCommand(db, organizationId, { ...command, ...commandTransition(command, "expired", "system", "Expired before delivery", ts) });
+        continue;
+      }
+      if (command.status === "queued") {
+        pending.push(command);
+      } else if (isDeliveryStale(command, nowMs, redeliverAfterSec)) {
+        if (command.delivery_attempts >= maxDeliveryAttempts) await updateCommand(db, organizationId, exhaustDelivery(command, ts));
+        else pending.push(command);
+      }
+    }
+
+    const result = [];
+    for (const command of pending.slice(0, limit)) {
+      const next = {
+        ...command,
+        ...commandTransition(command, "delivered", agentId, null, ts),
+        delivery_attempts: command.delivery_attempts + 1,
+        delivered_at: ts
+      };
+      await updateCommand(db, organizationId, next);
+      result.push(next);
+    }
+    return result;
+  });
+}
+
+export async function sqliteSweepCommands(redeliverAfterSec, maxDeliveryAttempts, ts) {
+  return transaction(async (db) => {
+    const nowMs = Date.parse(ts);
+    const counts = { expired: 0, requeued: 0, failed: 0 };
+    const changed = [];
+    const rows = await db.all("SELECT * FROM commands WHERE status IN ('queued', 'delivered')");
+    for (const row of rows) {
+      const command = rowToCommand(row);
+      let next;
+      if (isPastExpiry(command, nowMs)) {
+        next = { ...command, ...commandTransition(command, "expired", "system", "Expired before delivery", ts) };
+        counts.expired += 1;
+      } else if (isDeliveryStale(command, nowMs, redeliverAfterSec)) {
+        if (command.delivery_attempts >= maxDeliveryAttempts) {
+          next = exhaustDelivery(command, ts);
+          counts.failed += 1;
+        } else {
+          next = { ...command, ...commandTransition(command, "queued", "system", "Not acked in time, requeued", ts) };
+          counts.requeued += 1;
+        }
+      } else {
+        continue;
+      }
+      await updateCommand(db, row.organization_id, next);
+      changed.push({ organization_id: row.organization_id, command: next });
+    }
+    return { ...counts, changed };
+  });
+}
+
+export async function sqliteAckCommand(commandId, ackedBy, ackMessage, status, updatedAt) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM commands WHERE organization_id = ? AND id = ?", [organizationId, commandId]);
+    if (!row) return null;
+    const command = rowToCommand(row);
+    const next = {
+      ...command,
+      ...commandTransition(command, status, ackedBy, ackMessage, updatedAt),
+      acked_by: ackedBy,
+      ack_message: ackMessage
+    };
+    await updateCommand(db, organizationId, next);
+    return next;
+  });
+}
+
+export async function sqliteListAlerts() {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM alerts WHERE organization_id = ?", [orgId()]);
+  return rows.map(rowToAlert);
+}
+
+export async function sqlitePageAlerts(filters, page) {
+  return pageRows("alerts", "created_at", "desc", {
+    status: filters.status,
+    severity: filters.severity,
+    type: filters.type
+  }, page, rowToAlert);
+}
+
+export async function sqliteGetAlert(alertId) {
+  const db = await getDb();
+  const row = await db.get("SELECT * FROM alerts WHERE organization_id = ? AND id = ?", [orgId(), alertId]);
+  return row ? rowToAlert(row) : null;
+}
+
+export async function sqliteCreateAlert(alert) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    try {
+      await db.run(
+        `INSERT INTO alerts (id, organization_id, severity, type, entity_type, entity_id, message, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [alert.id, organizationId, alert.severity, alert.type, alert.entity_type, alert.entity_id, alert.message, alert.status, alert.created_at, alert.updated_at]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new Error("ALERT_EXISTS");
+      throw err;
+    }
+    return alert;
+  });
+}
+
+export async function sqlitePatchAlertStatus(alertId, status, updatedAt) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM alerts WHERE organization_id = ? AND id = ?", [organizationId, alertId]);
+    if (!row) return null;
+    await db.run("UPDATE alerts SET status = ?, updated_at = ? WHERE organization_id = ? AND id = ?", [status, updatedAt, organizationId, alertId]);
+    return rowToAlert({ ...row, status, updated_at: updatedAt });
+  });
+}
+
+export async function sqliteAddAuditEntry(entry) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    await db.run(
+      `INSERT INTO audit_log (id, organization_id, request_id, actor_user_id, actor_key_id, actor_agent_id, action, entity_type, entity_id, changes, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [entry.id, organizationId, entry.request_id, entry.actor_user_id, entry.actor_key_id, entry.actor_agent_id, entry.action, entry.entity_type, entry.entity_id, JSON.stringify(entry.changes ?? {}), entry.created_at]
+    );
+    return entry;
+  });
+}
+
+export async function sqlitePageAuditLog(filters, page) {
+  return pageRows("audit_log", "created_at", "desc", {
+    entity_type: filters.entity_type,
+    entity_id: filters.entity_id,
+    actor_user_id: filters.actor_user_id,
+    actor_key_id: filters.actor_key_id,
+    action: filters.action,
+    created_at: filters.from === undefined && filters.to === undefined ? undefined : { gte: filters.from, lt: filters.to }
+  }, page, rowToAuditEntry);
+}
+
+export async function sqliteListWebhooks() {
+  const db = await getDb();
+  const rows = await db.all("SELECT * FROM webhooks WHERE organization_id = ? ORDER BY created_at, id", [orgId()]);
+  return rows.map(rowToWebhook);
+}
+
+export async function sqliteGetWebhook(webhookId) {
+  const db = await getDb();
+  const row = await db.get("SELECT * FROM webhooks WHERE organization_id = ? AND id = ?", [orgId(), webhookId]);
+  return row ? rowToWebhook(row) : null;
+}
+
+export async function sqliteCreateWebhook(webhook) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    try {
+      await db.run(
+        `INSERT INTO webhooks (organization_id, id, url, event_types, secret, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [organizationId, webhook.id, webhook.url, JSON.stringify(webhook.event_types), webhook.secret, webhook.status, webhook.created_at, webhook.updated_at]
+      );
+    } catch (err) {
+      if (isUniqueViolation(err)) throw new Error("WEBHOOK_EXISTS");
+      throw err;
+    }
+    return webhook;
+  });
+}
+
+export async function sqlitePatchWebhook(webhookId, patch, updatedAt) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM webhooks WHERE organization_id = ? AND id = ?", [organizationId, webhookId]);
+    if (!row) return null;
+    const current = rowToWebhook(row);
+    const next = {
+      ...current,
+      url: patch.url ?? current.url,
+      event_types: patch.event_types ?? current.event_types,
+      secret: patch.secret ?? current.secret,
+      status: patch.status ?? current.status,
+      updated_at: updatedAt
+    };
+    await db.run(
+      "UPDATE webhooks SET url = ?, event_types = ?, secret = ?, status = ?, updated_at = ? WHERE organization_id = ? AND id = ?",
+      [next.url, JSON.stringify(next.event_types), next.secret, next.status, next.updated_at, organizationId, webhookId]
+    );
+    return next;
+  });
+}
+
+export async function sqliteCreateWebhookDelivery(delivery) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    await db.run(
+      `INSERT INTO webhook_deliveries (id, organization_id, webhook_id, event_type, payload, status, attempts, next_attempt_at, last_attempt_at, response_status, last_error, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [delivery.id, organizationId, delivery.webhook_id, delivery.event_type, JSON.stringify(delivery.payload ?? {}), delivery.status, delivery.attempts, delivery.next_attempt_at, delivery.last_attempt_at, delivery.response_status, delivery.last_error, delivery.created_at, delivery.updated_at]
+    );
+    return delivery;
+  });
+}
+
+export async function sqliteClaimWebhookDeliveries(ts, lockedUntil, limit) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const rows = await db.all(
+      "SELECT * FROM webhook_deliveries WHERE organization_id = ? AND status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?",
+      [organizationId, ts, limit]
+    );
+    for (const row of rows) {
+      await db.run("UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?", [lockedUntil, row.id]);
+    }
+    return rows.map((row) => rowToWebhookDelivery({ ...row, next_attempt_at: lockedUntil }));
+  });
+}
+
+export async function sqliteRecordWebhookAttempt(deliveryId, attempt) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM webhook_deliveries WHERE organization_id = ? AND id = ?", [organizationId, deliveryId]);
+    if (!row) return null;
+    await db.run(
+      `UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, last_attempt_at = ?, response_status = ?, last_error = ?, updated_at = ?
+       WHERE id = ?`,
+      [attempt.status, attempt.attempts, attempt.next_attempt_at, attempt.last_attempt_at, attempt.response_status, attempt.last_error, attempt.updated_at, deliveryId]
+    );
+    return rowToWebhookDelivery({ ...row, ...attempt });
+  });
+}
+
+export async function sqliteRequeueWebhookDelivery(deliveryId, ts) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM webhook_deliveries WHERE organization_id = ? AND id = ?", [organizationId, deliveryId]);
+    if (!row) return null;
+    if (row.status !== "dead") throw new Error("WEBHOOK_DELIVERY_NOT_DEAD");
+    const next = { status: "pending", attempts: 0, next_attempt_at: ts, updated_at: ts };
+    await db.run(
+      "UPDATE webhook_deliveries SET status = ?, attempts = ?, next_attempt_at = ?, updated_at = ? WHERE id = ?",
+      [next.status, next.attempts, next.next_attempt_at, next.updated_at, deliveryId]
+    );
+    return rowToWebhookDelivery({ ...row, ...next });
+  });
+}
+
+export async function sqlitePageWebhookDeliveries(filters, page) {
+  return pageRows("webhook_deliveries", "created_at", "desc", {
+    webhook_id: filters.webhook_id,
+    status: filters.status
+  }, page, rowToWebhookDelivery);
+}
+
+export async function sqliteBeginIdempotentRequest(key, fingerprint, ts, lockedUntil, expiresAt) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    const row = await db.get("SELECT * FROM idempotency_keys WHERE organization_id = ? AND key = ?", [organizationId, key]);
+    if (row && row.expires_at > ts) {
+      if (row.fingerprint !== fingerprint) return { state: "mismatch" };
+      if (row.status === "completed") return { state: "replay", status_code: row.status_code, response_body: row.response_body };
+      if (row.locked_until > ts) return { state: "in_progress" };
+    }
+
+    await db.run(
+      `INSERT INTO idempotency_keys (organization_id, key, fingerprint, status, status_code, response_body, locked_until, created_at, expires_at)
+       VALUES (?, ?, ?, 'in_progress', NULL, NULL, ?, ?, ?)
+       ON CONFLICT (organization_id, key) DO UPDATE SET
+         fingerprint = excluded.fingerprint, status = excluded.status, status_code = NULL, response_body = NULL,
+         locked_until = excluded.locked_until, created_at = excluded.created_at, expires_at = excluded.expires_at`,
+      [organizationId, key, fingerprint, lockedUntil, ts, expiresAt]
+    );
+    return { state: "new" };
+  });
+}
+
+export async function sqliteCompleteIdempotentRequest(key, statusCode, responseBody) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    await db.run(
+      "UPDATE idempotency_keys SET status = 'completed', status_code = ?, response_body = ? WHERE organization_id = ? AND key = ?",
+      [statusCode, responseBody, organizationId, key]
+    );
+  });
+}
+
+export async function sqliteReleaseIdempotentRequest(key) {
+  const organizationId = orgId();
+  return transaction(async (db) => {
+    await db.run("DELETE FROM idempotency_keys WHERE organization_id = ? AND key = ? AND status = 'in_progress'", [organizationId, key]);
+  });
+}
+
+export async function sqlitePurgeIdempotencyKeys(ts) {
+  return transaction(async (db) => {
+    const result = await db.run("DELETE FROM idempotency_keys WHERE expires_at <= ?", [ts]);
+    return { purged: result.changes ?? 0 };
+  });
+}
@@ -0,0 +1,87 @@
+import { FINAL_TASK_STATUSES, transitionTask } from "./taskTransitions.js";
+
+// What happens to a task when one of its dependencies ends failed/cancelled:
+// it fails, it is cancelled, or the dependency counts as resolved.
+export const DEPENDENCY_FAILURE_POLICIES = new Set(["fail", "cancel", "ignore"]);
+
+// `{ state: "ready" }` when every dependency is done (or finished at all under
+// the `ignore` policy), `{ state: "failed", dependency }` when one ended
+// failed/cancelled and the policy cascades, otherwise `{ state: "waiting",
+// pending }` with the ids still open.
+export function dependencyState(task, tasksById) {
+  const pending = [];
+  for (const id of task.depends_on ?? []) {
+    const dependency = tasksById.get(id);
+    if (dependency?.status === "done") continue;
+    if (dependency && FINAL_TASK_STATUSES.has(dependency.status)) {
+      if (task.on_dependency_failure === "ignore") continue;
+      return { state: "failed", dependency };
+    }
+    pending.push(id);
+  }
+  return pending.length > 0 ? { state: "waiting", pending } : { state: "ready" };
+}
+
+// The dependency path that leads from `dependsOn` back to `taskId`
+// (e.g. ["b", "c", "a"] for a -> b -> c -> a), or null.
+export function findDependencyCycle(taskId, dependsOn, tasksById) {
+  const visited = new Set();
+  const walk = (id, path) => {
+    if (id === taskId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+    for (const next of tasksById.get(id)?.depends_on ?? []) {
+      const cycle = walk(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+  for (const id of dependsOn) {
+    const cycle = walk(id, [id]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+// The transition a waiting task makes once its dependencies settle: a blocked
+// task resumes (running if it had started before, queued otherwise) and a
+// failed dependency fails or cancels it per its policy. A task waiting for a
+// retry is left to the retry scheduler.
+function settledTransition(task, tasksById) {
+  if (FINAL_TASK_STATUSES.has(task.status) || task.retry_at || (task.depends_on ?? []).length === 0) return null;
+  const { state, dependency } = dependencyState(task, tasksById);
+  if (state === "ready" && task.status === "blocked") {
+    return {
+      status: task.started_at ? "running" : "queued",
+      message: "Dependencies done",
+      payload: { reason: "dependencies_done" }
+    };
+  }
+  if (state === "failed" && task.status !== "running") {
+    return {
+      status: task.on_dependency_failure === "cancel" ? "cancelled" : "failed",
+      message: `Dependency ${dependency.id} ended ${dependency.status}`,
+      payload: { reason: "dependency_failed", dependency_id: dependency.id, dependency_status: dependency.status }
+    };
+  }
+  return null;
+}
+
+// Applies the settled transition of one task, if any. Returns
+// `{ task, previous }` or null when nothing changed.
+export function reconcileDependencies(backend, taskId) {
+  return transitionTask(backend, taskId, settledTransition);
+}
+
+// Called after `finished` reached a final status: settles the tasks that
+// depend on it and returns their changes.
+export async function settleDependents(backend, finished) {
+  const changes = [];
+  const tasks = await backend.listTasks();
+  for (const dependent of tasks) {
+    if (!(dependent.depends_on ?? []).includes(finished.id)) continue;
+    const change = await reconcileDependencies(backend, dependent.id);
+    if (change) changes.push(change);
+  }
+  return changes;
+}
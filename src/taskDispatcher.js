@@ -0,0 +1,74 @@
+import { randomUUID } from "node:crypto";
+import { forEachOrganization, startPeriodicJob } from "./periodicJob.js";
+
+const PRIORITY_RANK = { urgent: 0, high: 1, normal: 2, low: 3 };
+const DISPATCHABLE_AGENT_STATUSES = new Set(["idle", "online"]);
+const OPEN_TASK_STATUSES = new Set(["queued", "running", "blocked"]);
+
+function byPriorityThenAge(a, b) {
+  const rank = (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.normal) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.normal);
+  if (rank !== 0) return rank;
+  return String(a.created_at).localeCompare(String(b.created_at));
+}
+
+// Least loaded first; agents that do not report load/queue_depth count as empty.
+function byLoad(a, b) {
+  return (a.agent.load ?? 0) - (b.agent.load ?? 0)
+    || (a.agent.queue_depth ?? 0) - (b.agent.queue_depth ?? 0)
+    || a.open_tasks - b.open_tasks
+    || a.agent.id.localeCompare(b.agent.id);
+}
+
+function hasCapabilities(agent, required) {
+  const capabilities = new Set(Array.isArray(agent.capabilities) ? agent.capabilities : []);
+  return required.every((capability) => capabilities.has(capability));
+}
+
+// Assigns queued, unassigned tasks of the current organization to idle/online
+// agents that have every required capability and free slots. Returns the
+// assignments that were actually written.
+export async function dispatchTasks(backend, { offlineAfterSec, maxTasksPerAgent, nowMs = Date.now() }) {
+  const tasks = await backend.listTasks();
+  const pending = tasks.filter((task) => task.status === "queued" && !task.assigned_agent_id).sort(byPriorityThenAge);
+  if (pending.length === 0) return [];
+
+  const openTasks = new Map();
+  for (const task of tasks) {
+    if (!task.assigned_agent_id || !OPEN_TASK_STATUSES.has(task.status)) continue;
+    openTasks.set(task.assigned_agent_id, (openTasks.get(task.assigned_agent_id) ?? 0) + 1);
+  }
+
+  const agents = await backend.listAgents();
+  const slots = agents
+    .filter((agent) => DISPATCHABLE_AGENT_STATUSES.has(agent.status) && nowMs - Date.parse(agent.last_heartbeat_at) <= offlineAfterSec * 1000)
+    .map((agent) => ({ agent, open_tasks: openTasks.get(agent.id) ?? 0 }));
+
+  const assignments = [];
+  for (const task of pending) {
+    const required = task.required_capabilities ?? [];
+    const candidates = slots.filter((slot) => slot.open_tasks < maxTasksPerAgent && hasCapabilities(slot.agent, required)).sort(byLoad);
+    if (candidates.length === 0) continue;
+
+    const slot = candidates[0];
+    const ts = new Date(nowMs).toISOString();
+    const assigned = await backend.assignTask(task.id, slot.agent.id, {
+      id: randomUUID(),
+      task_id: task.id,
+      agent_id: slot.agent.id,
+      type: "status_changed",
+      message: `Task assigned to ${slot.agent.id} by dispatcher`,
+      payload: { status: task.status, progress: task.progress, attempt: task.attempt ?? 1, assigned_agent_id: slot.agent.id, required_capabilities: required },
+      created_at: ts
+    });
+    if (!assigned) continue;
+    slot.open_tasks += 1;
+    assignments.push({ task_id: task.id, agent_id: slot.agent.id });
+  }
+  return assignments;
+}
+
+export function startTaskDispatcher(backend, { intervalSec, offlineAfterSec, maxTasksPerAgent }) {
+  return startPeriodicJob("Task dispatch", intervalSec, () =>
+    forEachOrganization(backend, () => dispatchTasks(backend, { offlineAfterSec, maxTasksPerAgent }))
+  );
+}
@@ -0,0 +1,63 @@
+import { FINAL_TASK_STATUSES, transitionTask } from "./taskTransitions.js";
+
+// Parent progress is the mean progress of its subtasks (done counts as 100,
+// cancelled ones are left out). Once every subtask is final the parent
+// finishes too: failed if any failed, done if any is done, cancelled otherwise.
+function rolledUp(parent, tasksById) {
+  if (FINAL_TASK_STATUSES.has(parent.status)) return null;
+  const subtasks = Array.from(tasksById.values()).filter((task) => task.parent_task_id === parent.id);
+  if (subtasks.length === 0) return null;
+
+  const counted = subtasks.filter((task) => task.status !== "cancelled");
+  const progress = counted.length > 0
+    ? Math.round(counted.reduce((sum, task) => sum + (task.status === "done" ? 100 : task.progress), 0) / counted.length)
+    : parent.progress;
+  let status = parent.status;
+  if (subtasks.every((task) => FINAL_TASK_STATUSES.has(task.status))) {
+    if (subtasks.some((task) => task.status === "failed")) status = "failed";
+    else if (subtasks.some((task) => task.status === "done")) status = "done";
+    else status = "cancelled";
+  }
+  if (progress === parent.progress && status === parent.status) return null;
+  return {
+    status,
+    progress: status === "done" ? 100 : progress,
+    message: `All subtasks finished; task ${status}`,
+    payload: { reason: "subtasks_finished" }
+  };
+}
+
+// Recomputes the parent of `task` after the task's progress or status changed.
+// Returns the parent's change as `{ task, previous }`, or null.
+export function rollUpToParent(backend, task) {
+  if (!task.parent_task_id) return null;
+  return transitionTask(backend, task.parent_task_id, rolledUp);
+}
+
+// Cancels the open subtasks of a cancelled parent and returns their changes.
+export async function cancelSubtasks(backend, parent) {
+  const changes = [];
+  const tasks = await backend.listTasks();
+  for (const subtask of tasks) {
+    if (subtask.parent_task_id !== parent.id) continue;
+    const change = await transitionTask(backend, subtask.id, (current) => (FINAL_TASK_STATUSES.has(current.status) ? null : {
+      status: "cancelled",
+      message: `Parent task ${parent.id} was cancelled`,
+      payload: { reason: "parent_cancelled", parent_task_id: parent.id }
+    }));
+    if (change) changes.push(change);
+  }
+  return changes;
+}
+
+// Nests `tasks` (already mapped) under their parents; tasks whose parent is
+// not in the list become roots.
+export function buildTaskTree(tasks) {
+  const nodes = new Map(tasks.map((task) => [task.id, { ...task, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (node.parent_task_id && nodes.has(node.parent_task_id)) nodes.get(node.parent_task_id).children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
@@ -0,0 +1,9 @@
+import { forEachOrganization, startPeriodicJob } from "./periodicJob.js";
+
+// Returns claimed tasks whose lease was not renewed (heartbeat or task event
+// from the holder) to the queue.
+export function startTaskLeaseSweeper(backend, { intervalSec }) {
+  return startPeriodicJob("Task lease sweep", intervalSec, () =>
+    forEachOrganization(backend, () => backend.expireTaskLeases(new Date().toISOString()))
+  );
+}
@@ -0,0 +1,23 @@
+import { settleDependents } from "./taskDependencies.js";
+import { cancelSubtasks, rollUpToParent } from "./taskHierarchy.js";
+import { FINAL_TASK_STATUSES } from "./taskTransitions.js";
+
+// Follow-up of a task write (`previous` is null for a new task): finished
+// tasks settle their dependents, cancelled parents cancel their subtasks and
+// progress/status roll up to the parent. Every change this causes is
+// propagated the same way, so cascades reach the whole graph.
+export async function propagateTaskChange(backend, task, previous) {
+  const queue = [{ task, previous }];
+  while (queue.length > 0) {
+    const change = queue.shift();
+    const current = change.task;
+    const before = change.previous;
+    const finished = FINAL_TASK_STATUSES.has(current.status) && !FINAL_TASK_STATUSES.has(before?.status);
+    if (finished) queue.push(...(await settleDependents(backend, current)));
+    if (current.status === "cancelled" && before?.status !== "cancelled") queue.push(...(await cancelSubtasks(backend, current)));
+    if (!before || before.status !== current.status || before.progress !== current.progress) {
+      const parentChange = await rollUpToParent(backend, current);
+      if (parentChange) queue.push(parentChange);
+    }
+  }
+}
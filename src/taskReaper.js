@@ -0,0 +1,103 @@
+import { forEachOrganization, startPeriodicJob } from "./periodicJob.js";
+import { dependencyState } from "./taskDependencies.js";
+import { propagateTaskChange } from "./taskPropagation.js";
+import { scheduleRetry } from "./taskRetries.js";
+import { transitionTask } from "./taskTransitions.js";
+
+export const TASK_ORPHANED_ALERT_TYPE = "task_orphaned";
+
+// What happens to a running/blocked task once its agent has been offline for
+// the grace period: back to the queue for another agent, or failed (which
+// still goes through the task's retry policy).
+export const AGENT_OFFLINE_POLICIES = new Set(["requeue", "fail"]);
+
+const ORPHANED_TASK_STATUSES = new Set(["running", "blocked"]);
+
+// When the agent went offline, or null while it is online: the moment its
+// last heartbeat crossed the offline threshold, or earlier if it was marked
+// offline (e.g. its socket closed).
+function offlineSinceMs(agent, offlineAfterSec, nowMs) {
+  const staleAt = Date.parse(agent.last_heartbeat_at) + offlineAfterSec * 1000;
+  const since = agent.status === "offline" ? Math.min(Date.parse(agent.updated_at), staleAt) : staleAt;
+  return since < nowMs ? since : null;
+}
+
+// Tasks waiting for a retry belong to the retry scheduler, not to their agent.
+function isOrphaned(task, agentId) {
+  return task.assigned_agent_id === agentId && ORPHANED_TASK_STATUSES.has(task.status) && !task.retry_at;
+}
+
+function orphanTransition(task, agent, tasksById, nowMs) {
+  const reason = { reason: "agent_offline", previous_agent_id: agent.id };
+  if (task.on_agent_offline === "fail") {
+    const retryAt = scheduleRetry(task, "agent_offline", nowMs);
+    return {
+      status: retryAt ? "blocked" : "failed",
+      retry_at: retryAt ?? undefined,
+      message: `Agent ${agent.id} went offline; ${retryAt ? `retrying at ${retryAt}` : "task failed"}`,
+      payload: { ...reason, error_class: "agent_offline", ...(retryAt ? { retry_at: retryAt } : {}) }
+    };
+  }
+  // A task still waiting for its dependencies stays blocked, just unassigned.
+  const waiting = (task.depends_on ?? []).length > 0 && dependencyState(task, tasksById).state !== "ready";
+  return {
+    status: task.status === "blocked" && waiting ? "blocked" : "queued",
+    assigned_agent_id: null,
+    started_at: null,
+    message: `Agent ${agent.id} went offline; task returned to queue`,
+    payload: reason
+  };
+}
+
+async function raiseOrphanedAlert(backend, change, agent, ts) {
+  const { task, previous } = change;
+  try {
+    await backend.createAlert({
+      // One alert per reaped task version, so concurrent sweeps cannot duplicate it.
+      id: `task-orphaned:${task.id}:${previous.version}`,
+      severity: task.status === "failed" ? "critical" : "warn",
+      type: TASK_ORPHANED_ALERT_TYPE,
+      entity_type: "task",
+      entity_id: task.id,
+      message: `Task ${task.title} was ${task.status === "queued" ? "requeued" : task.status} after agent ${agent.name} went offline`,
+      status: "open",
+      created_at: ts,
+      updated_at: ts
+    });
+  } catch (err) {
+    if (!(err instanceof Error && err.message === "ALERT_EXISTS")) throw err;
+  }
+}
+
+// Moves the running/blocked tasks of agents offline for longer than
+// `graceSec` according to each task's `on_agent_offline`. Returns the changes.
+export async function reapOrphanedTasks(backend, { offlineAfterSec, graceSec, nowMs = Date.now() }) {
+  const agents = await backend.listAgents();
+  const gone = agents.filter((agent) => {
+    const since = offlineSinceMs(agent, offlineAfterSec, nowMs);
+    return since !== null && nowMs - since >= graceSec * 1000;
+  });
+  if (gone.length === 0) return [];
+
+  const tasks = await backend.listTasks();
+  const changes = [];
+  for (const agent of gone) {
+    for (const task of tasks.filter((row) => isOrphaned(row, agent.id))) {
+      const change = await transitionTask(backend, task.id, (current, tasksById) =>
+        (isOrphaned(current, agent.id) ? orphanTransition(current, agent, tasksById, nowMs) : null)
+      );
+      if (!change) continue;
+      // Dependents and the parent follow the task even if the alert cannot be raised.
+      await propagateTaskChange(backend, change.task, change.previous);
+      changes.push(change);
+      await raiseOrphanedAlert(backend, change, agent, new Date(nowMs).toISOString());
+    }
+  }
+  return changes;
+}
+
+export function startTaskReaper(backend, { intervalSec, offlineAfterSec, graceSec }) {
+  return startPeriodicJob("Orphaned task reaper", intervalSec, () =>
+    forEachOrganization(backend, () => reapOrphanedTasks(backend, { offlineAfterSec, graceSec }))
+  );
+}
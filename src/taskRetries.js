@@ -0,0 +1,62 @@
+import { forEachOrganization, startPeriodicJob } from "./periodicJob.js";
+import { propagateTaskChange } from "./taskPropagation.js";
+import { transitionTask } from "./taskTransitions.js";
+
+export const RETRY_BACKOFF_STRATEGIES = new Set(["fixed", "exponential"]);
+
+// Delay before the retry that follows failed attempt `attempt` (1-based).
+export function retryDelaySec(policy, attempt) {
+  const delay = policy.backoff === "exponential" ? policy.delay_sec * 2 ** (attempt - 1) : policy.delay_sec;
+  return Math.min(delay, policy.max_delay_sec);
+}
+
+// When a failure of `task` with `errorClass` earns another attempt, the time
+// the retry is due; null when the failure is final (no policy, attempts used
+// up, or the error class is not in a non-empty `retryable_errors`).
+export function scheduleRetry(task, errorClass, nowMs = Date.now()) {
+  const policy = task.retry_policy;
+  const attempt = task.attempt ?? 1;
+  if (!policy || attempt >= policy.max_attempts) return null;
+  if (policy.retryable_errors.length > 0 && !policy.retryable_errors.includes(errorClass)) return null;
+  return new Date(nowMs + retryDelaySec(policy, attempt) * 1000).toISOString();
+}
+
+// Starts the next attempt from scratch: back to the queue, unassigned, so the
+// dispatcher or any capable agent can pick it up.
+export function nextAttempt(task, reason) {
+  const attempt = (task.attempt ?? 1) + 1;
+  return {
+    status: "queued",
+    progress: 0,
+    assigned_agent_id: null,
+    started_at: null,
+    attempt,
+    retry_at: null,
+    message: `Retrying task, attempt ${attempt}`,
+    payload: { reason, previous_attempt: attempt - 1 }
+  };
+}
+
+function isRetryDue(task, nowMs) {
+  return task.status === "blocked" && Boolean(task.retry_at) && Date.parse(task.retry_at) <= nowMs;
+}
+
+// Requeues the tasks of the current organization whose retry is due and
+// returns them.
+export async function requeueDueRetries(backend, nowMs = Date.now()) {
+  const requeued = [];
+  for (const task of await backend.listTasks()) {
+    if (!isRetryDue(task, nowMs)) continue;
+    const change = await transitionTask(backend, task.id, (current) => (isRetryDue(current, nowMs) ? nextAttempt(current, "retry_due") : null));
+    if (!change) continue;
+    await propagateTaskChange(backend, change.task, change.previous);
+    requeued.push(change.task);
+  }
+  return requeued;
+}
+
+export function startTaskRetryScheduler(backend, { intervalSec }) {
+  return startPeriodicJob("Task retry scheduler", intervalSec, () =>
+    forEachOrganization(backend, () => requeueDueRetries(backend))
+  );
+}
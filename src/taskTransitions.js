@@ -0,0 +1,58 @@
+import { randomUUID } from "node:crypto";
+
+export const FINAL_TASK_STATUSES = new Set(["done", "failed", "cancelled"]);
+
+const MAX_VERSION_RETRIES = 3;
+
+// System-driven task change. `decide(task, tasksById)` looks at fresh rows and
+// returns null (nothing to do) or `{ status?, progress?, message, payload }`
+// plus any of `assigned_agent_id`, `started_at`, `attempt`, `retry_at`;
+// the change is written under the task's version and retried when a
+// concurrent write got there first. A change of status, assignee or scheduled
+// retry is recorded as a status_changed event. Returns `{ task, previous }` or null.
+export async function transitionTask(backend, taskId, decide) {
+  for (let attempt = 0; attempt < MAX_VERSION_RETRIES; attempt += 1) {
+    const tasks = await backend.listTasks();
+    const tasksById = new Map(tasks.map((task) => [task.id, task]));
+    const previous = tasksById.get(taskId);
+    const change = previous && decide(previous, tasksById);
+    if (!change) return null;
+
+    const ts = new Date().toISOString();
+    const status = change.status ?? previous.status;
+    let task;
+    try {
+      task = await backend.patchTask(taskId, {
+        status,
+        progress: change.progress,
+        assigned_agent_id: change.assigned_agent_id,
+        started_at: change.started_at,
+        finished_at: FINAL_TASK_STATUSES.has(status) ? (previous.finished_at ?? ts) : null,
+        attempt: change.attempt,
+        retry_at: change.retry_at
+      }, {
+        has_description: false,
+        has_assigned_agent_id: change.assigned_agent_id !== undefined,
+        expected_version: previous.version,
+        updated_at: ts
+      });
+    } catch (err) {
+      if (err instanceof Error && err.message === "VERSION_MISMATCH") continue;
+      throw err;
+    }
+    if (!task) return null;
+    if (task.status !== previous.status || task.assigned_agent_id !== previous.assigned_agent_id || task.retry_at !== previous.retry_at) {
+      await backend.addTaskEvent({
+        id: randomUUID(),
+        task_id: task.id,
+        agent_id: task.assigned_agent_id ?? previous.assigned_agent_id,
+        type: "status_changed",
+        message: change.message,
+        payload: { status: task.status, progress: task.progress, attempt: task.attempt ?? 1, ...change.payload },
+        created_at: ts
+      });
+    }
+    return { task, previous };
+  }
+  return null;
+}
@@ -0,0 +1,106 @@
+import { createHmac, randomUUID } from "node:crypto";
+import { forEachOrganization, startPeriodicJob } from "./periodicJob.js";
+
+const CLAIM_BATCH_SIZE = 20;
+
+// HMAC-SHA256 over `<timestamp>.<body>`, so a captured request cannot be
+// replayed under a fresh timestamp.
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Queues `event` for every active webhook of the current organization that
+// subscribed to its type.
+export async function enqueueWebhookEvent(backend, event) {
+  const webhooks = await backend.listWebhooks();
+  for (const webhook of webhooks) {
+    if (webhook.status !== "active" || !webhook.event_types.includes(event.type)) continue;
+    await backend.createWebhookDelivery({
+      id: randomUUID(),
+      webhook_id: webhook.id,
+      event_type: event.type,
+      payload: event,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: event.created_at,
+      last_attempt_at: null,
+      response_status: null,
+      last_error: null,
+      created_at: event.created_at,
+      updated_at: event.created_at
+    });
+  }
+}
+
+async function postDelivery(webhook, delivery, timeoutSec) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.event_type,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(timeoutSec * 1000)
+    });
+    await response.body?.cancel();
+    return { response_status: response.status, error: response.ok ? null : `Receiver responded with HTTP ${response.status}` };
+  } catch (err) {
+    if (err?.name === "TimeoutError") return { response_status: null, error: `No response within ${timeoutSec}s` };
+    return { response_status: null, error: String(err?.cause?.message ?? err?.message ?? err) };
+  }
+}
+
+// Failed attempts are retried after retryBaseSec, doubling up to retryMaxSec;
+// after maxAttempts the delivery is dead-lettered.
+function nextAttempt(delivery, result, { maxAttempts, retryBaseSec, retryMaxSec }, ts) {
+  const attempts = delivery.attempts + 1;
+  const outcome = { attempts, next_attempt_at: ts, last_attempt_at: ts, response_status: result.response_status, last_error: result.error, updated_at: ts };
+  if (!result.error) return { ...outcome, status: "succeeded" };
+  if (attempts >= maxAttempts) return { ...outcome, status: "dead" };
+  const delaySec = Math.min(retryBaseSec * 2 ** (attempts - 1), retryMaxSec);
+  return { ...outcome, status: "pending", next_attempt_at: new Date(Date.parse(ts) + delaySec * 1000).toISOString() };
+}
+
+// Sends the due deliveries of the current organization. Claiming moves their
+// next_attempt_at past the request timeout, so a delivery is not picked up
+// twice and is retried if this process dies mid-request.
+export async function deliverWebhooks(backend, options) {
+  const nowMs = Date.now();
+  const lockedUntil = new Date(nowMs + options.timeoutSec * 2000).toISOString();
+  const deliveries = await backend.claimWebhookDeliveries(new Date(nowMs).toISOString(), lockedUntil, CLAIM_BATCH_SIZE);
+  const webhooks = new Map();
+  for (const delivery of deliveries) {
+    if (!webhooks.has(delivery.webhook_id)) webhooks.set(delivery.webhook_id, await backend.getWebhook(delivery.webhook_id));
+    const webhook = webhooks.get(delivery.webhook_id);
+    if (webhook?.status !== "active") {
+      // Left over from a webhook that was disabled after the event was queued.
+      const ts = new Date().toISOString();
+      await backend.recordWebhookAttempt(delivery.id, {
+        status: "dead",
+        attempts: delivery.attempts,
+        next_attempt_at: ts,
+        last_attempt_at: delivery.last_attempt_at ?? ts,
+        response_status: delivery.response_status,
+        last_error: "Webhook is disabled",
+        updated_at: ts
+      });
+      continue;
+    }
+    const result = await postDelivery(webhook, delivery, options.timeoutSec);
+    await backend.recordWebhookAttempt(delivery.id, nextAttempt(delivery, result, options, new Date().toISOString()));
+  }
+  return deliveries.length;
+}
+
+export function startWebhookDelivery(backend, { intervalSec, ...options }) {
+  return startPeriodicJob("Webhook delivery", intervalSec, () =>
+    forEachOrganization(backend, () => deliverWebhooks(backend, options))
+  );
+}
@@ -0,0 +1,78 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+  await api.post("/api/v1/agents", { id: "bound-lead", name: "Lead", role: "supervisor" });
+  await api.post("/api/v1/agents", { id: "bound-child", name: "Child", supervisor_id: "bound-lead" });
+  await api.post("/api/v1/agents", { id: "bound-other", name: "Other" });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+// Heartbeats upsert the whole agent, so keep the child under its lead.
+const childHeartbeat = { status: "idle", supervisor_id: "bound-lead" };
+
+async function agentKey(agentId, includeSubtree = false) {
+  const res = await api.post("/api/v1/auth/api-keys", { name: `agent ${agentId}`, agent_id: agentId, include_subtree: includeSubtree });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+describe("agent-bound api keys", () => {
+  it("shows the binding in the key list", async () => {
+    const created = await agentKey("bound-lead", true);
+    assert.equal(created.key.agent_id, "bound-lead");
+    assert.equal(created.key.include_subtree, true);
+    const listed = await api.get("/api/v1/auth/api-keys");
+    const key = listed.body.find((row) => row.key_id === created.key.key_id);
+    assert.equal(key.agent_id, "bound-lead");
+    assert.equal(key.include_subtree, true);
+  });
+
+  it("only allows the agent's own endpoints", async () => {
+    const { raw_key: rawKey } = await agentKey("bound-child");
+    assert.equal((await api.post("/api/v1/agents/bound-child/heartbeat", childHeartbeat, { apiKey: rawKey })).status, 200);
+    assert.equal((await api.get("/api/v1/agents/bound-child/commands", { apiKey: rawKey })).status, 200);
+
+    const other = await api.post("/api/v1/agents/bound-other/heartbeat", { status: "idle" }, { apiKey: rawKey });
+    assert.equal(other.status, 403);
+    assert.equal(other.body.error.code, "FORBIDDEN");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 403);
+    assert.equal((await api.post("/api/v1/tasks", { id: "bound-nope", title: "Nope" }, { apiKey: rawKey })).status, 403);
+  });
+
+  it("checks command and task ownership", async () => {
+    const { raw_key: rawKey } = await agentKey("bound-child");
+    await api.post("/api/v1/agents/bound-child/commands", { id: "bound-cmd-own", type: "sync" });
+    await api.post("/api/v1/agents/bound-other/commands", { id: "bound-cmd-other", type: "sync" });
+    assert.equal((await api.post("/api/v1/commands/bound-cmd-own/ack", { status: "acked" }, { apiKey: rawKey })).status, 200);
+    assert.equal((await api.post("/api/v1/commands/bound-cmd-other/ack", { status: "acked" }, { apiKey: rawKey })).status, 403);
+
+    await api.post("/api/v1/tasks", { id: "bound-task-own", title: "Own", assigned_agent_id: "bound-child" });
+    await api.post("/api/v1/tasks", { id: "bound-task-free", title: "Free" });
+    const event = { type: "progress", message: "Working", payload: { progress: 10 } };
+    assert.equal((await api.post("/api/v1/tasks/bound-task-own/events", event, { apiKey: rawKey })).status, 201);
+    assert.equal((await api.post("/api/v1/tasks/bound-task-free/events", event, { apiKey: rawKey })).status, 403);
+  });
+
+  it("covers the subtree when requested", async () => {
+    const lead = await agentKey("bound-lead", true);
+    assert.equal((await api.post("/api/v1/agents/bound-child/heartbeat", childHeartbeat, { apiKey: lead.raw_key })).status, 200);
+    assert.equal((await api.post("/api/v1/agents/bound-other/heartbeat", { status: "idle" }, { apiKey: lead.raw_key })).status, 403);
+
+    const leadOnly = await agentKey("bound-lead");
+    assert.equal((await api.post("/api/v1/agents/bound-child/heartbeat", childHeartbeat, { apiKey: leadOnly.raw_key })).status, 403);
+  });
+
+  it("rejects bindings to unknown agents", async () => {
+    const res = await api.post("/api/v1/auth/api-keys", { name: "ghost", agent_id: "bound-ghost" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "INVALID_AGENT");
+  });
+});
@@ -0,0 +1,150 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import WebSocket from "ws";
+import { API_KEY, startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+// Opens the agent socket and queues every message so tests can await them in order.
+function connect(agentId, { apiKey = API_KEY } = {}) {
+  const socket = new WebSocket(`${api.baseUrl.replace("http", "ws")}/api/v1/agents/${agentId}/ws`, { headers: { "X-API-Key": apiKey } });
+  const received = [];
+  const waiting = [];
+  socket.on("message", (data) => {
+    const message = JSON.parse(String(data));
+    if (waiting.length > 0) waiting.shift()(message);
+    else received.push(message);
+  });
+  return new Promise((resolve, reject) => {
+    socket.once("unexpected-response", (_req, res) => reject(Object.assign(new Error("upgrade rejected"), { status: res.statusCode })));
+    socket.once("error", reject);
+    socket.once("open", () => resolve({
+      send: (message) => socket.send(JSON.stringify(message)),
+      // Bypasses the client's framing, e.g. to send frames the server must reject.
+      sendRaw: (bytes) => socket._socket.write(Buffer.from(bytes)),
+      next() {
+        if (received.length > 0) return Promise.resolve(received.shift());
+        let timer;
+        return Promise.race([
+          new Promise((resolveMessage) => waiting.push(resolveMessage)),
+          new Promise((_resolve, rejectTimeout) => {
+            timer = setTimeout(() => rejectTimeout(new Error("no socket message within 3s")), 3000);
+          })
+        ]).finally(() => clearTimeout(timer));
+      },
+      close: () => new Promise((resolveClose) => {
+        socket.once("close", resolveClose);
+        socket.close();
+      })
+    }));
+  });
+}
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 40; attempt += 1) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 25));
+  }
+  assert.fail("condition not met in time");
+}
+
+describe("agent socket", () => {
+  it("accepts heartbeats and pushes new commands immediately", async () => {
+    const agent = await connect("ws-agent");
+    try {
+      agent.send({ type: "heartbeat", ref: "hb-1", data: { status: "idle", load: 0.2 } });
+      const ack = await agent.next();
+      assert.equal(ack.type, "heartbeat_ack");
+      assert.equal(ack.ref, "hb-1");
+      assert.equal(ack.agent.status, "idle");
+
+      const created = await api.post("/api/v1/agents/ws-agent/commands", { id: "ws-pause", type: "pause" });
+      assert.equal(created.status, 201);
+      const pushed = await agent.next();
+      assert.equal(pushed.type, "command");
+      assert.equal(pushed.command.id, "ws-pause");
+      assert.equal(pushed.command.status, "delivered");
+    } finally {
+      await agent.close();
+    }
+  });
+
+  it("delivers commands queued before the connection", async () => {
+    await api.post("/api/v1/agents/ws-late/heartbeat", { status: "idle" });
+    await api.post("/api/v1/agents/ws-late/commands", { id: "ws-queued", type: "sync" });
+    const agent = await connect("ws-late");
+    try {
+      const pushed = await agent.next();
+      assert.equal(pushed.command.id, "ws-queued");
+    } finally {
+      await agent.close();
+    }
+  });
+
+  it("records task events for the agent's own tasks", async () => {
+    await api.post("/api/v1/agents/ws-worker/heartbeat", { status: "idle" });
+    await api.post("/api/v1/tasks", { id: "ws-task", title: "Socket task", assigned_agent_id: "ws-worker" });
+    await api.post("/api/v1/tasks", { id: "ws-foreign", title: "Not mine" });
+    const agent = await connect("ws-worker");
+    try {
+      agent.send({ type: "task_event", ref: "ev-1", task_id: "ws-task", data: { type: "progress", message: "half way", payload: { progress: 50 } } });
+      const ack = await agent.next();
+      assert.equal(ack.type, "task_event_ack");
+      assert.equal(ack.event.agent_id, "ws-worker");
+      const events = await api.get("/api/v1/tasks/ws-task/events");
+      assert.ok(events.body.some((event) => event.type === "progress" && event.message === "half way"));
+
+      agent.send({ type: "task_event", ref: "ev-dup", task_id: "ws-task", data: { id: ack.event.id, type: "progress" } });
+      const duplicate = await agent.next();
+      assert.equal(duplicate.ref, "ev-dup");
+      assert.equal(duplicate.error.code, "TASK_EVENT_EXISTS");
+
+      agent.send({ type: "task_event", ref: "ev-2", task_id: "ws-foreign", data: { type: "progress" } });
+      const denied = await agent.next();
+      assert.equal(denied.type, "error");
+      assert.equal(denied.ref, "ev-2");
+      assert.equal(denied.error.code, "FORBIDDEN");
+
+      agent.send({ type: "heartbeat", ref: "hb-bad", data: { load: "high" } });
+      const invalid = await agent.next();
+      assert.equal(invalid.error.code, "VALIDATION_ERROR");
+    } finally {
+      await agent.close();
+    }
+  });
+
+  it("marks the agent offline when the connection drops", async () => {
+    const agent = await connect("ws-dropped");
+    agent.send({ type: "heartbeat", data: { status: "busy" } });
+    await agent.next();
+    await agent.close();
+    await waitFor(async () => (await api.get("/api/v1/agents/ws-dropped")).body.status === "offline");
+  });
+
+  it("drops a connection that breaks the protocol without taking the server down", async () => {
+    const agent = await connect("ws-malformed");
+    agent.send({ type: "heartbeat", data: { status: "busy" } });
+    await agent.next();
+    // Client frames must be masked; this one is not.
+    agent.sendRaw([0x81, 0x02, 0x68, 0x69]);
+    await waitFor(async () => (await api.get("/api/v1/agents/ws-malformed")).body.status === "offline");
+    assert.equal((await api.get("/health/live", { apiKey: null })).status, 200);
+  });
+
+  it("authenticates the upgrade like HTTP requests", async () => {
+    await assert.rejects(connect("ws-agent", { apiKey: "wrong" }), { status: 401 });
+    await api.post("/api/v1/agents/ws-bound/heartbeat", { status: "idle" });
+    const bound = await api.post("/api/v1/auth/api-keys", { name: "bound", agent_id: "ws-bound" });
+    await assert.rejects(connect("ws-agent", { apiKey: bound.body.raw_key }), { status: 403 });
+    const own = await connect("ws-bound", { apiKey: bound.body.raw_key });
+    await own.close();
+  });
+});
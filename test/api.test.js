@@ -0,0 +1,246 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_BACKEND, startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+describe("health", () => {
+  it("reports liveness and readiness without auth", async () => {
+    assert.deepEqual((await api.get("/health/live", { apiKey: null })).body, { status: "ok" });
+    assert.deepEqual((await api.get("/health/ready", { apiKey: null })).body, { status: "ready" });
+  });
+});
+
+describe("auth", () => {
+  it("rejects missing and unknown keys", async () => {
+    const missing = await api.get("/api/v1/agents", { apiKey: null });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error.code, "UNAUTHORIZED");
+    const unknown = await api.get("/api/v1/agents", { apiKey: "ak_nope" });
+    assert.equal(unknown.status, 401);
+  });
+
+  it("creates, lists, rotates and revokes api keys", async () => {
+    const created = await api.post("/api/v1/auth/api-keys", { name: "ci" });
+    assert.equal(created.status, 201);
+    assert.match(created.body.raw_key, /^ak_/);
+    assert.equal(created.body.key.name, "ci");
+
+    const listed = await api.get("/api/v1/auth/api-keys");
+    assert.ok(listed.body.some((k) => k.key_id === created.body.key.key_id));
+    assert.equal((await api.get("/api/v1/agents", { apiKey: created.body.raw_key })).status, 200);
+
+    const rotated = await api.post(`/api/v1/auth/api-keys/${created.body.key.key_id}/rotate`);
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.raw_key, created.body.raw_key);
+    assert.equal((await api.get("/api/v1/agents", { apiKey: created.body.raw_key })).status, 401);
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rotated.body.raw_key })).status, 200);
+
+    const revoked = await api.post(`/api/v1/auth/api-keys/${created.body.key.key_id}/revoke`);
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.key.revoked_at);
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rotated.body.raw_key })).status, 401);
+
+    assert.equal((await api.post("/api/v1/auth/api-keys/missing/rotate")).status, 404);
+    assert.equal((await api.post("/api/v1/auth/api-keys/missing/revoke")).status, 404);
+  });
+
+  it("validates api key payloads", async () => {
+    const res = await api.post("/api/v1/auth/api-keys", { name: "" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "VALIDATION_ERROR");
+  });
+});
+
+describe("agents", () => {
+  it("creates agents and rejects duplicates and unknown supervisors", async () => {
+    const boss = await api.post("/api/v1/agents", { id: "boss", name: "Boss", role: "supervisor" });
+    assert.equal(boss.status, 201);
+    assert.equal(boss.body.version, 1);
+    assert.equal(boss.body.status, "online");
+
+    const worker = await api.post("/api/v1/agents", { id: "worker-1", name: "Worker 1", supervisor_id: "boss", capabilities: ["python"] });
+    assert.equal(worker.status, 201);
+
+    assert.equal((await api.post("/api/v1/agents", { id: "boss", name: "Again" })).body.error.code, "AGENT_EXISTS");
+    assert.equal((await api.post("/api/v1/agents", { id: "x", name: "X", supervisor_id: "ghost" })).body.error.code, "INVALID_SUPERVISOR");
+    assert.equal((await api.post("/api/v1/agents", { id: "x", name: "X", role: "king" })).status, 400);
+  });
+
+  it("lists, filters, gets and builds the tree", async () => {
+    const all = await api.get("/api/v1/agents");
+    assert.deepEqual(all.body.items.map((a) => a.id), ["boss", "worker-1"]);
+    assert.equal(all.body.next_cursor, null);
+    assert.deepEqual((await api.get("/api/v1/agents?role=supervisor")).body.items.map((a) => a.id), ["boss"]);
+    assert.deepEqual((await api.get("/api/v1/agents?supervisor_id=null")).body.items.map((a) => a.id), ["boss"]);
+    assert.deepEqual((await api.get("/api/v1/agents?limit=1&offset=1")).body.items.map((a) => a.id), ["worker-1"]);
+
+    assert.equal((await api.get("/api/v1/agents/worker-1")).body.supervisor_id, "boss");
+    assert.equal((await api.get("/api/v1/agents/ghost")).status, 404);
+
+    const children = await api.get("/api/v1/agents/boss/children");
+    assert.deepEqual(children.body.map((a) => a.id), ["worker-1"]);
+    assert.equal((await api.get("/api/v1/agents/ghost/children")).status, 404);
+
+    const tree = await api.get("/api/v1/agents/tree");
+    assert.equal(tree.body.length, 1);
+    assert.equal(tree.body[0].children[0].id, "worker-1");
+  });
+
+  it("patches agents and bumps the version", async () => {
+    const res = await api.patch("/api/v1/agents/worker-1", { host: "mini-2", load: 0.5 });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.host, "mini-2");
+    assert.equal(res.body.load, 0.5);
+    assert.equal(res.body.version, 2);
+
+    assert.equal((await api.patch("/api/v1/agents/worker-1", { supervisor_id: "worker-1" })).body.error.code, "INVALID_SUPERVISOR");
+    assert.equal((await api.patch("/api/v1/agents/worker-1", { queue_depth: 1.5 })).status, 400);
+    assert.equal((await api.patch("/api/v1/agents/ghost", { name: "x" })).status, 404);
+  });
+
+  it("upserts agents on heartbeat", async () => {
+    const created = await api.post("/api/v1/agents/hb-1/heartbeat", { name: "HB", status: "busy", capabilities: ["openclaw"] });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.status, "busy");
+    assert.equal(created.body.version, 1);
+
+    const updated = await api.post("/api/v1/agents/hb-1/heartbeat", { status: "idle", load: 0.2, queue_depth: 3 });
+    assert.equal(updated.body.status, "idle");
+    assert.equal(updated.body.name, "HB");
+    assert.equal(updated.body.queue_depth, 3);
+    assert.equal(updated.body.version, 2);
+
+    assert.equal((await api.post("/api/v1/agents/hb-1/heartbeat", { status: "sleepy" })).status, 400);
+    assert.equal((await api.post("/api/v1/agents/hb-1/heartbeat", { supervisor_id: "ghost" })).body.error.code, "INVALID_SUPERVISOR");
+  });
+});
+
+describe("tasks", () => {
+  it("creates tasks with a creation event", async () => {
+    const res = await api.post("/api/v1/tasks", { id: "task-1", title: "Index repo", assigned_agent_id: "worker-1", priority: "high" });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.status, "queued");
+    assert.equal(res.body.started_at, null);
+
+    assert.equal((await api.post("/api/v1/tasks", { id: "task-1", title: "Dup" })).body.error.code, "TASK_EXISTS");
+    assert.equal((await api.post("/api/v1/tasks", { title: "Bad", assigned_agent_id: "ghost" })).body.error.code, "AGENT_NOT_FOUND");
+    assert.equal((await api.post("/api/v1/tasks", { title: "" })).status, 400);
+
+    const events = await api.get("/api/v1/tasks/task-1/events");
+    assert.equal(events.body.length, 1);
+    assert.equal(events.body[0].type, "status_changed");
+  });
+
+  it("enforces the task state machine on patch", async () => {
+    const running = await api.patch("/api/v1/tasks/task-1", { status: "running", progress: 10 });
+    assert.equal(running.status, 200);
+    assert.ok(running.body.started_at);
+    assert.equal(running.body.version, 2);
+
+    const done = await api.patch("/api/v1/tasks/task-1", { status: "done", progress: 100 });
+    assert.ok(done.body.finished_at);
+
+    const invalid = await api.patch("/api/v1/tasks/task-1", { status: "running" });
+    assert.equal(invalid.status, 409);
+    assert.equal(invalid.body.error.code, "INVALID_TASK_TRANSITION");
+    assert.equal((await api.patch("/api/v1/tasks/task-1", { progress: 101 })).status, 400);
+    assert.equal((await api.patch("/api/v1/tasks/ghost", { progress: 1 })).status, 404);
+  });
+
+  it("lists and filters tasks", async () => {
+    await api.post("/api/v1/tasks", { id: "task-2", title: "Second", priority: "low" });
+    assert.deepEqual((await api.get("/api/v1/tasks?priority=low")).body.items.map((t) => t.id), ["task-2"]);
+    assert.deepEqual((await api.get("/api/v1/tasks?status=done")).body.items.map((t) => t.id), ["task-1"]);
+    assert.deepEqual((await api.get("/api/v1/tasks?supervisor_id=boss")).body.items.map((t) => t.id), ["task-1"]);
+    assert.deepEqual((await api.get("/api/v1/tasks?supervisor_id=worker-1")).body, { items: [], next_cursor: null });
+    assert.deepEqual((await api.get("/api/v1/tasks?supervisor_id=boss&assigned_agent_id=ghost")).body, { items: [], next_cursor: null });
+    assert.equal((await api.get("/api/v1/tasks/task-2")).body.title, "Second");
+    assert.equal((await api.get("/api/v1/tasks/ghost")).status, 404);
+  });
+
+  it("records task events", async () => {
+    const event = await api.post("/api/v1/tasks/task-2/events", { agent_id: "worker-1", type: "log", message: "hello", payload: { n: 1 } });
+    assert.equal(event.status, 201);
+    assert.equal(event.body.task_id, "task-2");
+
+    const events = await api.get("/api/v1/tasks/task-2/events");
+    assert.deepEqual(events.body.map((e) => e.type), ["status_changed", "log"]);
+
+    const duplicate = await api.post("/api/v1/tasks/task-2/events", { id: event.body.id, type: "log" });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.error.code, "TASK_EVENT_EXISTS");
+    assert.equal((await api.post("/api/v1/tasks/task-2/events", { type: "" })).status, 400);
+    assert.equal((await api.post("/api/v1/tasks/task-2/events", { type: "log", agent_id: "ghost" })).status, 400);
+    assert.equal((await api.post("/api/v1/tasks/ghost/events", { type: "log" })).status, 404);
+    assert.equal((await api.get("/api/v1/tasks/ghost/events")).status, 404);
+  });
+});
+
+describe("commands", () => {
+  it("queues, lists and acks commands", async () => {
+    const created = await api.post("/api/v1/agents/worker-1/commands", { id: "cmd-1", type: "pause" });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, "queued");
+    assert.equal((await api.post("/api/v1/agents/worker-1/commands", { id: "cmd-1", type: "pause" })).body.error.code, "COMMAND_EXISTS");
+    assert.equal((await api.post("/api/v1/agents/worker-1/commands", { type: "dance" })).status, 400);
+    assert.equal((await api.post("/api/v1/agents/ghost/commands", { type: "pause" })).status, 404);
+
+    assert.deepEqual((await api.get("/api/v1/agents/worker-1/commands")).body.items.map((c) => c.id), ["cmd-1"]);
+    assert.equal((await api.get("/api/v1/agents/ghost/commands")).status, 404);
+    assert.deepEqual((await api.get("/api/v1/commands?type=pause")).body.items.map((c) => c.id), ["cmd-1"]);
+
+    const acked = await api.post("/api/v1/commands/cmd-1/ack", { acked_by: "worker-1", ack_message: "paused" });
+    assert.equal(acked.status, 200);
+    assert.equal(acked.body.status, "acked");
+    assert.equal(acked.body.ack_message, "paused");
+    assert.equal((await api.post("/api/v1/commands/ghost/ack")).status, 404);
+  });
+});
+
+describe("alerts", () => {
+  it("opens, lists, acks and closes alerts", async () => {
+    const created = await api.post("/api/v1/alerts", { id: "alert-1", severity: "critical", type: "disk", entity_type: "agent", entity_id: "worker-1", message: "Disk full" });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.status, "open");
+    assert.equal((await api.post("/api/v1/alerts", { id: "alert-1", severity: "critical", type: "disk", entity_type: "agent", entity_id: "worker-1", message: "x" })).status, 409);
+    assert.equal((await api.post("/api/v1/alerts", { severity: "loud", type: "disk", entity_type: "agent", entity_id: "a", message: "x" })).status, 400);
+
+    assert.deepEqual((await api.get("/api/v1/alerts?severity=critical")).body.items.map((a) => a.id), ["alert-1"]);
+
+    const overview = await api.get("/api/v1/overview");
+    assert.equal(overview.body.aggregates.alerts_critical, 1);
+
+    assert.equal((await api.post("/api/v1/alerts/alert-1/ack")).body.status, "ack");
+    assert.equal((await api.post("/api/v1/alerts/alert-1/close")).body.status, "closed");
+    assert.equal((await api.post("/api/v1/alerts/alert-1/ack")).body.error.code, "ALERT_ALREADY_CLOSED");
+    assert.equal((await api.post("/api/v1/alerts/ghost/ack")).status, 404);
+    assert.equal((await api.post("/api/v1/alerts/ghost/close")).status, 404);
+  });
+});
+
+describe("overview and sync", () => {
+  it("aggregates agents, tasks and alerts", async () => {
+    const res = await api.get("/api/v1/overview");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.aggregates.agents_online, 3);
+    assert.equal(res.body.aggregates.tasks_active, 1);
+    assert.equal(res.body.aggregates.alerts_open, 0);
+    assert.deepEqual(res.body.active_tasks.map((t) => t.id), ["task-2"]);
+  });
+
+  it("reports the sync state", async () => {
+    const res = await api.post("/api/v1/convex/sync/agents");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.agents_count, 3);
+    assert.equal(res.body.result.reason, `${TEST_BACKEND}_is_primary_backend`);
+  });
+});
@@ -0,0 +1,46 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer({ API_KEY_CACHE_TTL_SEC: "60", API_KEY_TOUCH_INTERVAL_SEC: "0.2" });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function createKey(name) {
+  const res = await api.post("/api/v1/auth/api-keys", { name });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+describe("api key cache", () => {
+  it("records last_used_at in batches", async () => {
+    const { key, raw_key: rawKey } = await createKey("cached");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    const listed = await api.get("/api/v1/auth/api-keys");
+    assert.ok(listed.body.find((row) => row.key_id === key.key_id).last_used_at);
+  });
+
+  it("forgets revoked keys immediately", async () => {
+    const { key, raw_key: rawKey } = await createKey("revoked");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+    await api.post(`/api/v1/auth/api-keys/${key.key_id}/revoke`);
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 401);
+  });
+
+  it("forgets the old secret of a rotated key immediately", async () => {
+    const { key, raw_key: rawKey } = await createKey("rotated");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+    const rotated = await api.post(`/api/v1/auth/api-keys/${key.key_id}/rotate`);
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 401);
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rotated.body.raw_key })).status, 200);
+  });
+});
@@ -0,0 +1,81 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function auditOf(entityType, entityId) {
+  const res = await api.get(`/api/v1/audit?entity_type=${entityType}&entity_id=${encodeURIComponent(entityId)}`);
+  assert.equal(res.status, 200);
+  return res.body.items;
+}
+
+describe("audit log", () => {
+  it("records who changed a task, with a field diff and the request id", async () => {
+    const created = await api.post("/api/v1/tasks", { id: "audit-task", title: "Audited" });
+    assert.equal(created.status, 201);
+    const cancelled = await api.patch("/api/v1/tasks/audit-task", { status: "cancelled" }, { headers: { "X-Request-Id": "req-cancel-1" } });
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.headers.get("x-request-id"), "req-cancel-1");
+
+    const entries = await auditOf("task", "audit-task");
+    assert.deepEqual(entries.map((entry) => entry.action), ["task.update", "task.create"]);
+    const [update, create] = entries;
+    assert.equal(update.request_id, "req-cancel-1");
+    assert.ok(update.actor_user_id);
+    assert.ok(update.actor_key_id);
+    assert.deepEqual(update.changes.status, { before: "queued", after: "cancelled" });
+    assert.equal(update.changes.title, undefined);
+    assert.equal(update.changes.version, undefined);
+    assert.deepEqual(create.changes.title, { before: null, after: "Audited" });
+    assert.equal(create.request_id, created.headers.get("x-request-id"));
+  });
+
+  it("records key revocations and filters by actor", async () => {
+    const issued = await api.post("/api/v1/auth/api-keys", { name: "auditor" });
+    const keyId = issued.body.key.key_id;
+    await api.post("/api/v1/alerts", { id: "audit-alert", severity: "info", type: "manual", entity_type: "agent", entity_id: "a", message: "m" }, { apiKey: issued.body.raw_key });
+    assert.equal((await api.post(`/api/v1/auth/api-keys/${keyId}/revoke`)).status, 200);
+
+    const [revoke] = await auditOf("api_key", keyId);
+    assert.equal(revoke.action, "api_key.revoke");
+    assert.equal(revoke.changes.revoked_at.before, null);
+    assert.ok(revoke.changes.revoked_at.after);
+
+    const byKey = await api.get(`/api/v1/audit?actor_key_id=${keyId}`);
+    assert.deepEqual(byKey.body.items.map((entry) => [entry.action, entry.entity_id]), [["alert.create", "audit-alert"]]);
+  });
+
+  it("skips heartbeats that only report telemetry", async () => {
+    await api.post("/api/v1/agents/audit-agent/heartbeat", { status: "idle" });
+    await api.post("/api/v1/agents/audit-agent/heartbeat", { status: "busy", load: 0.5 });
+    await api.post("/api/v1/agents/audit-agent/heartbeat", { status: "busy", host: "other-host" });
+
+    const entries = await auditOf("agent", "audit-agent");
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[0].changes, { host: { before: "openclaw-macmini", after: "other-host" } });
+  });
+
+  it("filters by time range and validates it", async () => {
+    const future = new Date(Date.now() + 3600 * 1000).toISOString();
+    assert.deepEqual((await api.get(`/api/v1/audit?from=${future}`)).body.items, []);
+    assert.ok((await api.get(`/api/v1/audit?to=${future}`)).body.items.length > 0);
+    const invalid = await api.get("/api/v1/audit?from=yesterday");
+    assert.equal(invalid.status, 400);
+  });
+
+  it("requires the audit:read scope", async () => {
+    const narrow = await api.post("/api/v1/auth/api-keys", { name: "narrow", scopes: ["tasks:read"] });
+    const res = await api.get("/api/v1/audit", { apiKey: narrow.body.raw_key });
+    assert.equal(res.status, 403);
+    assert.deepEqual(res.body.error.details.required_scopes, ["audit:read"]);
+  });
+});
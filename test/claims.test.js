@@ -0,0 +1,90 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer({ TASK_LEASE_SWEEP_INTERVAL_SEC: "0.1" });
+  await api.post("/api/v1/agents", { id: "py-1", name: "Python 1", capabilities: ["python"] });
+  await api.post("/api/v1/agents", { id: "py-2", name: "Python 2", capabilities: ["python"] });
+  await api.post("/api/v1/agents", { id: "other", name: "Other" });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+describe("task claiming", () => {
+  it("returns 404 for unknown agents and 204 when nothing is claimable", async () => {
+    assert.equal((await api.post("/api/v1/agents/ghost/tasks/claim")).status, 404);
+    assert.equal((await api.post("/api/v1/agents/py-1/tasks/claim", { lease_sec: 0 })).status, 400);
+    assert.equal((await api.post("/api/v1/agents/py-1/tasks/claim")).status, 204);
+  });
+
+  it("claims the most urgent eligible task exactly once", async () => {
+    await api.post("/api/v1/tasks", { id: "claim-low", title: "Low", priority: "low" });
+    await api.post("/api/v1/tasks", { id: "claim-gpu", title: "GPU", priority: "urgent", required_capabilities: ["gpu"] });
+    await api.post("/api/v1/tasks", { id: "claim-mine", title: "Other's", priority: "urgent", assigned_agent_id: "other" });
+    await api.post("/api/v1/tasks", { id: "claim-high", title: "High", priority: "high", required_capabilities: ["python"] });
+
+    const [first, second] = await Promise.all([
+      api.post("/api/v1/agents/py-1/tasks/claim"),
+      api.post("/api/v1/agents/py-2/tasks/claim")
+    ]);
+    const claimed = [first.body.id, second.body.id].sort();
+    assert.deepEqual(claimed, ["claim-high", "claim-low"]);
+    assert.equal(first.body.status, "running");
+    assert.equal(first.body.assigned_agent_id, "py-1");
+    assert.ok(Date.parse(first.body.lease_expires_at) > Date.now());
+    assert.ok(first.body.started_at);
+
+    assert.equal((await api.get("/api/v1/agents/py-1")).body.current_task_id, first.body.id);
+    assert.equal((await api.post("/api/v1/agents/py-1/tasks/claim")).status, 204);
+
+    const events = (await api.get(`/api/v1/tasks/${first.body.id}/events`)).body;
+    assert.equal(events.at(-1).message, "Task claimed by py-1");
+
+    await api.patch("/api/v1/tasks/claim-high", { status: "done" });
+    await api.patch("/api/v1/tasks/claim-low", { status: "done" });
+    const done = (await api.get("/api/v1/tasks/claim-high")).body;
+    assert.equal(done.lease_expires_at, null);
+  });
+
+  it("keeps the lease alive through heartbeats and task events", async () => {
+    await api.post("/api/v1/tasks", { id: "lease-renew", title: "Long job" });
+    const claim = await api.post("/api/v1/agents/py-1/tasks/claim", { lease_sec: 0.5 });
+    assert.equal(claim.body.id, "lease-renew");
+
+    await sleep(300);
+    await api.post("/api/v1/agents/py-1/heartbeat", { capabilities: ["python"], current_task_id: "lease-renew" });
+    await sleep(300);
+    await api.post("/api/v1/tasks/lease-renew/events", { agent_id: "py-1", type: "progress", message: "halfway" });
+    await sleep(300);
+
+    const task = (await api.get("/api/v1/tasks/lease-renew")).body;
+    assert.equal(task.status, "running");
+    assert.equal(task.assigned_agent_id, "py-1");
+    assert.ok(Date.parse(task.lease_expires_at) > Date.parse(claim.body.lease_expires_at));
+    await api.patch("/api/v1/tasks/lease-renew", { status: "done" });
+  });
+
+  it("requeues the task when the lease expires", async () => {
+    await api.post("/api/v1/tasks", { id: "lease-lost", title: "Abandoned" });
+    assert.equal((await api.post("/api/v1/agents/py-2/tasks/claim", { lease_sec: 0.2 })).body.id, "lease-lost");
+    await sleep(600);
+
+    const task = (await api.get("/api/v1/tasks/lease-lost")).body;
+    assert.equal(task.status, "queued");
+    assert.equal(task.assigned_agent_id, null);
+    assert.equal(task.lease_expires_at, null);
+    assert.equal((await api.get("/api/v1/agents/py-2")).body.current_task_id, null);
+
+    const events = (await api.get("/api/v1/tasks/lease-lost/events")).body;
+    assert.equal(events.at(-1).message, "Lease expired, task returned to queue");
+    assert.equal(events.at(-1).payload.previous_agent_id, "py-2");
+
+    assert.equal((await api.post("/api/v1/agents/py-1/tasks/claim")).body.id, "lease-lost");
+  });
+});
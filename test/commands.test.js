@@ -0,0 +1,127 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer({
+    COMMAND_REDELIVERY_TIMEOUT_SEC: "0.3",
+    COMMAND_SWEEP_INTERVAL_SEC: "0.1",
+    COMMAND_MAX_DELIVERY_ATTEMPTS: "2"
+  });
+  await api.post("/api/v1/agents", { id: "agent-1", name: "Agent 1" });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+describe("command delivery", () => {
+  it("pulls queued commands once and marks them delivered", async () => {
+    await api.post("/api/v1/agents/agent-1/commands", { id: "pull-1", type: "pause" });
+    await api.post("/api/v1/agents/agent-1/commands", { id: "pull-2", type: "resume" });
+
+    const first = await api.post("/api/v1/agents/agent-1/commands/pull", { limit: 1 });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.map((c) => c.id), ["pull-1"]);
+    assert.equal(first.body[0].status, "delivered");
+    assert.equal(first.body[0].delivery_attempts, 1);
+    assert.ok(first.body[0].delivered_at);
+
+    const second = await api.post("/api/v1/agents/agent-1/commands/pull");
+    assert.deepEqual(second.body.map((c) => c.id), ["pull-2"]);
+    assert.deepEqual((await api.post("/api/v1/agents/agent-1/commands/pull")).body, []);
+
+    await api.post("/api/v1/commands/pull-1/ack");
+    await api.post("/api/v1/commands/pull-2/ack");
+  });
+
+  it("validates pull requests", async () => {
+    assert.equal((await api.post("/api/v1/agents/agent-1/commands/pull", { limit: 0 })).status, 400);
+    assert.equal((await api.post("/api/v1/agents/ghost/commands/pull")).status, 404);
+  });
+
+  it("expires commands past expires_at instead of delivering them", async () => {
+    const expiresAt = new Date(Date.now() + 150).toISOString();
+    await api.post("/api/v1/agents/agent-1/commands", { id: "exp-1", type: "sync", expires_at: expiresAt });
+    await sleep(300);
+    assert.deepEqual((await api.post("/api/v1/agents/agent-1/commands/pull")).body, []);
+    assert.equal((await api.get("/api/v1/commands?status=expired")).body.items[0].id, "exp-1");
+  });
+
+  it("redelivers unacked commands and fails them after the last attempt", async () => {
+    await api.post("/api/v1/agents/agent-1/commands", { id: "redo-1", type: "restart" });
+    assert.equal((await api.post("/api/v1/agents/agent-1/commands/pull")).body[0].delivery_attempts, 1);
+
+    await sleep(500);
+    const again = await api.post("/api/v1/agents/agent-1/commands/pull");
+    assert.deepEqual(again.body.map((c) => [c.id, c.delivery_attempts]), [["redo-1", 2]]);
+
+    await sleep(500);
+    const failed = (await api.get("/api/v1/commands?status=failed")).body.items;
+    assert.deepEqual(failed.map((c) => c.id), ["redo-1"]);
+    assert.equal(failed[0].ack_message, "Delivery attempts exhausted");
+  });
+
+  it("stops redelivering on pull once the attempts are used up", async () => {
+    // Without the sweeper, only the pull itself can enforce the limit.
+    const solo = await startServer({ COMMAND_REDELIVERY_TIMEOUT_SEC: "0.2", COMMAND_SWEEP_INTERVAL_SEC: "0", COMMAND_MAX_DELIVERY_ATTEMPTS: "1" });
+    try {
+      await solo.post("/api/v1/agents", { id: "agent-solo", name: "Solo" });
+      await solo.post("/api/v1/agents/agent-solo/commands", { id: "redo-solo", type: "sync" });
+      assert.equal((await solo.post("/api/v1/agents/agent-solo/commands/pull")).body.length, 1);
+
+      await sleep(300);
+      assert.deepEqual((await solo.post("/api/v1/agents/agent-solo/commands/pull")).body, []);
+      const command = (await solo.get("/api/v1/commands/redo-solo")).body;
+      assert.equal(command.status, "failed");
+      assert.equal(command.delivery_attempts, 1);
+    } finally {
+      await solo.stop();
+    }
+  });
+});
+
+describe("command state machine", () => {
+  it("rejects transitions out of final states with 409", async () => {
+    await api.post("/api/v1/agents/agent-1/commands", { id: "sm-1", type: "pause", created_by: "ops" });
+    assert.equal((await api.post("/api/v1/commands/sm-1/ack", { acked_by: "agent-1" })).status, 200);
+
+    const back = await api.post("/api/v1/commands/sm-1/ack", { status: "failed" });
+    assert.equal(back.status, 409);
+    assert.equal(back.body.error.code, "INVALID_COMMAND_TRANSITION");
+    assert.equal((await api.post("/api/v1/commands/exp-1/ack", { status: "acked" })).status, 409);
+  });
+
+  it("leaves delivery, requeue and expiry to the system", async () => {
+    await api.post("/api/v1/agents/agent-1/commands", { id: "sm-sys", type: "sync" });
+    for (const status of ["delivered", "queued", "expired"]) {
+      const res = await api.post("/api/v1/commands/sm-sys/ack", { status });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error.code, "VALIDATION_ERROR");
+    }
+    assert.equal((await api.get("/api/v1/commands/sm-sys")).body.status, "queued");
+  });
+
+  it("returns the status history on the detail endpoint", async () => {
+    await api.post("/api/v1/agents/agent-1/commands", { id: "sm-2", type: "sync", created_by: "ops" });
+    await api.post("/api/v1/agents/agent-1/commands/pull");
+    await api.post("/api/v1/commands/sm-2/ack", { acked_by: "agent-1", status: "failed", ack_message: "disk full" });
+
+    const detail = await api.get("/api/v1/commands/sm-2");
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.status, "failed");
+    assert.deepEqual(
+      detail.body.history.map((h) => [h.previous_status, h.status, h.actor, h.message]),
+      [
+        [null, "queued", "ops", null],
+        ["queued", "delivered", "agent-1", null],
+        ["delivered", "failed", "agent-1", "disk full"]
+      ]
+    );
+    assert.ok(detail.body.history.every((h) => typeof h.at === "string"));
+    assert.equal((await api.get("/api/v1/commands/ghost")).status, 404);
+  });
+});
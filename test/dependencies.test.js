@@ -0,0 +1,112 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function finish(taskId, status) {
+  await api.patch(`/api/v1/tasks/${taskId}`, { status: "running" });
+  const res = await api.patch(`/api/v1/tasks/${taskId}`, { status });
+  assert.equal(res.status, 200);
+  return res;
+}
+
+async function statusOf(taskId) {
+  return (await api.get(`/api/v1/tasks/${taskId}`)).body.status;
+}
+
+describe("task dependencies", () => {
+  it("blocks a task until its dependencies are done", async () => {
+    await api.post("/api/v1/tasks", { id: "dep-build", title: "Build" });
+    await api.post("/api/v1/tasks", { id: "dep-test", title: "Test" });
+    const deploy = await api.post("/api/v1/tasks", { id: "dep-deploy", title: "Deploy", depends_on: ["dep-build", "dep-test"] });
+    assert.equal(deploy.status, 201);
+    assert.equal(deploy.body.status, "blocked");
+    assert.deepEqual(deploy.body.depends_on, ["dep-build", "dep-test"]);
+    assert.equal(deploy.body.on_dependency_failure, "fail");
+
+    const early = await api.patch("/api/v1/tasks/dep-deploy", { status: "running" });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.error.code, "DEPENDENCIES_NOT_MET");
+    assert.deepEqual(early.body.error.details.depends_on, ["dep-build", "dep-test"]);
+
+    await finish("dep-build", "done");
+    assert.equal(await statusOf("dep-deploy"), "blocked");
+    await finish("dep-test", "done");
+    assert.equal(await statusOf("dep-deploy"), "queued");
+
+    const events = (await api.get("/api/v1/tasks/dep-deploy/events")).body;
+    const unblocked = events.find((event) => event.payload.reason === "dependencies_done");
+    assert.equal(unblocked.type, "status_changed");
+    assert.equal(unblocked.payload.status, "queued");
+
+    const running = await api.patch("/api/v1/tasks/dep-deploy", { status: "running" });
+    assert.equal(running.status, 200);
+  });
+
+  it("rejects unknown dependencies and cycles", async () => {
+    const unknown = await api.post("/api/v1/tasks", { title: "Orphan", depends_on: ["dep-missing"] });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error.code, "DEPENDENCY_NOT_FOUND");
+
+    const self = await api.post("/api/v1/tasks", { id: "dep-self", title: "Self", depends_on: ["dep-self"] });
+    assert.equal(self.status, 409);
+    assert.equal(self.body.error.code, "DEPENDENCY_CYCLE");
+
+    await api.post("/api/v1/tasks", { id: "dep-a", title: "A" });
+    await api.post("/api/v1/tasks", { id: "dep-b", title: "B", depends_on: ["dep-a"] });
+    await api.post("/api/v1/tasks", { id: "dep-c", title: "C", depends_on: ["dep-b"] });
+    const cycle = await api.patch("/api/v1/tasks/dep-a", { depends_on: ["dep-c"] });
+    assert.equal(cycle.status, 409);
+    assert.deepEqual(cycle.body.error.details.cycle, ["dep-a", "dep-c", "dep-b", "dep-a"]);
+
+    await finish("dep-a", "done");
+    const locked = await api.patch("/api/v1/tasks/dep-a", { depends_on: [] });
+    assert.equal(locked.status, 409);
+    assert.equal(locked.body.error.code, "DEPENDENCIES_LOCKED");
+  });
+
+  it("cascades failures according to each task's policy", async () => {
+    await api.post("/api/v1/tasks", { id: "dep-root", title: "Root" });
+    await api.post("/api/v1/tasks", { id: "dep-fails", title: "Fails", depends_on: ["dep-root"] });
+    await api.post("/api/v1/tasks", { id: "dep-cancels", title: "Cancels", depends_on: ["dep-root"], on_dependency_failure: "cancel" });
+    await api.post("/api/v1/tasks", { id: "dep-ignores", title: "Ignores", depends_on: ["dep-root"], on_dependency_failure: "ignore" });
+    await api.post("/api/v1/tasks", { id: "dep-grandchild", title: "Grandchild", depends_on: ["dep-fails"] });
+
+    await finish("dep-root", "failed");
+    assert.equal(await statusOf("dep-fails"), "failed");
+    assert.equal(await statusOf("dep-cancels"), "cancelled");
+    assert.equal(await statusOf("dep-ignores"), "queued");
+    assert.equal(await statusOf("dep-grandchild"), "failed");
+
+    const events = (await api.get("/api/v1/tasks/dep-grandchild/events")).body;
+    const cascaded = events.find((event) => event.payload.reason === "dependency_failed");
+    assert.equal(cascaded.payload.dependency_id, "dep-fails");
+    assert.equal(cascaded.payload.dependency_status, "failed");
+
+    const late = await api.post("/api/v1/tasks", { id: "dep-late", title: "Late", depends_on: ["dep-root"], on_dependency_failure: "cancel" });
+    assert.equal(late.status, 201);
+    assert.equal(late.body.status, "cancelled");
+  });
+
+  it("resumes a started task that waited on a new dependency", async () => {
+    await api.post("/api/v1/tasks", { id: "dep-worker", title: "Worker" });
+    await api.patch("/api/v1/tasks/dep-worker", { status: "running" });
+    await api.patch("/api/v1/tasks/dep-worker", { status: "blocked" });
+    await api.post("/api/v1/tasks", { id: "dep-input", title: "Input" });
+    const waiting = await api.patch("/api/v1/tasks/dep-worker", { depends_on: ["dep-input"] });
+    assert.equal(waiting.status, 200);
+    assert.equal(waiting.body.status, "blocked");
+
+    await finish("dep-input", "done");
+    assert.equal(await statusOf("dep-worker"), "running");
+  });
+});
@@ -0,0 +1,75 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function heartbeat(agentId, body) {
+  const res = await api.post(`/api/v1/agents/${agentId}/heartbeat`, body);
+  assert.equal(res.status, 200);
+}
+
+describe("task dispatcher", () => {
+  it("validates required_capabilities", async () => {
+    const res = await api.post("/api/v1/tasks", { title: "Bad", required_capabilities: "gpu" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "VALIDATION_ERROR");
+  });
+
+  it("matches capabilities, prefers the least loaded agent and dispatches by priority", async () => {
+    await api.post("/api/v1/agents", { id: "gpu-busy", name: "GPU busy", capabilities: ["python", "gpu"] });
+    await api.post("/api/v1/agents", { id: "gpu-free", name: "GPU free", capabilities: ["python", "gpu"] });
+    await api.post("/api/v1/agents", { id: "cpu-1", name: "CPU", capabilities: ["python"] });
+    await api.post("/api/v1/agents", { id: "paused", name: "Paused", capabilities: ["python", "gpu"] });
+    await heartbeat("gpu-busy", { status: "online", load: 0.9, queue_depth: 3, capabilities: ["python", "gpu"] });
+    await heartbeat("gpu-free", { status: "idle", load: 0.1, queue_depth: 0, capabilities: ["python", "gpu"] });
+    await heartbeat("cpu-1", { status: "idle", load: 0, capabilities: ["python"] });
+    await heartbeat("paused", { status: "blocked", load: 0, capabilities: ["python", "gpu"] });
+
+    const low = await api.post("/api/v1/tasks", { id: "train-low", title: "Train later", priority: "low", required_capabilities: ["gpu"] });
+    assert.deepEqual(low.body.required_capabilities, ["gpu"]);
+    await api.post("/api/v1/tasks", { id: "train-urgent", title: "Train now", priority: "urgent", required_capabilities: ["gpu"] });
+    await api.post("/api/v1/tasks", { id: "lint", title: "Lint", required_capabilities: ["python"] });
+    await api.post("/api/v1/tasks", { id: "render", title: "Render", required_capabilities: ["blender"] });
+
+    const res = await api.post("/api/v1/tasks/dispatch");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.assignments, [
+      { task_id: "train-urgent", agent_id: "gpu-free" },
+      { task_id: "lint", agent_id: "cpu-1" },
+      { task_id: "train-low", agent_id: "gpu-busy" }
+    ]);
+
+    const render = (await api.get("/api/v1/tasks/render")).body;
+    assert.equal(render.assigned_agent_id, null);
+    assert.equal(render.status, "queued");
+
+    const urgent = (await api.get("/api/v1/tasks/train-urgent")).body;
+    assert.equal(urgent.assigned_agent_id, "gpu-free");
+    assert.equal(urgent.status, "queued");
+    assert.equal(urgent.version, 2);
+
+    const events = (await api.get("/api/v1/tasks/train-urgent/events")).body;
+    const assigned = events.at(-1);
+    assert.equal(assigned.type, "status_changed");
+    assert.equal(assigned.agent_id, "gpu-free");
+    assert.equal(assigned.payload.assigned_agent_id, "gpu-free");
+  });
+
+  it("leaves tasks queued while every matching agent has an open task", async () => {
+    await api.post("/api/v1/tasks", { id: "train-3", title: "Train more", required_capabilities: ["gpu"] });
+    assert.deepEqual((await api.post("/api/v1/tasks/dispatch")).body.assignments, []);
+
+    await api.patch("/api/v1/tasks/train-urgent", { status: "running" });
+    await api.patch("/api/v1/tasks/train-urgent", { status: "done" });
+    assert.deepEqual((await api.post("/api/v1/tasks/dispatch")).body.assignments, [{ task_id: "train-3", agent_id: "gpu-free" }]);
+  });
+});
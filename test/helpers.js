@@ -0,0 +1,118 @@
+import { spawn } from "node:child_process";
+import { mkdtempSync, rmSync } from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const serverPath = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "server.js");
+
+export const API_KEY = "test-bootstrap-key";
+
+// `npm test` runs the suite once per data backend: the in-process Convex
+// stand-in, then SQLite (`TEST_BACKEND=sqlite`) on a throwaway database file.
+export const TEST_BACKEND = process.env.TEST_BACKEND === "sqlite" ? "sqlite" : "convex";
+
+function backendEnv() {
+  if (TEST_BACKEND === "convex") return { env: { DATA_BACKEND: "convex", CONVEX_BACKEND_URL: "memory://" }, cleanup() {} };
+  const dir = mkdtempSync(path.join(os.tmpdir(), "control-plane-test-"));
+  return {
+    env: { DATA_BACKEND: "sqlite", DATABASE_URL: path.join(dir, "control_plane.db") },
+    cleanup: () => rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForLive(baseUrl, child) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}`);
+    try {
+      const response = await fetch(`${baseUrl}/health/live`);
+      if (response.ok) return;
+    } catch {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  throw new Error("server did not become live");
+}
+
+// Starts src/server.js against TEST_BACKEND and returns a small client bound to
+// the bootstrap key.
+export async function startServer(env = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const backend = backendEnv();
+  const child = spawn(process.execPath, [serverPath], {
+    env: {
+      ...process.env,
+      ...backend.env,
+      CONVEX_SYNC_TOKEN: "test-sync-token",
+      BOOTSTRAP_API_KEY: API_KEY,
+      HOST: "127.0.0.1",
+      PORT: String(port),
+      // Tests drive the dispatcher through POST /api/v1/tasks/dispatch.
+      TASK_DISPATCH_INTERVAL_SEC: "0",
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+
+  try {
+    await waitForLive(baseUrl, child);
+  } catch (err) {
+    child.kill();
+    backend.cleanup();
+    throw new Error(`${err.message}\n${output}`);
+  }
+
+  async function request(method, urlPath, body, { apiKey = API_KEY, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(apiKey ? { "X-API-Key": apiKey } : {}),
+        ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = text ? JSON.parse(text) : null;
+    } catch {
+      json = text;
+    }
+    return { status: response.status, headers: response.headers, body: json };
+  }
+
+  return {
+    baseUrl,
+    request,
+    get: (urlPath, options) => request("GET", urlPath, undefined, options),
+    post: (urlPath, body = {}, options) => request("POST", urlPath, body, options),
+    patch: (urlPath, body = {}, options) => request("PATCH", urlPath, body, options),
+    output: () => output,
+    async stop() {
+      if (child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        child.kill();
+        await exited;
+      }
+      backend.cleanup();
+    }
+  };
+}
@@ -0,0 +1,81 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+  await api.post("/api/v1/agents", { id: "idem-agent", name: "Agent" });
+  await api.post("/api/v1/tasks", { id: "idem-task", title: "Task" });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+function withKey(key) {
+  return { headers: { "Idempotency-Key": key } };
+}
+
+describe("Idempotency-Key", () => {
+  it("replays the first response instead of creating duplicates", async () => {
+    const first = await api.post("/api/v1/tasks/idem-task/events", { type: "progress", message: "50%" }, withKey("event-1"));
+    assert.equal(first.status, 201);
+    assert.equal(first.headers.get("idempotent-replayed"), null);
+
+    const retry = await api.post("/api/v1/tasks/idem-task/events", { type: "progress", message: "50%" }, withKey("event-1"));
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+
+    const events = (await api.get("/api/v1/tasks/idem-task/events")).body;
+    assert.equal(events.filter((event) => event.type === "progress").length, 1);
+  });
+
+  it("covers commands, alerts and heartbeats", async () => {
+    const command = await api.post("/api/v1/agents/idem-agent/commands", { type: "pause" }, withKey("cmd-1"));
+    assert.equal((await api.post("/api/v1/agents/idem-agent/commands", { type: "pause" }, withKey("cmd-1"))).body.id, command.body.id);
+    assert.equal((await api.get("/api/v1/agents/idem-agent/commands")).body.items.length, 1);
+
+    const alert = await api.post("/api/v1/alerts", { severity: "warn", type: "disk", entity_type: "agent", entity_id: "idem-agent", message: "Disk" }, withKey("alert-1"));
+    assert.equal((await api.post("/api/v1/alerts", { severity: "warn", type: "disk", entity_type: "agent", entity_id: "idem-agent", message: "Disk" }, withKey("alert-1"))).body.id, alert.body.id);
+
+    const beat = await api.post("/api/v1/agents/idem-agent/heartbeat", { load: 0.5 }, withKey("beat-1"));
+    const replayed = await api.post("/api/v1/agents/idem-agent/heartbeat", { load: 0.5 }, withKey("beat-1"));
+    assert.equal(replayed.body.version, beat.body.version);
+  });
+
+  it("replays error responses and empty bodies too", async () => {
+    const bad = await api.post("/api/v1/tasks", { title: "" }, withKey("bad-task"));
+    assert.equal(bad.status, 400);
+    const again = await api.post("/api/v1/tasks", { title: "" }, withKey("bad-task"));
+    assert.equal(again.status, 400);
+    assert.equal(again.headers.get("idempotent-replayed"), "true");
+
+    assert.equal((await api.post("/api/v1/agents/idem-agent/tasks/claim", {}, withKey("claim-empty"))).status, 200);
+    const claimAgain = await api.post("/api/v1/agents/idem-agent/tasks/claim", {}, withKey("claim-empty"));
+    assert.equal(claimAgain.status, 200);
+    assert.equal(claimAgain.body.id, "idem-task");
+
+    assert.equal((await api.post("/api/v1/agents/idem-agent/tasks/claim", {}, withKey("claim-none"))).status, 204);
+    const noneAgain = await api.post("/api/v1/agents/idem-agent/tasks/claim", {}, withKey("claim-none"));
+    assert.equal(noneAgain.status, 204);
+    assert.equal(noneAgain.headers.get("idempotent-replayed"), "true");
+  });
+
+  it("rejects a reused key with a different body with 422", async () => {
+    await api.post("/api/v1/tasks", { title: "Original" }, withKey("task-key"));
+    const reused = await api.post("/api/v1/tasks", { title: "Different" }, withKey("task-key"));
+    assert.equal(reused.status, 422);
+    assert.equal(reused.body.error.code, "IDEMPOTENCY_KEY_REUSED");
+
+    const otherRoute = await api.post("/api/v1/alerts", { title: "Original" }, withKey("task-key"));
+    assert.equal(otherRoute.status, 422);
+  });
+
+  it("validates the key length", async () => {
+    const long = "x".repeat(256);
+    assert.equal((await api.post("/api/v1/tasks", { title: "Long key" }, withKey(long))).status, 400);
+  });
+});
@@ -0,0 +1,63 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { TEST_BACKEND, startServer } from "./helpers.js";
+
+const METRICS_TOKEN = "test-metrics-token";
+
+let api;
+
+before(async () => {
+  api = await startServer({ METRICS_TOKEN });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function scrape() {
+  const response = await fetch(`${api.baseUrl}/metrics`, { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  return response.text();
+}
+
+// Value of the sample whose name and labels match exactly, or undefined.
+function sample(text, series) {
+  const line = text.split("\n").find((candidate) => candidate.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+describe("metrics", () => {
+  it("exports overview state as gauges", async () => {
+    await api.post("/api/v1/agents/metrics-agent/heartbeat", { status: "busy", role: "supervisor", host: "metrics-host" });
+    await api.post("/api/v1/tasks", { id: "metrics-urgent", title: "Urgent", priority: "urgent" });
+    await api.post("/api/v1/alerts", { id: "metrics-alert", severity: "critical", type: "manual", entity_type: "agent", entity_id: "metrics-agent", message: "m" });
+    await api.post("/api/v1/agents/metrics-agent/commands", { id: "metrics-cmd", type: "sync" });
+
+    const text = await scrape();
+    assert.match(text, /# TYPE control_plane_agents gauge/);
+    assert.equal(sample(text, 'control_plane_agents{organization_id="default-org",status="busy",role="supervisor",host="metrics-host"}'), 1);
+    assert.equal(sample(text, 'control_plane_tasks{organization_id="default-org",status="queued",priority="urgent"}'), 1);
+    assert.equal(sample(text, 'control_plane_alerts_open{organization_id="default-org",severity="critical"}'), 1);
+    assert.equal(sample(text, 'control_plane_commands_queued{organization_id="default-org"}'), 1);
+  });
+
+  it("records request latency per route and backend calls per op", async () => {
+    await api.get("/api/v1/tasks/metrics-urgent");
+    await api.get("/api/v1/tasks/does-not-exist");
+
+    const text = await scrape();
+    assert.equal(sample(text, 'control_plane_http_request_duration_seconds_count{method="GET",route="/api/v1/tasks/:taskId",status="200"}'), 1);
+    assert.equal(sample(text, 'control_plane_http_request_duration_seconds_count{method="GET",route="/api/v1/tasks/:taskId",status="404"}'), 1);
+    assert.equal(sample(text, 'control_plane_http_request_duration_seconds_bucket{method="GET",route="/api/v1/tasks/:taskId",status="200",le="+Inf"}'), 1);
+    if (TEST_BACKEND === "convex") {
+      assert.ok(sample(text, 'control_plane_convex_call_duration_seconds_count{op="get_task"}') >= 2);
+      assert.match(text, /# TYPE control_plane_convex_call_errors_total counter/);
+    }
+  });
+
+  it("requires the metrics token when configured", async () => {
+    const response = await fetch(`${api.baseUrl}/metrics`);
+    assert.equal(response.status, 401);
+  });
+});
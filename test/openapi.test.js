@@ -0,0 +1,80 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+let spec;
+
+before(async () => {
+  api = await startServer();
+  const response = await api.get("/api/v1/openapi.json");
+  assert.equal(response.status, 200);
+  spec = response.body;
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+describe("openapi", () => {
+  it("documents every route with scopes, idempotency and the error envelope", () => {
+    assert.equal(spec.openapi, "3.1.0");
+    assert.ok(spec.paths["/api/v1/agents/{agentId}/heartbeat"].post);
+    assert.ok(spec.paths["/api/v1/webhooks/{webhookId}/deliveries"].get);
+    assert.ok(spec.paths["/api/v1/agents/{agentId}/ws"].get);
+    assert.ok(spec.paths["/health/ready"].get);
+
+    const createTask = spec.paths["/api/v1/tasks"].post;
+    assert.deepEqual(createTask["x-required-scopes"], ["tasks:write"]);
+    assert.deepEqual(createTask.requestBody.content["application/json"].schema, { $ref: "#/components/schemas/TaskCreate" });
+    assert.ok(createTask.parameters.some((parameter) => parameter.name === "Idempotency-Key"));
+    assert.equal(spec.paths["/api/v1/webhooks"].post.parameters, undefined);
+    assert.deepEqual(createTask.responses[400].content["application/json"].schema, { $ref: "#/components/schemas/Error" });
+
+    const listTasks = spec.paths["/api/v1/tasks"].get;
+    assert.ok(listTasks.responses[200].headers["X-Next-Cursor"]);
+    const page = listTasks.responses[200].content["application/json"].schema;
+    assert.deepEqual(page.required, ["items", "next_cursor"]);
+    assert.deepEqual(page.properties.items, { type: "array", items: { $ref: "#/components/schemas/Task" } });
+    assert.deepEqual(listTasks.parameters.find((parameter) => parameter.name === "status").schema, { $ref: "#/components/schemas/TaskStatus" });
+
+    const error = spec.components.schemas.Error;
+    assert.deepEqual(error.required, ["error"]);
+    assert.deepEqual(error.properties.error.required, ["code", "message", "details"]);
+  });
+
+  it("publishes the enum sets as components", () => {
+    const { schemas } = spec.components;
+    assert.deepEqual(schemas.TaskStatus.enum, ["queued", "running", "blocked", "done", "failed", "cancelled"]);
+    assert.deepEqual(schemas.CommandType.enum, ["pause", "resume", "cancel_task", "restart", "sync"]);
+    assert.deepEqual(schemas.AlertSeverity.enum, ["info", "warn", "critical"]);
+    assert.ok(schemas.ApiScope.enum.includes("webhooks:admin"));
+    assert.deepEqual(schemas.AgentCreate.properties.role, { $ref: "#/components/schemas/AgentRole", default: "worker" });
+    assert.deepEqual(schemas.AgentCreate.required, ["id", "name"]);
+    assert.deepEqual(schemas.Task.properties.description.type, ["string", "null"]);
+  });
+
+  it("validates requests with the documented schemas", async () => {
+    const { schemas } = spec.components;
+    assert.equal(schemas.TaskCreate.properties.progress.maximum, 100);
+    const rejected = await api.post("/api/v1/tasks", { title: "Too far", progress: 101 });
+    assert.equal(rejected.status, 400);
+    assert.equal(rejected.body.error.code, "VALIDATION_ERROR");
+    assert.equal(rejected.body.error.message, "progress must be integer 0..100");
+
+    assert.ok(schemas.CommandCreate.required.includes("type"));
+    await api.post("/api/v1/agents/openapi-agent/heartbeat", { status: "idle" });
+    const untyped = await api.post("/api/v1/agents/openapi-agent/commands", {});
+    assert.equal(untyped.status, 400);
+    assert.match(untyped.body.error.message, /^type is required one of: pause/);
+
+    const created = await api.post("/api/v1/auth/api-keys", { name: "dup scopes", scopes: ["tasks:read", "tasks:read"] });
+    assert.equal(created.status, 201);
+    assert.deepEqual(created.body.key.scopes, ["tasks:read"]);
+  });
+
+  it("requires an API key", async () => {
+    const response = await fetch(`${api.baseUrl}/api/v1/openapi.json`);
+    assert.equal(response.status, 401);
+  });
+});
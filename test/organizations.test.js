@@ -0,0 +1,99 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+describe("organization and user admin", () => {
+  it("creates a tenant with its first user and key", async () => {
+    const org = await api.post("/api/v1/organizations", { id: "acme", name: "Acme" });
+    assert.equal(org.status, 201);
+    assert.equal(org.body.status, "active");
+    assert.equal((await api.post("/api/v1/organizations", { id: "acme", name: "Again" })).status, 409);
+    assert.ok((await api.get("/api/v1/organizations")).body.some((row) => row.id === "acme"));
+
+    const user = await api.post("/api/v1/organizations/acme/users", { id: "acme-owner", name: "Owner", email: "owner@acme.test" });
+    assert.equal(user.status, 201);
+    assert.equal(user.body.organization_id, "acme");
+    assert.deepEqual((await api.get("/api/v1/organizations/acme/users")).body.map((row) => row.id), ["acme-owner"]);
+
+    const issued = await api.post("/api/v1/organizations/acme/users/acme-owner/api-keys", { name: "first" });
+    assert.equal(issued.status, 201);
+    assert.ok(!issued.body.key.scopes.includes("orgs:admin"));
+
+    // The new key sees only its own tenant and cannot administer others.
+    const rawKey = issued.body.raw_key;
+    assert.equal((await api.post("/api/v1/agents", { id: "acme-agent", name: "Acme agent" }, { apiKey: rawKey })).status, 201);
+    assert.ok(!(await api.get("/api/v1/agents")).body.items.some((row) => row.id === "acme-agent"));
+    assert.equal((await api.get("/api/v1/organizations", { apiKey: rawKey })).status, 403);
+  });
+
+  it("rejects keys of suspended users and organizations", async () => {
+    await api.post("/api/v1/organizations", { id: "globex", name: "Globex" });
+    await api.post("/api/v1/organizations/globex/users", { id: "globex-user", name: "User" });
+    const { raw_key: rawKey } = (await api.post("/api/v1/organizations/globex/users/globex-user/api-keys", { name: "k" })).body;
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+
+    const suspended = await api.post("/api/v1/organizations/globex/users/globex-user/suspend");
+    assert.equal(suspended.body.status, "suspended");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 401);
+    assert.equal((await api.post("/api/v1/organizations/globex/users/globex-user/api-keys", { name: "k2" })).status, 409);
+
+    await api.post("/api/v1/organizations/globex/users/globex-user/activate");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+
+    await api.post("/api/v1/organizations/globex/suspend");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 401);
+    await api.post("/api/v1/organizations/globex/activate");
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+  });
+
+  it("lets tenants reuse each other's ids", async () => {
+    await api.post("/api/v1/organizations", { id: "initech", name: "Initech" });
+    await api.post("/api/v1/organizations/initech/users", { id: "initech-user", name: "User" });
+    const { raw_key: rawKey } = (await api.post("/api/v1/organizations/initech/users/initech-user/api-keys", { name: "k" })).body;
+
+    for (const apiKey of [undefined, rawKey]) {
+      assert.equal((await api.post("/api/v1/agents", { id: "shared-agent", name: "Worker" }, { apiKey })).status, 201);
+      assert.equal((await api.post("/api/v1/tasks", { id: "shared-task", title: "Sync", assigned_agent_id: "shared-agent" }, { apiKey })).status, 201);
+      assert.equal((await api.post("/api/v1/agents/shared-agent/commands", { id: "shared-command", type: "restart" }, { apiKey })).status, 201);
+      const alert = { id: "shared-alert", severity: "warn", type: "manual", entity_type: "agent", entity_id: "shared-agent", message: "Check" };
+      assert.equal((await api.post("/api/v1/alerts", alert, { apiKey })).status, 201);
+    }
+    assert.equal((await api.post("/api/v1/agents", { id: "shared-agent", name: "Again" }, { apiKey: rawKey })).status, 409);
+
+    const acked = await api.post("/api/v1/commands/shared-command/ack", { status: "acked" }, { apiKey: rawKey });
+    assert.equal(acked.status, 200);
+    assert.equal((await api.get("/api/v1/commands/shared-command")).body.status, "queued");
+  });
+
+  it("replays a key issued with the same Idempotency-Key", async () => {
+    await api.post("/api/v1/organizations", { id: "hooli", name: "Hooli" });
+    await api.post("/api/v1/organizations/hooli/users", { id: "hooli-user", name: "User" });
+    const headers = { "Idempotency-Key": "hooli-first-key" };
+    const issued = await api.post("/api/v1/organizations/hooli/users/hooli-user/api-keys", { name: "first" }, { headers });
+    assert.equal(issued.status, 201);
+
+    const replayed = await api.post("/api/v1/organizations/hooli/users/hooli-user/api-keys", { name: "first" }, { headers });
+    assert.equal(replayed.status, 201);
+    assert.equal(replayed.headers.get("idempotent-replayed"), "true");
+    assert.equal(replayed.body.raw_key, issued.body.raw_key);
+    const keys = (await api.get("/api/v1/auth/api-keys", { apiKey: issued.body.raw_key })).body;
+    assert.deepEqual(keys.map((key) => key.key_id), [issued.body.key.key_id]);
+  });
+
+  it("validates input and reports missing tenants", async () => {
+    assert.equal((await api.post("/api/v1/organizations", { id: "nameless" })).status, 400);
+    assert.equal((await api.post("/api/v1/organizations/missing/users", { name: "Nobody" })).status, 404);
+    assert.equal((await api.post("/api/v1/organizations/missing/suspend")).status, 404);
+    assert.equal((await api.post("/api/v1/organizations/default-org/suspend")).status, 409);
+  });
+});
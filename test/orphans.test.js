@@ -0,0 +1,102 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer({
+    HEARTBEAT_OFFLINE_SEC: "0.3",
+    TASK_ORPHAN_GRACE_SEC: "0.5",
+    TASK_REAPER_INTERVAL_SEC: "0.1",
+    TASK_RETRY_INTERVAL_SEC: "0"
+  });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function startTask(id, agentId, body = {}) {
+  const created = await api.post("/api/v1/tasks", { id, title: id, assigned_agent_id: agentId, ...body });
+  assert.equal(created.status, 201);
+  await api.patch(`/api/v1/tasks/${id}`, { status: "running" });
+}
+
+async function taskOf(taskId) {
+  return (await api.get(`/api/v1/tasks/${taskId}`)).body;
+}
+
+// Keeps `agentId` online while the reaper handles the others.
+async function heartbeatFor(agentId, ms) {
+  for (const deadline = Date.now() + ms; Date.now() < deadline; await sleep(100)) {
+    await api.post(`/api/v1/agents/${agentId}/heartbeat`, { name: agentId });
+  }
+}
+
+describe("orphaned task reaper", () => {
+  it("requeues or fails the tasks of agents that went offline", async () => {
+    await api.post("/api/v1/agents/orphan-dead/heartbeat", { name: "Dead worker" });
+    await api.post("/api/v1/agents/orphan-live/heartbeat", { name: "Live worker" });
+    await startTask("orphan-requeue", "orphan-dead");
+    await startTask("orphan-fail", "orphan-dead", { on_agent_offline: "fail" });
+    await startTask("orphan-retry", "orphan-dead", { on_agent_offline: "fail", retry_policy: { max_attempts: 2, delay_sec: 60 } });
+    await startTask("orphan-safe", "orphan-live");
+    await api.post("/api/v1/tasks", { id: "orphan-input", title: "Input" });
+    await api.post("/api/v1/tasks", { id: "orphan-waiting", title: "Waiting", assigned_agent_id: "orphan-dead", depends_on: ["orphan-input"] });
+    // An alert already raised for this reap (e.g. by another instance) must not stop the cascade.
+    await startTask("orphan-alerted", "orphan-dead", { on_agent_offline: "fail" });
+    await api.post("/api/v1/tasks", { id: "orphan-alerted-next", title: "Next", depends_on: ["orphan-alerted"] });
+    await api.post("/api/v1/alerts", { id: "task-orphaned:orphan-alerted:2", severity: "critical", type: "task_orphaned", entity_type: "task", entity_id: "orphan-alerted", message: "Raised elsewhere" });
+
+    await heartbeatFor("orphan-live", 1500);
+
+    const requeued = await taskOf("orphan-requeue");
+    assert.equal(requeued.status, "queued");
+    assert.equal(requeued.assigned_agent_id, null);
+    assert.equal(requeued.started_at, null);
+    const events = (await api.get("/api/v1/tasks/orphan-requeue/events")).body;
+    const reaped = events.find((event) => event.payload.reason === "agent_offline");
+    assert.equal(reaped.payload.status, "queued");
+    assert.equal(reaped.payload.previous_agent_id, "orphan-dead");
+
+    const failed = await taskOf("orphan-fail");
+    assert.equal(failed.status, "failed");
+    assert.ok(failed.finished_at);
+
+    const retrying = await taskOf("orphan-retry");
+    assert.equal(retrying.status, "blocked");
+    assert.ok(retrying.retry_at);
+
+    const waiting = await taskOf("orphan-waiting");
+    assert.equal(waiting.status, "blocked");
+    assert.equal(waiting.assigned_agent_id, null);
+
+    assert.equal((await taskOf("orphan-alerted")).status, "failed");
+    assert.equal((await taskOf("orphan-alerted-next")).status, "failed");
+
+    const safe = await taskOf("orphan-safe");
+    assert.equal(safe.status, "running");
+    assert.equal(safe.assigned_agent_id, "orphan-live");
+
+    const alerts = (await api.get("/api/v1/alerts?type=task_orphaned")).body.items;
+    const requeueAlerts = alerts.filter((alert) => alert.entity_id === "orphan-requeue");
+    assert.equal(requeueAlerts.length, 1);
+    assert.equal(requeueAlerts[0].entity_type, "task");
+    assert.equal(requeueAlerts[0].severity, "warn");
+    assert.equal(alerts.find((alert) => alert.entity_id === "orphan-fail").severity, "critical");
+    assert.ok(!alerts.some((alert) => alert.entity_id === "orphan-safe"));
+    assert.equal(alerts.filter((alert) => alert.entity_id === "orphan-alerted").length, 1);
+  });
+
+  it("leaves tasks alone within the grace period", async () => {
+    await api.post("/api/v1/agents/orphan-brief/heartbeat", { name: "Brief worker" });
+    await startTask("orphan-brief-task", "orphan-brief");
+    await sleep(500);
+    assert.equal((await taskOf("orphan-brief-task")).status, "running");
+    await api.post("/api/v1/agents/orphan-brief/heartbeat", { name: "Brief worker" });
+    await sleep(300);
+    assert.equal((await taskOf("orphan-brief-task")).assigned_agent_id, "orphan-brief");
+  });
+});
@@ -0,0 +1,77 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function collectPages(path) {
+  const ids = [];
+  let cursor = null;
+  for (let guard = 0; guard < 20; guard += 1) {
+    const separator = path.includes("?") ? "&" : "?";
+    const res = await api.get(cursor ? `${path}${separator}cursor=${encodeURIComponent(cursor)}` : path);
+    assert.equal(res.status, 200);
+    ids.push(...res.body.items.map((row) => row.id));
+    cursor = res.body.next_cursor;
+    if (!cursor) return ids;
+  }
+  throw new Error("pagination did not terminate");
+}
+
+describe("cursor pagination", () => {
+  it("walks filtered tasks page by page without gaps or duplicates", async () => {
+    await api.post("/api/v1/agents", { id: "page-worker", name: "Worker" });
+    for (let i = 0; i < 5; i += 1) {
+      await api.post("/api/v1/tasks", { id: `page-task-${i}`, title: `Task ${i}`, assigned_agent_id: "page-worker" });
+    }
+    await api.post("/api/v1/tasks", { id: "page-task-other", title: "Other" });
+
+    const ids = await collectPages("/api/v1/tasks?assigned_agent_id=page-worker&limit=2");
+    assert.equal(ids.length, 5);
+    assert.equal(new Set(ids).size, 5);
+    assert.ok(!ids.includes("page-task-other"));
+
+    const all = await api.get("/api/v1/tasks?assigned_agent_id=page-worker&limit=50");
+    assert.deepEqual(ids, all.body.items.map((task) => task.id));
+    assert.equal(all.body.next_cursor, null);
+    assert.equal(all.headers.get("x-next-cursor"), null);
+  });
+
+  it("keeps limit/offset working and ignores offset once a cursor is given", async () => {
+    for (let i = 0; i < 3; i += 1) {
+      await api.post("/api/v1/agents", { id: `page-agent-${i}`, name: `Agent ${i}`, host: "pager-host" });
+    }
+    const first = await api.get("/api/v1/agents?host=pager-host&limit=1&offset=1");
+    assert.deepEqual(first.body.items.map((agent) => agent.id), ["page-agent-1"]);
+    assert.equal(first.headers.get("x-next-cursor"), first.body.next_cursor);
+
+    const cursor = encodeURIComponent(first.body.next_cursor);
+    const rest = await api.get(`/api/v1/agents?host=pager-host&limit=5&cursor=${cursor}`);
+    assert.deepEqual(rest.body.items.map((agent) => agent.id), ["page-agent-2"]);
+    const withOffset = await api.get(`/api/v1/agents?host=pager-host&limit=5&offset=1&cursor=${cursor}`);
+    assert.deepEqual(withOffset.body.items.map((agent) => agent.id), ["page-agent-2"]);
+  });
+
+  it("pages commands and alerts", async () => {
+    for (let i = 0; i < 3; i += 1) {
+      await api.post("/api/v1/agents/page-worker/commands", { id: `page-cmd-${i}`, type: "sync" });
+      await api.post("/api/v1/alerts", { id: `page-alert-${i}`, severity: "info", type: "pager", entity_type: "agent", entity_id: "page-worker", message: "Hi" });
+    }
+    assert.equal((await collectPages("/api/v1/agents/page-worker/commands?limit=2")).length, 3);
+    assert.equal((await collectPages("/api/v1/alerts?type=pager&limit=2")).length, 3);
+  });
+
+  it("rejects malformed cursors", async () => {
+    const res = await api.get("/api/v1/tasks?cursor=not-a-cursor");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "INVALID_CURSOR");
+  });
+});
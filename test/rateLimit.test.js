@@ -0,0 +1,52 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer({ RATE_LIMIT_HEARTBEAT: "3", RATE_LIMIT_WINDOW_SEC: "60" });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function createKey(name) {
+  const res = await api.post("/api/v1/auth/api-keys", { name });
+  assert.equal(res.status, 201);
+  return res.body.raw_key;
+}
+
+describe("rate limiting", () => {
+  it("limits heartbeats per key with RateLimit headers", async () => {
+    const rawKey = await createKey("limited");
+    for (let i = 0; i < 3; i += 1) {
+      const ok = await api.post(`/api/v1/agents/rl-agent-${i}/heartbeat`, { status: "idle" }, { apiKey: rawKey });
+      assert.equal(ok.status, 200);
+      assert.equal(ok.headers.get("ratelimit-limit"), "3");
+      assert.equal(ok.headers.get("ratelimit-remaining"), String(2 - i));
+    }
+
+    const limited = await api.post("/api/v1/agents/rl-agent-3/heartbeat", { status: "idle" }, { apiKey: rawKey });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error.code, "RATE_LIMITED");
+    assert.equal(limited.body.error.details.limited_by, "api_key");
+    assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+    assert.equal(limited.headers.get("ratelimit-remaining"), "0");
+
+    // Other route groups have their own buckets.
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+  });
+
+  it("limits one agent across keys", async () => {
+    const keys = [await createKey("a"), await createKey("b"), await createKey("c"), await createKey("d")];
+    for (const rawKey of keys.slice(0, 3)) {
+      assert.equal((await api.post("/api/v1/agents/rl-shared/heartbeat", { status: "idle" }, { apiKey: rawKey })).status, 200);
+    }
+    const limited = await api.post("/api/v1/agents/rl-shared/heartbeat", { status: "idle" }, { apiKey: keys[3] });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error.details.limited_by, "agent");
+    assert.equal((await api.post("/api/v1/agents/rl-other/heartbeat", { status: "idle" }, { apiKey: keys[3] })).status, 200);
+  });
+});
@@ -0,0 +1,116 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer({ TASK_RETRY_INTERVAL_SEC: "0.1" });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function fail(taskId, body = {}) {
+  await api.patch(`/api/v1/tasks/${taskId}`, { status: "running" });
+  const res = await api.patch(`/api/v1/tasks/${taskId}`, { status: "failed", ...body });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+describe("task retries", () => {
+  it("requeues a retryable failure after the backoff until attempts run out", async () => {
+    const created = await api.post("/api/v1/tasks", {
+      id: "retry-sync",
+      title: "Sync contacts",
+      retry_policy: { max_attempts: 2, backoff: "fixed", delay_sec: 0.2, retryable_errors: ["timeout"] }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.attempt, 1);
+    assert.deepEqual(created.body.retry_policy, { max_attempts: 2, backoff: "fixed", delay_sec: 0.2, max_delay_sec: 3600, retryable_errors: ["timeout"] });
+
+    const parked = await fail("retry-sync", { progress: 40, error_class: "timeout", error_message: "CRM did not answer" });
+    assert.equal(parked.status, "blocked");
+    assert.equal(parked.attempt, 1);
+    assert.ok(parked.retry_at);
+    assert.equal(parked.finished_at, null);
+
+    const early = await api.patch("/api/v1/tasks/retry-sync", { status: "running" });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.error.code, "RETRY_PENDING");
+
+    await sleep(600);
+    const requeued = (await api.get("/api/v1/tasks/retry-sync")).body;
+    assert.equal(requeued.status, "queued");
+    assert.equal(requeued.attempt, 2);
+    assert.equal(requeued.progress, 0);
+    assert.equal(requeued.retry_at, null);
+
+    const final = await fail("retry-sync", { error_class: "timeout" });
+    assert.equal(final.status, "failed");
+    assert.equal(final.attempt, 2);
+    assert.ok(final.finished_at);
+
+    const first = (await api.get("/api/v1/tasks/retry-sync/events?attempt=1")).body;
+    const failure = first.find((event) => event.payload.reason === "retry_scheduled");
+    assert.equal(failure.payload.error_class, "timeout");
+    assert.equal(failure.payload.error_message, "CRM did not answer");
+    const second = (await api.get("/api/v1/tasks/retry-sync/events?attempt=2")).body;
+    assert.ok(second.some((event) => event.payload.reason === "retry_due"));
+    assert.ok(second.some((event) => event.payload.status === "failed"));
+    assert.ok(second.every((event) => event.payload.attempt === 2));
+    assert.equal((await api.get("/api/v1/tasks/retry-sync/events?attempt=0")).status, 400);
+  });
+
+  it("fails for good on errors outside retryable_errors and without a policy", async () => {
+    await api.post("/api/v1/tasks", { id: "retry-auth", title: "Import", retry_policy: { retryable_errors: ["timeout"] } });
+    assert.equal((await fail("retry-auth", { error_class: "unauthorized" })).status, "failed");
+
+    await api.post("/api/v1/tasks", { id: "retry-none", title: "Export" });
+    assert.equal((await fail("retry-none", { error_class: "timeout" })).status, "failed");
+
+    const misplaced = await api.patch("/api/v1/tasks/retry-none", { error_class: "timeout" });
+    assert.equal(misplaced.status, 400);
+    const invalid = await api.post("/api/v1/tasks", { title: "Bad", retry_policy: { max_attempts: 0 } });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error.message, /^retry_policy\.max_attempts/);
+  });
+
+  it("backs off exponentially up to max_delay_sec", async () => {
+    await api.post("/api/v1/tasks", {
+      id: "retry-backoff",
+      title: "Enrich",
+      retry_policy: { max_attempts: 5, backoff: "exponential", delay_sec: 100, max_delay_sec: 150 }
+    });
+    const first = await fail("retry-backoff");
+    const delaySec = (Date.parse(first.retry_at) - Date.parse(first.updated_at)) / 1000;
+    assert.ok(Math.abs(delaySec - 100) < 1, `delay ${delaySec}`);
+
+    const retried = await api.post("/api/v1/tasks/retry-backoff/retry");
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.attempt, 2);
+    const second = await fail("retry-backoff");
+    const cappedSec = (Date.parse(second.retry_at) - Date.parse(second.updated_at)) / 1000;
+    assert.ok(Math.abs(cappedSec - 150) < 1, `delay ${cappedSec}`);
+  });
+
+  it("lets an operator retry a failed task", async () => {
+    await api.post("/api/v1/tasks", { id: "retry-manual", title: "Report" });
+    const open = await api.post("/api/v1/tasks/retry-manual/retry");
+    assert.equal(open.status, 409);
+    assert.equal(open.body.error.code, "TASK_NOT_RETRYABLE");
+
+    await fail("retry-manual", { error_class: "crash" });
+    const retried = await api.post("/api/v1/tasks/retry-manual/retry");
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.status, "queued");
+    assert.equal(retried.body.attempt, 2);
+    assert.equal(retried.body.finished_at, null);
+
+    const events = (await api.get("/api/v1/tasks/retry-manual/events?attempt=2")).body;
+    assert.equal(events[0].payload.reason, "manual_retry");
+    assert.equal(events[0].payload.previous_attempt, 1);
+  });
+});
@@ -0,0 +1,68 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function createKey(scopes, options = {}) {
+  const res = await api.post("/api/v1/auth/api-keys", { name: "scoped", scopes }, options);
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+describe("scoped api keys", () => {
+  it("stores scopes and returns them in the key list", async () => {
+    const created = await createKey(["agents:read", "tasks:write"]);
+    assert.deepEqual(created.key.scopes, ["agents:read", "tasks:write"]);
+    const listed = await api.get("/api/v1/auth/api-keys");
+    assert.deepEqual(listed.body.find((key) => key.key_id === created.key.key_id).scopes, ["agents:read", "tasks:write"]);
+  });
+
+  it("enforces scopes per route with 403 FORBIDDEN", async () => {
+    const { raw_key: rawKey } = await createKey(["agents:read", "tasks:write"]);
+
+    assert.equal((await api.get("/api/v1/agents", { apiKey: rawKey })).status, 200);
+    assert.equal((await api.get("/api/v1/tasks", { apiKey: rawKey })).status, 200, "tasks:write implies tasks:read");
+    assert.equal((await api.post("/api/v1/tasks", { id: "scoped-task", title: "Scoped" }, { apiKey: rawKey })).status, 201);
+
+    const denied = await api.post("/api/v1/agents", { id: "scoped-agent", name: "Nope" }, { apiKey: rawKey });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.error.code, "FORBIDDEN");
+    assert.deepEqual(denied.body.error.details.required_scopes, ["agents:write"]);
+
+    assert.equal((await api.get("/api/v1/alerts", { apiKey: rawKey })).status, 403);
+    assert.equal((await api.get("/api/v1/auth/api-keys", { apiKey: rawKey })).status, 403);
+  });
+
+  it("separates alert creation from alert administration", async () => {
+    const { raw_key: rawKey } = await createKey(["alerts:write"]);
+    const alert = { id: "scoped-alert", severity: "info", type: "scoped", entity_type: "agent", entity_id: "x", message: "Hi" };
+    assert.equal((await api.post("/api/v1/alerts", alert, { apiKey: rawKey })).status, 201);
+    assert.equal((await api.post("/api/v1/alerts/scoped-alert/ack", {}, { apiKey: rawKey })).status, 403);
+  });
+
+  it("does not let a key grant scopes it does not hold", async () => {
+    const admin = await createKey(["keys:admin", "agents:read"]);
+    const escalated = await api.post("/api/v1/auth/api-keys", { name: "more", scopes: ["agents:write"] }, { apiKey: admin.raw_key });
+    assert.equal(escalated.status, 403);
+    assert.equal(escalated.body.error.code, "FORBIDDEN");
+
+    const inherited = await api.post("/api/v1/auth/api-keys", { name: "same" }, { apiKey: admin.raw_key });
+    assert.equal(inherited.status, 201);
+    assert.deepEqual(inherited.body.key.scopes, ["keys:admin", "agents:read"]);
+  });
+
+  it("rejects unknown scopes", async () => {
+    const res = await api.post("/api/v1/auth/api-keys", { name: "bad", scopes: ["agents:destroy"] });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "VALIDATION_ERROR");
+  });
+});
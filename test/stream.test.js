@@ -0,0 +1,155 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { API_KEY, startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+function parseEvent(block) {
+  const event = {};
+  for (const line of block.split("\n")) {
+    const separator = line.indexOf(": ");
+    if (separator > 0) event[line.slice(0, separator)] = line.slice(separator + 2);
+  }
+  if (event.data) event.data = JSON.parse(event.data);
+  return event;
+}
+
+async function openStream(query = "", { apiKey = API_KEY, headers = {} } = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${api.baseUrl}/api/v1/stream${query}`, { headers: { "X-API-Key": apiKey, ...headers }, signal: controller.signal });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  async function readEvent() {
+    for (;;) {
+      const boundary = buffer.indexOf("\n\n");
+      if (boundary >= 0) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        if (!block.startsWith(":")) return parseEvent(block);
+        continue;
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error("stream ended");
+      buffer += value;
+    }
+  }
+
+  return {
+    response,
+    next() {
+      let timer;
+      const timeout = new Promise((_resolve, reject) => {
+        timer = setTimeout(() => reject(new Error("no stream event within 3s")), 3000);
+      });
+      return Promise.race([readEvent(), timeout]).finally(() => clearTimeout(timer));
+    },
+    close: () => controller.abort()
+  };
+}
+
+describe("change stream", () => {
+  it("streams task transitions filtered by type", async () => {
+    const stream = await openStream("?types=task.created,task.updated");
+    try {
+      assert.equal(stream.response.status, 200);
+      assert.match(stream.response.headers.get("content-type"), /^text\/event-stream/);
+      await api.post("/api/v1/tasks", { id: "stream-task", title: "Streamed" });
+      await api.patch("/api/v1/tasks/stream-task", { status: "running" });
+
+      const created = await stream.next();
+      assert.equal(created.event, "task.created");
+      assert.equal(created.data.task.id, "stream-task");
+      const updated = await stream.next();
+      assert.equal(updated.event, "task.updated");
+      assert.equal(updated.data.task.status, "running");
+    } finally {
+      stream.close();
+    }
+  });
+
+  it("follows one agent's command lifecycle", async () => {
+    await api.post("/api/v1/agents/stream-agent/heartbeat", { status: "idle" });
+    await api.post("/api/v1/agents/stream-other/heartbeat", { status: "idle" });
+    const stream = await openStream("?agent_id=stream-agent&types=command");
+    try {
+      await api.post("/api/v1/agents/stream-other/commands", { id: "other-cmd", type: "sync" });
+      await api.post("/api/v1/agents/stream-agent/commands", { id: "stream-cmd", type: "sync" });
+      await api.post("/api/v1/agents/stream-agent/commands/pull", {});
+
+      const created = await stream.next();
+      assert.equal(created.event, "command.created");
+      assert.equal(created.data.command.id, "stream-cmd");
+      const delivered = await stream.next();
+      assert.equal(delivered.event, "command.updated");
+      assert.equal(delivered.data.command.status, "delivered");
+    } finally {
+      stream.close();
+    }
+  });
+
+  it("resumes after Last-Event-ID", async () => {
+    const first = await openStream("?types=alert");
+    let lastEventId;
+    try {
+      await api.post("/api/v1/alerts", { id: "stream-alert", severity: "warn", type: "manual", entity_type: "agent", entity_id: "x", message: "m" });
+      const opened = await first.next();
+      assert.equal(opened.event, "alert.opened");
+      lastEventId = opened.id;
+    } finally {
+      first.close();
+    }
+
+    await api.post("/api/v1/alerts/stream-alert/ack");
+    await api.post("/api/v1/alerts/stream-alert/close");
+
+    const resumed = await openStream("?types=alert", { headers: { "Last-Event-ID": lastEventId } });
+    try {
+      assert.equal((await resumed.next()).event, "alert.acked");
+      assert.equal((await resumed.next()).event, "alert.closed");
+    } finally {
+      resumed.close();
+    }
+
+    const unknown = await openStream("", { headers: { "Last-Event-ID": "gone:1" } });
+    try {
+      const reset = await unknown.next();
+      assert.equal(reset.event, "reset");
+      assert.equal(reset.data.reason, "history_unavailable");
+    } finally {
+      unknown.close();
+    }
+  });
+
+  it("only sends events the key may read", async () => {
+    const alertsOnly = await api.post("/api/v1/auth/api-keys", { name: "alerts-stream", scopes: ["alerts:read"] });
+    const stream = await openStream("", { apiKey: alertsOnly.body.raw_key });
+    try {
+      await api.post("/api/v1/tasks", { id: "hidden-task", title: "Hidden" });
+      await api.post("/api/v1/alerts", { id: "visible-alert", severity: "info", type: "manual", entity_type: "agent", entity_id: "x", message: "m" });
+      const event = await stream.next();
+      assert.equal(event.event, "alert.opened");
+      assert.equal(event.data.alert.id, "visible-alert");
+    } finally {
+      stream.close();
+    }
+
+    const keysOnly = await api.post("/api/v1/auth/api-keys", { name: "keys-stream", scopes: ["keys:admin"] });
+    const denied = await api.get("/api/v1/stream", { apiKey: keysOnly.body.raw_key });
+    assert.equal(denied.status, 403);
+  });
+
+  it("rejects unknown event types", async () => {
+    const res = await api.get("/api/v1/stream?types=task.exploded");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, "VALIDATION_ERROR");
+  });
+});
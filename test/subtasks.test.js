@@ -0,0 +1,110 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function taskOf(taskId) {
+  return (await api.get(`/api/v1/tasks/${taskId}`)).body;
+}
+
+describe("subtasks", () => {
+  it("rolls progress and final status up to the parent", async () => {
+    await api.post("/api/v1/tasks", { id: "sub-parent", title: "Release" });
+    const child = await api.post("/api/v1/tasks", { id: "sub-a", title: "Build", parent_task_id: "sub-parent" });
+    assert.equal(child.status, 201);
+    assert.equal(child.body.parent_task_id, "sub-parent");
+    await api.post("/api/v1/tasks", { id: "sub-b", title: "Docs", parent_task_id: "sub-parent" });
+
+    await api.patch("/api/v1/tasks/sub-a", { status: "running", progress: 50 });
+    assert.equal((await taskOf("sub-parent")).progress, 25);
+
+    await api.patch("/api/v1/tasks/sub-a", { status: "done" });
+    assert.equal((await taskOf("sub-parent")).progress, 50);
+    assert.equal((await taskOf("sub-parent")).status, "queued");
+
+    await api.patch("/api/v1/tasks/sub-b", { status: "running" });
+    await api.patch("/api/v1/tasks/sub-b", { status: "done" });
+    const parent = await taskOf("sub-parent");
+    assert.equal(parent.status, "done");
+    assert.equal(parent.progress, 100);
+
+    const events = (await api.get("/api/v1/tasks/sub-parent/events")).body;
+    const finished = events.find((event) => event.payload.reason === "subtasks_finished");
+    assert.equal(finished.payload.status, "done");
+
+    const late = await api.post("/api/v1/tasks", { title: "Late", parent_task_id: "sub-parent" });
+    assert.equal(late.status, 409);
+    assert.equal(late.body.error.code, "PARENT_TASK_FINISHED");
+    const unknown = await api.post("/api/v1/tasks", { title: "Orphan", parent_task_id: "sub-missing" });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error.code, "PARENT_TASK_NOT_FOUND");
+  });
+
+  it("fails the parent when a subtask fails", async () => {
+    await api.post("/api/v1/tasks", { id: "sub-f-parent", title: "Migrate" });
+    await api.post("/api/v1/tasks", { id: "sub-f-a", title: "Schema", parent_task_id: "sub-f-parent" });
+    await api.post("/api/v1/tasks", { id: "sub-f-b", title: "Data", parent_task_id: "sub-f-parent" });
+    await api.patch("/api/v1/tasks/sub-f-a", { status: "running" });
+    await api.patch("/api/v1/tasks/sub-f-a", { status: "failed" });
+    await api.patch("/api/v1/tasks/sub-f-b", { status: "running" });
+    await api.patch("/api/v1/tasks/sub-f-b", { status: "done" });
+    assert.equal((await taskOf("sub-f-parent")).status, "failed");
+  });
+
+  it("cancels open subtasks with their parent", async () => {
+    await api.post("/api/v1/tasks", { id: "sub-c-parent", title: "Campaign" });
+    await api.post("/api/v1/tasks", { id: "sub-c-done", title: "Draft", parent_task_id: "sub-c-parent" });
+    await api.post("/api/v1/tasks", { id: "sub-c-open", title: "Send", parent_task_id: "sub-c-parent" });
+    await api.post("/api/v1/tasks", { id: "sub-c-nested", title: "Segment", parent_task_id: "sub-c-open" });
+    await api.patch("/api/v1/tasks/sub-c-done", { status: "running" });
+    await api.patch("/api/v1/tasks/sub-c-done", { status: "done" });
+
+    const cancelled = await api.patch("/api/v1/tasks/sub-c-parent", { status: "cancelled" });
+    assert.equal(cancelled.status, 200);
+    assert.equal((await taskOf("sub-c-done")).status, "done");
+    assert.equal((await taskOf("sub-c-open")).status, "cancelled");
+    assert.equal((await taskOf("sub-c-nested")).status, "cancelled");
+    assert.equal((await taskOf("sub-c-parent")).status, "cancelled");
+
+    const events = (await api.get("/api/v1/tasks/sub-c-nested/events")).body;
+    const cascaded = events.find((event) => event.payload.reason === "parent_cancelled");
+    assert.equal(cascaded.payload.parent_task_id, "sub-c-open");
+  });
+
+  it("lists subtasks and renders the task tree", async () => {
+    await api.post("/api/v1/tasks", { id: "sub-t-root", title: "Root" });
+    await api.post("/api/v1/tasks", { id: "sub-t-a", title: "A", parent_task_id: "sub-t-root" });
+    await api.post("/api/v1/tasks", { id: "sub-t-a1", title: "A1", parent_task_id: "sub-t-a" });
+    await api.post("/api/v1/tasks", { id: "sub-t-b", title: "B", parent_task_id: "sub-t-root" });
+
+    const subtasks = await api.get("/api/v1/tasks/sub-t-root/subtasks");
+    assert.equal(subtasks.status, 200);
+    assert.deepEqual(subtasks.body.map((task) => task.id), ["sub-t-a", "sub-t-b"]);
+    assert.equal((await api.get("/api/v1/tasks/sub-t-missing/subtasks")).status, 404);
+
+    const tree = await api.get("/api/v1/tasks/tree?root=sub-t-root");
+    assert.equal(tree.status, 200);
+    assert.equal(tree.body.length, 1);
+    assert.equal(tree.body[0].id, "sub-t-root");
+    assert.deepEqual(tree.body[0].children.map((node) => node.id), ["sub-t-a", "sub-t-b"]);
+    assert.deepEqual(tree.body[0].children[0].children.map((node) => node.id), ["sub-t-a1"]);
+    assert.equal((await api.get("/api/v1/tasks/tree?root=sub-t-missing")).status, 404);
+
+    const forest = (await api.get("/api/v1/tasks/tree")).body;
+    assert.ok(forest.some((node) => node.id === "sub-t-root"));
+    assert.ok(!forest.some((node) => node.id === "sub-t-a"));
+
+    const overview = (await api.get("/api/v1/overview")).body;
+    const root = overview.active_task_tree.find((node) => node.id === "sub-t-root");
+    assert.deepEqual(root.children.map((node) => node.id).sort(), ["sub-t-a", "sub-t-b"]);
+  });
+});
@@ -0,0 +1,61 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer();
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+describe("optimistic concurrency", () => {
+  it("exposes the version as ETag and honours If-Match on agents", async () => {
+    const created = await api.post("/api/v1/agents", { id: "etag-agent", name: "Agent" });
+    assert.equal(created.headers.get("etag"), '"1"');
+    assert.equal((await api.get("/api/v1/agents/etag-agent")).headers.get("etag"), '"1"');
+
+    const ok = await api.patch("/api/v1/agents/etag-agent", { name: "Renamed" }, { headers: { "If-Match": '"1"' } });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.headers.get("etag"), '"2"');
+
+    const stale = await api.patch("/api/v1/agents/etag-agent", { name: "Lost update" }, { headers: { "If-Match": '"1"' } });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.body.error.code, "VERSION_MISMATCH");
+    assert.equal(stale.body.error.details.current_version, 2);
+    assert.equal((await api.get("/api/v1/agents/etag-agent")).body.name, "Renamed");
+
+    assert.equal((await api.patch("/api/v1/agents/etag-agent", { name: "Any" }, { headers: { "If-Match": "*" } })).status, 200);
+    assert.equal((await api.patch("/api/v1/agents/etag-agent", { name: "Bad" }, { headers: { "If-Match": "abc" } })).status, 400);
+  });
+
+  it("accepts expected_version in the task body", async () => {
+    const created = await api.post("/api/v1/tasks", { id: "etag-task", title: "Task" });
+    assert.equal(created.headers.get("etag"), '"1"');
+
+    const stale = await api.patch("/api/v1/tasks/etag-task", { title: "Stale", expected_version: 7 });
+    assert.equal(stale.status, 412);
+    assert.equal(stale.body.error.details.current_version, 1);
+
+    const ok = await api.patch("/api/v1/tasks/etag-task", { title: "Fresh", expected_version: 1 });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.version, 2);
+    assert.equal(ok.headers.get("etag"), '"2"');
+
+    const disagree = await api.patch("/api/v1/tasks/etag-task", { title: "X", expected_version: 2 }, { headers: { "If-Match": '"3"' } });
+    assert.equal(disagree.status, 400);
+  });
+
+  it("lets exactly one of two concurrent writers with the same version win", async () => {
+    const results = await Promise.all([
+      api.patch("/api/v1/tasks/etag-task", { title: "Writer A" }, { headers: { "If-Match": '"2"' } }),
+      api.patch("/api/v1/tasks/etag-task", { title: "Writer B" }, { headers: { "If-Match": '"2"' } })
+    ]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 412]);
+    const winner = results.find((r) => r.status === 200).body.title;
+    assert.equal((await api.get("/api/v1/tasks/etag-task")).body.title, winner);
+  });
+});
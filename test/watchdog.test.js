@@ -0,0 +1,56 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startServer } from "./helpers.js";
+
+let api;
+
+before(async () => {
+  api = await startServer({
+    HEARTBEAT_OFFLINE_SEC: "0.3",
+    AGENT_WATCHDOG_INTERVAL_SEC: "0.1"
+  });
+});
+
+after(async () => {
+  await api?.stop();
+});
+
+async function offlineAlerts(agentId) {
+  const alerts = (await api.get("/api/v1/alerts?type=agent_offline")).body.items;
+  return alerts.filter((alert) => alert.entity_id === agentId);
+}
+
+describe("heartbeat watchdog", () => {
+  it("opens one offline alert per silent period with role-based severity", async () => {
+    await api.post("/api/v1/agents", { id: "sup-1", name: "Supervisor", role: "supervisor" });
+    await api.post("/api/v1/agents", { id: "wrk-1", name: "Worker", supervisor_id: "sup-1" });
+    await sleep(800);
+
+    const supervisorAlerts = await offlineAlerts("sup-1");
+    assert.equal(supervisorAlerts.length, 1);
+    assert.equal(supervisorAlerts[0].severity, "critical");
+    assert.equal(supervisorAlerts[0].entity_type, "agent");
+    assert.equal(supervisorAlerts[0].status, "open");
+
+    const workerAlerts = await offlineAlerts("wrk-1");
+    assert.equal(workerAlerts.length, 1);
+    assert.equal(workerAlerts[0].severity, "warn");
+  });
+
+  it("closes the alert on the next heartbeat", async () => {
+    const heartbeat = await api.post("/api/v1/agents/wrk-1/heartbeat", { supervisor_id: "sup-1" });
+    assert.equal(heartbeat.status, 200);
+    assert.equal(heartbeat.body.status, "online");
+
+    const [alert] = await offlineAlerts("wrk-1");
+    assert.equal(alert.status, "closed");
+    assert.equal((await offlineAlerts("sup-1"))[0].status, "open");
+  });
+
+  it("raises a new alert when the agent goes silent again", async () => {
+    await sleep(800);
+    const alerts = await offlineAlerts("wrk-1");
+    assert.deepEqual(alerts.map((alert) => alert.status).sort(), ["closed", "open"]);
+  });
+});
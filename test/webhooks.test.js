@@ -0,0 +1,135 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import http from "node:http";
+import { startServer } from "./helpers.js";
+
+const SECRET = "test-webhook-secret-0123456789";
+
+let api;
+let receiver;
+const received = [];
+const failingPaths = new Set(["/flaky"]);
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, raw: body, body: JSON.parse(body) });
+      res.writeHead(failingPaths.has(req.url) ? 500 : 204).end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  api = await startServer({
+    WEBHOOK_DELIVERY_INTERVAL_SEC: "0.1",
+    WEBHOOK_RETRY_BASE_SEC: "0.1",
+    WEBHOOK_RETRY_MAX_SEC: "0.2",
+    WEBHOOK_MAX_ATTEMPTS: "3",
+    HEARTBEAT_OFFLINE_SEC: "0.3",
+    AGENT_WATCHDOG_INTERVAL_SEC: "0.1"
+  });
+});
+
+after(async () => {
+  await api?.stop();
+  await new Promise((resolve) => receiver?.close(resolve));
+});
+
+function receiverUrl(path) {
+  return `http://127.0.0.1:${receiver.address().port}${path}`;
+}
+
+// Resolves with the first truthy (or non-empty array) result of `check`.
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 60; attempt += 1) {
+    const result = await check();
+    if (Array.isArray(result) ? result.length > 0 : result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.fail("condition not met in time");
+}
+
+function receivedAt(path, type) {
+  return received.filter((request) => request.path === path && request.body.type === type);
+}
+
+describe("webhooks", () => {
+  it("delivers signed alert and task failure events", async () => {
+    const created = await api.post("/api/v1/webhooks", { id: "ops", url: receiverUrl("/ops"), event_types: ["alert.opened", "task.failed"], secret: SECRET });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.secret, SECRET);
+    assert.equal((await api.get("/api/v1/webhooks/ops")).body.secret, undefined);
+
+    await api.post("/api/v1/alerts", { id: "hook-alert", severity: "critical", type: "manual", entity_type: "agent", entity_id: "a", message: "Disk full" });
+    const [alertDelivery] = await waitFor(() => receivedAt("/ops", "alert.opened"));
+    assert.equal(alertDelivery.body.data.alert.id, "hook-alert");
+    assert.equal(alertDelivery.headers["x-webhook-event"], "alert.opened");
+    const timestamp = alertDelivery.headers["x-webhook-timestamp"];
+    const expected = `sha256=${createHmac("sha256", SECRET).update(`${timestamp}.${alertDelivery.raw}`).digest("hex")}`;
+    assert.equal(alertDelivery.headers["x-webhook-signature"], expected);
+
+    await api.post("/api/v1/tasks", { id: "hook-task", title: "Will fail" });
+    await api.patch("/api/v1/tasks/hook-task", { status: "running" });
+    await api.patch("/api/v1/tasks/hook-task", { status: "failed" });
+    await api.patch("/api/v1/tasks/hook-task", { title: "Failed once" });
+    const [taskDelivery] = await waitFor(() => receivedAt("/ops", "task.failed"));
+    assert.equal(taskDelivery.body.data.task.id, "hook-task");
+
+    const log = await waitFor(async () => {
+      const res = await api.get("/api/v1/webhooks/ops/deliveries?status=succeeded");
+      return res.body.items.length === 2 && res.body.items;
+    });
+    assert.deepEqual(log.map((delivery) => delivery.event_type), ["task.failed", "alert.opened"]);
+    assert.equal(log[1].id, alertDelivery.headers["x-webhook-id"]);
+    assert.equal(log[1].attempts, 1);
+    assert.equal(log[1].response_status, 204);
+  });
+
+  it("retries with backoff, dead-letters and can send again", async () => {
+    await api.post("/api/v1/webhooks", { id: "flaky", url: receiverUrl("/flaky"), event_types: ["alert.opened"], secret: SECRET });
+    await api.post("/api/v1/alerts", { id: "flaky-alert", severity: "info", type: "manual", entity_type: "agent", entity_id: "a", message: "m" });
+
+    const [dead] = await waitFor(async () => (await api.get("/api/v1/webhooks/dead-letters?webhook_id=flaky")).body.items.filter((delivery) => delivery.payload.data.alert.id === "flaky-alert"));
+    assert.equal(dead.status, "dead");
+    assert.equal(dead.attempts, 3);
+    assert.equal(dead.response_status, 500);
+    assert.match(dead.last_error, /HTTP 500/);
+    const attempts = received.filter((request) => request.headers["x-webhook-id"] === dead.id);
+    assert.equal(attempts.length, 3);
+
+    failingPaths.delete("/flaky");
+    const retried = await api.post(`/api/v1/webhooks/deliveries/${dead.id}/retry`);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.status, "pending");
+    await waitFor(async () => (await api.get("/api/v1/webhooks/flaky/deliveries?status=succeeded")).body.items.length === 1);
+
+    const again = await api.post(`/api/v1/webhooks/deliveries/${dead.id}/retry`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error.code, "WEBHOOK_DELIVERY_NOT_DEAD");
+  });
+
+  it("reports agents the watchdog marks offline", async () => {
+    await api.post("/api/v1/webhooks", { id: "offline", url: receiverUrl("/offline"), event_types: ["agent.offline"], secret: SECRET });
+    await api.post("/api/v1/agents", { id: "hook-agent", name: "Quiet agent" });
+    const [delivery] = await waitFor(() => receivedAt("/offline", "agent.offline").filter((request) => request.body.data.agent?.id === "hook-agent"));
+    assert.equal(delivery.body.data.alert.type, "agent_offline");
+  });
+
+  it("validates subscriptions and stops sending to disabled webhooks", async () => {
+    const invalid = await api.post("/api/v1/webhooks", { url: receiverUrl("/x"), event_types: ["task.exploded"] });
+    assert.equal(invalid.status, 400);
+    assert.equal((await api.post("/api/v1/webhooks", { url: "ftp://example.com", event_types: ["task.failed"] })).status, 400);
+
+    const disabled = await api.patch("/api/v1/webhooks/ops", { status: "disabled" });
+    assert.equal(disabled.status, 200);
+    assert.equal(disabled.body.status, "disabled");
+    const before = received.length;
+    await api.post("/api/v1/alerts", { id: "quiet-alert", severity: "info", type: "manual", entity_type: "agent", entity_id: "a", message: "m" });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    assert.equal(received.slice(before).filter((request) => request.path === "/ops").length, 0);
+
+    const narrow = await api.post("/api/v1/auth/api-keys", { name: "no-webhooks", scopes: ["alerts:read"] });
+    assert.equal((await api.get("/api/v1/webhooks", { apiKey: narrow.body.raw_key })).status, 403);
+  });
+});